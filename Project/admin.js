@@ -119,20 +119,20 @@ class AdminDashboard {
 
     async loadIssuesStats() {
         try {
-            const response = await fetch('/api/issues', {
+            // Counts are aggregated server-side across all issues, not from one page of the list
+            const response = await fetch('/api/admin/dashboard', {
                 headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
             });
             
-            if (!response.ok) throw new Error('Failed to fetch issues');
+            if (!response.ok) throw new Error('Failed to fetch issue statistics');
             
             const data = await response.json();
-            const issues = data.data.issues;
+            const stats = data.stats.issues;
             
-            // Calculate stats
-            this.stats.total = issues.length;
-            this.stats.pending = issues.filter(i => i.status === 'submitted').length;
-            this.stats.progress = issues.filter(i => ['acknowledged', 'in_progress'].includes(i.status)).length;
-            this.stats.resolved = issues.filter(i => i.status === 'resolved').length;
+            this.stats.total = stats.total;
+            this.stats.pending = stats.submitted;
+            this.stats.progress = stats.inProgress;
+            this.stats.resolved = stats.resolved;
             
             // Update UI
             this.updateStatsDisplay();
@@ -384,6 +384,9 @@ class AdminDashboard {
             case 'users':
                 await this.loadAllUsers();
                 break;
+            case 'departments':
+                await this.loadDepartments();
+                break;
             case 'analytics':
                 await this.loadAnalytics();
                 break;
@@ -391,6 +394,48 @@ class AdminDashboard {
         }
     }
 
+    async loadDepartments() {
+        try {
+            const response = await fetch('/api/admin/departments', {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+            });
+
+            if (!response.ok) throw new Error('Failed to fetch departments');
+
+            const data = await response.json();
+            this.displayDepartments(data.data.departments);
+
+        } catch (error) {
+            console.error('Failed to load departments:', error);
+            this.showNotification('Error', 'error', 'Failed to load departments');
+        }
+    }
+
+    displayDepartments(departments) {
+        const tbody = document.getElementById('departmentsTableBody');
+        if (!tbody) return;
+
+        const escape = (text) => String(text ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+        tbody.innerHTML = departments.map(department => `
+            <tr>
+                <td><strong>${escape(department.code)}</strong></td>
+                <td>${escape(department.name)}</td>
+                <td>${department.categories.map(category => `
+                    <span class="category-badge" data-category="${escape(category)}">${escape(category)}</span>
+                `).join(' ') || '-'}</td>
+                <td>${department.heads.map(head => escape(`${head.firstName} ${head.lastName}`)).join(', ') || '-'}</td>
+                <td>${department.staff.department_head || 0} heads, ${department.staff.field_officer || 0} officers</td>
+                <td>${escape(department.contact?.phone || department.contact?.email || '-')}</td>
+                <td>
+                    <span class="status-badge ${department.isActive ? 'resolved' : 'rejected'}">
+                        ${department.isActive ? 'active' : 'inactive'}
+                    </span>
+                </td>
+            </tr>
+        `).join('');
+    }
+
     handleRealTimeNotification(notification) {
         // Update notification count
         const countElement = document.getElementById('notificationCount');
@@ -0,0 +1,37 @@
+// Municipal departments (admin-managed in /api/admin/departments). User.department,
+// Issue.assignedTo.department and routing rules hold a department `code`.
+
+const ISSUE_CATEGORIES = ['roads', 'water', 'garbage', 'streetlights', 'drainage', 'parks', 'buildings', 'traffic', 'noise', 'other'];
+
+const DEPARTMENT_CONFIG = {
+  // Working hours and holidays are in local time
+  timezone: process.env.DEPARTMENT_TIMEZONE || 'Asia/Kolkata',
+  // Department that takes issue categories no department handles
+  fallbackCode: 'general',
+  // How long department codes are cached before being read again
+  cacheSeconds: 60
+};
+
+// Monday to Saturday, 10:30 to 18:10. day: 0 = Sunday
+const DEFAULT_WORKING_HOURS = [1, 2, 3, 4, 5, 6].map(day => ({ day, opens: '10:30', closes: '18:10' }));
+
+// Created on first start when there are no departments yet. `general` is where citizens and
+// admins sit; staff always belong to one of the others.
+const DEFAULT_DEPARTMENTS = [
+  { code: 'roads', name: 'Roads and Traffic', categories: ['roads', 'traffic'] },
+  { code: 'water', name: 'Water Supply', categories: ['water'] },
+  { code: 'garbage', name: 'Solid Waste Management', categories: ['garbage'] },
+  { code: 'streetlights', name: 'Street Lighting', categories: ['streetlights'] },
+  { code: 'drainage', name: 'Drainage', categories: ['drainage'] },
+  { code: 'parks', name: 'Parks and Gardens', categories: ['parks'] },
+  { code: 'town_planning', name: 'Town Planning', categories: ['buildings'] },
+  { code: 'health', name: 'Health and Sanitation', categories: ['noise'] },
+  { code: 'general', name: 'General Administration', categories: ['other'] }
+];
+
+module.exports = {
+  ISSUE_CATEGORIES,
+  DEPARTMENT_CONFIG,
+  DEFAULT_WORKING_HOURS,
+  DEFAULT_DEPARTMENTS
+};
@@ -0,0 +1,43 @@
+// Bulk import of legacy complaint registers (POST /api/admin/issues/import, scripts/importIssues.js)
+
+const IMPORT_CONFIG = {
+  maxRows: parseInt(process.env.IMPORT_MAX_ROWS) || 5000,
+  // Rows without coordinates one admin request may geocode; at one lookup a second larger files
+  // would hold the request open for minutes. scripts/importIssues.js has no limit.
+  maxGeocodedRows: parseInt(process.env.IMPORT_MAX_GEOCODED_ROWS) || 60,
+  // Channels an imported row can come from (Issue.source.channel)
+  channels: ['phone', 'walk_in', 'register'],
+  defaultChannel: 'phone',
+  // Account imported issues are attributed to, created on first import
+  reporter: {
+    email: process.env.IMPORT_REPORTER_EMAIL || 'walkin@anandmc.gov.in',
+    firstName: 'Phone/Walk-in',
+    lastName: 'Reporter',
+    phone: process.env.IMPORT_REPORTER_PHONE || '+910000000000'
+  }
+};
+
+// Issue fields a CSV column can be mapped to. By default a column maps to the field of the same name.
+const IMPORT_FIELDS = [
+  'title', 'description', 'category', 'subCategory', 'priority',
+  'latitude', 'longitude', 'address', 'landmark', 'tags',
+  'reportedAt', 'externalRef', 'contactName', 'contactPhone', 'channel'
+];
+
+// Geocoding of rows that have an address but no coordinates (OpenStreetMap Nominatim by default)
+const GEOCODER_CONFIG = {
+  url: process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org/search',
+  // Appended to every address so street names resolve inside the city
+  context: process.env.GEOCODER_CONTEXT || 'Anand, Gujarat, India',
+  countryCodes: 'in',
+  // Nominatim's usage policy allows one request per second
+  minIntervalMs: parseInt(process.env.GEOCODER_MIN_INTERVAL_MS) || 1000,
+  timeoutMs: parseInt(process.env.GEOCODER_TIMEOUT_MS) || 10000,
+  userAgent: process.env.GEOCODER_USER_AGENT || 'anand-municipal-platform'
+};
+
+module.exports = {
+  IMPORT_CONFIG,
+  IMPORT_FIELDS,
+  GEOCODER_CONFIG
+};
@@ -0,0 +1,139 @@
+// Issue lifecycle: every legal status transition, who may perform it and
+// what must be provided first. Anything not listed here is rejected.
+//
+// Roles are user roles plus 'system' for scheduled jobs and automatic
+// transitions, and 'reporter' for the citizen who reported the issue.
+// Required fields:
+//   reason           - notes explaining the change (sent with the request)
+//   resolutionNotes  - issue.resolutionNotes must be filled in
+//   resolutionPhotos - at least one photo in issue.resolutionPhotos
+
+const STAFF = ['admin', 'department_head', 'field_officer'];
+const SUPERVISORS = ['admin', 'department_head'];
+
+const ISSUE_TRANSITIONS = {
+  submitted: {
+    acknowledged: { roles: STAFF },
+    rejected: { roles: SUPERVISORS, requires: ['reason'] }
+  },
+  acknowledged: {
+    in_progress: { roles: STAFF },
+    rejected: { roles: SUPERVISORS, requires: ['reason'] }
+  },
+  in_progress: {
+    under_review: { roles: STAFF },
+    resolved: { roles: STAFF, requires: ['resolutionNotes', 'resolutionPhotos'] }
+  },
+  under_review: {
+    resolved: { roles: SUPERVISORS, requires: ['resolutionNotes', 'resolutionPhotos'] },
+    in_progress: { roles: SUPERVISORS, requires: ['reason'] }
+  },
+  resolved: {
+    closed: { roles: [...SUPERVISORS, 'system'] },
+    in_progress: { roles: [...SUPERVISORS, 'reporter'], requires: ['reason'] }
+  },
+  rejected: {
+    acknowledged: { roles: ['admin'], requires: ['reason'] },
+    closed: { roles: ['admin', 'system'] }
+  },
+  closed: {}
+};
+
+// Closing an open issue as a duplicate of another (Issue#markAsDuplicateOf) is checked against
+// this table instead, when the check is given `duplicateOf`. It is not offered as a status change.
+const MERGE_TRANSITIONS = Object.fromEntries(
+  ['submitted', 'acknowledged', 'in_progress', 'under_review'].map(status => [status, { closed: { roles: STAFF } }])
+);
+
+// After resolution the reporter can rate the fix or reopen the issue within this
+// window; issues nobody reopens are closed by the scheduled job in server.js
+const RESOLUTION_FOLLOW_UP = {
+  reopenWindowDays: parseInt(process.env.ISSUE_REOPEN_WINDOW_DAYS) || 7
+};
+
+const REQUIREMENT_CHECKS = {
+  reason: (context) => !!(context.notes && context.notes.trim()),
+  resolutionNotes: (context) => !!(context.resolutionNotes && context.resolutionNotes.trim()),
+  resolutionPhotos: (context) => (context.resolutionPhotoCount || 0) > 0
+};
+
+// List the statuses reachable from `fromStatus`, optionally only those `role` may perform
+const getAllowedTransitions = (fromStatus, role) => {
+  const transitions = ISSUE_TRANSITIONS[fromStatus] || {};
+
+  return Object.entries(transitions)
+    .filter(([, rule]) => !role || rule.roles.includes(role))
+    .map(([status, rule]) => ({
+      status,
+      roles: rule.roles,
+      requires: rule.requires || []
+    }));
+};
+
+// Check a transition against the table. A failed check carries the HTTP status to answer with:
+// 409 when the transition is not in the table, 403 when the role (which must be given) may not
+// perform it and 422 when required fields are missing.
+// context: { role, notes, resolutionNotes, resolutionPhotoCount, duplicateOf }
+const checkTransition = (fromStatus, toStatus, context = {}) => {
+  const transitions = context.duplicateOf ? MERGE_TRANSITIONS : ISSUE_TRANSITIONS;
+  const rule = (transitions[fromStatus] || {})[toStatus];
+  const result = {
+    allowed: false,
+    currentStatus: fromStatus,
+    requestedStatus: toStatus,
+    allowedTransitions: getAllowedTransitions(fromStatus, context.role),
+    missingFields: []
+  };
+
+  if (!rule) {
+    result.code = 'INVALID_STATUS_TRANSITION';
+    result.status = 409;
+    result.message = `Cannot change status from ${fromStatus} to ${toStatus}`;
+    return result;
+  }
+
+  if (!rule.roles.includes(context.role)) {
+    result.code = 'TRANSITION_NOT_PERMITTED';
+    result.status = 403;
+    result.message = context.role
+      ? `Your role cannot change status from ${fromStatus} to ${toStatus}`
+      : 'A role (or the system actor) is required to change status';
+    return result;
+  }
+
+  result.missingFields = (rule.requires || []).filter(field => !REQUIREMENT_CHECKS[field](context));
+
+  if (result.missingFields.length > 0) {
+    result.code = 'TRANSITION_REQUIREMENTS_MISSING';
+    result.status = 422;
+    result.message = `Changing status to ${toStatus} requires: ${result.missingFields.join(', ')}`;
+    return result;
+  }
+
+  result.allowed = true;
+  return result;
+};
+
+// Build the error thrown by Issue#updateStatus for a failed check
+const createTransitionError = (result) => {
+  const error = new Error(result.message);
+  error.name = 'IssueTransitionError';
+  error.status = result.status;
+  error.code = result.code;
+  error.details = {
+    currentStatus: result.currentStatus,
+    requestedStatus: result.requestedStatus,
+    allowedTransitions: result.allowedTransitions,
+    missingFields: result.missingFields
+  };
+  return error;
+};
+
+module.exports = {
+  ISSUE_TRANSITIONS,
+  MERGE_TRANSITIONS,
+  RESOLUTION_FOLLOW_UP,
+  getAllowedTransitions,
+  checkTransition,
+  createTransitionError
+};
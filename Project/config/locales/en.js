@@ -0,0 +1,237 @@
+// English message catalogue. This is the fallback for every key, so it must be complete.
+// Placeholders: {name} inserts a value, {name:group} inserts its label from `labels.group`.
+
+module.exports = {
+  common: {
+    brand: 'Anand Municipal Corporation',
+    greeting: 'Hello {firstName}!',
+    listSeparator: ', ',
+    copyright: '© 2025 Anand Municipal Corporation. All rights reserved.',
+    contact: 'If you have any questions, please contact us at info@anandmc.gov.in'
+  },
+
+  labels: {
+    status: {
+      submitted: 'Submitted',
+      acknowledged: 'Acknowledged',
+      in_progress: 'In Progress',
+      under_review: 'Under Review',
+      resolved: 'Resolved',
+      closed: 'Closed',
+      rejected: 'Rejected'
+    },
+    category: {
+      roads: 'Roads',
+      water: 'Water Supply',
+      garbage: 'Garbage',
+      streetlights: 'Streetlights',
+      drainage: 'Drainage',
+      parks: 'Parks',
+      buildings: 'Buildings',
+      traffic: 'Traffic',
+      noise: 'Noise',
+      other: 'Other'
+    },
+    department: {
+      roads: 'Roads',
+      water: 'Water Supply',
+      garbage: 'Solid Waste',
+      streetlights: 'Streetlights',
+      drainage: 'Drainage',
+      parks: 'Parks & Gardens',
+      town_planning: 'Town Planning',
+      health: 'Health & Sanitation',
+      general: 'General Administration'
+    },
+    role: {
+      citizen: 'Citizen',
+      admin: 'Administrator',
+      department_head: 'Department Head',
+      field_officer: 'Field Officer'
+    },
+    slaReason: {
+      acknowledge: 'not acknowledged',
+      resolve: 'not resolved'
+    },
+    accountChange: {
+      activated: 'activated',
+      deactivated: 'deactivated',
+      verified: 'verified',
+      unverified: 'marked as unverified'
+    }
+  },
+
+  actions: {
+    viewIssue: 'View Issue',
+    viewComment: 'View Comment',
+    viewReply: 'View Reply',
+    viewDetails: 'View Details',
+    giveFeedback: 'Rate the Resolution'
+  },
+
+  // In-app notifications: title and message per key
+  notifications: {
+    issue_created: {
+      title: 'New Issue Reported',
+      message: 'A new {category:category} issue has been reported: "{title}"'
+    },
+    issue_status_updated: {
+      title: 'Issue Status Updated',
+      message: 'Your issue "{title}" status has been changed from {oldStatus:status} to {status:status}{notes}'
+    },
+    issue_resolved: {
+      title: 'Issue Resolved',
+      message: 'Your issue "{title}" has been resolved{notes}'
+    },
+    issue_assigned_reporter: {
+      title: 'Issue Assigned',
+      message: 'Your issue "{title}" has been assigned to the {department:department} department'
+    },
+    issue_assigned_staff: {
+      title: 'New Issue Assigned',
+      message: 'You have been assigned a new {category:category} issue: "{title}"'
+    },
+    issue_merged: {
+      title: 'Issue Merged',
+      message: 'Your issue "{title}" was reported by others too and has been merged into {trackingId}. You will receive updates on that issue.'
+    },
+    sla_breach_department: {
+      title: 'SLA Breach in Your Department',
+      message: 'Issue {trackingId} "{title}" was {reason:slaReason} within its SLA'
+    },
+    sla_breach_admin: {
+      title: 'SLA Breach Escalated to Admin',
+      message: 'Issue {trackingId} "{title}" was {reason:slaReason} within its SLA'
+    },
+    comment_added: {
+      title: 'New Comment on Your Issue',
+      message: '{author} commented on "{title}"'
+    },
+    comment_official: {
+      title: 'Official Response on Your Issue',
+      message: '{author} commented on "{title}"'
+    },
+    comment_reply: {
+      title: 'New Reply to Your Comment',
+      message: '{author} replied to your comment on "{title}"'
+    },
+    mention: {
+      title: 'You Were Mentioned',
+      message: '{author} mentioned you on "{title}"'
+    },
+    feedback_request: {
+      title: 'How Did We Do?',
+      message: 'Your issue "{title}" has been resolved. Please rate the resolution, or reopen the issue within {days} days if the problem is still there.'
+    },
+    issue_reopened: {
+      title: 'Issue Reopened',
+      message: 'The reporter reopened {trackingId} "{title}": {reason}'
+    },
+    work_order_assigned: {
+      title: 'New Work Order',
+      message: 'Work order {orderNumber} for "{title}" is scheduled for {scheduledFor}'
+    },
+    work_orders_completed: {
+      title: 'Work Completed, Sign-off Needed',
+      message: 'All work orders for {trackingId} "{title}" are done. Please review and sign off the resolution.'
+    },
+    session_reuse: {
+      title: 'Suspicious Sign-in Activity',
+      message: 'An old sign-in token for {device} was reused, so that session has been signed out. If this was not you, change your password.'
+    },
+    account_role_changed: {
+      title: 'Your Role Has Changed',
+      message: 'Your account role has been changed to {role:role}'
+    },
+    account_role_changed_department: {
+      title: 'Your Role Has Changed',
+      message: 'Your account role has been changed to {role:role} in the {department:department} department'
+    },
+    account_department_changed: {
+      title: 'Department Transfer',
+      message: 'You have been moved to the {department:department} department'
+    },
+    account_jurisdiction_changed: {
+      title: 'Jurisdiction Updated',
+      message: 'You now cover wards {wards} and zones {zones}'
+    },
+    account_jurisdiction_wards: {
+      title: 'Jurisdiction Updated',
+      message: 'You now cover wards {wards}'
+    },
+    account_jurisdiction_zones: {
+      title: 'Jurisdiction Updated',
+      message: 'You now cover zones {zones}'
+    },
+    account_jurisdiction_cleared: {
+      title: 'Jurisdiction Updated',
+      message: 'You now cover the whole city'
+    },
+    account_status_changed: {
+      title: 'Account Status Updated',
+      message: 'Your account has been {changes:accountChange}'
+    }
+  },
+
+  emails: {
+    welcome: {
+      subject: 'Welcome to Anand Municipal Corporation Portal',
+      heading: 'Welcome to Anand Municipal Corporation',
+      subheading: 'Your Civic Engagement Platform',
+      intro: 'Thank you for joining our municipal platform. You can now report issues, track their progress, and contribute to making Anand a better place to live.',
+      listTitle: 'What you can do:',
+      list: [
+        'Report municipal issues with photos and location',
+        'Track the status of your reported issues',
+        'Receive notifications about updates',
+        'Contribute to community discussions'
+      ],
+      action: 'Verify Email Address'
+    },
+    'password-reset': {
+      subject: 'Password Reset Request',
+      heading: 'Password Reset Request',
+      intro: 'We received a request to reset your password for your Anand Municipal Corporation account.',
+      notice: 'This link will expire in 10 minutes for security reasons.',
+      action: 'Reset Password',
+      closing: 'If you didn\'t request this password reset, please ignore this email. Your password will remain unchanged.'
+    },
+    'issue-update': {
+      subject: 'Update on your issue {trackingId}',
+      heading: 'Issue Update',
+      intro: 'There\'s an update on your reported issue:',
+      action: 'View Issue Details',
+      footer: 'Thank you for helping us improve Anand!'
+    },
+    'issue-assigned': {
+      subject: 'Issue {trackingId} has been assigned',
+      heading: 'Issue Assigned',
+      action: 'View Issue Details',
+      footer: 'Thank you for helping us improve Anand!'
+    },
+    'issue-resolved': {
+      subject: 'Your issue {trackingId} has been resolved',
+      heading: 'Issue Resolved',
+      closing: 'If the problem is still there, you can reopen the issue from its page.',
+      action: 'View Issue Details',
+      footer: 'Thank you for helping us improve Anand!'
+    },
+    'feedback-request': {
+      subject: 'How did we do on {trackingId}?',
+      heading: 'How Did We Do?',
+      closing: 'Your rating helps us improve municipal services. If the problem is still there, reopen the issue from the same page instead.',
+      action: 'Rate the Resolution',
+      footer: 'Thank you for helping us improve Anand!'
+    },
+    notification: {
+      subject: '{title}',
+      footer: 'You can change which notifications you receive in your profile settings.'
+    },
+    details: {
+      status: 'Status',
+      trackingId: 'Tracking ID',
+      department: 'Department',
+      notes: 'Notes'
+    }
+  }
+};
@@ -0,0 +1,235 @@
+// Gujarati message catalogue. Missing keys fall back to English (config/locales/en.js).
+
+module.exports = {
+  common: {
+    brand: 'આણંદ મહાનગરપાલિકા',
+    greeting: 'નમસ્તે {firstName}!',
+    listSeparator: ', ',
+    copyright: '© 2025 આણંદ મહાનગરપાલિકા. સર્વાધિકાર સુરક્ષિત.',
+    contact: 'કોઈ પ્રશ્ન હોય તો info@anandmc.gov.in પર અમારો સંપર્ક કરો'
+  },
+
+  labels: {
+    status: {
+      submitted: 'નોંધાયેલ',
+      acknowledged: 'સ્વીકારાયેલ',
+      in_progress: 'કામ ચાલુ',
+      under_review: 'સમીક્ષા હેઠળ',
+      resolved: 'ઉકેલાયેલ',
+      closed: 'બંધ',
+      rejected: 'નામંજૂર'
+    },
+    category: {
+      roads: 'રસ્તા',
+      water: 'પાણી પુરવઠો',
+      garbage: 'કચરો',
+      streetlights: 'સ્ટ્રીટ લાઈટ',
+      drainage: 'ગટર',
+      parks: 'બગીચા',
+      buildings: 'ઇમારતો',
+      traffic: 'ટ્રાફિક',
+      noise: 'ઘોંઘાટ',
+      other: 'અન્ય'
+    },
+    department: {
+      roads: 'રસ્તા',
+      water: 'પાણી પુરવઠો',
+      garbage: 'ઘન કચરો',
+      streetlights: 'સ્ટ્રીટ લાઈટ',
+      drainage: 'ગટર',
+      parks: 'બાગ-બગીચા',
+      town_planning: 'નગર આયોજન',
+      health: 'આરોગ્ય અને સ્વચ્છતા',
+      general: 'સામાન્ય વહીવટ'
+    },
+    role: {
+      citizen: 'નાગરિક',
+      admin: 'વહીવટકર્તા',
+      department_head: 'વિભાગીય વડા',
+      field_officer: 'ફિલ્ડ અધિકારી'
+    },
+    slaReason: {
+      acknowledge: 'સ્વીકારવામાં આવી નથી',
+      resolve: 'ઉકેલવામાં આવી નથી'
+    },
+    accountChange: {
+      activated: 'સક્રિય કરવામાં આવ્યું છે',
+      deactivated: 'નિષ્ક્રિય કરવામાં આવ્યું છે',
+      verified: 'ચકાસવામાં આવ્યું છે',
+      unverified: 'અચકાસાયેલ તરીકે ચિહ્નિત કરાયું છે'
+    }
+  },
+
+  actions: {
+    viewIssue: 'ફરિયાદ જુઓ',
+    viewComment: 'ટિપ્પણી જુઓ',
+    viewReply: 'જવાબ જુઓ',
+    viewDetails: 'વિગતો જુઓ',
+    giveFeedback: 'ઉકેલને રેટ કરો'
+  },
+
+  notifications: {
+    issue_created: {
+      title: 'નવી ફરિયાદ નોંધાઈ',
+      message: '{category:category}ની નવી ફરિયાદ નોંધાઈ છે: "{title}"'
+    },
+    issue_status_updated: {
+      title: 'ફરિયાદની સ્થિતિ બદલાઈ',
+      message: 'તમારી ફરિયાદ "{title}"ની સ્થિતિ {oldStatus:status}થી બદલીને {status:status} કરવામાં આવી છે{notes}'
+    },
+    issue_resolved: {
+      title: 'ફરિયાદ ઉકેલાઈ',
+      message: 'તમારી ફરિયાદ "{title}" ઉકેલવામાં આવી છે{notes}'
+    },
+    issue_assigned_reporter: {
+      title: 'ફરિયાદ સોંપવામાં આવી',
+      message: 'તમારી ફરિયાદ "{title}" {department:department} વિભાગને સોંપવામાં આવી છે'
+    },
+    issue_assigned_staff: {
+      title: 'નવી ફરિયાદ સોંપવામાં આવી',
+      message: 'તમને {category:category}ની નવી ફરિયાદ સોંપવામાં આવી છે: "{title}"'
+    },
+    issue_merged: {
+      title: 'ફરિયાદ જોડવામાં આવી',
+      message: 'તમારી ફરિયાદ "{title}" અન્ય નાગરિકોએ પણ નોંધાવી હતી, તેથી તેને {trackingId} સાથે જોડવામાં આવી છે. હવે પછીની જાણકારી તમને તે ફરિયાદ પર મળશે.'
+    },
+    sla_breach_department: {
+      title: 'તમારા વિભાગમાં SLA ભંગ',
+      message: 'ફરિયાદ {trackingId} "{title}" SLA સમયમર્યાદામાં {reason:slaReason}'
+    },
+    sla_breach_admin: {
+      title: 'SLA ભંગ વહીવટકર્તા સુધી પહોંચ્યો',
+      message: 'ફરિયાદ {trackingId} "{title}" SLA સમયમર્યાદામાં {reason:slaReason}'
+    },
+    comment_added: {
+      title: 'તમારી ફરિયાદ પર નવી ટિપ્પણી',
+      message: '{author}એ "{title}" પર ટિપ્પણી કરી'
+    },
+    comment_official: {
+      title: 'તમારી ફરિયાદ પર સત્તાવાર જવાબ',
+      message: '{author}એ "{title}" પર ટિપ્પણી કરી'
+    },
+    comment_reply: {
+      title: 'તમારી ટિપ્પણી પર નવો જવાબ',
+      message: '{author}એ "{title}" પર તમારી ટિપ્પણીનો જવાબ આપ્યો'
+    },
+    mention: {
+      title: 'તમારો ઉલ્લેખ કરવામાં આવ્યો',
+      message: '{author}એ "{title}" પર તમારો ઉલ્લેખ કર્યો'
+    },
+    feedback_request: {
+      title: 'અમારું કામ કેવું રહ્યું?',
+      message: 'તમારી ફરિયાદ "{title}" ઉકેલવામાં આવી છે. કૃપા કરીને ઉકેલને રેટ કરો, અથવા સમસ્યા હજુ હોય તો {days} દિવસમાં ફરિયાદ ફરી ખોલો.'
+    },
+    issue_reopened: {
+      title: 'ફરિયાદ ફરી ખોલવામાં આવી',
+      message: 'ફરિયાદકર્તાએ {trackingId} "{title}" ફરી ખોલી: {reason}'
+    },
+    work_order_assigned: {
+      title: 'નવો કાર્ય આદેશ',
+      message: '"{title}" માટેનો કાર્ય આદેશ {orderNumber} {scheduledFor} માટે નિર્ધારિત છે'
+    },
+    work_orders_completed: {
+      title: 'કામ પૂર્ણ, મંજૂરી જરૂરી',
+      message: '{trackingId} "{title}" ના બધા કાર્ય આદેશ પૂર્ણ થયા છે. કૃપા કરીને નિરાકરણની સમીક્ષા કરીને મંજૂરી આપો.'
+    },
+    session_reuse: {
+      title: 'શંકાસ્પદ સાઇન-ઇન પ્રવૃત્તિ',
+      message: '{device}નું જૂનું સાઇન-ઇન ટોકન ફરી વપરાયું, તેથી તે સત્રમાંથી સાઇન આઉટ કરવામાં આવ્યું છે. જો આ તમે ન હો, તો તમારો પાસવર્ડ બદલો.'
+    },
+    account_role_changed: {
+      title: 'તમારી ભૂમિકા બદલાઈ છે',
+      message: 'તમારા ખાતાની ભૂમિકા બદલીને {role:role} કરવામાં આવી છે'
+    },
+    account_role_changed_department: {
+      title: 'તમારી ભૂમિકા બદલાઈ છે',
+      message: 'તમારા ખાતાની ભૂમિકા બદલીને {department:department} વિભાગમાં {role:role} કરવામાં આવી છે'
+    },
+    account_department_changed: {
+      title: 'વિભાગ બદલી',
+      message: 'તમારી બદલી {department:department} વિભાગમાં કરવામાં આવી છે'
+    },
+    account_jurisdiction_changed: {
+      title: 'કાર્યક્ષેત્ર અપડેટ થયું',
+      message: 'હવે તમારું કાર્યક્ષેત્ર વોર્ડ {wards} અને ઝોન {zones} છે'
+    },
+    account_jurisdiction_wards: {
+      title: 'કાર્યક્ષેત્ર અપડેટ થયું',
+      message: 'હવે તમારું કાર્યક્ષેત્ર વોર્ડ {wards} છે'
+    },
+    account_jurisdiction_zones: {
+      title: 'કાર્યક્ષેત્ર અપડેટ થયું',
+      message: 'હવે તમારું કાર્યક્ષેત્ર ઝોન {zones} છે'
+    },
+    account_jurisdiction_cleared: {
+      title: 'કાર્યક્ષેત્ર અપડેટ થયું',
+      message: 'હવે તમારું કાર્યક્ષેત્ર આખું શહેર છે'
+    },
+    account_status_changed: {
+      title: 'ખાતાની સ્થિતિ અપડેટ થઈ',
+      message: 'તમારું ખાતું {changes:accountChange}'
+    }
+  },
+
+  emails: {
+    welcome: {
+      subject: 'આણંદ મહાનગરપાલિકા પોર્ટલમાં આપનું સ્વાગત છે',
+      heading: 'આણંદ મહાનગરપાલિકામાં આપનું સ્વાગત છે',
+      subheading: 'આપનું નાગરિક ભાગીદારી મંચ',
+      intro: 'અમારા મહાનગરપાલિકા મંચમાં જોડાવા બદલ આભાર. હવે તમે ફરિયાદો નોંધાવી શકો છો, તેની પ્રગતિ જોઈ શકો છો અને આણંદને રહેવા માટે વધુ સારું શહેર બનાવવામાં યોગદાન આપી શકો છો.',
+      listTitle: 'તમે શું કરી શકો છો:',
+      list: [
+        'ફોટો અને સ્થાન સાથે મહાનગરપાલિકાની ફરિયાદો નોંધાવો',
+        'તમારી નોંધાવેલી ફરિયાદોની સ્થિતિ જુઓ',
+        'અપડેટની સૂચનાઓ મેળવો',
+        'સામુદાયિક ચર્ચાઓમાં ભાગ લો'
+      ],
+      action: 'ઈમેલ સરનામું ચકાસો'
+    },
+    'password-reset': {
+      subject: 'પાસવર્ડ રીસેટ વિનંતી',
+      heading: 'પાસવર્ડ રીસેટ વિનંતી',
+      intro: 'અમને તમારા આણંદ મહાનગરપાલિકા ખાતાનો પાસવર્ડ રીસેટ કરવાની વિનંતી મળી છે.',
+      notice: 'સુરક્ષાના કારણોસર આ લિંક 10 મિનિટમાં સમાપ્ત થઈ જશે.',
+      action: 'પાસવર્ડ રીસેટ કરો',
+      closing: 'જો તમે પાસવર્ડ રીસેટની વિનંતી ન કરી હોય, તો આ ઈમેલને અવગણો. તમારો પાસવર્ડ બદલાશે નહીં.'
+    },
+    'issue-update': {
+      subject: 'તમારી ફરિયાદ {trackingId} પર અપડેટ',
+      heading: 'ફરિયાદ અપડેટ',
+      intro: 'તમારી નોંધાવેલી ફરિયાદ પર એક અપડેટ છે:',
+      action: 'ફરિયાદની વિગતો જુઓ',
+      footer: 'આણંદને વધુ સારું બનાવવામાં મદદ કરવા બદલ આભાર!'
+    },
+    'issue-assigned': {
+      subject: 'ફરિયાદ {trackingId} સોંપવામાં આવી છે',
+      heading: 'ફરિયાદ સોંપવામાં આવી',
+      action: 'ફરિયાદની વિગતો જુઓ',
+      footer: 'આણંદને વધુ સારું બનાવવામાં મદદ કરવા બદલ આભાર!'
+    },
+    'issue-resolved': {
+      subject: 'તમારી ફરિયાદ {trackingId} ઉકેલાઈ ગઈ છે',
+      heading: 'ફરિયાદ ઉકેલાઈ',
+      closing: 'જો સમસ્યા હજુ પણ હોય, તો તમે ફરિયાદના પેજ પરથી તેને ફરી ખોલી શકો છો.',
+      action: 'ફરિયાદની વિગતો જુઓ',
+      footer: 'આણંદને વધુ સારું બનાવવામાં મદદ કરવા બદલ આભાર!'
+    },
+    'feedback-request': {
+      subject: '{trackingId} પર અમારું કામ કેવું રહ્યું?',
+      heading: 'અમારું કામ કેવું રહ્યું?',
+      closing: 'તમારા રેટિંગથી અમને મહાનગરપાલિકાની સેવાઓ સુધારવામાં મદદ મળે છે. જો સમસ્યા હજુ પણ હોય, તો તે જ પેજ પરથી ફરિયાદ ફરી ખોલો.',
+      action: 'ઉકેલને રેટ કરો',
+      footer: 'આણંદને વધુ સારું બનાવવામાં મદદ કરવા બદલ આભાર!'
+    },
+    notification: {
+      subject: '{title}',
+      footer: 'કઈ સૂચનાઓ મેળવવી તે તમે તમારી પ્રોફાઇલ સેટિંગ્સમાં બદલી શકો છો.'
+    },
+    details: {
+      status: 'સ્થિતિ',
+      trackingId: 'ટ્રેકિંગ આઈડી',
+      department: 'વિભાગ',
+      notes: 'નોંધ'
+    }
+  }
+};
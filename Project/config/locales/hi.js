@@ -0,0 +1,235 @@
+// Hindi message catalogue. Missing keys fall back to English (config/locales/en.js).
+
+module.exports = {
+  common: {
+    brand: 'आणंद नगर निगम',
+    greeting: 'नमस्ते {firstName}!',
+    listSeparator: ', ',
+    copyright: '© 2025 आणंद नगर निगम। सर्वाधिकार सुरक्षित।',
+    contact: 'किसी भी प्रश्न के लिए हमसे info@anandmc.gov.in पर संपर्क करें'
+  },
+
+  labels: {
+    status: {
+      submitted: 'दर्ज',
+      acknowledged: 'स्वीकृत',
+      in_progress: 'प्रगति पर',
+      under_review: 'समीक्षाधीन',
+      resolved: 'हल हो गया',
+      closed: 'बंद',
+      rejected: 'अस्वीकृत'
+    },
+    category: {
+      roads: 'सड़कें',
+      water: 'जल आपूर्ति',
+      garbage: 'कचरा',
+      streetlights: 'स्ट्रीट लाइट',
+      drainage: 'जल निकासी',
+      parks: 'उद्यान',
+      buildings: 'भवन',
+      traffic: 'यातायात',
+      noise: 'शोर',
+      other: 'अन्य'
+    },
+    department: {
+      roads: 'सड़क',
+      water: 'जल आपूर्ति',
+      garbage: 'ठोस अपशिष्ट',
+      streetlights: 'स्ट्रीट लाइट',
+      drainage: 'जल निकासी',
+      parks: 'उद्यान',
+      town_planning: 'नगर नियोजन',
+      health: 'स्वास्थ्य एवं स्वच्छता',
+      general: 'सामान्य प्रशासन'
+    },
+    role: {
+      citizen: 'नागरिक',
+      admin: 'प्रशासक',
+      department_head: 'विभागाध्यक्ष',
+      field_officer: 'फील्ड अधिकारी'
+    },
+    slaReason: {
+      acknowledge: 'स्वीकार नहीं किया गया',
+      resolve: 'हल नहीं किया गया'
+    },
+    accountChange: {
+      activated: 'सक्रिय किया गया',
+      deactivated: 'निष्क्रिय किया गया',
+      verified: 'सत्यापित किया गया',
+      unverified: 'असत्यापित चिह्नित किया गया'
+    }
+  },
+
+  actions: {
+    viewIssue: 'शिकायत देखें',
+    viewComment: 'टिप्पणी देखें',
+    viewReply: 'जवाब देखें',
+    viewDetails: 'विवरण देखें',
+    giveFeedback: 'समाधान को रेट करें'
+  },
+
+  notifications: {
+    issue_created: {
+      title: 'नई शिकायत दर्ज',
+      message: '{category:category} की एक नई शिकायत दर्ज की गई है: "{title}"'
+    },
+    issue_status_updated: {
+      title: 'शिकायत की स्थिति बदली',
+      message: 'आपकी शिकायत "{title}" की स्थिति {oldStatus:status} से बदलकर {status:status} कर दी गई है{notes}'
+    },
+    issue_resolved: {
+      title: 'शिकायत हल हो गई',
+      message: 'आपकी शिकायत "{title}" हल कर दी गई है{notes}'
+    },
+    issue_assigned_reporter: {
+      title: 'शिकायत सौंपी गई',
+      message: 'आपकी शिकायत "{title}" {department:department} विभाग को सौंप दी गई है'
+    },
+    issue_assigned_staff: {
+      title: 'नई शिकायत सौंपी गई',
+      message: 'आपको {category:category} की एक नई शिकायत सौंपी गई है: "{title}"'
+    },
+    issue_merged: {
+      title: 'शिकायत मिलाई गई',
+      message: 'आपकी शिकायत "{title}" अन्य नागरिकों ने भी दर्ज की थी, इसलिए इसे {trackingId} में मिला दिया गया है। आगे की जानकारी आपको उसी शिकायत पर मिलेगी।'
+    },
+    sla_breach_department: {
+      title: 'आपके विभाग में SLA का उल्लंघन',
+      message: 'शिकायत {trackingId} "{title}" को SLA समय-सीमा में {reason:slaReason}'
+    },
+    sla_breach_admin: {
+      title: 'SLA उल्लंघन प्रशासक तक पहुँचा',
+      message: 'शिकायत {trackingId} "{title}" को SLA समय-सीमा में {reason:slaReason}'
+    },
+    comment_added: {
+      title: 'आपकी शिकायत पर नई टिप्पणी',
+      message: '{author} ने "{title}" पर टिप्पणी की'
+    },
+    comment_official: {
+      title: 'आपकी शिकायत पर आधिकारिक जवाब',
+      message: '{author} ने "{title}" पर टिप्पणी की'
+    },
+    comment_reply: {
+      title: 'आपकी टिप्पणी पर नया जवाब',
+      message: '{author} ने "{title}" पर आपकी टिप्पणी का जवाब दिया'
+    },
+    mention: {
+      title: 'आपका उल्लेख किया गया',
+      message: '{author} ने "{title}" पर आपका उल्लेख किया'
+    },
+    feedback_request: {
+      title: 'हमारा काम कैसा रहा?',
+      message: 'आपकी शिकायत "{title}" हल कर दी गई है। कृपया समाधान को रेट करें, या समस्या बनी रहने पर {days} दिनों के भीतर शिकायत फिर से खोलें।'
+    },
+    issue_reopened: {
+      title: 'शिकायत फिर से खोली गई',
+      message: 'शिकायतकर्ता ने {trackingId} "{title}" फिर से खोली: {reason}'
+    },
+    work_order_assigned: {
+      title: 'नया कार्य आदेश',
+      message: '"{title}" के लिए कार्य आदेश {orderNumber} {scheduledFor} के लिए निर्धारित है'
+    },
+    work_orders_completed: {
+      title: 'कार्य पूरा, स्वीकृति आवश्यक',
+      message: '{trackingId} "{title}" के सभी कार्य आदेश पूरे हो गए हैं। कृपया समाधान की समीक्षा करके स्वीकृति दें।'
+    },
+    session_reuse: {
+      title: 'संदिग्ध साइन-इन गतिविधि',
+      message: '{device} का एक पुराना साइन-इन टोकन दोबारा इस्तेमाल हुआ, इसलिए उस सत्र से साइन आउट कर दिया गया है। यदि यह आप नहीं थे, तो अपना पासवर्ड बदलें।'
+    },
+    account_role_changed: {
+      title: 'आपकी भूमिका बदल गई है',
+      message: 'आपके खाते की भूमिका बदलकर {role:role} कर दी गई है'
+    },
+    account_role_changed_department: {
+      title: 'आपकी भूमिका बदल गई है',
+      message: 'आपके खाते की भूमिका बदलकर {department:department} विभाग में {role:role} कर दी गई है'
+    },
+    account_department_changed: {
+      title: 'विभाग स्थानांतरण',
+      message: 'आपको {department:department} विभाग में स्थानांतरित किया गया है'
+    },
+    account_jurisdiction_changed: {
+      title: 'कार्यक्षेत्र अपडेट किया गया',
+      message: 'अब आपका कार्यक्षेत्र वार्ड {wards} और ज़ोन {zones} है'
+    },
+    account_jurisdiction_wards: {
+      title: 'कार्यक्षेत्र अपडेट किया गया',
+      message: 'अब आपका कार्यक्षेत्र वार्ड {wards} है'
+    },
+    account_jurisdiction_zones: {
+      title: 'कार्यक्षेत्र अपडेट किया गया',
+      message: 'अब आपका कार्यक्षेत्र ज़ोन {zones} है'
+    },
+    account_jurisdiction_cleared: {
+      title: 'कार्यक्षेत्र अपडेट किया गया',
+      message: 'अब आपका कार्यक्षेत्र पूरा शहर है'
+    },
+    account_status_changed: {
+      title: 'खाते की स्थिति अपडेट की गई',
+      message: 'आपका खाता {changes:accountChange}'
+    }
+  },
+
+  emails: {
+    welcome: {
+      subject: 'आणंद नगर निगम पोर्टल में आपका स्वागत है',
+      heading: 'आणंद नगर निगम में आपका स्वागत है',
+      subheading: 'आपका नागरिक सहभागिता मंच',
+      intro: 'हमारे नगर मंच से जुड़ने के लिए धन्यवाद। अब आप शिकायतें दर्ज कर सकते हैं, उनकी प्रगति देख सकते हैं और आणंद को रहने के लिए बेहतर जगह बनाने में योगदान दे सकते हैं।',
+      listTitle: 'आप क्या कर सकते हैं:',
+      list: [
+        'फोटो और स्थान के साथ नगर संबंधी शिकायतें दर्ज करें',
+        'अपनी दर्ज शिकायतों की स्थिति देखें',
+        'अपडेट की सूचनाएँ प्राप्त करें',
+        'सामुदायिक चर्चाओं में भाग लें'
+      ],
+      action: 'ईमेल पता सत्यापित करें'
+    },
+    'password-reset': {
+      subject: 'पासवर्ड रीसेट अनुरोध',
+      heading: 'पासवर्ड रीसेट अनुरोध',
+      intro: 'हमें आपके आणंद नगर निगम खाते का पासवर्ड रीसेट करने का अनुरोध मिला है।',
+      notice: 'सुरक्षा कारणों से यह लिंक 10 मिनट में समाप्त हो जाएगा।',
+      action: 'पासवर्ड रीसेट करें',
+      closing: 'यदि आपने पासवर्ड रीसेट का अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें। आपका पासवर्ड नहीं बदलेगा।'
+    },
+    'issue-update': {
+      subject: 'आपकी शिकायत {trackingId} पर अपडेट',
+      heading: 'शिकायत अपडेट',
+      intro: 'आपकी दर्ज शिकायत पर एक अपडेट है:',
+      action: 'शिकायत का विवरण देखें',
+      footer: 'आणंद को बेहतर बनाने में मदद के लिए धन्यवाद!'
+    },
+    'issue-assigned': {
+      subject: 'शिकायत {trackingId} सौंप दी गई है',
+      heading: 'शिकायत सौंपी गई',
+      action: 'शिकायत का विवरण देखें',
+      footer: 'आणंद को बेहतर बनाने में मदद के लिए धन्यवाद!'
+    },
+    'issue-resolved': {
+      subject: 'आपकी शिकायत {trackingId} हल हो गई है',
+      heading: 'शिकायत हल हो गई',
+      closing: 'यदि समस्या अब भी बनी हुई है, तो आप शिकायत के पेज से उसे फिर से खोल सकते हैं।',
+      action: 'शिकायत का विवरण देखें',
+      footer: 'आणंद को बेहतर बनाने में मदद के लिए धन्यवाद!'
+    },
+    'feedback-request': {
+      subject: '{trackingId} पर हमारा काम कैसा रहा?',
+      heading: 'हमारा काम कैसा रहा?',
+      closing: 'आपकी रेटिंग से हमें नगर सेवाएँ बेहतर बनाने में मदद मिलती है। यदि समस्या अब भी बनी हुई है, तो उसी पेज से शिकायत फिर से खोलें।',
+      action: 'समाधान को रेट करें',
+      footer: 'आणंद को बेहतर बनाने में मदद के लिए धन्यवाद!'
+    },
+    notification: {
+      subject: '{title}',
+      footer: 'आप अपनी प्रोफ़ाइल सेटिंग में चुन सकते हैं कि कौन-सी सूचनाएँ प्राप्त करनी हैं।'
+    },
+    details: {
+      status: 'स्थिति',
+      trackingId: 'ट्रैकिंग आईडी',
+      department: 'विभाग',
+      notes: 'टिप्पणी'
+    }
+  }
+};
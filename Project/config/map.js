@@ -0,0 +1,17 @@
+// Public issue map (/api/issues/map). Below `pointsFromZoom` issues are grouped into
+// grid cells roughly `cellPixels` wide on screen; from that zoom on individual issues are sent.
+
+const MAP_CONFIG = {
+  pointsFromZoom: parseInt(process.env.MAP_POINTS_FROM_ZOOM) || 16,
+  cellPixels: 64,
+  // Web map tiles are 256px wide
+  tileSize: 256,
+  // Cap on individual issues per response; the response says when it was truncated
+  maxPoints: 500,
+  // Statuses shown when the client does not ask for specific ones
+  defaultStatuses: ['submitted', 'acknowledged', 'in_progress', 'under_review']
+};
+
+module.exports = {
+  MAP_CONFIG
+};
@@ -0,0 +1,47 @@
+// Delivery channels per notification type. Recipients can still opt out of
+// email/sms/push through preferences.notifications; in-app is always stored.
+// Urgent notifications also go out by SMS to recipients who allow it.
+
+const TYPE_CHANNELS = {
+  issue_created: { push: true, email: false, sms: false },
+  issue_updated: { push: true, email: true, sms: false },
+  issue_assigned: { push: true, email: true, sms: false },
+  issue_resolved: { push: true, email: true, sms: false },
+  issue_commented: { push: true, email: false, sms: false },
+  issue_liked: { push: true, email: false, sms: false },
+  mention: { push: true, email: false, sms: false },
+  system_announcement: { push: true, email: true, sms: false },
+  department_update: { push: true, email: false, sms: false },
+  feedback_request: { push: true, email: true, sms: false },
+  weekly_summary: { push: false, email: true, sms: false },
+  account_updated: { push: true, email: true, sms: false },
+  issue_escalated: { push: true, email: true, sms: false }
+};
+
+// Channels that are switched on for the whole deployment (see .env.example)
+const CHANNELS_ENABLED = {
+  push: process.env.ENABLE_PUSH_NOTIFICATIONS !== 'false',
+  email: process.env.ENABLE_EMAIL !== 'false',
+  sms: process.env.ENABLE_SMS === 'true'
+};
+
+const DELIVERY = {
+  // Attempts per delivery job before it is moved to the dead-letter list
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5
+};
+
+const getDefaultChannels = (type, priority) => {
+  const channels = TYPE_CHANNELS[type] || { push: true, email: false, sms: false };
+  return {
+    ...channels,
+    sms: channels.sms || priority === 'urgent',
+    inApp: true
+  };
+};
+
+module.exports = {
+  TYPE_CHANNELS,
+  CHANNELS_ENABLED,
+  DELIVERY,
+  getDefaultChannels
+};
@@ -0,0 +1,31 @@
+// Field officer location tracking (socket `update_location`, /api/officers). Positions are only
+// stored while the officer has declared a shift, and are deleted after `retentionDays`.
+
+const OFFICER_TRACKING = {
+  retentionDays: parseInt(process.env.OFFICER_TRACK_RETENTION_DAYS) || 14,
+  // Positions arriving sooner than this after the last stored one are relayed but not stored
+  minIntervalSeconds: parseInt(process.env.OFFICER_TRACK_INTERVAL_SECONDS) || 30,
+  // Fixes less precise than this are ignored
+  maxAccuracyMeters: 250,
+  // Longest shift an officer can declare
+  maxShiftHours: 12,
+  defaultShiftHours: 8,
+  // Most track points returned for one request
+  maxTrackPoints: 2000
+};
+
+// "Assign nearest available officer" on PATCH /api/issues/:id/assign. Officers are ranked by
+// distance plus a penalty for each issue they already have open, both in meters.
+const NEAREST_OFFICER = {
+  // An officer whose last position is older than this is not considered available
+  maxLocationAgeMinutes: 30,
+  workloadPenaltyMeters: parseInt(process.env.NEAREST_OFFICER_WORKLOAD_PENALTY_METERS) || 1000,
+  openStatuses: ['acknowledged', 'in_progress'],
+  // Candidates returned with the assignment so the choice can be reviewed
+  rankingSize: 5
+};
+
+module.exports = {
+  OFFICER_TRACKING,
+  NEAREST_OFFICER
+};
@@ -0,0 +1,47 @@
+// Open311 GeoReport v2 façade (/open311/v2). Clients need an API key (VALID_API_KEYS) to submit requests.
+
+const OPEN311_CONFIG = {
+  jurisdictionId: process.env.OPEN311_JURISDICTION_ID || 'anandmc.gov.in',
+  // Request listings cover the last `defaultDays` unless a date range is given, and return at most `maxRequests`
+  defaultDays: 90,
+  maxRequests: 1000,
+  // Account requests submitted through Open311 are attributed to; the submitter's contact details go on the issue
+  reporter: {
+    email: process.env.OPEN311_REPORTER_EMAIL || 'open311@anandmc.gov.in',
+    firstName: 'Open311',
+    lastName: 'Client',
+    phone: process.env.OPEN311_REPORTER_PHONE || '+910000000001'
+  }
+};
+
+// Our seven statuses collapsed to Open311's open/closed
+const OPEN311_STATUS = {
+  submitted: 'open',
+  acknowledged: 'open',
+  in_progress: 'open',
+  under_review: 'open',
+  resolved: 'closed',
+  closed: 'closed',
+  rejected: 'closed'
+};
+
+// Sub-categories offered as services. Each category is also a service of its own (code = category)
+// for problems that fit none of its sub-categories. Service codes are `category` or `category.subCategory`.
+const SERVICE_SUBCATEGORIES = {
+  roads: { pothole: 'Pothole', damaged_road: 'Damaged road surface', broken_footpath: 'Broken footpath' },
+  water: { no_supply: 'No water supply', leakage: 'Pipeline leakage', contaminated: 'Contaminated water' },
+  garbage: { missed_collection: 'Garbage not collected', overflowing_bin: 'Overflowing bin', illegal_dumping: 'Illegal dumping' },
+  streetlights: { not_working: 'Streetlight not working', damaged_pole: 'Damaged pole' },
+  drainage: { blocked_drain: 'Blocked drain', open_manhole: 'Open manhole', waterlogging: 'Waterlogging' },
+  parks: { maintenance: 'Park maintenance', damaged_equipment: 'Damaged play equipment' },
+  buildings: { dangerous_structure: 'Dangerous structure', illegal_construction: 'Illegal construction' },
+  traffic: { signal_fault: 'Traffic signal fault', missing_sign: 'Missing road sign' },
+  noise: { construction_noise: 'Construction noise', loudspeaker: 'Loudspeaker' },
+  other: {}
+};
+
+module.exports = {
+  OPEN311_CONFIG,
+  OPEN311_STATUS,
+  SERVICE_SUBCATEGORIES
+};
@@ -0,0 +1,87 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Which limiter store to use: 'mongo' shares counters across processes and restarts,
+// 'memory' is per-process and meant for tests and single-instance development.
+const LIMITER_STORE = process.env.LIMITER_STORE ||
+  (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo');
+
+// Every rate limit in the platform, keyed by policy name.
+// keyBy: 'ip' counts per client address, 'user' per authenticated user (falling back to IP).
+const RATE_LIMIT_POLICIES = {
+  global: {
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * MINUTE,
+    max: parseInt(process.env.RATE_LIMIT_MAX) || 1000,
+    keyBy: 'ip',
+    message: 'Too many requests from this IP, please try again later.'
+  },
+  register: {
+    windowMs: 15 * MINUTE,
+    max: 5,
+    keyBy: 'ip',
+    message: 'Too many registration attempts. Please try again later.'
+  },
+  login: {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyBy: 'ip',
+    message: 'Too many login attempts. Please try again in 15 minutes.'
+  },
+  refresh: {
+    windowMs: 15 * MINUTE,
+    max: 60,
+    keyBy: 'ip',
+    message: 'Too many token refresh attempts. Please try again later.'
+  },
+  forgotPassword: {
+    windowMs: 15 * MINUTE,
+    max: 3,
+    keyBy: 'ip',
+    message: 'Too many password reset requests. Please try again later.'
+  },
+  resetPassword: {
+    windowMs: 15 * MINUTE,
+    max: 5,
+    keyBy: 'ip',
+    message: 'Too many password reset attempts. Please try again later.'
+  },
+  createIssue: {
+    windowMs: HOUR,
+    max: 20,
+    keyBy: 'user',
+    message: 'Too many issues reported. Please wait before reporting another issue.'
+  },
+  comment: {
+    windowMs: 15 * MINUTE,
+    max: 30,
+    keyBy: 'user',
+    message: 'Too many comments. Please slow down.'
+  },
+  fileUpload: {
+    windowMs: HOUR,
+    max: 50,
+    keyBy: 'user',
+    message: 'Too many file uploads. Please try again later.'
+  },
+  exportIssues: {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyBy: 'user',
+    message: 'Too many exports. Please try again later.'
+  }
+};
+
+// Thresholds for suspicious activity detection (middleware/security.js)
+const SUSPICIOUS_ACTIVITY = {
+  windowMs: HOUR,
+  maxFailedLogins: 5,
+  maxRequests: 200,
+  maxDistinctIps: 5,
+  blockDurationMs: 2 * HOUR
+};
+
+module.exports = {
+  LIMITER_STORE,
+  RATE_LIMIT_POLICIES,
+  SUSPICIOUS_ACTIVITY
+};
@@ -0,0 +1,19 @@
+// Routing of new issues to departments (admin-managed rules in /api/admin/routing-rules).
+// Active rules are tried in `order`; the first match decides the department and, optionally,
+// auto-assigns an officer. Issues no rule matches go to the department handling their category.
+
+// none: route to the department only; round_robin: take turns among the rule's candidates;
+// least_load: whoever has the fewest open issues
+const ASSIGNMENT_STRATEGIES = ['none', 'round_robin', 'least_load'];
+
+const ROUTING_CONFIG = {
+  // Roles an issue can be auto-assigned to when the rule does not say
+  defaultAssigneeRoles: ['field_officer'],
+  // Statuses counted as open workload for least_load
+  openStatuses: ['submitted', 'acknowledged', 'in_progress', 'under_review']
+};
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+  ROUTING_CONFIG
+};
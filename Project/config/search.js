@@ -0,0 +1,28 @@
+// Issue search (GET /api/issues?search=). Backed by a single MongoDB text index on the Issue collection;
+// changing the weights or fields needs that index (issue_text_search) dropped so it is rebuilt.
+
+const SEARCH_CONFIG = {
+  // Relative weight of a match in each field when ranking results
+  weights: {
+    title: 10,
+    tags: 5,
+    description: 2,
+    'location.address.formatted': 1
+  },
+  language: 'english',
+  // Length of the description excerpt returned around the first match
+  snippetLength: 160
+};
+
+// Facet counts returned with the issue list: facet name -> issue field
+const SEARCH_FACETS = {
+  category: 'category',
+  status: 'status',
+  priority: 'priority',
+  ward: 'location.ward'
+};
+
+module.exports = {
+  SEARCH_CONFIG,
+  SEARCH_FACETS
+};
@@ -0,0 +1,51 @@
+// Default service level agreements, in hours.
+// Admins can override any category x priority pair through /api/admin/sla-policies;
+// these values apply whenever no override exists.
+
+const PRIORITY_DEFAULTS = {
+  critical: { acknowledgeWithinHours: 2, resolveWithinHours: 24 },
+  high: { acknowledgeWithinHours: 8, resolveWithinHours: 72 },
+  medium: { acknowledgeWithinHours: 24, resolveWithinHours: 168 },
+  low: { acknowledgeWithinHours: 48, resolveWithinHours: 336 }
+};
+
+// Categories that need tighter (or looser) deadlines than the priority defaults
+const CATEGORY_OVERRIDES = {
+  drainage: {
+    critical: { acknowledgeWithinHours: 1, resolveWithinHours: 12 },
+    high: { acknowledgeWithinHours: 4, resolveWithinHours: 48 }
+  },
+  water: {
+    critical: { acknowledgeWithinHours: 1, resolveWithinHours: 12 },
+    high: { acknowledgeWithinHours: 4, resolveWithinHours: 48 }
+  },
+  streetlights: {
+    critical: { acknowledgeWithinHours: 4, resolveWithinHours: 24 }
+  },
+  parks: {
+    low: { acknowledgeWithinHours: 72, resolveWithinHours: 720 },
+    medium: { acknowledgeWithinHours: 48, resolveWithinHours: 336 }
+  }
+};
+
+const ESCALATION = {
+  // Hours a breached issue stays with the department head before admins are alerted
+  adminEscalationAfterHours: parseInt(process.env.SLA_ADMIN_ESCALATION_HOURS) || 24,
+  // Fraction of the resolve window after which an on-time issue is reported as at risk
+  atRiskThreshold: 0.8
+};
+
+const getDefaultPolicy = (category, priority) => ({
+  category,
+  priority,
+  ...PRIORITY_DEFAULTS[priority] || PRIORITY_DEFAULTS.medium,
+  ...(CATEGORY_OVERRIDES[category] || {})[priority],
+  isDefault: true
+});
+
+module.exports = {
+  PRIORITY_DEFAULTS,
+  CATEGORY_OVERRIDES,
+  ESCALATION,
+  getDefaultPolicy
+};
@@ -0,0 +1,29 @@
+const path = require('path');
+
+// Which backend stores uploaded images: 'cloudinary' or 'local'.
+// Without Cloudinary credentials (offline deployments, tests) fall back to local disk.
+const resolveDriver = () => {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER;
+  if (process.env.NODE_ENV === 'test') return 'local';
+  return process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local';
+};
+
+const STORAGE_CONFIG = {
+  driver: resolveDriver(),
+  local: {
+    // Served statically by server.js under publicPath
+    directory: process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'),
+    publicPath: '/uploads',
+    // Optional absolute origin, e.g. https://civic.anandmc.gov.in
+    baseUrl: process.env.UPLOADS_BASE_URL || ''
+  },
+  // Largest edge of the stored original, matching the Cloudinary upload transformation
+  maxDimension: 1200,
+  // Resized copies generated by the local backend
+  variants: {
+    thumbnail: { width: 200, height: 200, fit: 'cover' },
+    medium: { width: 800, height: 800, fit: 'inside' }
+  }
+};
+
+module.exports = STORAGE_CONFIG;
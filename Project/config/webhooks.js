@@ -0,0 +1,25 @@
+// Outgoing webhooks (admin-managed in /api/admin/webhooks, delivered through the job queue)
+
+// Issue lifecycle events a subscription can ask for
+const WEBHOOK_EVENTS = [
+  'issue.created',
+  'issue.assigned',
+  'issue.status_changed',
+  'issue.resolved'
+];
+
+const WEBHOOK_DELIVERY = {
+  // Attempts before a delivery job is moved to the dead-letter list (backoff from utils/jobQueue.js)
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  // Response bodies are stored in the delivery log up to this length
+  maxResponseLength: 1000,
+  // Delivery log entries are removed after this many days
+  retentionDays: 30,
+  userAgent: 'AnandMunicipal-Webhooks/1.0'
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY
+};
@@ -0,0 +1,53 @@
+// Field work orders (/api/issues/:id/work-orders). An issue can have several; when every order that
+// is not cancelled is done, the issue moves to under_review for the department head to sign off.
+
+const WORK_ORDER_STATUSES = ['scheduled', 'en_route', 'on_site', 'done', 'blocked', 'cancelled'];
+
+// Status changes an officer can make on their own order. Cancelling is done by supervisors.
+const WORK_ORDER_TRANSITIONS = {
+  scheduled: ['en_route', 'on_site', 'blocked'],
+  en_route: ['on_site', 'blocked', 'scheduled'],
+  on_site: ['done', 'blocked'],
+  blocked: ['scheduled', 'en_route', 'on_site'],
+  done: [],
+  cancelled: []
+};
+
+// Issue statuses a new work order can be attached to; acknowledged issues move to in_progress
+const WORK_ORDER_ISSUE_STATUSES = ['acknowledged', 'in_progress'];
+
+const WORK_ORDER_CONFIG = {
+  // Photos a single upload may carry
+  maxPhotosPerUpload: 5,
+  // A done order needs at least this many photos of each stage
+  minBeforePhotos: 1,
+  minAfterPhotos: 1
+};
+
+// Checklist every new order starts with, by issue category. Supervisors can add items per order.
+// Items are required unless marked { required: false }.
+const CHECKLIST_TEMPLATES = {
+  roads: ['Barricade the work area', 'Clear debris and loose material', 'Fill and compact the surface', 'Remove barricades and clean up'],
+  water: ['Isolate the supply line', 'Repair or replace the damaged section', 'Pressure-test the line', 'Restore supply and check for leaks'],
+  garbage: ['Clear the collection point', 'Sanitise the area', { item: 'Inform the ward sanitary inspector', required: false }],
+  streetlights: ['Switch off the feeder', 'Replace the faulty lamp or fitting', 'Test the light after dusk or with the override'],
+  drainage: ['Open and clear the blockage', 'Flush the line', 'Replace or secure the cover'],
+  parks: ['Secure the affected area', 'Repair or replace the damaged item', 'Check the area is safe for use'],
+  buildings: ['Inspect and record the structure', 'Cordon off unsafe sections', { item: 'Serve notice to the owner', required: false }],
+  traffic: ['Set up traffic diversion', 'Repair the signal or sign', 'Verify it works for all approaches'],
+  noise: ['Measure the noise level', 'Identify the source', { item: 'Issue a warning or challan', required: false }],
+  other: ['Inspect the site', 'Carry out the work']
+};
+
+// Checklist items for a new order of the given category
+const getChecklistTemplate = (category) => (CHECKLIST_TEMPLATES[category] || CHECKLIST_TEMPLATES.other)
+  .map(entry => (typeof entry === 'string' ? { item: entry, required: true } : { required: true, ...entry }));
+
+module.exports = {
+  WORK_ORDER_STATUSES,
+  WORK_ORDER_TRANSITIONS,
+  WORK_ORDER_ISSUE_STATUSES,
+  WORK_ORDER_CONFIG,
+  CHECKLIST_TEMPLATES,
+  getChecklistTemplate
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 // Verify JWT token
 const authenticate = async (req, res, next) => {
@@ -16,6 +17,17 @@ const authenticate = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
+
+    // The token is only good while its session has not been revoked or ended
+    const session = await Session.findActive(decoded.sid);
+    
+    if (!session || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: 'Session has ended. Please log in again.'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.id).select('-password');
@@ -35,6 +47,7 @@ const authenticate = async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -47,6 +60,7 @@ const authenticate = async (req, res, next) => {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
+        code: 'TOKEN_EXPIRED',
         message: 'Token has expired.'
       });
     }
@@ -180,38 +194,6 @@ const authorizeOwnershipOrRole = (...allowedRoles) => {
   };
 };
 
-// Rate limiting per user
-const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
-  const requests = new Map();
-
-  return (req, res, next) => {
-    const userId = req.user?._id?.toString() || req.ip;
-    const now = Date.now();
-    
-    if (!requests.has(userId)) {
-      requests.set(userId, []);
-    }
-    
-    const userRequests = requests.get(userId);
-    
-    // Remove expired requests
-    const validRequests = userRequests.filter(time => now - time < windowMs);
-    
-    if (validRequests.length >= maxRequests) {
-      return res.status(429).json({
-        success: false,
-        message: 'Too many requests. Please try again later.',
-        retryAfter: Math.ceil(windowMs / 1000)
-      });
-    }
-    
-    validRequests.push(now);
-    requests.set(userId, validRequests);
-    
-    next();
-  };
-};
-
 // Optional authentication (for public endpoints that can benefit from user context)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -221,10 +203,15 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
+      const session = await Session.findActive(decoded.sid);
+
+      if (session && session.user.toString() === decoded.id) {
+        const user = await User.findById(decoded.id).select('-password');
+        
+        if (user && user.isActive) {
+          req.user = user;
+          req.authSession = session;
+        }
       }
     }
     
@@ -240,6 +227,5 @@ module.exports = {
   authorize,
   authorizeDepartment,
   authorizeOwnershipOrRole,
-  rateLimit,
   optionalAuth
 };
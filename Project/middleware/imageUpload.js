@@ -0,0 +1,27 @@
+const multer = require('multer');
+const path = require('path');
+
+// Photo uploads for issues, resolutions and work orders, kept in memory until stored
+const storage = multer.memoryStorage();
+const imageUpload = multer({
+  storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 5
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  }
+});
+
+module.exports = {
+  imageUpload
+};
@@ -0,0 +1,37 @@
+const { body } = require('express-validator');
+const { ISSUE_CATEGORIES } = require('../config/departments');
+
+// Validation rules for a new issue: the report form (routes/issues.js) runs them as middleware, bulk import and
+// Open311 through validateIssueFields (utils/issueCreation.js)
+const createIssueValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+    
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Description must be between 10 and 2000 characters'),
+    
+  body('category')
+    .isIn(ISSUE_CATEGORIES)
+    .withMessage('Invalid category'),
+    
+  body('location.coordinates.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Invalid latitude'),
+    
+  body('location.coordinates.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Invalid longitude'),
+    
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Invalid priority level')
+];
+
+module.exports = {
+  createIssueValidation
+};
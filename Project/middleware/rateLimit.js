@@ -0,0 +1,58 @@
+const { RATE_LIMIT_POLICIES } = require('../config/rateLimits');
+const { getLimiterStore } = require('../utils/limiterStore');
+
+// Count per user when the policy asks for it and someone is logged in, otherwise per IP
+const clientKey = (req, keyBy) => (
+  keyBy === 'user' && req.user ? `user:${req.user._id}` : `ip:${req.ip}`
+);
+
+// Build a limiter middleware for a policy: { windowMs, max, keyBy, message, skip }
+const createLimiter = (name, policy) => async (req, res, next) => {
+  if (policy.skip && policy.skip(req)) {
+    return next();
+  }
+
+  let result;
+  try {
+    result = await getLimiterStore().increment(`rl:${name}:${clientKey(req, policy.keyBy)}`, policy.windowMs);
+  } catch (error) {
+    // A store outage should not take the API down with it
+    console.error('Rate limit store error:', error);
+    return next();
+  }
+
+  const resetSeconds = Math.max(0, Math.ceil((new Date(result.resetAt).getTime() - Date.now()) / 1000));
+
+  // IETF RateLimit header fields
+  res.setHeader('RateLimit-Policy', `${policy.max};w=${Math.ceil(policy.windowMs / 1000)}`);
+  res.setHeader('RateLimit-Limit', policy.max);
+  res.setHeader('RateLimit-Remaining', Math.max(0, policy.max - result.count));
+  res.setHeader('RateLimit-Reset', resetSeconds);
+
+  if (result.count > policy.max) {
+    res.setHeader('Retry-After', resetSeconds);
+    return res.status(429).json({
+      success: false,
+      message: policy.message || 'Too many requests. Please try again later.',
+      retryAfter: resetSeconds
+    });
+  }
+
+  next();
+};
+
+// Rate limit middleware for a named policy from config/rateLimits.js
+const rateLimit = (policyName, overrides = {}) => {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${policyName}"`);
+  }
+
+  return createLimiter(policyName, { ...policy, ...overrides });
+};
+
+module.exports = {
+  rateLimit,
+  createLimiter
+};
@@ -1,49 +1,26 @@
-const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss-clean');
 const hpp = require('hpp');
 const validator = require('validator');
+const { rateLimit, createLimiter } = require('./rateLimit');
+const { getLimiterStore } = require('../utils/limiterStore');
+const { SUSPICIOUS_ACTIVITY } = require('../config/rateLimits');
 
-// Advanced rate limiting with different limits for different routes
-const createRateLimit = (windowMs, max, message) => {
-  return rateLimit({
-    windowMs,
-    max,
-    message: {
-      success: false,
-      message: message || 'Too many requests from this IP, please try again later.',
-      retryAfter: Math.ceil(windowMs / 1000)
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    handler: (req, res) => {
-      res.status(429).json({
-        success: false,
-        message: message || 'Too many requests from this IP, please try again later.',
-        retryAfter: Math.ceil(windowMs / 1000)
-      });
-    }
-  });
-};
+// Ad-hoc IP rate limit backed by the shared limiter store. `name` keeps its counters apart from
+// every other limiter, so each use needs its own.
+const createRateLimit = (name, windowMs, max, message) => createLimiter(`custom:${name}`, {
+  windowMs,
+  max,
+  keyBy: 'ip',
+  message: message || 'Too many requests from this IP, please try again later.'
+});
+
+// Specific rate limits for different operations (configured in config/rateLimits.js)
+const authRateLimit = rateLimit('login');
 
-// Specific rate limits for different operations
-const authRateLimit = createRateLimit(
-  15 * 60 * 1000, // 15 minutes
-  5, // 5 attempts
-  'Too many authentication attempts. Please try again in 15 minutes.'
-);
-
-const issueRateLimit = createRateLimit(
-  60 * 60 * 1000, // 1 hour
-  10, // 10 issues per hour
-  'Too many issues reported. Please wait before reporting another issue.'
-);
-
-const fileUploadRateLimit = createRateLimit(
-  60 * 60 * 1000, // 1 hour
-  50, // 50 uploads per hour
-  'Too many file uploads. Please try again later.'
-);
+const issueRateLimit = rateLimit('createIssue');
+
+const fileUploadRateLimit = rateLimit('fileUpload');
 
 // Input sanitization middleware
 const sanitizeInput = (req, res, next) => {
@@ -215,88 +192,82 @@ const securityHeaders = (req, res, next) => {
   next();
 };
 
-// IP-based blocking middleware
+// IP-based blocking middleware (state lives in the shared limiter store)
 const ipBlocking = {
-  blockedIPs: new Set(),
-  
-  block: function(ip, duration = 24 * 60 * 60 * 1000) { // 24 hours default
-    this.blockedIPs.add(ip);
-    setTimeout(() => {
-      this.blockedIPs.delete(ip);
-    }, duration);
+  key: (ip) => `blocked:${ip}`,
+
+  block: async function(ip, duration = 24 * 60 * 60 * 1000) { // 24 hours default
+    await getLimiterStore().set(this.key(ip), 1, duration);
   },
-  
-  middleware: function(req, res, next) {
+
+  unblock: async function(ip) {
+    await getLimiterStore().reset(this.key(ip));
+  },
+
+  isBlocked: async function(ip) {
+    return Boolean(await getLimiterStore().get(this.key(ip)));
+  },
+
+  middleware: async function(req, res, next) {
     const clientIP = req.ip || req.connection.remoteAddress;
-    
-    if (this.blockedIPs.has(clientIP)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Your IP address has been temporarily blocked due to suspicious activity'
-      });
+
+    try {
+      if (await ipBlocking.isBlocked(clientIP)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your IP address has been temporarily blocked due to suspicious activity'
+        });
+      }
+    } catch (error) {
+      console.error('IP blocking check error:', error);
     }
-    
+
     next();
   }
 };
 
-// Suspicious activity detection
+// Suspicious activity detection using hourly counters in the shared limiter store
 const suspiciousActivityDetector = {
-  activities: new Map(),
-  
-  track: function(userId, activity) {
+  track: async function(userId, activity) {
     const key = userId || 'anonymous';
-    if (!this.activities.has(key)) {
-      this.activities.set(key, []);
-    }
-    
-    const userActivities = this.activities.get(key);
-    userActivities.push({
-      activity,
-      timestamp: Date.now(),
-      ip: activity.ip
-    });
-    
-    // Keep only last 100 activities per user
-    if (userActivities.length > 100) {
-      userActivities.shift();
+    const store = getLimiterStore();
+    const { windowMs } = SUSPICIOUS_ACTIVITY;
+
+    const requests = await store.increment(`activity:requests:${key}`, windowMs);
+
+    // Too many API requests (warn once per window)
+    if (requests.count === SUSPICIOUS_ACTIVITY.maxRequests + 1) {
+      console.warn(`Suspicious activity detected: High API usage for ${key}`);
     }
-    
-    this.detectSuspiciousPatterns(key, userActivities);
-  },
-  
-  detectSuspiciousPatterns: function(userId, activities) {
-    const recentActivities = activities.filter(
-      a => Date.now() - a.timestamp < 60 * 60 * 1000 // Last hour
-    );
-    
+
     // Too many failed login attempts
-    const failedLogins = recentActivities.filter(
-      a => a.activity.type === 'failed_login'
-    );
-    
-    if (failedLogins.length > 5) {
-      console.warn(`Suspicious activity detected: Multiple failed logins for ${userId}`);
-      if (failedLogins[0].ip) {
-        ipBlocking.block(failedLogins[0].ip, 2 * 60 * 60 * 1000); // 2 hours
+    if (activity.type === 'failed_login') {
+      const failedLogins = await store.increment(`activity:failed:${key}`, windowMs);
+
+      if (failedLogins.count > SUSPICIOUS_ACTIVITY.maxFailedLogins) {
+        console.warn(`Suspicious activity detected: Multiple failed logins for ${key}`);
+        if (activity.ip) {
+          await ipBlocking.block(activity.ip, SUSPICIOUS_ACTIVITY.blockDurationMs);
+        }
       }
     }
-    
-    // Too many API requests
-    if (recentActivities.length > 200) {
-      console.warn(`Suspicious activity detected: High API usage for ${userId}`);
-    }
-    
-    // Multiple IPs for same user
-    const uniqueIPs = new Set(recentActivities.map(a => a.ip));
-    if (uniqueIPs.size > 5) {
-      console.warn(`Suspicious activity detected: Multiple IPs for ${userId}`);
+
+    // Multiple IPs for same user: count each IP the first time it is seen in the window
+    if (key !== 'anonymous' && activity.ip) {
+      const seen = await store.increment(`activity:ip:${key}:${activity.ip}`, windowMs);
+
+      if (seen.count === 1) {
+        const distinctIps = await store.increment(`activity:ips:${key}`, windowMs);
+        if (distinctIps.count === SUSPICIOUS_ACTIVITY.maxDistinctIps + 1) {
+          console.warn(`Suspicious activity detected: Multiple IPs for ${key}`);
+        }
+      }
     }
   },
-  
+
   middleware: function(req, res, next) {
     const originalSend = res.send;
-    
+
     res.send = function(data) {
       // Track activity based on response
       const userId = req.user?._id?.toString() || 'anonymous';
@@ -307,16 +278,17 @@ const suspiciousActivityDetector = {
         method: req.method,
         ip: req.ip
       };
-      
+
       if (res.statusCode === 401 || res.statusCode === 403) {
         activity.type = 'failed_login';
       }
-      
-      suspiciousActivityDetector.track(userId, activity);
-      
+
+      suspiciousActivityDetector.track(userId, activity)
+        .catch(error => console.error('Suspicious activity tracking error:', error));
+
       return originalSend.call(this, data);
     };
-    
+
     next();
   }
 };
@@ -419,13 +391,15 @@ const sessionSecurity = (req, res, next) => {
   next();
 };
 
-// API key validation for external integrations
+// API key validation for external integrations. Open311 clients send the key as an
+// api_key parameter and only need it to submit requests.
 const validateApiKey = (req, res, next) => {
-  const apiKey = req.header('X-API-Key');
+  const apiKey = req.header('X-API-Key') || req.body?.api_key || req.query.api_key;
   const validApiKeys = process.env.VALID_API_KEYS ? 
     process.env.VALID_API_KEYS.split(',') : [];
+  const fullPath = req.baseUrl + req.path;
   
-  if (req.path.startsWith('/api/external/')) {
+  if (fullPath.startsWith('/api/external/') || (fullPath.startsWith('/open311/') && req.method !== 'GET')) {
     if (!apiKey || !validApiKeys.includes(apiKey)) {
       return res.status(401).json({
         success: false,
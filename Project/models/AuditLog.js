@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Append-only record of staff, admin and account actions. Entries are hash-chained in
+// sequence order (see utils/audit.js), so edits or deletions made directly in the database show up
+// when the chain is verified (npm run audit:verify).
+const auditLogSchema = new mongoose.Schema({
+  // Position in the hash chain, starting at 1. Entries written before chaining have none.
+  sequence: Number,
+  prevHash: String,
+  hash: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['user', 'issue', 'comment', 'sla_policy', 'job', 'webhook', 'work_order', 'routing_rule', 'department']
+  },
+  entityId: mongoose.Schema.Types.ObjectId,
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  ip: String,
+  userAgent: String,
+  route: String,
+  metadata: mongoose.Schema.Types.Mixed,
+  // Set by the application rather than timestamps, since it is part of the hash
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  // Empty objects must be stored as written or the entry no longer matches its hash
+  minimize: false
+});
+
+// Indexes
+auditLogSchema.index(
+  { sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries can only be added
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectChange);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const boundarySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Boundary type is required'],
+    enum: {
+      values: ['ward', 'zone', 'municipal_limit'],
+      message: 'Boundary type must be ward, zone or municipal_limit'
+    }
+  },
+  code: {
+    type: String,
+    required: [true, 'Boundary code is required'],
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Boundary name is required'],
+    trim: true
+  },
+  // Zone code a ward belongs to, when the ward file carries it
+  zone: {
+    type: String,
+    trim: true
+  },
+  geometry: {
+    type: {
+      type: String,
+      required: true,
+      enum: ['Polygon', 'MultiPolygon']
+    },
+    // GeoJSON order: [longitude, latitude]
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    }
+  },
+  // Bounding box [minLng, minLat, maxLng, maxLat] for quick rejection
+  bbox: [Number],
+  properties: mongoose.Schema.Types.Mixed,
+  source: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+boundarySchema.index({ type: 1, code: 1 }, { unique: true });
+boundarySchema.index({ geometry: '2dsphere' });
+
+// Compute the bounding box whenever the geometry changes
+boundarySchema.pre('save', function(next) {
+  if (this.isModified('geometry')) {
+    this.bbox = this.constructor.computeBbox(this.geometry);
+  }
+  next();
+});
+
+// Static method to compute [minLng, minLat, maxLng, maxLat] of a Polygon or MultiPolygon
+boundarySchema.statics.computeBbox = function(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+  polygons.forEach(polygon => polygon.forEach(ring => ring.forEach(([lng, lat]) => {
+    bbox[0] = Math.min(bbox[0], lng);
+    bbox[1] = Math.min(bbox[1], lat);
+    bbox[2] = Math.max(bbox[2], lng);
+    bbox[3] = Math.max(bbox[3], lat);
+  })));
+
+  return bbox;
+};
+
+module.exports = mongoose.model('Boundary', boundarySchema);
@@ -126,11 +126,18 @@ commentSchema.methods.editContent = function(newContent, reason = '') {
 };
 
 // Static method to get comments for issue with pagination
-commentSchema.statics.getCommentsForIssue = function(issueId, page = 1, limit = 20) {
-  return this.find({ 
-    issue: issueId, 
-    isDeleted: false 
-  })
+// Pass `types` to restrict visibility (e.g. ['public', 'system'] for citizens)
+commentSchema.statics.getCommentsForIssue = function(issueId, page = 1, limit = 20, types = null) {
+  const filter = {
+    issue: issueId,
+    isDeleted: false
+  };
+
+  if (types) {
+    filter.type = { $in: types };
+  }
+
+  return this.find(filter)
     .populate('author', 'firstName lastName profilePhoto role')
     .populate('replies.author', 'firstName lastName profilePhoto role')
     .sort({ createdAt: -1 })
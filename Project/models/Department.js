@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { ISSUE_CATEGORIES, DEPARTMENT_CONFIG } = require('../config/departments');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Parts of a date in the department's time zone
+const localParts = (date) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone: DEPARTMENT_CONFIG.timezone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(({ type, value }) => [type, value]));
+
+  return {
+    day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+const departmentSchema = new mongoose.Schema({
+  // Stored on users, issues and routing rules; cannot be changed once created
+  code: {
+    type: String,
+    required: [true, 'Department code is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    immutable: true,
+    match: [/^[a-z][a-z0-9_]{1,29}$/, 'Code must be 2-30 lowercase letters, digits or underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Department name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Issue categories this department takes when no routing rule says otherwise
+  categories: [{ type: String, enum: ISSUE_CATEGORIES }],
+  heads: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Shown to the public
+  contact: {
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    address: { type: String, trim: true, maxlength: 300 },
+    officeHoursNote: { type: String, trim: true, maxlength: 200 }
+  },
+  workingHours: [{
+    _id: false,
+    day: { type: Number, required: true, min: 0, max: 6 },
+    opens: { type: String, required: true, match: TIME_PATTERN },
+    closes: { type: String, required: true, match: TIME_PATTERN }
+  }],
+  holidays: [{
+    // Local date, YYYY-MM-DD
+    date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+    name: { type: String, required: true, trim: true, maxlength: 100 }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Staff belong to a department through User.department
+departmentSchema.virtual('members', {
+  ref: 'User',
+  localField: 'code',
+  foreignField: 'department'
+});
+
+departmentSchema.index({ isActive: 1, categories: 1 });
+
+// Validate that every opening window closes after it opens
+departmentSchema.pre('validate', function(next) {
+  this.workingHours.forEach((window, index) => {
+    if (window.opens && window.closes && window.closes <= window.opens) {
+      this.invalidate(`workingHours.${index}.closes`, 'Closing time must be after opening time');
+    }
+  });
+  next();
+});
+
+// Method to check whether the office is open at a given time (working hours, not on a holiday)
+departmentSchema.methods.isOpenAt = function(at = new Date()) {
+  const { day, date, time } = localParts(at);
+
+  if (this.holidays.some(holiday => holiday.date === date)) return false;
+
+  return this.workingHours.some(window => window.day === day && time >= window.opens && time < window.closes);
+};
+
+// Method to list holidays from today on
+departmentSchema.methods.getUpcomingHolidays = function(from = new Date()) {
+  const today = localParts(from).date;
+  return this.holidays
+    .filter(holiday => holiday.date >= today)
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+module.exports = mongoose.model('Department', departmentSchema);
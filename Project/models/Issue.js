@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { checkTransition, createTransitionError, RESOLUTION_FOLLOW_UP } = require('../config/issueWorkflow');
+const { ESCALATION } = require('../config/sla');
+const { SEARCH_CONFIG } = require('../config/search');
+const { isDepartmentCode } = require('../utils/departments');
+const { ISSUE_CATEGORIES } = require('../config/departments');
 
 const issueSchema = new mongoose.Schema({
   trackingId: {
@@ -23,7 +28,7 @@ const issueSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Issue category is required'],
     enum: {
-      values: ['roads', 'water', 'garbage', 'streetlights', 'drainage', 'parks', 'buildings', 'traffic', 'noise', 'other'],
+      values: ISSUE_CATEGORIES,
       message: 'Invalid issue category'
     }
   },
@@ -66,11 +71,17 @@ const issueSchema = new mongoose.Schema({
       pincode: String
     },
     ward: String,
-    zone: String
+    zone: String,
+    outsideMunicipalLimits: { type: Boolean, default: false }
   },
   photos: [{
     url: String,
     publicId: String,
+    provider: { type: String, enum: ['cloudinary', 'local'] },
+    variants: {
+      thumbnail: String,
+      medium: String
+    },
     caption: String,
     uploadedAt: { type: Date, default: Date.now }
   }],
@@ -79,18 +90,42 @@ const issueSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Where the report came in; imported reports keep their register reference so re-imports are skipped
+  source: {
+    channel: {
+      type: String,
+      enum: ['web', 'phone', 'walk_in', 'register', 'open311'],
+      default: 'web'
+    },
+    externalRef: String,
+    importBatch: String,
+    contactName: String,
+    contactPhone: String,
+    contactEmail: String
+  },
   assignedTo: {
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    department: String,
-    assignedAt: Date
+    department: {
+      type: String,
+      validate: {
+        validator: isDepartmentCode,
+        message: 'Invalid department'
+      }
+    },
+    assignedAt: Date,
+    // Routing rule that sent a new issue here (utils/issueRouting.js)
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoutingRule'
+    }
   },
   timeline: [{
     action: {
       type: String,
-      enum: ['created', 'acknowledged', 'assigned', 'in_progress', 'under_review', 'resolved', 'closed', 'rejected', 'comment_added', 'priority_changed']
+      enum: ['created', 'acknowledged', 'assigned', 'in_progress', 'under_review', 'resolved', 'closed', 'rejected', 'comment_added', 'priority_changed', 'escalated', 'merged', 'reopened', 'feedback_received', 'work_order']
     },
     description: String,
     performedBy: {
@@ -102,11 +137,36 @@ const issueSchema = new mongoose.Schema({
   }],
   estimatedResolutionTime: Date,
   actualResolutionTime: Date,
+  sla: {
+    policy: {
+      acknowledgeWithinHours: Number,
+      resolveWithinHours: Number
+    },
+    startedAt: Date,
+    acknowledgeBy: Date,
+    resolveBy: Date,
+    acknowledgedAt: Date,
+    acknowledgeBreachedAt: Date,
+    resolveBreachedAt: Date,
+    escalationLevel: { type: Number, default: 0 },
+    lastEscalatedAt: Date
+  },
   resolutionNotes: String,
   resolutionPhotos: [{
     url: String,
     publicId: String,
+    provider: { type: String, enum: ['cloudinary', 'local'] },
+    variants: {
+      thumbnail: String,
+      medium: String
+    },
     caption: String,
+    // Set for photos taken on a work order visit
+    workOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkOrder'
+    },
+    stage: { type: String, enum: ['before', 'after'] },
     uploadedAt: { type: Date, default: Date.now }
   }],
   feedback: {
@@ -116,8 +176,15 @@ const issueSchema = new mongoose.Schema({
       max: 5
     },
     comment: String,
+    requestedAt: Date,
     submittedAt: Date
   },
+  // End of the reopen window while the issue is resolved; closed automatically after it
+  autoCloseAt: Date,
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
   isPublic: {
     type: Boolean,
     default: true
@@ -131,6 +198,21 @@ const issueSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Issue'
   }],
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  },
+  additionalReporters: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    issue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Issue'
+    },
+    reportedAt: Date
+  }],
   views: { type: Number, default: 0 },
   upvotes: [{
     user: {
@@ -156,14 +238,35 @@ issueSchema.index({ category: 1, status: 1 });
 issueSchema.index({ reportedBy: 1, createdAt: -1 });
 issueSchema.index({ 'assignedTo.department': 1, status: 1 });
 issueSchema.index({ 'location.coordinates': '2dsphere' });
+// Viewport (bounding box) queries for the public map
+issueSchema.index({ status: 1, 'location.coordinates.latitude': 1, 'location.coordinates.longitude': 1 });
 issueSchema.index({ priority: 1, status: 1, createdAt: -1 });
 issueSchema.index({ tags: 1 });
+issueSchema.index({ 'location.ward': 1, status: 1 });
+issueSchema.index({ 'location.zone': 1, status: 1 });
+issueSchema.index(
+  { 'source.channel': 1, 'source.externalRef': 1 },
+  { unique: true, partialFilterExpression: { 'source.externalRef': { $type: 'string' } } }
+);
+issueSchema.index({ status: 1, 'sla.acknowledgeBy': 1 });
+issueSchema.index({ status: 1, 'sla.resolveBy': 1 });
+issueSchema.index({ status: 1, autoCloseAt: 1 });
+// Full-text search over the issue list, ranked by field weight
+issueSchema.index(
+  Object.fromEntries(Object.keys(SEARCH_CONFIG.weights).map(field => [field, 'text'])),
+  { name: 'issue_text_search', weights: SEARCH_CONFIG.weights, default_language: SEARCH_CONFIG.language }
+);
 
 // Virtual for upvote count
 issueSchema.virtual('upvoteCount').get(function() {
   return this.upvotes ? this.upvotes.length : 0;
 });
 
+// Virtual for number of citizens who reported this problem (including merged duplicates)
+issueSchema.virtual('reporterCount').get(function() {
+  return 1 + (this.additionalReporters ? this.additionalReporters.length : 0);
+});
+
 // Virtual for time since creation
 issueSchema.virtual('timeAgo').get(function() {
   const now = new Date();
@@ -176,6 +279,44 @@ issueSchema.virtual('timeAgo').get(function() {
   return 'Less than an hour ago';
 });
 
+// Virtual for SLA breach status
+issueSchema.virtual('slaStatus').get(function() {
+  if (!this.sla || !this.sla.resolveBy) {
+    return { state: 'none' };
+  }
+
+  const now = new Date();
+  const isClosed = ['resolved', 'closed', 'rejected'].includes(this.status);
+  const { acknowledgedAt } = this.sla;
+  const completedAt = isClosed ? (this.actualResolutionTime || this.updatedAt) : null;
+
+  const acknowledgeBreached = !!this.sla.acknowledgeBreachedAt ||
+    (acknowledgedAt ? acknowledgedAt > this.sla.acknowledgeBy : this.status === 'submitted' && now > this.sla.acknowledgeBy);
+  const resolveBreached = !!this.sla.resolveBreachedAt ||
+    (completedAt ? completedAt > this.sla.resolveBy : now > this.sla.resolveBy);
+
+  let state;
+  if (isClosed) {
+    state = resolveBreached ? 'breached' : 'met';
+  } else if (acknowledgeBreached || resolveBreached) {
+    state = 'breached';
+  } else {
+    const window = this.sla.resolveBy - this.sla.startedAt;
+    const elapsed = now - this.sla.startedAt;
+    state = window > 0 && elapsed / window >= ESCALATION.atRiskThreshold ? 'at_risk' : 'on_track';
+  }
+
+  return {
+    state,
+    acknowledgeBy: this.sla.acknowledgeBy,
+    resolveBy: this.sla.resolveBy,
+    acknowledgeBreached,
+    resolveBreached,
+    escalationLevel: this.sla.escalationLevel || 0,
+    timeRemaining: isClosed ? null : this.sla.resolveBy - now
+  };
+});
+
 // Pre-save middleware to generate tracking ID
 issueSchema.pre('save', function(next) {
   if (!this.trackingId) {
@@ -184,6 +325,15 @@ issueSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to block status changes that bypass updateStatus
+issueSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('status') && !this.$locals.statusTransitionChecked) {
+    return next(new Error('Issue status must be changed through updateStatus'));
+  }
+  this.$locals.statusTransitionChecked = false;
+  next();
+});
+
 // Method to add timeline entry
 issueSchema.methods.addTimelineEntry = function(action, description, performedBy, metadata = {}) {
   this.timeline.push({
@@ -194,10 +344,32 @@ issueSchema.methods.addTimelineEntry = function(action, description, performedBy
   });
 };
 
+// Method to check a status change against the lifecycle table
+// context: { role, notes } - resolution fields are read from the issue
+issueSchema.methods.checkStatusTransition = function(newStatus, context = {}) {
+  return checkTransition(this.status, newStatus, {
+    resolutionNotes: this.resolutionNotes,
+    resolutionPhotoCount: this.resolutionPhotos ? this.resolutionPhotos.length : 0,
+    ...context
+  });
+};
+
 // Method to update status with timeline
-issueSchema.methods.updateStatus = function(newStatus, performedBy, notes = '') {
+// context.role is required: the acting user's role, or 'system' for scheduled jobs.
+// Throws an IssueTransitionError when the transition is not allowed
+issueSchema.methods.updateStatus = function(newStatus, performedBy, notes = '', context = {}) {
+  const result = this.checkStatusTransition(newStatus, { ...context, notes });
+  if (!result.allowed) {
+    throw createTransitionError(result);
+  }
+
   const oldStatus = this.status;
   this.status = newStatus;
+  this.$locals.statusTransitionChecked = true;
+
+  if (oldStatus === 'submitted' && this.sla && !this.sla.acknowledgedAt) {
+    this.sla.acknowledgedAt = new Date();
+  }
   
   this.addTimelineEntry(
     newStatus,
@@ -208,6 +380,148 @@ issueSchema.methods.updateStatus = function(newStatus, performedBy, notes = '')
   
   if (newStatus === 'resolved') {
     this.actualResolutionTime = new Date();
+    this.autoCloseAt = new Date(Date.now() + RESOLUTION_FOLLOW_UP.reopenWindowDays * 24 * 60 * 60 * 1000);
+  } else {
+    this.autoCloseAt = undefined;
+  }
+};
+
+// Method to check whether the reporter may still reopen this issue
+issueSchema.methods.canReopen = function(now = new Date()) {
+  return this.status === 'resolved' && !!this.autoCloseAt && now <= this.autoCloseAt;
+};
+
+// Method to reopen a resolved issue on behalf of its reporter.
+// The caller restarts SLA tracking (utils/sla.js applySlaPolicy).
+issueSchema.methods.reopen = function(performedBy, reason) {
+  const result = this.checkStatusTransition('in_progress', { role: 'reporter', notes: reason });
+  if (!result.allowed) {
+    throw createTransitionError(result);
+  }
+
+  const { rating, comment, submittedAt } = this.feedback || {};
+  const previousFeedback = submittedAt ? { rating, comment, submittedAt } : undefined;
+
+  this.status = 'in_progress';
+  this.$locals.statusTransitionChecked = true;
+  this.reopenCount += 1;
+  this.autoCloseAt = undefined;
+  this.actualResolutionTime = undefined;
+  // A new resolution asks for new feedback
+  this.feedback = {};
+
+  this.addTimelineEntry(
+    'reopened',
+    `Reopened by reporter: ${reason}`,
+    performedBy,
+    { oldStatus: 'resolved', newStatus: 'in_progress', reason, reopenCount: this.reopenCount, previousFeedback }
+  );
+};
+
+// Method to record the reporter's rating of the resolution
+issueSchema.methods.submitFeedback = function(rating, comment, performedBy) {
+  this.feedback.rating = rating;
+  this.feedback.comment = comment;
+  this.feedback.submittedAt = new Date();
+
+  this.addTimelineEntry(
+    'feedback_received',
+    `Reporter rated the resolution ${rating}/5`,
+    performedBy,
+    { rating, comment }
+  );
+};
+
+// Method to fold a duplicate into this (canonical) issue, keeping its reporters, photos and upvotes
+issueSchema.methods.mergeDuplicate = function(duplicate, performedBy) {
+  const upvoters = new Set(this.upvotes.map(upvote => upvote.user.toString()));
+  const reporters = new Set([
+    this.reportedBy.toString(),
+    ...this.additionalReporters.map(reporter => reporter.user.toString())
+  ]);
+
+  [duplicate.reportedBy, ...duplicate.additionalReporters.map(reporter => reporter.user)].forEach(userId => {
+    if (!reporters.has(userId.toString())) {
+      reporters.add(userId.toString());
+      this.additionalReporters.push({
+        user: userId,
+        issue: duplicate._id,
+        reportedAt: duplicate.createdAt
+      });
+    }
+  });
+
+  // Every reporter and upvoter of the duplicate counts as support for the canonical issue
+  [...reporters, ...duplicate.upvotes.map(upvote => upvote.user.toString())].forEach(userId => {
+    if (userId !== this.reportedBy.toString() && !upvoters.has(userId)) {
+      upvoters.add(userId);
+      this.upvotes.push({ user: userId });
+    }
+  });
+
+  duplicate.photos.forEach(photo => {
+    this.photos.push({
+      url: photo.url,
+      publicId: photo.publicId,
+      provider: photo.provider,
+      variants: photo.variants,
+      caption: photo.caption,
+      uploadedAt: photo.uploadedAt
+    });
+  });
+
+  if (!this.relatedIssues.some(id => id.toString() === duplicate._id.toString())) {
+    this.relatedIssues.push(duplicate._id);
+  }
+
+  this.addTimelineEntry(
+    'merged',
+    `Duplicate report ${duplicate.trackingId} merged into this issue`,
+    performedBy,
+    { duplicateId: duplicate._id, duplicateTrackingId: duplicate.trackingId }
+  );
+};
+
+// Method to close this issue as a duplicate of another.
+// context.role is required, as for updateStatus. Only open issues can be closed this way;
+// throws an IssueTransitionError otherwise.
+issueSchema.methods.markAsDuplicateOf = function(canonical, performedBy, context = {}) {
+  const result = this.checkStatusTransition('closed', { ...context, duplicateOf: canonical._id });
+  if (!result.allowed) {
+    throw createTransitionError(result);
+  }
+
+  const oldStatus = this.status;
+  this.duplicateOf = canonical._id;
+  this.status = 'closed';
+  this.$locals.statusTransitionChecked = true;
+
+  this.addTimelineEntry(
+    'merged',
+    `Closed as duplicate of ${canonical.trackingId}`,
+    performedBy,
+    { canonicalId: canonical._id, canonicalTrackingId: canonical.trackingId, oldStatus }
+  );
+};
+
+// Method to (re)start SLA tracking from a policy
+issueSchema.methods.startSla = function(policy, from = new Date()) {
+  const hours = (value) => value * 60 * 60 * 1000;
+
+  this.sla = {
+    policy: {
+      acknowledgeWithinHours: policy.acknowledgeWithinHours,
+      resolveWithinHours: policy.resolveWithinHours
+    },
+    startedAt: from,
+    acknowledgeBy: new Date(from.getTime() + hours(policy.acknowledgeWithinHours)),
+    resolveBy: new Date(from.getTime() + hours(policy.resolveWithinHours)),
+    acknowledgedAt: this.status === 'submitted' ? undefined : (this.sla?.acknowledgedAt || from),
+    escalationLevel: 0
+  };
+
+  if (!this.estimatedResolutionTime) {
+    this.estimatedResolutionTime = this.sla.resolveBy;
   }
 };
 
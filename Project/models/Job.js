@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Outbox entry processed by the worker in utils/jobQueue.js
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  failures: [{
+    at: { type: Date, default: Date.now },
+    attempt: Number,
+    error: String
+  }],
+  result: mongoose.Schema.Types.Mixed,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ type: 1, status: 1, updatedAt: -1 });
+// Completed jobs are only kept for a week
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: 'completed' } }
+);
+
+// Method to convert to safe object. Email jobs carry their template data (which for jobs
+// queued before account emails were built at send time includes reset and verification tokens).
+jobSchema.methods.toSafeObject = function() {
+  const jobObject = this.toObject();
+  if (jobObject.payload && jobObject.payload.data) {
+    jobObject.payload = { ...jobObject.payload, data: '[redacted]' };
+  }
+  return jobObject;
+};
+
+module.exports = mongoose.model('Job', jobSchema);
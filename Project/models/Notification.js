@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { getDefaultChannels, DELIVERY } = require('../config/notifications');
+const { resolveLocale, renderNotification, t } = require('../utils/i18n');
 
 const notificationSchema = new mongoose.Schema({
   recipient: {
@@ -24,7 +26,9 @@ const notificationSchema = new mongoose.Schema({
       'system_announcement',
       'department_update',
       'feedback_request',
-      'weekly_summary'
+      'weekly_summary',
+      'account_updated',
+      'issue_escalated'
     ]
   },
   title: {
@@ -60,16 +64,22 @@ const notificationSchema = new mongoose.Schema({
     push: {
       sent: { type: Boolean, default: false },
       sentAt: Date,
+      attempts: { type: Number, default: 0 },
+      skipped: String,
       error: String
     },
     email: {
       sent: { type: Boolean, default: false },
       sentAt: Date,
+      attempts: { type: Number, default: 0 },
+      skipped: String,
       error: String
     },
     sms: {
       sent: { type: Boolean, default: false },
       sentAt: Date,
+      attempts: { type: Number, default: 0 },
+      skipped: String,
       error: String
     }
   },
@@ -77,6 +87,10 @@ const notificationSchema = new mongoose.Schema({
   readAt: Date,
   actionUrl: String,
   actionText: String,
+  // Catalogue key and placeholders the title/message were rendered from (config/locales)
+  messageKey: String,
+  messageParams: mongoose.Schema.Types.Mixed,
+  locale: String,
   metadata: mongoose.Schema.Types.Mixed,
   expiresAt: Date
 }, {
@@ -111,20 +125,51 @@ notificationSchema.methods.markAsRead = function() {
   this.readAt = new Date();
 };
 
-// Static method to create notification
+// Static method to create notification.
+// With a messageKey, title/message/actionText are rendered in the recipient's language.
+// Push, email and SMS are delivered by the outbox worker (utils/notificationDelivery.js).
 notificationSchema.statics.createNotification = async function(data) {
-  const notification = new this(data);
+  const { actionKey, ...fields } = data;
+
+  if (fields.messageKey) {
+    const recipient = await mongoose.model('User').findById(fields.recipient).select('preferences.language');
+    const locale = resolveLocale(recipient?.preferences?.language);
+
+    Object.assign(fields, renderNotification(locale, fields.messageKey, fields.messageParams), { locale });
+    if (actionKey) fields.actionText = t(locale, `actions.${actionKey}`);
+  }
+
+  const notification = new this({
+    ...fields,
+    channels: fields.channels || getDefaultChannels(fields.type, fields.priority)
+  });
   await notification.save();
-  
-  // Trigger real-time notification
-  const io = require('../utils/socket').getIO();
-  if (io) {
-    io.to(`user_${data.recipient}`).emit('notification', notification);
+
+  try {
+    const { enqueueJob, triggerJobWorker } = require('../utils/jobQueue');
+    await enqueueJob('notification.deliver', { notificationId: notification._id }, {
+      maxAttempts: DELIVERY.maxAttempts
+    });
+    triggerJobWorker();
+  } catch (error) {
+    console.error('Failed to queue notification delivery:', error);
   }
+
+  await this.emitUnreadCount(data.recipient);
   
   return notification;
 };
 
+// Static method to push the current unread count to the user's socket room
+notificationSchema.statics.emitUnreadCount = async function(userId) {
+  const io = require('../utils/socket').getIO();
+  if (!io) return null;
+
+  const count = await this.getUnreadCount(userId);
+  io.to(`user_${userId}`).emit('unread_count', { count });
+  return count;
+};
+
 // Static method to get unread count
 notificationSchema.statics.getUnreadCount = function(userId) {
   return this.countDocuments({ 
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { OFFICER_TRACKING } = require('../config/officerTracking');
+
+// One stored position of a field officer on shift
+const officerLocationSchema = new mongoose.Schema({
+  officer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OfficerShift',
+    required: true
+  },
+  department: {
+    type: String,
+    required: true
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  // Meters, as reported by the device
+  accuracy: Number,
+  heading: Number,
+  speed: Number,
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+officerLocationSchema.index({ officer: 1, recordedAt: -1 });
+officerLocationSchema.index({ department: 1, recordedAt: -1 });
+officerLocationSchema.index({ recordedAt: 1 }, { expireAfterSeconds: OFFICER_TRACKING.retentionDays * 24 * 60 * 60 });
+
+// Static method to get the most recent position of each officer matching the filter since a given time
+officerLocationSchema.statics.getLatestPositions = function(filter, since) {
+  return this.aggregate([
+    { $match: { ...filter, recordedAt: { $gte: since } } },
+    { $sort: { recordedAt: -1 } },
+    {
+      $group: {
+        _id: '$officer',
+        latitude: { $first: '$latitude' },
+        longitude: { $first: '$longitude' },
+        accuracy: { $first: '$accuracy' },
+        shift: { $first: '$shift' },
+        recordedAt: { $first: '$recordedAt' }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('OfficerLocation', officerLocationSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A shift declared by a field officer. Locations are only stored while a shift is active.
+const officerShiftSchema = new mongoose.Schema({
+  officer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  department: {
+    type: String,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Planned end; the shift stops counting as active then even if it was never ended
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+officerShiftSchema.index({ officer: 1, startedAt: -1 });
+officerShiftSchema.index({ department: 1, endsAt: 1 });
+
+// Query condition for shifts that are running now
+const activeFilter = (now = new Date()) => ({ endedAt: null, startedAt: { $lte: now }, endsAt: { $gt: now } });
+
+// Static method to get an officer's running shift, if any
+officerShiftSchema.statics.findActive = function(officerId) {
+  return this.findOne({ officer: officerId, ...activeFilter() });
+};
+
+// Static method to list the officers with a running shift
+officerShiftSchema.statics.getOnShiftOfficerIds = function(filter = {}) {
+  return this.distinct('officer', { ...filter, ...activeFilter() });
+};
+
+module.exports = mongoose.model('OfficerShift', officerShiftSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Fixed-window counter shared by every Node process (see utils/limiterStore/mongo.js)
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// MongoDB removes counters once their window has ended
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { ASSIGNMENT_STRATEGIES } = require('../config/routing');
+const { ISSUE_CATEGORIES } = require('../config/departments');
+const { isDepartmentCode } = require('../utils/departments');
+
+// Admin-managed rule sending matching new issues to a department (see utils/issueRouting.js)
+const routingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Rules are tried from the lowest order up; the first match wins
+  order: {
+    type: Number,
+    default: 100
+  },
+  // Every non-empty list must match; empty lists match everything
+  conditions: {
+    categories: [{ type: String, enum: ISSUE_CATEGORIES }],
+    subCategories: [{ type: String, trim: true, lowercase: true }],
+    wards: [{ type: String, trim: true }],
+    zones: [{ type: String, trim: true }],
+    priorities: [{ type: String, enum: ['low', 'medium', 'high', 'critical'] }],
+    // Any of these found in the title, description or tags
+    keywords: [{ type: String, trim: true, lowercase: true }]
+  },
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    validate: {
+      validator: isDepartmentCode,
+      message: 'Invalid department'
+    }
+  },
+  assignment: {
+    strategy: {
+      type: String,
+      enum: ASSIGNMENT_STRATEGIES,
+      default: 'none'
+    },
+    // Roles eligible for auto-assignment; defaults to field officers
+    roles: [{ type: String, enum: ['field_officer', 'department_head'] }],
+    // Round-robin position: the officer who got the previous issue
+    lastAssignedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  stats: {
+    matchCount: { type: Number, default: 0 },
+    lastMatchedAt: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+routingRuleSchema.index({ isActive: 1, order: 1, createdAt: 1 });
+
+// Method to check an issue against the rule's conditions.
+// Returns the names of the conditions that did not match (empty when the rule applies).
+routingRuleSchema.methods.evaluate = function(issue) {
+  const {
+    categories = [],
+    subCategories = [],
+    wards = [],
+    zones = [],
+    priorities = [],
+    keywords = []
+  } = this.conditions || {};
+  const failed = [];
+
+  if (categories.length > 0 && !categories.includes(issue.category)) failed.push('category');
+  if (subCategories.length > 0 && !subCategories.includes((issue.subCategory || '').trim().toLowerCase())) failed.push('subCategory');
+  if (wards.length > 0 && !wards.includes(issue.location?.ward)) failed.push('ward');
+  if (zones.length > 0 && !zones.includes(issue.location?.zone)) failed.push('zone');
+  if (priorities.length > 0 && !priorities.includes(issue.priority || 'medium')) failed.push('priority');
+
+  if (keywords.length > 0) {
+    const text = [issue.title, issue.description, ...(issue.tags || [])].join(' ').toLowerCase();
+    if (!keywords.some(keyword => text.includes(keyword))) failed.push('keywords');
+  }
+
+  return failed;
+};
+
+module.exports = mongoose.model('RoutingRule', routingRuleSchema);
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A session is one login on one device. Its refresh token rotates on every use;
+// only the hash of the latest token is kept, so presenting an older one means it was stolen.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  device: String,
+  userAgent: String,
+  ip: String,
+  lastIp: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'reuse_detected', 'password_changed', 'admin']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+// Keep ended sessions for a week (for reuse detection and review), then let MongoDB drop them
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Short, human-readable device label from a user agent
+const describeDevice = (userAgent = '') => {
+  const browser = (/(Edg|OPR|Chrome|Firefox|Safari)\/[\d.]+/.exec(userAgent) || [])[1];
+  const os = (/(Android|iPhone|iPad|Windows|Mac OS X|Linux)/.exec(userAgent) || [])[1];
+  const names = { Edg: 'Edge', OPR: 'Opera' };
+
+  if (!browser && !os) return 'Unknown device';
+  return [names[browser] || browser, os].filter(Boolean).join(' on ');
+};
+
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+// Static method to start a session and return it with its first refresh token
+sessionSchema.statics.createForUser = async function(user, { ip, userAgent } = {}) {
+  const session = new this({
+    user: user._id,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip,
+    lastIp: ip,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Returns { session, refreshToken } or { error } with error in
+// 'invalid' | 'expired' | 'revoked' | 'reuse_detected'.
+sessionSchema.statics.rotate = async function(refreshToken, { ip } = {}) {
+  const [sessionId] = String(refreshToken || '').split('.');
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { error: 'invalid' };
+  }
+
+  const session = await this.findById(sessionId).select('+refreshTokenHash');
+
+  if (!session) return { error: 'invalid' };
+  if (session.revokedAt) return { error: 'revoked', session };
+  if (session.expiresAt <= new Date()) return { error: 'expired', session };
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    // An already-rotated token was replayed: whoever holds the family is not trusted any more
+    await session.revoke('reuse_detected');
+    return { error: 'reuse_detected', session };
+  }
+
+  const nextToken = newRefreshToken(session._id);
+
+  // Only the request holding the current hash may rotate; a concurrent replay loses this race
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      lastUsedAt: new Date(),
+      lastIp: ip,
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await session.revoke('reuse_detected');
+    return { error: 'reuse_detected', session };
+  }
+
+  return { session: rotated, refreshToken: nextToken };
+};
+
+// Static method to find a session that may still authenticate requests
+sessionSchema.statics.findActive = function(sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return Promise.resolve(null);
+  return this.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Static method to list a user's active sessions, newest first
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const sessions = await this.find({
+    user: userId,
+    revokedAt: null,
+    ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+  });
+
+  await Promise.all(sessions.map(session => session.revoke(reason)));
+  return sessions.length;
+};
+
+// Method to revoke this session and drop its live socket connections
+sessionSchema.methods.revoke = async function(reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.constructor.updateOne(
+      { _id: this._id, revokedAt: null },
+      { revokedAt: this.revokedAt, revokedReason: reason }
+    );
+  }
+
+  require('../utils/socket').disconnectSession(this._id);
+  return this;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { ISSUE_CATEGORIES } = require('../config/departments');
+
+const slaPolicySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    enum: {
+      values: ISSUE_CATEGORIES,
+      message: 'Invalid issue category'
+    }
+  },
+  priority: {
+    type: String,
+    required: [true, 'Priority is required'],
+    enum: ['low', 'medium', 'high', 'critical']
+  },
+  acknowledgeWithinHours: {
+    type: Number,
+    required: true,
+    min: [0.25, 'Acknowledgement window must be at least 15 minutes']
+  },
+  resolveWithinHours: {
+    type: Number,
+    required: true,
+    min: [1, 'Resolution window must be at least 1 hour']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One policy per category and priority
+slaPolicySchema.index({ category: 1, priority: 1 }, { unique: true });
+
+// Validate that resolution is not due before acknowledgement
+slaPolicySchema.pre('validate', function(next) {
+  if (this.resolveWithinHours < this.acknowledgeWithinHours) {
+    this.invalidate('resolveWithinHours', 'Resolution window cannot be shorter than acknowledgement window');
+  }
+  next();
+});
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { isDepartmentCode } = require('../utils/departments');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -45,10 +47,19 @@ const userSchema = new mongoose.Schema({
     enum: ['citizen', 'admin', 'department_head', 'field_officer'],
     default: 'citizen'
   },
+  // Code of a department in the Department collection
   department: {
     type: String,
-    enum: ['roads', 'water', 'garbage', 'streetlights', 'drainage', 'parks', 'general'],
-    default: 'general'
+    default: 'general',
+    validate: {
+      validator: isDepartmentCode,
+      message: 'Invalid department'
+    }
+  },
+  // Wards/zones a staff member covers; empty means the whole city
+  jurisdiction: {
+    wards: [{ type: String, trim: true }],
+    zones: [{ type: String, trim: true }]
   },
   isActive: {
     type: Boolean,
@@ -96,6 +107,8 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1, department: 1 });
 userSchema.index({ 'address.city': 1, 'address.area': 1 });
+userSchema.index({ 'jurisdiction.wards': 1 });
+userSchema.index({ 'jurisdiction.zones': 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -120,17 +133,18 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Method to generate a short-lived JWT access token bound to a session
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id, 
+      sid: sessionId,
       email: this.email, 
       role: this.role, 
       department: this.department 
     },
     process.env.JWT_SECRET || 'fallback_secret_key',
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
@@ -158,4 +172,32 @@ userSchema.statics.isValidPassword = function(password) {
   return passwordRegex.test(password);
 };
 
+// Static method to get (or create on first use) an account that issues from outside channels are attributed to
+userSchema.statics.findOrCreateSystemAccount = async function({ email, firstName, lastName, phone }) {
+  const existing = await this.findOne({ email });
+  if (existing) return existing;
+
+  // Nobody signs in as this account, so it gets an unguessable password
+  return this.create({
+    firstName,
+    lastName,
+    email,
+    phone,
+    password: crypto.randomBytes(24).toString('hex'),
+    role: 'citizen',
+    isVerified: true
+  });
+};
+
+// Method to check whether a staff member covers an issue location
+userSchema.methods.coversLocation = function(location = {}) {
+  const wards = this.jurisdiction?.wards || [];
+  const zones = this.jurisdiction?.zones || [];
+
+  if (wards.length === 0 && zones.length === 0) return true;
+
+  return (Boolean(location.ward) && wards.includes(location.ward)) ||
+    (Boolean(location.zone) && zones.includes(location.zone));
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+// Admin-managed subscription to issue lifecycle events (see utils/webhooks.js)
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  // Shared secret for the X-AMC-Signature HMAC; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    default: () => crypto.randomBytes(32).toString('hex')
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'Subscribe to at least one event']
+  },
+  // Empty lists match everything
+  filters: {
+    categories: [String],
+    wards: [String]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  stats: {
+    lastDeliveryAt: Date,
+    lastStatus: { type: String, enum: ['delivered', 'failed'] },
+    consecutiveFailures: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// Method to check whether an issue event passes this subscription's filters
+webhookSchema.methods.matches = function(event, issue) {
+  const { categories = [], wards = [] } = this.filters || {};
+
+  return this.events.includes(event) &&
+    (categories.length === 0 || categories.includes(issue.category)) &&
+    (wards.length === 0 || wards.includes(issue.location?.ward));
+};
+
+// Method to replace the signing secret
+webhookSchema.methods.rotateSecret = function() {
+  this.secret = crypto.randomBytes(32).toString('hex');
+  return this.secret;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
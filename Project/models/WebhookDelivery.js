@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_DELIVERY } = require('../config/webhooks');
+
+// One event sent (or being retried) to one webhook; the delivery log
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  },
+  // Exact JSON body, so retries send the same payload
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: [{
+    at: { type: Date, default: Date.now },
+    statusCode: Number,
+    durationMs: Number,
+    response: String,
+    error: String
+  }],
+  deliveredAt: Date,
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ webhook: 1, status: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK_DELIVERY.retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
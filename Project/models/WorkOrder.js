@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const {
+  WORK_ORDER_STATUSES,
+  WORK_ORDER_TRANSITIONS,
+  WORK_ORDER_CONFIG
+} = require('../config/workOrders');
+
+const photoSchema = new mongoose.Schema({
+  url: String,
+  publicId: String,
+  provider: { type: String, enum: ['cloudinary', 'local'] },
+  variants: {
+    thumbnail: String,
+    medium: String
+  },
+  caption: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+// A field visit to work on an issue, assigned to one officer
+const workOrderSchema = new mongoose.Schema({
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true
+  },
+  // Issue tracking ID plus a running number, e.g. AMC250042-W2
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Work order must be assigned to an officer']
+  },
+  department: {
+    type: String,
+    required: true
+  },
+  scheduledFor: {
+    type: Date,
+    required: [true, 'Scheduled visit date is required']
+  },
+  status: {
+    type: String,
+    enum: WORK_ORDER_STATUSES,
+    default: 'scheduled'
+  },
+  statusHistory: [{
+    status: { type: String, enum: WORK_ORDER_STATUSES },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String,
+    at: { type: Date, default: Date.now }
+  }],
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Instructions cannot exceed 1000 characters']
+  },
+  checklist: [{
+    item: { type: String, required: true, trim: true, maxlength: 200 },
+    required: { type: Boolean, default: true },
+    done: { type: Boolean, default: false },
+    doneAt: Date,
+    doneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: { type: String, trim: true, maxlength: 500 }
+  }],
+  materials: [{
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    quantity: { type: Number, required: true, min: 0 },
+    unit: { type: String, trim: true, maxlength: 20 },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: { type: Date, default: Date.now }
+  }],
+  // Time on site is counted from each arrival (on_site) until the order leaves that status
+  arrivedAt: Date,
+  minutesOnSite: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  photos: {
+    before: [photoSchema],
+    after: [photoSchema]
+  },
+  blockedReason: String,
+  completionNotes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Completion notes cannot exceed 2000 characters']
+  },
+  completedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+workOrderSchema.index({ issue: 1, createdAt: 1 });
+workOrderSchema.index({ assignedTo: 1, status: 1, scheduledFor: 1 });
+workOrderSchema.index({ department: 1, status: 1, scheduledFor: 1 });
+
+// Method to list what is still missing before the order can be marked done
+workOrderSchema.methods.getMissingForCompletion = function() {
+  const missing = [];
+
+  const openItems = this.checklist.filter(entry => entry.required && !entry.done);
+  if (openItems.length > 0) {
+    missing.push(`checklist: ${openItems.map(entry => entry.item).join('; ')}`);
+  }
+  if (this.photos.before.length < WORK_ORDER_CONFIG.minBeforePhotos) {
+    missing.push('before photos');
+  }
+  if (this.photos.after.length < WORK_ORDER_CONFIG.minAfterPhotos) {
+    missing.push('after photos');
+  }
+
+  return missing;
+};
+
+// Method to change status, keeping the history and time on site.
+// Returns an error message when the change is not allowed.
+workOrderSchema.methods.changeStatus = function(newStatus, changedBy, notes) {
+  if (newStatus !== 'cancelled' && !WORK_ORDER_TRANSITIONS[this.status].includes(newStatus)) {
+    return `Cannot change work order status from ${this.status} to ${newStatus}`;
+  }
+  if (newStatus === 'cancelled' && ['done', 'cancelled'].includes(this.status)) {
+    return `A ${this.status} work order cannot be cancelled`;
+  }
+  if (['blocked', 'cancelled'].includes(newStatus) && !(notes && notes.trim())) {
+    return `Give a reason when marking a work order ${newStatus}`;
+  }
+  if (newStatus === 'done') {
+    const missing = this.getMissingForCompletion();
+    if (missing.length > 0) {
+      return `Work order cannot be completed yet. Missing: ${missing.join(', ')}`;
+    }
+  }
+
+  const now = new Date();
+
+  if (this.status === 'on_site' && this.arrivedAt) {
+    this.minutesOnSite += Math.round((now - this.arrivedAt) / 60000);
+    this.arrivedAt = undefined;
+  }
+  if (newStatus === 'on_site') {
+    this.arrivedAt = now;
+  }
+
+  this.blockedReason = newStatus === 'blocked' ? notes : undefined;
+  if (newStatus === 'done') {
+    this.completedAt = now;
+  }
+
+  this.status = newStatus;
+  this.statusHistory.push({ status: newStatus, changedBy, notes, at: now });
+  return null;
+};
+
+// Whether every order on an issue that was not cancelled is done (and there is at least one)
+workOrderSchema.statics.allDoneForIssue = async function(issueId) {
+  const statuses = await this.distinct('status', { issue: issueId, status: { $ne: 'cancelled' } });
+  return statuses.length === 1 && statuses[0] === 'done';
+};
+
+module.exports = mongoose.model('WorkOrder', workOrderSchema);
@@ -178,6 +178,74 @@
                 });
         }
         
+        // Existing open issues, so reporters can see what has already been reported nearby
+        const issuesLayer = L.layerGroup().addTo(map);
+        const statusColors = {
+            submitted: '#e74c3c',
+            acknowledged: '#f39c12',
+            in_progress: '#3498db',
+            under_review: '#9b59b6'
+        };
+
+        function issuePopup(issue) {
+            const popup = document.createElement('div');
+            const trackingId = document.createElement('strong');
+            trackingId.textContent = issue.trackingId;
+            popup.append(trackingId, document.createElement('br'), issue.title,
+                document.createElement('br'), issue.status.replace(/_/g, ' '));
+            return popup;
+        }
+
+        function loadIssuesLayer() {
+            const bounds = map.getBounds();
+            const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+                .map(value => Math.max(-180, Math.min(180, value)).toFixed(6))
+                .join(',');
+
+            fetch(`/api/issues/map?bbox=${bbox}&zoom=${map.getZoom()}`)
+                .then(response => response.json())
+                .then(result => {
+                    if (!result.success) return;
+                    issuesLayer.clearLayers();
+
+                    if (result.data.mode === 'points') {
+                        result.data.points.forEach(issue => {
+                            L.circleMarker([issue.latitude, issue.longitude], {
+                                radius: 7,
+                                color: statusColors[issue.status] || '#7f8c8d',
+                                fillOpacity: 0.7,
+                                bubblingMouseEvents: false
+                            })
+                                .bindPopup(issuePopup(issue))
+                                .addTo(issuesLayer);
+                        });
+                        return;
+                    }
+
+                    result.data.clusters.forEach(cluster => {
+                        const size = Math.min(60, 24 + Math.round(Math.log2(cluster.count) * 6));
+                        L.marker([cluster.latitude, cluster.longitude], {
+                            icon: L.divIcon({
+                                className: 'issue-cluster',
+                                html: `<div style="width:${size}px;height:${size}px;line-height:${size}px;border-radius:50%;background:rgba(231,76,60,0.75);color:#fff;text-align:center;font-weight:600;">${cluster.count}</div>`,
+                                iconSize: [size, size]
+                            })
+                        })
+                            .on('click', () => map.fitBounds([
+                                [cluster.bounds.minLat, cluster.bounds.minLng],
+                                [cluster.bounds.maxLat, cluster.bounds.maxLng]
+                            ]))
+                            .addTo(issuesLayer);
+                    });
+                })
+                .catch(error => {
+                    console.error("Issue map error:", error);
+                });
+        }
+
+        map.on('moveend', loadIssuesLayer);
+        loadIssuesLayer();
+
         // Initialize coordinate display
         updateCoordinateDisplay(marker.getLatLng());
         reverseGeocode(23.1000, 72.6000);
@@ -0,0 +1,1888 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Issue = require('../models/Issue');
+const Notification = require('../models/Notification');
+const SlaPolicy = require('../models/SlaPolicy');
+const Session = require('../models/Session');
+const Job = require('../models/Job');
+const AuditLog = require('../models/AuditLog');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const RoutingRule = require('../models/RoutingRule');
+const Department = require('../models/Department');
+const { getDefaultPolicy } = require('../config/sla');
+const { authenticate, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { retryJob, triggerJobWorker } = require('../utils/jobQueue');
+const { importIssues } = require('../utils/issueImport');
+const { IMPORT_CONFIG } = require('../config/issueImport');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+const { sendTestEvent } = require('../utils/webhooks');
+const { routeIssue } = require('../utils/issueRouting');
+const { ASSIGNMENT_STRATEGIES } = require('../config/routing');
+const { validateDepartmentCode, validateActiveDepartmentCode, clearDepartmentCache } = require('../utils/departments');
+const { ISSUE_CATEGORIES, DEPARTMENT_CONFIG } = require('../config/departments');
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin
+router.use(authenticate, authorize('admin'));
+
+const ROLES = ['citizen', 'field_officer', 'department_head', 'admin'];
+const STAFF_ROLES = ['field_officer', 'department_head'];
+const CATEGORIES = Issue.schema.path('category').enumValues;
+const PRIORITIES = Issue.schema.path('priority').enumValues;
+
+// CSV registers for bulk import, kept in memory
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV files are allowed'));
+  }
+});
+
+const USER_FIELDS = 'firstName lastName email phone role department jurisdiction isActive isVerified address lastLogin stats createdAt';
+const USER_SORT_FIELDS = ['createdAt', 'lastLogin', 'firstName', 'lastName', 'email', 'role', 'department'];
+
+const userIdValidation = [
+  param('id').isMongoId().withMessage('Invalid user ID')
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pick the audited fields of a user so before/after snapshots stay small
+const snapshotUser = (user) => ({
+  role: user.role,
+  department: user.department,
+  jurisdiction: {
+    wards: [...(user.jurisdiction?.wards || [])],
+    zones: [...(user.jurisdiction?.zones || [])]
+  },
+  isActive: user.isActive,
+  isVerified: user.isVerified
+});
+
+// Load the target user and stop admins from changing their own account here
+const loadTargetUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.method !== 'GET' && user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role or account status'
+      });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    console.error('Load user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load user'
+    });
+  }
+};
+
+// Save a user change, audit it and tell the affected user what happened
+const applyUserChange = async (req, { action, updates, messageKey, messageParams }) => {
+  const user = req.targetUser;
+  const before = snapshotUser(user);
+
+  Object.assign(user, updates);
+  await user.save();
+
+  // Heads who left the role or the department stop heading it
+  await Department.updateMany(
+    { heads: user._id, ...(user.role === 'department_head' && { code: { $ne: user.department } }) },
+    { $pull: { heads: user._id } }
+  );
+
+  const after = snapshotUser(user);
+
+  await recordAudit(req, {
+    action,
+    entityType: 'user',
+    entityId: user._id,
+    before,
+    after
+  });
+
+  await Notification.createNotification({
+    recipient: user._id,
+    sender: req.user._id,
+    type: 'account_updated',
+    messageKey,
+    messageParams,
+    priority: 'high',
+    metadata: { before, after }
+  });
+
+  return user;
+};
+
+// @route   GET /api/admin/dashboard
+// @desc    Get dashboard statistics, recent issues and analytics
+// @access  Private (admin only)
+router.get('/dashboard', [
+  query('ward').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid ward'),
+  query('zone').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid zone')
+], handleValidation, async (req, res) => {
+  try {
+    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const { ward, zone } = req.query;
+
+    // Issue statistics can be narrowed to one ward or zone
+    const issueFilter = {};
+    if (ward) issueFilter['location.ward'] = ward;
+    if (zone) issueFilter['location.zone'] = zone;
+
+    const [stats, userCounts, recentIssues, byCategory, byStatus, byPriority, byWard, daily] = await Promise.all([
+      Issue.getDashboardStats(issueFilter),
+      User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 }, active: { $sum: { $cond: ['$isActive', 1, 0] } } } }
+      ]),
+      Issue.find(issueFilter)
+        .populate('reportedBy', 'firstName lastName')
+        .populate('assignedTo.user', 'firstName lastName department')
+        .sort({ createdAt: -1 })
+        .limit(10),
+      Issue.aggregate([{ $match: issueFilter }, { $group: { _id: '$category', count: { $sum: 1 } } }, { $sort: { count: -1 } }]),
+      Issue.aggregate([{ $match: issueFilter }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Issue.aggregate([{ $match: issueFilter }, { $group: { _id: '$priority', count: { $sum: 1 } } }]),
+      Issue.aggregate([
+        { $match: issueFilter },
+        {
+          $group: {
+            _id: { ward: '$location.ward', zone: '$location.zone' },
+            count: { $sum: 1 },
+            open: { $sum: { $cond: [{ $in: ['$status', ['submitted', 'acknowledged', 'in_progress', 'under_review']] }, 1, 0] } }
+          }
+        },
+        { $sort: { count: -1 } }
+      ]),
+      Issue.aggregate([
+        { $match: { ...issueFilter, createdAt: { $gte: thirtyDaysAgo } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    const users = userCounts.reduce((acc, item) => {
+      acc[item._id] = { total: item.count, active: item.active };
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      stats: { issues: stats, users },
+      recentIssues,
+      analytics: {
+        byCategory,
+        byStatus,
+        byPriority,
+        byWard,
+        dailyReports: daily
+      },
+      filters: { ward, zone }
+    });
+
+  } catch (error) {
+    console.error('Admin dashboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dashboard data'
+    });
+  }
+});
+
+// @route   GET /api/admin/users
+// @desc    List and search users by role, department, area and status
+// @access  Private (admin only)
+router.get('/users', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  query('department').optional().custom(validateDepartmentCode),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  query('isVerified').optional().isBoolean().withMessage('isVerified must be true or false'),
+  query('search').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Search term must be between 2 and 100 characters'),
+  query('area').optional().trim().isLength({ max: 100 }),
+  query('ward').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid ward'),
+  query('zone').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid zone'),
+  query('sortBy').optional().isIn(USER_SORT_FIELDS).withMessage('Invalid sort field'),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc')
+], handleValidation, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const {
+      role,
+      department,
+      area,
+      ward,
+      zone,
+      isActive,
+      isVerified,
+      search,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const filter = {};
+
+    if (role) filter.role = role;
+    if (department) filter.department = department;
+    if (area) filter['address.area'] = { $regex: escapeRegex(area), $options: 'i' };
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (isVerified !== undefined) filter.isVerified = isVerified === 'true';
+    if (ward) filter['jurisdiction.wards'] = ward;
+    if (zone) filter['jurisdiction.zones'] = zone;
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      filter.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { phone: pattern }
+      ];
+    }
+
+    const sortObj = {};
+    sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort(sortObj)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        current: page,
+        pages: totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      },
+      filters: {
+        role,
+        department,
+        area,
+        ward,
+        zone,
+        isActive,
+        isVerified,
+        search
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a single user with issue activity
+// @access  Private (admin only)
+router.get('/users/:id', userIdValidation, handleValidation, loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    const [reported, assigned] = await Promise.all([
+      Issue.countDocuments({ reportedBy: user._id }),
+      Issue.aggregate([
+        { $match: { 'assignedTo.user': user._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user: user.toSafeObject(),
+        activity: {
+          issuesReported: reported,
+          assignedByStatus: assigned
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role (e.g. promote a citizen to field officer)
+// @access  Private (admin only)
+router.patch('/users/:id/role', [
+  ...userIdValidation,
+  body('role').isIn(ROLES).withMessage('Invalid role'),
+  body('department').optional().custom(validateActiveDepartmentCode)
+], handleValidation, loadTargetUser, async (req, res) => {
+  try {
+    const { role } = req.body;
+    const department = req.body.department || req.targetUser.department;
+
+    if (STAFF_ROLES.includes(role) && department === 'general') {
+      return res.status(400).json({
+        success: false,
+        message: 'Field officers and department heads must belong to a department'
+      });
+    }
+
+    if (req.targetUser.role === role && req.targetUser.department === department) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already has this role'
+      });
+    }
+
+    const user = await applyUserChange(req, {
+      action: 'user.role_changed',
+      updates: { role, department: role === 'citizen' ? 'general' : department },
+      messageKey: STAFF_ROLES.includes(role) ? 'account_role_changed_department' : 'account_role_changed',
+      messageParams: { role, department }
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: { user: user.toSafeObject() }
+    });
+
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/users/:id/department
+// @desc    Move a staff member to another department
+// @access  Private (admin only)
+router.patch('/users/:id/department', [
+  ...userIdValidation,
+  body('department').custom(validateActiveDepartmentCode)
+], handleValidation, loadTargetUser, async (req, res) => {
+  try {
+    const { department } = req.body;
+
+    if (!STAFF_ROLES.includes(req.targetUser.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only field officers and department heads can be moved between departments'
+      });
+    }
+
+    if (department === 'general') {
+      return res.status(400).json({
+        success: false,
+        message: 'Field officers and department heads must belong to a department'
+      });
+    }
+
+    if (req.targetUser.department === department) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already in this department'
+      });
+    }
+
+    const user = await applyUserChange(req, {
+      action: 'user.department_changed',
+      updates: { department },
+      messageKey: 'account_department_changed',
+      messageParams: { department }
+    });
+
+    res.json({
+      success: true,
+      message: 'User department updated successfully',
+      data: { user: user.toSafeObject() }
+    });
+
+  } catch (error) {
+    console.error('Admin change department error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user department'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/users/:id/jurisdiction
+// @desc    Set the wards and zones a staff member covers (empty = whole city)
+// @access  Private (admin only)
+router.patch('/users/:id/jurisdiction', [
+  ...userIdValidation,
+  body('wards').optional().isArray({ max: 100 }).withMessage('wards must be an array'),
+  body('wards.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid ward'),
+  body('zones').optional().isArray({ max: 50 }).withMessage('zones must be an array'),
+  body('zones.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid zone')
+], handleValidation, loadTargetUser, async (req, res) => {
+  try {
+    if (!STAFF_ROLES.includes(req.targetUser.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only field officers and department heads have a jurisdiction'
+      });
+    }
+
+    if (req.body.wards === undefined && req.body.zones === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide wards and/or zones'
+      });
+    }
+
+    const jurisdiction = {
+      wards: req.body.wards !== undefined ? [...new Set(req.body.wards)] : req.targetUser.jurisdiction.wards,
+      zones: req.body.zones !== undefined ? [...new Set(req.body.zones)] : req.targetUser.jurisdiction.zones
+    };
+
+    const { wards, zones } = jurisdiction;
+    let messageKey = 'account_jurisdiction_cleared';
+    if (wards.length > 0 && zones.length > 0) messageKey = 'account_jurisdiction_changed';
+    else if (wards.length > 0) messageKey = 'account_jurisdiction_wards';
+    else if (zones.length > 0) messageKey = 'account_jurisdiction_zones';
+
+    const user = await applyUserChange(req, {
+      action: 'user.jurisdiction_changed',
+      updates: { jurisdiction },
+      messageKey,
+      messageParams: { wards, zones }
+    });
+
+    res.json({
+      success: true,
+      message: 'User jurisdiction updated successfully',
+      data: { user: user.toSafeObject() }
+    });
+
+  } catch (error) {
+    console.error('Admin change jurisdiction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user jurisdiction'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/users/:id/status
+// @desc    Activate/deactivate or verify/unverify a user
+// @access  Private (admin only)
+router.patch('/users/:id/status', [
+  ...userIdValidation,
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  body('isVerified').optional().isBoolean().withMessage('isVerified must be true or false')
+], handleValidation, loadTargetUser, async (req, res) => {
+  try {
+    const updates = {};
+    ['isActive', 'isVerified'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field] === true || req.body[field] === 'true';
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide isActive and/or isVerified'
+      });
+    }
+
+    const changes = [];
+    if (updates.isActive !== undefined) changes.push(updates.isActive ? 'activated' : 'deactivated');
+    if (updates.isVerified !== undefined) changes.push(updates.isVerified ? 'verified' : 'unverified');
+
+    const user = await applyUserChange(req, {
+      action: 'user.status_changed',
+      updates,
+      messageKey: 'account_status_changed',
+      messageParams: { changes }
+    });
+
+    // A deactivated account is signed out everywhere
+    if (updates.isActive === false) {
+      await Session.revokeAllForUser(user._id, 'admin');
+    }
+
+    res.json({
+      success: true,
+      message: 'User status updated successfully',
+      data: { user: user.toSafeObject() }
+    });
+
+  } catch (error) {
+    console.error('Admin change status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user status'
+    });
+  }
+});
+
+// @route   GET /api/admin/sla-policies
+// @desc    Get the effective SLA policy for every category and priority
+// @access  Private (admin only)
+router.get('/sla-policies', async (req, res) => {
+  try {
+    const overrides = await SlaPolicy.find({ isActive: true }).populate('updatedBy', 'firstName lastName');
+    const overrideMap = new Map(overrides.map(policy => [`${policy.category}:${policy.priority}`, policy]));
+
+    const policies = [];
+    CATEGORIES.forEach(category => {
+      PRIORITIES.forEach(priority => {
+        policies.push(overrideMap.get(`${category}:${priority}`) || getDefaultPolicy(category, priority));
+      });
+    });
+
+    res.json({
+      success: true,
+      data: { policies }
+    });
+
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SLA policies'
+    });
+  }
+});
+
+// @route   PUT /api/admin/sla-policies/:category/:priority
+// @desc    Override the SLA policy for a category and priority
+// @access  Private (admin only)
+router.put('/sla-policies/:category/:priority', [
+  param('category').isIn(CATEGORIES).withMessage('Invalid category'),
+  param('priority').isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('acknowledgeWithinHours').isFloat({ min: 0.25, max: 720 }).withMessage('Acknowledgement window must be between 0.25 and 720 hours'),
+  body('resolveWithinHours').isFloat({ min: 1, max: 8760 }).withMessage('Resolution window must be between 1 and 8760 hours')
+], handleValidation, async (req, res) => {
+  try {
+    const { category, priority } = req.params;
+    const acknowledgeWithinHours = parseFloat(req.body.acknowledgeWithinHours);
+    const resolveWithinHours = parseFloat(req.body.resolveWithinHours);
+
+    if (resolveWithinHours < acknowledgeWithinHours) {
+      return res.status(400).json({
+        success: false,
+        message: 'Resolution window cannot be shorter than acknowledgement window'
+      });
+    }
+
+    const existing = await SlaPolicy.findOne({ category, priority, isActive: true });
+    const before = existing ? existing.toObject() : getDefaultPolicy(category, priority);
+
+    const policy = await SlaPolicy.findOneAndUpdate(
+      { category, priority },
+      { acknowledgeWithinHours, resolveWithinHours, isActive: true, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await recordAudit(req, {
+      action: 'sla_policy.updated',
+      entityType: 'sla_policy',
+      entityId: policy._id,
+      before: {
+        acknowledgeWithinHours: before.acknowledgeWithinHours,
+        resolveWithinHours: before.resolveWithinHours
+      },
+      after: { acknowledgeWithinHours, resolveWithinHours },
+      metadata: { category, priority }
+    });
+
+    res.json({
+      success: true,
+      message: 'SLA policy updated. New deadlines apply to issues reported from now on.',
+      data: { policy }
+    });
+
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update SLA policy'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/sla-policies/:category/:priority
+// @desc    Remove an override and fall back to the default SLA policy
+// @access  Private (admin only)
+router.delete('/sla-policies/:category/:priority', [
+  param('category').isIn(CATEGORIES).withMessage('Invalid category'),
+  param('priority').isIn(PRIORITIES).withMessage('Invalid priority')
+], handleValidation, async (req, res) => {
+  try {
+    const { category, priority } = req.params;
+    const policy = await SlaPolicy.findOneAndDelete({ category, priority });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'No override exists for this category and priority'
+      });
+    }
+
+    const defaultPolicy = getDefaultPolicy(category, priority);
+
+    await recordAudit(req, {
+      action: 'sla_policy.reset',
+      entityType: 'sla_policy',
+      entityId: policy._id,
+      before: {
+        acknowledgeWithinHours: policy.acknowledgeWithinHours,
+        resolveWithinHours: policy.resolveWithinHours
+      },
+      after: {
+        acknowledgeWithinHours: defaultPolicy.acknowledgeWithinHours,
+        resolveWithinHours: defaultPolicy.resolveWithinHours
+      },
+      metadata: { category, priority }
+    });
+
+    res.json({
+      success: true,
+      message: 'SLA policy reset to default',
+      data: { policy: defaultPolicy }
+    });
+
+  } catch (error) {
+    console.error('Reset SLA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset SLA policy'
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs/stats
+// @desc    Outbox job counts by type and status
+// @access  Private (admin only)
+router.get('/jobs/stats', async (req, res) => {
+  try {
+    const counts = await Job.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } },
+      { $sort: { '_id.type': 1, '_id.status': 1 } }
+    ]);
+
+    const stats = counts.reduce((acc, { _id, count }) => {
+      acc[_id.type] = acc[_id.type] || {};
+      acc[_id.type][_id.status] = count;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      data: { stats }
+    });
+
+  } catch (error) {
+    console.error('Job stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job statistics'
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs
+// @desc    List outbox jobs; defaults to the dead-letter list
+// @access  Private (admin only)
+router.get('/jobs', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(Job.schema.path('status').enumValues).withMessage('Invalid job status'),
+  query('type').optional().trim().isLength({ min: 1, max: 100 })
+], handleValidation, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status = 'dead', type } = req.query;
+
+    const filter = { status };
+    if (type) filter.type = type;
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Job.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => job.toSafeObject()),
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        },
+        filters: { status, type }
+      }
+    });
+
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch jobs'
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs/:id/retry
+// @desc    Requeue a dead-lettered job with a fresh set of attempts
+// @access  Private (admin only)
+router.post('/jobs/:id/retry', [
+  param('id').isMongoId().withMessage('Invalid job ID')
+], handleValidation, async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'No dead or pending job with this ID'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'job.retried',
+      entityType: 'job',
+      entityId: job._id,
+      metadata: { type: job.type, lastError: job.lastError }
+    });
+
+    triggerJobWorker();
+
+    res.json({
+      success: true,
+      message: 'Job requeued',
+      data: { job: job.toSafeObject() }
+    });
+
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry job'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/jobs/:id
+// @desc    Discard a dead-lettered job
+// @access  Private (admin only)
+router.delete('/jobs/:id', [
+  param('id').isMongoId().withMessage('Invalid job ID')
+], handleValidation, async (req, res) => {
+  try {
+    const job = await Job.findOneAndDelete({ _id: req.params.id, status: 'dead' });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'No dead job with this ID'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'job.discarded',
+      entityType: 'job',
+      entityId: job._id,
+      before: { type: job.type, payload: job.toSafeObject().payload, lastError: job.lastError }
+    });
+
+    res.json({
+      success: true,
+      message: 'Job discarded'
+    });
+
+  } catch (error) {
+    console.error('Discard job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard job'
+    });
+  }
+});
+
+// @route   POST /api/admin/issues/import
+// @desc    Import issues from a CSV complaint register (multipart "file" or a "csv" text field).
+//          Runs as a dry run with a row-level report unless dryRun=false.
+// @access  Private (admin only)
+router.post('/issues/import', csvUpload.single('file'), [
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+  body('channel').optional().isIn(IMPORT_CONFIG.channels).withMessage(`channel must be one of: ${IMPORT_CONFIG.channels.join(', ')}`),
+  body('mapping').optional().custom(value => {
+    const mapping = typeof value === 'string' ? JSON.parse(value) : value;
+    return mapping !== null && typeof mapping === 'object' && !Array.isArray(mapping);
+  }).withMessage('mapping must be an object of field: column header'),
+  body('csv').optional().isString().withMessage('csv must be text')
+], handleValidation, async (req, res) => {
+  try {
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (!csvText) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV file or send its contents as csv'
+      });
+    }
+
+    const dryRun = String(req.body.dryRun) !== 'false';
+    const mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+
+    const report = await importIssues(csvText, {
+      mapping,
+      channel: req.body.channel,
+      dryRun,
+      performedBy: req.user._id
+    });
+
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'issue.imported',
+        entityType: 'issue',
+        metadata: {
+          batchId: report.batchId,
+          fileName: req.file?.originalname,
+          total: report.total,
+          imported: report.imported,
+          failed: report.failed
+        }
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${report.valid} of ${report.total} rows are valid`
+        : `Imported ${report.imported} of ${report.total} rows`,
+      data: { report }
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_IMPORT') {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Import issues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import issues'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-logs
+// @desc    Search the audit log by actor, entity, action and date, newest first
+// @access  Private (admin only)
+router.get('/audit-logs', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('entityType').optional().isIn(AuditLog.schema.path('entityType').enumValues).withMessage('Invalid entity type'),
+  query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+  query('action').optional().trim().isLength({ min: 1, max: 100 }),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
+], handleValidation, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { actor, entityType, entityId, action, from, to } = req.query;
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'firstName lastName email role')
+        .sort({ createdAt: -1, sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        },
+        filters: { actor, entityType, entityId, action, from, to }
+      }
+    });
+
+  } catch (error) {
+    console.error('List audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+const webhookIdValidation = [
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+];
+
+// Shared by create (required fields) and update (everything optional)
+const webhookValidation = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+  return [
+    field(body('name')).trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    field(body('url')).isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('URL must be an http(s) address'),
+    field(body('events')).isArray({ min: 1 }).withMessage('Subscribe to at least one event'),
+    body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`Events must be from: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('filters.categories').optional().isArray().withMessage('filters.categories must be a list'),
+    body('filters.categories.*').isIn(CATEGORIES).withMessage('Invalid category'),
+    body('filters.wards').optional().isArray().withMessage('filters.wards must be a list'),
+    body('filters.wards.*').trim().isLength({ min: 1, max: 50 }).withMessage('Invalid ward'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+// Webhook fields recorded in the audit log (never the secret)
+const snapshotWebhook = (webhook) => ({
+  name: webhook.name,
+  url: webhook.url,
+  events: [...webhook.events],
+  filters: {
+    categories: [...(webhook.filters?.categories || [])],
+    wards: [...(webhook.filters?.wards || [])]
+  },
+  isActive: webhook.isActive
+});
+
+// @route   GET /api/admin/webhooks
+// @desc    List webhook subscriptions
+// @access  Private (admin only)
+router.get('/webhooks', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find()
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { webhooks, events: WEBHOOK_EVENTS }
+    });
+
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhooks'
+    });
+  }
+});
+
+// @route   POST /api/admin/webhooks
+// @desc    Subscribe a URL to issue events. The signing secret is only shown in this response.
+// @access  Private (admin only)
+router.post('/webhooks', webhookValidation(false), handleValidation, async (req, res) => {
+  try {
+    const { name, url, events, filters = {}, isActive } = req.body;
+
+    const webhook = await Webhook.create({
+      name,
+      url,
+      events: [...new Set(events)],
+      filters: { categories: filters.categories || [], wards: filters.wards || [] },
+      isActive,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.created',
+      entityType: 'webhook',
+      entityId: webhook._id,
+      after: snapshotWebhook(webhook)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now; it will not be shown again.',
+      data: { webhook, secret: webhook.secret }
+    });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create webhook'
+    });
+  }
+});
+
+// @route   GET /api/admin/webhooks/:id
+// @desc    Get a webhook with delivery counts
+// @access  Private (admin only)
+router.get('/webhooks/:id', webhookIdValidation, handleValidation, async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id).populate('createdBy', 'firstName lastName');
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { webhook: webhook._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        webhook,
+        deliveries: Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/webhooks/:id
+// @desc    Update a webhook; rotateSecret=true issues a new signing secret
+// @access  Private (admin only)
+router.patch('/webhooks/:id', [
+  ...webhookIdValidation,
+  ...webhookValidation(true),
+  body('rotateSecret').optional().isBoolean().withMessage('rotateSecret must be true or false')
+], handleValidation, async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const before = snapshotWebhook(webhook);
+    const { name, url, events, filters = {}, isActive } = req.body;
+
+    if (name !== undefined) webhook.name = name;
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (filters.categories !== undefined) webhook.filters.categories = filters.categories;
+    if (filters.wards !== undefined) webhook.filters.wards = filters.wards;
+    if (isActive !== undefined) {
+      webhook.isActive = isActive === true || isActive === 'true';
+      // Re-enabling starts the failure count afresh
+      if (webhook.isActive) webhook.stats.consecutiveFailures = 0;
+    }
+
+    const rotated = String(req.body.rotateSecret) === 'true';
+    const secret = rotated ? webhook.rotateSecret() : undefined;
+
+    await webhook.save();
+
+    await recordAudit(req, {
+      action: 'webhook.updated',
+      entityType: 'webhook',
+      entityId: webhook._id,
+      before,
+      after: snapshotWebhook(webhook),
+      metadata: { secretRotated: rotated }
+    });
+
+    res.json({
+      success: true,
+      message: rotated ? 'Webhook updated. Store the new secret now; it will not be shown again.' : 'Webhook updated',
+      data: { webhook, ...(rotated && { secret }) }
+    });
+
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update webhook'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/webhooks/:id
+// @desc    Delete a webhook; queued deliveries to it are dropped
+// @access  Private (admin only)
+router.delete('/webhooks/:id', webhookIdValidation, handleValidation, async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'webhook.deleted',
+      entityType: 'webhook',
+      entityId: webhook._id,
+      before: snapshotWebhook(webhook)
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook'
+    });
+  }
+});
+
+// @route   GET /api/admin/webhooks/:id/deliveries
+// @desc    Delivery log for a webhook, newest first
+// @access  Private (admin only)
+router.get('/webhooks/:id/deliveries', [
+  ...webhookIdValidation,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(WebhookDelivery.schema.path('status').enumValues).withMessage('Invalid delivery status'),
+  query('event').optional().trim().isLength({ min: 1, max: 50 })
+], handleValidation, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, event } = req.query;
+
+    const filter = { webhook: req.params.id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .populate('issue', 'trackingId title')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        },
+        filters: { status, event }
+      }
+    });
+
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+// @route   POST /api/admin/webhooks/:id/test
+// @desc    Send a signed "webhook.test" event straight away and report the receiver's response
+// @access  Private (admin only)
+router.post('/webhooks/:id/test', webhookIdValidation, handleValidation, async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id).select('+secret');
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const { delivery, attempt } = await sendTestEvent(webhook, req.user._id);
+
+    res.json({
+      success: true,
+      message: attempt.ok ? 'Test event delivered' : `Test event failed: ${attempt.error}`,
+      data: {
+        delivered: attempt.ok,
+        statusCode: attempt.statusCode,
+        durationMs: attempt.durationMs,
+        response: attempt.response,
+        deliveryId: delivery._id
+      }
+    });
+
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send test event'
+    });
+  }
+});
+
+const routingRuleIdValidation = [
+  param('id').isMongoId().withMessage('Invalid routing rule ID')
+];
+
+// Shared by create (required fields) and update (everything optional)
+const routingRuleValidation = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+  const list = (name, maxLength = 50) => [
+    body(`conditions.${name}`).optional().isArray({ max: 50 }).withMessage(`conditions.${name} must be a list`),
+    body(`conditions.${name}.*`).trim().isLength({ min: 1, max: maxLength }).withMessage(`Invalid entry in conditions.${name}`)
+  ];
+
+  return [
+    field(body('name')).trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    body('order').optional().isInt({ min: 0, max: 10000 }).withMessage('order must be a whole number from 0 to 10000'),
+    field(body('department')).custom(validateActiveDepartmentCode),
+    body('conditions.categories').optional().isArray().withMessage('conditions.categories must be a list'),
+    body('conditions.categories.*').isIn(CATEGORIES).withMessage('Invalid category'),
+    body('conditions.priorities').optional().isArray().withMessage('conditions.priorities must be a list'),
+    body('conditions.priorities.*').isIn(PRIORITIES).withMessage('Invalid priority'),
+    ...list('subCategories'),
+    ...list('wards'),
+    ...list('zones'),
+    ...list('keywords', 100),
+    body('assignment.strategy').optional().isIn(ASSIGNMENT_STRATEGIES)
+      .withMessage(`assignment.strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`),
+    body('assignment.roles').optional().isArray().withMessage('assignment.roles must be a list'),
+    body('assignment.roles.*').isIn(STAFF_ROLES).withMessage('Invalid assignment role'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+// Routing rule fields recorded in the audit log
+const snapshotRoutingRule = (rule) => ({
+  name: rule.name,
+  order: rule.order,
+  conditions: rule.toObject().conditions,
+  department: rule.department,
+  assignment: { strategy: rule.assignment?.strategy, roles: [...(rule.assignment?.roles || [])] },
+  isActive: rule.isActive
+});
+
+// Copy the editable fields of a request onto a rule
+const applyRoutingRuleFields = (rule, { name, description, order, department, conditions = {}, assignment = {}, isActive }) => {
+  if (name !== undefined) rule.name = name;
+  if (description !== undefined) rule.description = description;
+  if (order !== undefined) rule.order = parseInt(order);
+  if (department !== undefined) rule.department = department;
+  ['categories', 'subCategories', 'wards', 'zones', 'priorities', 'keywords'].forEach(key => {
+    if (conditions[key] !== undefined) rule.set(`conditions.${key}`, [...new Set(conditions[key])]);
+  });
+  if (assignment.strategy !== undefined) rule.set('assignment.strategy', assignment.strategy);
+  if (assignment.roles !== undefined) rule.set('assignment.roles', [...new Set(assignment.roles)]);
+  if (isActive !== undefined) rule.isActive = isActive === true || isActive === 'true';
+};
+
+// @route   GET /api/admin/routing-rules
+// @desc    List routing rules in the order they are tried
+// @access  Private (admin only)
+router.get('/routing-rules', async (req, res) => {
+  try {
+    const rules = await RoutingRule.find()
+      .populate('assignment.lastAssignedUser', 'firstName lastName')
+      .sort({ order: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { rules, strategies: ASSIGNMENT_STRATEGIES }
+    });
+
+  } catch (error) {
+    console.error('List routing rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch routing rules'
+    });
+  }
+});
+
+// @route   POST /api/admin/routing-rules
+// @desc    Create a routing rule for new issues
+// @access  Private (admin only)
+router.post('/routing-rules', routingRuleValidation(false), handleValidation, async (req, res) => {
+  try {
+    const rule = new RoutingRule({ createdBy: req.user._id, updatedBy: req.user._id });
+    applyRoutingRuleFields(rule, req.body);
+    await rule.save();
+
+    await recordAudit(req, {
+      action: 'routing_rule.created',
+      entityType: 'routing_rule',
+      entityId: rule._id,
+      after: snapshotRoutingRule(rule)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Routing rule created',
+      data: { rule }
+    });
+
+  } catch (error) {
+    console.error('Create routing rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create routing rule'
+    });
+  }
+});
+
+// @route   POST /api/admin/routing-rules/dry-run
+// @desc    Show which rule would route a sample issue, where it would go and who would get it.
+//          Nothing is changed; round-robin rules show the next officer in turn.
+// @access  Private (admin only)
+router.post('/routing-rules/dry-run', [
+  body('category').isIn(CATEGORIES).withMessage('Invalid category'),
+  body('subCategory').optional().trim().isLength({ max: 50 }).withMessage('Invalid sub-category'),
+  body('priority').optional().isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('ward').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid ward'),
+  body('zone').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid zone'),
+  body('title').optional().trim().isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+  body('tags').optional().isArray().withMessage('tags must be a list')
+], handleValidation, async (req, res) => {
+  try {
+    const sample = {
+      category: req.body.category,
+      subCategory: req.body.subCategory,
+      priority: req.body.priority || 'medium',
+      title: req.body.title || '',
+      description: req.body.description || '',
+      tags: req.body.tags || [],
+      location: { ward: req.body.ward, zone: req.body.zone }
+    };
+
+    const { rule, department, assignee, strategy, evaluations } = await routeIssue(sample, { dryRun: true });
+
+    res.json({
+      success: true,
+      data: {
+        rule: rule && { _id: rule._id, name: rule.name, order: rule.order },
+        department,
+        usedDefault: !rule,
+        strategy,
+        assignee: assignee && { _id: assignee._id, firstName: assignee.firstName, lastName: assignee.lastName, role: assignee.role },
+        evaluations
+      }
+    });
+
+  } catch (error) {
+    console.error('Routing dry run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run routing rules'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/routing-rules/:id
+// @desc    Update a routing rule
+// @access  Private (admin only)
+router.patch('/routing-rules/:id', [
+  ...routingRuleIdValidation,
+  ...routingRuleValidation(true)
+], handleValidation, async (req, res) => {
+  try {
+    const rule = await RoutingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routing rule not found'
+      });
+    }
+
+    const before = snapshotRoutingRule(rule);
+    applyRoutingRuleFields(rule, req.body);
+    rule.updatedBy = req.user._id;
+    await rule.save();
+
+    await recordAudit(req, {
+      action: 'routing_rule.updated',
+      entityType: 'routing_rule',
+      entityId: rule._id,
+      before,
+      after: snapshotRoutingRule(rule)
+    });
+
+    res.json({
+      success: true,
+      message: 'Routing rule updated',
+      data: { rule }
+    });
+
+  } catch (error) {
+    console.error('Update routing rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update routing rule'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/routing-rules/:id
+// @desc    Delete a routing rule; issues it already routed keep their department
+// @access  Private (admin only)
+router.delete('/routing-rules/:id', routingRuleIdValidation, handleValidation, async (req, res) => {
+  try {
+    const rule = await RoutingRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routing rule not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'routing_rule.deleted',
+      entityType: 'routing_rule',
+      entityId: rule._id,
+      before: snapshotRoutingRule(rule)
+    });
+
+    res.json({
+      success: true,
+      message: 'Routing rule deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete routing rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete routing rule'
+    });
+  }
+});
+
+const departmentIdValidation = [
+  param('id').isMongoId().withMessage('Invalid department ID')
+];
+
+// Shared by create (required fields) and update (everything optional; the code cannot change)
+const departmentValidation = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+  return [
+    ...(optional ? [] : [
+      body('code').trim().toLowerCase().matches(/^[a-z][a-z0-9_]{1,29}$/)
+        .withMessage('Code must be 2-30 lowercase letters, digits or underscores')
+    ]),
+    field(body('name')).trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    body('categories').optional().isArray().withMessage('categories must be a list'),
+    body('categories.*').isIn(ISSUE_CATEGORIES).withMessage('Invalid category'),
+    body('heads').optional().isArray({ max: 5 }).withMessage('heads must be a list of up to 5 users'),
+    body('heads.*').isMongoId().withMessage('Invalid user ID'),
+    body('contact.email').optional({ checkFalsy: true }).isEmail().withMessage('Invalid contact email'),
+    body('contact.phone').optional({ checkFalsy: true }).matches(/^[0-9+\-\s]{6,20}$/).withMessage('Invalid contact phone'),
+    body('contact.address').optional().trim().isLength({ max: 300 }).withMessage('Address cannot exceed 300 characters'),
+    body('contact.officeHoursNote').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters'),
+    body('workingHours').optional().isArray({ max: 14 }).withMessage('workingHours must be a list'),
+    body('workingHours.*.day').isInt({ min: 0, max: 6 }).withMessage('day must be 0 (Sunday) to 6 (Saturday)'),
+    body('workingHours.*.opens').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('opens must be HH:MM'),
+    body('workingHours.*.closes').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('closes must be HH:MM'),
+    body('holidays').optional().isArray({ max: 100 }).withMessage('holidays must be a list'),
+    body('holidays.*.date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }).withMessage('Holiday date must be YYYY-MM-DD'),
+    body('holidays.*.name').trim().isLength({ min: 1, max: 100 }).withMessage('Holiday name must be between 1 and 100 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+// Department fields recorded in the audit log
+const snapshotDepartment = (department) => {
+  const { code, name, categories, heads, contact, workingHours, holidays, isActive } = department.toObject({ virtuals: false });
+  return { code, name, categories, heads, contact, workingHours, holidays, isActive };
+};
+
+// Check a department change against other records. Returns an error message or null.
+const checkDepartmentChange = async (department, { categories, heads }) => {
+  if (department.code === DEPARTMENT_CONFIG.fallbackCode && !department.isActive) {
+    return `The ${department.code} department takes issues no other department handles and cannot be deactivated`;
+  }
+
+  if (categories && categories.length > 0) {
+    const overlapping = await Department.findOne({
+      _id: { $ne: department._id },
+      isActive: true,
+      categories: { $in: categories }
+    }).select('code categories');
+
+    if (overlapping) {
+      const shared = categories.filter(category => overlapping.categories.includes(category));
+      return `${shared.join(', ')} already handled by the ${overlapping.code} department`;
+    }
+  }
+
+  if (heads && heads.length > 0) {
+    const valid = await User.countDocuments({
+      _id: { $in: heads },
+      role: 'department_head',
+      department: department.code,
+      isActive: true
+    });
+
+    if (valid !== new Set(heads).size) {
+      return `Heads must be active department heads of the ${department.code} department`;
+    }
+  }
+
+  return null;
+};
+
+// Copy the editable fields of a request onto a department
+const applyDepartmentFields = (department, { name, description, categories, heads, contact, workingHours, holidays, isActive }) => {
+  if (name !== undefined) department.name = name;
+  if (description !== undefined) department.description = description;
+  if (categories !== undefined) department.categories = [...new Set(categories)];
+  if (heads !== undefined) department.heads = [...new Set(heads)];
+  if (contact !== undefined) {
+    ['email', 'phone', 'address', 'officeHoursNote'].forEach(key => {
+      if (contact[key] !== undefined) department.set(`contact.${key}`, contact[key] || undefined);
+    });
+  }
+  if (workingHours !== undefined) {
+    department.workingHours = workingHours.map(({ day, opens, closes }) => ({ day: parseInt(day), opens, closes }));
+  }
+  if (holidays !== undefined) department.holidays = holidays.map(({ date, name: holiday }) => ({ date, name: holiday }));
+  if (isActive !== undefined) department.isActive = isActive === true || isActive === 'true';
+};
+
+// @route   GET /api/admin/departments
+// @desc    List departments with their heads and staff counts
+// @access  Private (admin only)
+router.get('/departments', async (req, res) => {
+  try {
+    const [departments, staff] = await Promise.all([
+      Department.find().populate('heads', 'firstName lastName email phone').sort({ name: 1 }),
+      User.aggregate([
+        { $match: { role: { $in: STAFF_ROLES }, isActive: true } },
+        { $group: { _id: { department: '$department', role: '$role' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = {};
+    staff.forEach(({ _id, count }) => {
+      counts[_id.department] = { ...counts[_id.department], [_id.role]: count };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        departments: departments.map(department => ({
+          ...department.toJSON(),
+          staff: counts[department.code] || {}
+        })),
+        categories: ISSUE_CATEGORIES
+      }
+    });
+
+  } catch (error) {
+    console.error('List departments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch departments'
+    });
+  }
+});
+
+// @route   GET /api/admin/departments/:id
+// @desc    Get a department with its heads and members
+// @access  Private (admin only)
+router.get('/departments/:id', departmentIdValidation, handleValidation, async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id)
+      .populate('heads', 'firstName lastName email phone')
+      .populate({ path: 'members', select: 'firstName lastName email phone role jurisdiction isActive', match: { role: { $in: STAFF_ROLES } } });
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { department, openNow: department.isOpenAt() }
+    });
+
+  } catch (error) {
+    console.error('Get department error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch department'
+    });
+  }
+});
+
+// @route   POST /api/admin/departments
+// @desc    Create a department
+// @access  Private (admin only)
+router.post('/departments', departmentValidation(false), handleValidation, async (req, res) => {
+  try {
+    if (await Department.exists({ code: req.body.code })) {
+      return res.status(409).json({
+        success: false,
+        message: `A department with code ${req.body.code} already exists`
+      });
+    }
+
+    const department = new Department({ code: req.body.code, updatedBy: req.user._id });
+    applyDepartmentFields(department, req.body);
+
+    const conflict = await checkDepartmentChange(department, {
+      categories: department.isActive ? [...department.categories] : [],
+      heads: req.body.heads
+    });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    await department.save();
+    clearDepartmentCache();
+
+    await recordAudit(req, {
+      action: 'department.created',
+      entityType: 'department',
+      entityId: department._id,
+      after: snapshotDepartment(department)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Department created',
+      data: { department }
+    });
+
+  } catch (error) {
+    console.error('Create department error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create department'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/departments/:id
+// @desc    Update a department's details, categories, heads, hours or holidays
+// @access  Private (admin only)
+router.patch('/departments/:id', [
+  ...departmentIdValidation,
+  body('code').not().exists().withMessage('Department code cannot be changed'),
+  ...departmentValidation(true)
+], handleValidation, async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    const before = snapshotDepartment(department);
+    applyDepartmentFields(department, req.body);
+
+    const conflict = await checkDepartmentChange(department, {
+      categories: department.isActive ? [...department.categories] : [],
+      heads: req.body.heads
+    });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    department.updatedBy = req.user._id;
+    await department.save();
+    clearDepartmentCache();
+
+    await recordAudit(req, {
+      action: 'department.updated',
+      entityType: 'department',
+      entityId: department._id,
+      before,
+      after: snapshotDepartment(department)
+    });
+
+    res.json({
+      success: true,
+      message: 'Department updated',
+      data: { department }
+    });
+
+  } catch (error) {
+    console.error('Update department error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update department'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/departments/:id
+// @desc    Delete a department nobody refers to; otherwise deactivate it instead
+// @access  Private (admin only)
+router.delete('/departments/:id', departmentIdValidation, handleValidation, async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    if (department.code === DEPARTMENT_CONFIG.fallbackCode) {
+      return res.status(409).json({
+        success: false,
+        message: `The ${department.code} department takes issues no other department handles and cannot be deleted`
+      });
+    }
+
+    const [users, issues, rules] = await Promise.all([
+      User.countDocuments({ department: department.code }),
+      Issue.countDocuments({ 'assignedTo.department': department.code }),
+      RoutingRule.countDocuments({ department: department.code })
+    ]);
+
+    if (users + issues + rules > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Department is still used by ${users} user(s), ${issues} issue(s) and ${rules} routing rule(s). Deactivate it instead.`
+      });
+    }
+
+    await department.deleteOne();
+    clearDepartmentCache();
+
+    await recordAudit(req, {
+      action: 'department.deleted',
+      entityType: 'department',
+      entityId: department._id,
+      before: snapshotDepartment(department)
+    });
+
+    res.json({
+      success: true,
+      message: 'Department deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete department error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete department'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Issue = require('../models/Issue');
+const { authenticate, authorize } = require('../middleware/auth');
+const { GROUP_BY, TIME_FORMATS, AGE_BUCKETS, getIssueAnalytics } = require('../utils/analytics');
+const { validateDepartmentCode } = require('../utils/departments');
+
+const router = express.Router();
+
+const CATEGORIES = Issue.schema.path('category').enumValues;
+const PRIORITIES = Issue.schema.path('priority').enumValues;
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// All analytics routes are for admins and department heads
+router.use(authenticate, authorize('admin', 'department_head'));
+
+// @route   GET /api/analytics/issues
+// @desc    Issue performance metrics with a breakdown by department, category, ward, assignee or time
+// @access  Private (admin, department head - own department only)
+router.get('/issues', [
+  query('groupBy').optional().isIn(GROUP_BY).withMessage(`groupBy must be one of: ${GROUP_BY.join(', ')}`),
+  query('interval').optional().isIn(Object.keys(TIME_FORMATS)).withMessage('interval must be day, week or month'),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  query('department').optional().custom(validateDepartmentCode),
+  query('category').optional().isIn(CATEGORIES).withMessage('Invalid category'),
+  query('priority').optional().isIn(PRIORITIES).withMessage('Invalid priority'),
+  query('ward').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid ward'),
+  query('zone').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid zone')
+], handleValidation, async (req, res) => {
+  try {
+    const filters = {
+      groupBy: req.query.groupBy || 'department',
+      interval: req.query.interval || 'week',
+      from: req.query.from,
+      to: req.query.to,
+      department: req.query.department,
+      category: req.query.category,
+      priority: req.query.priority,
+      ward: req.query.ward,
+      zone: req.query.zone
+    };
+
+    // Department heads only see their own department
+    if (req.user.role === 'department_head') {
+      if (filters.department && filters.department !== req.user.department) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Department mismatch.'
+        });
+      }
+      filters.department = req.user.department;
+    }
+
+    const { summary, breakdown } = await getIssueAnalytics(filters);
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        breakdown,
+        ageBuckets: AGE_BUCKETS.map(bucket => bucket.label),
+        filters,
+        generatedAt: new Date()
+      }
+    });
+
+  } catch (error) {
+    console.error('Issue analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute issue analytics'
+    });
+  }
+});
+
+module.exports = router;
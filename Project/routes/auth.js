@@ -1,14 +1,61 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
-const { authenticate, rateLimit } = require('../middleware/auth');
-const { sendEmail } = require('../utils/email');
+const Session = require('../models/Session');
+const Notification = require('../models/Notification');
+const { authenticate } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { enqueueJob, triggerJobWorker } = require('../utils/jobQueue');
+const { recordAudit, diffChanges } = require('../utils/audit');
 
 const router = express.Router();
 
+const REFRESH_COOKIE = 'refreshToken';
+
+const cookieOptions = (maxAge, path = '/') => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path,
+  maxAge
+});
+
+// Set the access token and refresh token cookies and return the token payload for the response
+const sendTokens = (res, user, session, refreshToken) => {
+  const token = user.generateAuthToken(session._id);
+  const { exp } = jwt.decode(token);
+  const expiresIn = exp - Math.floor(Date.now() / 1000);
+
+  res.cookie('token', token, cookieOptions(expiresIn * 1000));
+  // The refresh token is only ever sent to the auth routes
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(session.expiresAt - Date.now(), '/api/auth'));
+
+  return {
+    token,
+    refreshToken,
+    expiresIn,
+    sessionId: session._id
+  };
+};
+
+// Start a new session for a successful login or registration
+const startSession = async (req, res, user) => {
+  const { session, refreshToken } = await Session.createForUser(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return sendTokens(res, user, session, refreshToken);
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('token', { path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+};
+
 // Validation rules
 const registerValidation = [
   body('firstName')
@@ -61,7 +108,7 @@ const loginValidation = [
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', rateLimit(5, 15 * 60 * 1000), registerValidation, async (req, res) => {
+router.post('/register', rateLimit('register'), registerValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -88,37 +135,24 @@ router.post('/register', rateLimit(5, 15 * 60 * 1000), registerValidation, async
 
     await user.save();
 
-    // Send verification email
+    // Queue verification email (retried by the outbox worker). The worker reads the
+    // verification link from the user at send time so it is never stored in the job.
     try {
-      await sendEmail({
-        to: user.email,
-        subject: 'Welcome to Anand Municipal Corporation Portal',
-        template: 'welcome',
-        data: {
-          firstName: user.firstName,
-          verificationToken: user.verificationToken
-        }
-      });
+      await enqueueJob('email.account', { userId: user._id, template: 'welcome' });
+      triggerJobWorker();
     } catch (emailError) {
-      console.error('Failed to send welcome email:', emailError);
+      console.error('Failed to queue welcome email:', emailError);
     }
 
-    // Generate token
-    const token = user.generateAuthToken();
-
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // Start a session with access and refresh tokens
+    const tokens = await startSession(req, res, user);
 
     res.status(201).json({
       success: true,
       message: 'Registration successful',
       data: {
         user: user.toSafeObject(),
-        token
+        ...tokens
       }
     });
 
@@ -143,7 +177,7 @@ router.post('/register', rateLimit(5, 15 * 60 * 1000), registerValidation, async
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', rateLimit(10, 15 * 60 * 1000), loginValidation, async (req, res) => {
+router.post('/login', rateLimit('login'), loginValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -188,22 +222,15 @@ router.post('/login', rateLimit(10, 15 * 60 * 1000), loginValidation, async (req
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = user.generateAuthToken();
-
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // Start a session with access and refresh tokens
+    const tokens = await startSession(req, res, user);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user: user.toSafeObject(),
-        token
+        ...tokens
       }
     });
 
@@ -216,15 +243,207 @@ router.post('/login', rateLimit(10, 15 * 60 * 1000), loginValidation, async (req
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (refresh token in body or cookie)
+router.post('/refresh', rateLimit('refresh'), async (req, res) => {
+  try {
+    const refreshToken = req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE];
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token required'
+      });
+    }
+
+    const result = await Session.rotate(refreshToken, { ip: req.ip });
+
+    if (result.error) {
+      clearAuthCookies(res);
+
+      if (result.error === 'reuse_detected') {
+        console.warn(`Refresh token reuse detected for session ${result.session._id}`);
+
+        await Notification.createNotification({
+          recipient: result.session.user,
+          type: 'account_updated',
+          messageKey: 'session_reuse',
+          messageParams: { device: result.session.device },
+          priority: 'urgent',
+          metadata: { sessionId: result.session._id, ip: req.ip }
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        code: result.error === 'reuse_detected' ? 'REFRESH_TOKEN_REUSED' : 'REFRESH_TOKEN_INVALID',
+        message: result.error === 'reuse_detected'
+          ? 'This session has been signed out for security reasons. Please log in again.'
+          : 'Session has ended. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+
+    if (!user || !user.isActive) {
+      await result.session.revoke('admin');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    const tokens = sendTokens(res, user, result.session, result.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user (revokes the current session)
 // @access  Private
-router.post('/logout', authenticate, (req, res) => {
-  res.clearCookie('token');
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          lastIp: session.lastIp,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          isCurrent: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions (keepCurrent=true keeps this one signed in)
+// @access  Private
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true' || req.body?.keepCurrent === true;
+
+    const revoked = await Session.revokeAllForUser(
+      req.user._id,
+      'user_revoked',
+      keepCurrent ? req.authSession._id : null
+    );
+
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: keepCurrent ? 'Signed out of all other sessions' : 'Signed out of all sessions',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', authenticate, [
+  param('sessionId').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    const isCurrent = session._id.equals(req.authSession._id);
+    if (isCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+      data: { sessionId: session._id, isCurrent }
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
 });
 
 // @route   GET /api/auth/me
@@ -289,12 +508,22 @@ router.put('/profile', authenticate, [
       }
     });
 
+    const fields = Object.keys(updates);
+    const before = Object.fromEntries(fields.map(field => [field, req.user.get(field)]));
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       updates,
       { new: true, runValidators: true }
     );
 
+    await recordAudit(req, {
+      action: 'user.profile_updated',
+      entityType: 'user',
+      entityId: user._id,
+      ...diffChanges(before, Object.fromEntries(fields.map(field => [field, user.get(field)])))
+    });
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -355,6 +584,15 @@ router.post('/change-password', authenticate, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device that knew the old password
+    await Session.revokeAllForUser(user._id, 'password_changed', req.authSession._id);
+
+    await recordAudit(req, {
+      action: 'user.password_changed',
+      entityType: 'user',
+      entityId: user._id
+    });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -372,7 +610,7 @@ router.post('/change-password', authenticate, [
 // @route   POST /api/auth/forgot-password
 // @desc    Request password reset
 // @access  Public
-router.post('/forgot-password', rateLimit(3, 15 * 60 * 1000), [
+router.post('/forgot-password', rateLimit('forgotPassword'), [
   body('email')
     .isEmail()
     .normalizeEmail()
@@ -399,27 +637,13 @@ router.post('/forgot-password', rateLimit(3, 15 * 60 * 1000), [
       });
     }
 
-    // Generate reset token
-    const resetToken = user.generatePasswordResetToken();
-    await user.save();
-
-    // Send password reset email
+    // Queue password reset email (retried by the outbox worker). The reset token is
+    // generated by the worker at send time so it is never stored in the job.
     try {
-      await sendEmail({
-        to: user.email,
-        subject: 'Password Reset Request',
-        template: 'password-reset',
-        data: {
-          firstName: user.firstName,
-          resetToken,
-          resetUrl: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`
-        }
-      });
+      await enqueueJob('email.account', { userId: user._id, template: 'password-reset' }, { maxAttempts: 3 });
+      triggerJobWorker();
     } catch (emailError) {
-      console.error('Failed to send password reset email:', emailError);
-      user.resetPasswordToken = undefined;
-      user.resetPasswordExpire = undefined;
-      await user.save();
+      console.error('Failed to queue password reset email:', emailError);
       
       return res.status(500).json({
         success: false,
@@ -429,7 +653,7 @@ router.post('/forgot-password', rateLimit(3, 15 * 60 * 1000), [
 
     res.json({
       success: true,
-      message: 'Password reset email sent successfully'
+      message: 'If your email is registered, you will receive a password reset link.'
     });
 
   } catch (error) {
@@ -444,7 +668,7 @@ router.post('/forgot-password', rateLimit(3, 15 * 60 * 1000), [
 // @route   POST /api/auth/reset-password
 // @desc    Reset password with token
 // @access  Public
-router.post('/reset-password', rateLimit(5, 15 * 60 * 1000), [
+router.post('/reset-password', rateLimit('resetPassword'), [
   body('token')
     .notEmpty()
     .withMessage('Reset token is required'),
@@ -489,6 +713,9 @@ router.post('/reset-password', rateLimit(5, 15 * 60 * 1000), [
     
     await user.save();
 
+    // Whoever had the account before the reset is signed out
+    await Session.revokeAllForUser(user._id, 'password_changed');
+
     res.json({
       success: true,
       message: 'Password reset successful'
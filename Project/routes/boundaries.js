@@ -0,0 +1,77 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Boundary = require('../models/Boundary');
+const { resolveLocation } = require('../utils/boundaries');
+
+const router = express.Router();
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// @route   GET /api/boundaries
+// @desc    List wards, zones and municipal limits (geometry on request)
+// @access  Public
+router.get('/', [
+  query('type').optional().isIn(['ward', 'zone', 'municipal_limit']).withMessage('Invalid boundary type'),
+  query('zone').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid zone'),
+  query('includeGeometry').optional().isBoolean().withMessage('includeGeometry must be true or false')
+], handleValidation, async (req, res) => {
+  try {
+    const { type, zone, includeGeometry } = req.query;
+
+    const filter = { isActive: true };
+    if (type) filter.type = type;
+    if (zone) filter.zone = zone;
+
+    const boundaries = await Boundary.find(filter)
+      .select(includeGeometry === 'true' ? 'type code name zone bbox geometry' : 'type code name zone bbox')
+      .sort({ type: 1, code: 1 });
+
+    res.json({
+      success: true,
+      data: { boundaries }
+    });
+
+  } catch (error) {
+    console.error('Get boundaries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch boundaries'
+    });
+  }
+});
+
+// @route   GET /api/boundaries/resolve
+// @desc    Resolve the ward and zone for a coordinate pair
+// @access  Public
+router.get('/resolve', [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+], handleValidation, async (req, res) => {
+  try {
+    const location = await resolveLocation(req.query.lat, req.query.lng);
+
+    res.json({
+      success: true,
+      data: { location }
+    });
+
+  } catch (error) {
+    console.error('Resolve boundary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve location'
+    });
+  }
+});
+
+module.exports = router;
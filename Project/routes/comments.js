@@ -0,0 +1,567 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Issue = require('../models/Issue');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { emitToIssue, emitToDepartment } = require('../utils/socket');
+const { recordAudit } = require('../utils/audit');
+const { getIssueDepartment } = require('../utils/departments');
+
+// Mounted under /api/issues/:id/comments, so the issue ID comes from the parent router
+const router = express.Router({ mergeParams: true });
+
+const STAFF_ROLES = ['admin', 'department_head', 'field_officer'];
+
+const isStaff = (user) => !!user && STAFF_ROLES.includes(user.role);
+
+// Comment types a user is allowed to read. Internal staff notes are never shown to citizens.
+const getVisibleTypes = (user) => (isStaff(user) ? ['public', 'internal', 'system'] : ['public', 'system']);
+
+// Same privacy rule used by the issue and timeline routes
+const canViewIssue = (issue, user) => {
+  if (issue.isPublic) return true;
+  if (!user) return false;
+  return issue.reportedBy.toString() === user._id.toString() || isStaff(user);
+};
+
+const commentIdValidation = [
+  param('commentId').isMongoId().withMessage('Invalid comment ID')
+];
+
+// Load the parent issue and enforce privacy before any comment handler runs
+const loadIssue = async (req, res, next) => {
+  try {
+    const issue = await Issue.findById(req.params.id).select('title isPublic reportedBy category assignedTo');
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    if (!canViewIssue(issue, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    req.issue = issue;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid issue ID'
+      });
+    }
+
+    console.error('Load issue for comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load issue'
+    });
+  }
+};
+
+// Load a comment on the current issue that the user is allowed to see
+const loadComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      issue: req.issue._id,
+      isDeleted: false
+    });
+
+    if (!comment || !getVisibleTypes(req.user).includes(comment.type)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    req.comment = comment;
+    next();
+  } catch (error) {
+    console.error('Load comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load comment'
+    });
+  }
+};
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Internal notes go to the department working the issue; everything else to the issue room
+const broadcastComment = async (issue, event, payload, type) => {
+  if (type === 'internal') {
+    emitToDepartment(await getIssueDepartment(issue), event, payload);
+  } else {
+    emitToIssue(issue._id, event, payload);
+  }
+};
+
+// @route   GET /api/issues/:id/comments
+// @desc    Get comments for an issue (internal notes only visible to staff)
+// @access  Public (respects issue privacy)
+router.get('/', optionalAuth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('type').optional().isIn(['public', 'internal', 'system']).withMessage('Invalid comment type')
+], handleValidation, loadIssue, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    let types = getVisibleTypes(req.user);
+    if (req.query.type) {
+      types = types.filter(type => type === req.query.type);
+    }
+
+    const [comments, total] = await Promise.all([
+      Comment.getCommentsForIssue(req.issue._id, page, limit, types),
+      Comment.countDocuments({ issue: req.issue._id, isDeleted: false, type: { $in: types } })
+    ]);
+
+    const commentsData = comments.map(comment => {
+      const commentObj = comment.toObject();
+      if (req.user) {
+        commentObj.isLiked = comment.likes.some(like =>
+          like.user.toString() === req.user._id.toString()
+        );
+      }
+      delete commentObj.editHistory;
+      return commentObj;
+    });
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        comments: commentsData,
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments'
+    });
+  }
+});
+
+// @route   POST /api/issues/:id/comments
+// @desc    Add a comment to an issue
+// @access  Private (internal notes: staff only)
+router.post('/', authenticate, rateLimit('comment'), [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters'),
+  body('type')
+    .optional()
+    .isIn(['public', 'internal'])
+    .withMessage('Invalid comment type'),
+  body('mentions')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Mentions must be an array of at most 10 users'),
+  body('mentions.*')
+    .isMongoId()
+    .withMessage('Invalid mentioned user ID')
+], handleValidation, loadIssue, async (req, res) => {
+  try {
+    const { content, type = 'public', mentions = [] } = req.body;
+    const issue = req.issue;
+
+    if (type === 'internal' && !isStaff(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only municipal staff can add internal notes'
+      });
+    }
+
+    const mentionedUserIds = [...new Set(mentions)]
+      .filter(userId => userId !== req.user._id.toString());
+
+    const comment = new Comment({
+      issue: issue._id,
+      author: req.user._id,
+      content,
+      type,
+      isOfficial: isStaff(req.user),
+      mentions: mentionedUserIds.map(userId => ({ user: userId }))
+    });
+
+    await comment.save();
+
+    // Only public discussion shows up on the citizen-facing timeline
+    if (type === 'public') {
+      await Issue.updateOne(
+        { _id: issue._id },
+        {
+          $push: {
+            timeline: {
+              action: 'comment_added',
+              description: `Comment added by ${req.user.firstName} ${req.user.lastName}`,
+              performedBy: req.user._id,
+              metadata: { commentId: comment._id, isOfficial: comment.isOfficial }
+            }
+          }
+        }
+      );
+    }
+
+    const notifications = [];
+
+    // Notify the reporter about public activity on their issue
+    if (type === 'public' && issue.reportedBy.toString() !== req.user._id.toString()) {
+      notifications.push(
+        Notification.createNotification({
+          recipient: issue.reportedBy,
+          sender: req.user._id,
+          type: 'issue_commented',
+          messageKey: comment.isOfficial ? 'comment_official' : 'comment_added',
+          messageParams: { author: `${req.user.firstName} ${req.user.lastName}`, title: issue.title },
+          relatedIssue: issue._id,
+          relatedComment: comment._id,
+          actionUrl: `/issues/${issue._id}`,
+          actionKey: 'viewComment'
+        })
+      );
+    }
+
+    // Notify mentioned users
+    mentionedUserIds.forEach(userId => {
+      notifications.push(
+        Notification.createNotification({
+          recipient: userId,
+          sender: req.user._id,
+          type: 'mention',
+          messageKey: 'mention',
+          messageParams: { author: `${req.user.firstName} ${req.user.lastName}`, title: issue.title },
+          relatedIssue: issue._id,
+          relatedComment: comment._id,
+          actionUrl: `/issues/${issue._id}`,
+          actionKey: 'viewComment'
+        })
+      );
+    });
+
+    await Promise.all(notifications);
+
+    if (comment.mentions.length > 0) {
+      comment.mentions.forEach(mention => { mention.notified = true; });
+      await comment.save();
+    }
+
+    await comment.populate('author', 'firstName lastName profilePhoto role');
+
+    await broadcastComment(issue, 'comment_added', {
+      issueId: issue._id,
+      comment,
+      author: {
+        id: req.user._id,
+        name: `${req.user.firstName} ${req.user.lastName}`,
+        role: req.user.role
+      },
+      timestamp: new Date()
+    }, type);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: { comment }
+    });
+
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment'
+    });
+  }
+});
+
+// @route   POST /api/issues/:id/comments/:commentId/replies
+// @desc    Reply to a comment
+// @access  Private
+router.post('/:commentId/replies', authenticate, rateLimit('comment'), [
+  ...commentIdValidation,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reply must be between 1 and 500 characters')
+], handleValidation, loadIssue, loadComment, async (req, res) => {
+  try {
+    const { comment, issue } = req;
+
+    if (comment.type === 'system') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot reply to system comments'
+      });
+    }
+
+    comment.addReply(req.user._id, req.body.content, isStaff(req.user));
+    await comment.save();
+
+    const reply = comment.replies[comment.replies.length - 1];
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      await Notification.createNotification({
+        recipient: comment.author,
+        sender: req.user._id,
+        type: 'issue_commented',
+        messageKey: 'comment_reply',
+        messageParams: { author: `${req.user.firstName} ${req.user.lastName}`, title: issue.title },
+        relatedIssue: issue._id,
+        relatedComment: comment._id,
+        actionUrl: `/issues/${issue._id}`,
+        actionKey: 'viewReply'
+      });
+    }
+
+    await comment.populate('replies.author', 'firstName lastName profilePhoto role');
+
+    await broadcastComment(issue, 'comment_reply_added', {
+      issueId: issue._id,
+      commentId: comment._id,
+      reply: comment.replies.id(reply._id),
+      timestamp: new Date()
+    }, comment.type);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply added successfully',
+      data: { reply: comment.replies.id(reply._id), replyCount: comment.replyCount }
+    });
+
+  } catch (error) {
+    console.error('Add reply error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add reply'
+    });
+  }
+});
+
+// @route   POST /api/issues/:id/comments/:commentId/like
+// @desc    Like/unlike a comment
+// @access  Private
+router.post('/:commentId/like', authenticate, commentIdValidation, handleValidation, loadIssue, loadComment, async (req, res) => {
+  try {
+    const isLiked = req.comment.toggleLike(req.user._id);
+    await req.comment.save();
+
+    res.json({
+      success: true,
+      message: isLiked ? 'Comment liked' : 'Like removed',
+      data: {
+        likeCount: req.comment.likeCount,
+        isLiked
+      }
+    });
+
+  } catch (error) {
+    console.error('Like comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to like comment'
+    });
+  }
+});
+
+// @route   PUT /api/issues/:id/comments/:commentId
+// @desc    Edit a comment (author only, previous content kept in edit history)
+// @access  Private
+router.put('/:commentId', authenticate, [
+  ...commentIdValidation,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Edit reason cannot exceed 200 characters')
+], handleValidation, loadIssue, loadComment, async (req, res) => {
+  try {
+    const { comment, issue } = req;
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only edit your own comments.'
+      });
+    }
+
+    comment.editContent(req.body.content, req.body.reason);
+    await comment.save();
+    await comment.populate('author', 'firstName lastName profilePhoto role');
+
+    await broadcastComment(issue, 'comment_updated', {
+      issueId: issue._id,
+      comment,
+      timestamp: new Date()
+    }, comment.type);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: { comment }
+    });
+
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to edit comment'
+    });
+  }
+});
+
+// @route   GET /api/issues/:id/comments/:commentId/history
+// @desc    Get edit history of a comment
+// @access  Private (author or staff)
+router.get('/:commentId/history', authenticate, commentIdValidation, handleValidation, loadIssue, loadComment, (req, res) => {
+  const { comment } = req;
+
+  if (comment.author.toString() !== req.user._id.toString() && !isStaff(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      content: comment.content,
+      editHistory: comment.editHistory
+    }
+  });
+});
+
+// @route   DELETE /api/issues/:id/comments/:commentId
+// @desc    Soft-delete a comment (author, admin or department head)
+// @access  Private
+router.delete('/:commentId', authenticate, commentIdValidation, handleValidation, loadIssue, loadComment, async (req, res) => {
+  try {
+    const { comment, issue } = req;
+
+    const isAuthor = comment.author.toString() === req.user._id.toString();
+    const isModerator = ['admin', 'department_head'].includes(req.user.role);
+
+    if (!isAuthor && !isModerator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only delete your own comments.'
+      });
+    }
+
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user._id;
+    await comment.save();
+
+    await recordAudit(req, {
+      action: isAuthor ? 'comment.deleted' : 'comment.moderated',
+      entityType: 'comment',
+      entityId: comment._id,
+      before: { content: comment.content, author: comment.author },
+      metadata: { issueId: issue._id }
+    });
+
+    await broadcastComment(issue, 'comment_deleted', {
+      issueId: issue._id,
+      commentId: comment._id,
+      timestamp: new Date()
+    }, comment.type);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment'
+    });
+  }
+});
+
+// @route   POST /api/issues/:id/comments/system
+// @desc    Post a system comment (automated messages, e.g. from integrations)
+// @access  Private (admin only)
+router.post('/system', authenticate, authorize('admin'), [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters')
+], handleValidation, loadIssue, async (req, res) => {
+  try {
+    const comment = await Comment.create({
+      issue: req.issue._id,
+      author: req.user._id,
+      content: req.body.content,
+      type: 'system',
+      isOfficial: true
+    });
+
+    await recordAudit(req, {
+      action: 'comment.system_posted',
+      entityType: 'comment',
+      entityId: comment._id,
+      after: { content: comment.content },
+      metadata: { issueId: req.issue._id }
+    });
+
+    await broadcastComment(req.issue, 'comment_added', {
+      issueId: req.issue._id,
+      comment,
+      timestamp: new Date()
+    }, 'system');
+
+    res.status(201).json({
+      success: true,
+      message: 'System comment added successfully',
+      data: { comment }
+    });
+
+  } catch (error) {
+    console.error('Add system comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add system comment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const Department = require('../models/Department');
+
+const router = express.Router();
+
+// @route   GET /api/departments
+// @desc    Active departments with the categories they handle, public contact details,
+//          working hours, upcoming holidays and whether the office is open now
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const departments = await Department.find({ isActive: true })
+      .select('code name description categories contact workingHours holidays')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        departments: departments.map(department => ({
+          code: department.code,
+          name: department.name,
+          description: department.description,
+          categories: department.categories,
+          contact: department.contact,
+          workingHours: department.workingHours,
+          upcomingHolidays: department.getUpcomingHolidays().slice(0, 10),
+          openNow: department.isOpenAt()
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List public departments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch departments'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,76 +1,105 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
 const Issue = require('../models/Issue');
+const User = require('../models/User');
 const Comment = require('../models/Comment');
 const Notification = require('../models/Notification');
-const { authenticate, authorize, authorizeOwnershipOrRole, optionalAuth, rateLimit } = require('../middleware/auth');
-const { uploadToCloudinary } = require('../utils/cloudinary');
+const WorkOrder = require('../models/WorkOrder');
+const { authenticate, authorize, authorizeOwnershipOrRole, optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { createIssueValidation } = require('../middleware/issueValidation');
+const { imageUpload: upload } = require('../middleware/imageUpload');
+const { uploadPhotos, deleteImage } = require('../utils/storage');
+const { getAllowedTransitions, createTransitionError, RESOLUTION_FOLLOW_UP } = require('../config/issueWorkflow');
+const { applySlaPolicy, OPEN_STATUSES } = require('../utils/sla');
+const { sendFeedbackRequest, notifyReopened } = require('../utils/resolutionFollowUp');
+const { locateIssue, saveNewIssue } = require('../utils/issueCreation');
+const { validateActiveDepartmentCode, getIssueDepartment } = require('../utils/departments');
+const { ISSUE_CATEGORIES } = require('../config/departments');
+const { publishIssueEvent } = require('../utils/webhooks');
+const { findPossibleDuplicates } = require('../utils/duplicateDetection');
+const { parseBbox, getMapData } = require('../utils/mapClusters');
+const { EXPORT_FORMATS, EXPORT_RESTRICTED_ROLES, streamIssueExport } = require('../utils/issueExport');
+const { buildHighlights, getIssueFacets } = require('../utils/issueSearch');
+const { recordAudit, diffChanges } = require('../utils/audit');
+const { rankNearestOfficers } = require('../utils/officerTracking');
+const { NEAREST_OFFICER } = require('../config/officerTracking');
+const { emitToIssue, emitToDepartment } = require('../utils/socket');
+const commentRoutes = require('./comments');
+const workOrderRoutes = require('./workOrders');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB
-    files: 5
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
-  }
+const ISSUE_STATUSES = Issue.schema.path('status').enumValues;
+const EARTH_RADIUS_METERS = 6378100;
+
+// Current values of some fields of a document, for audit snapshots
+const pickFields = (doc, fields) => Object.fromEntries(fields.map(field => [field, doc.get(field)]));
+
+// Respond with a lifecycle error from config/issueWorkflow
+const sendTransitionError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message,
+  code: error.code,
+  ...error.details
 });
 
-// Validation rules
-const createIssueValidation = [
-  body('title')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Title must be between 5 and 200 characters'),
-    
-  body('description')
-    .trim()
-    .isLength({ min: 10, max: 2000 })
-    .withMessage('Description must be between 10 and 2000 characters'),
-    
-  body('category')
-    .isIn(['roads', 'water', 'garbage', 'streetlights', 'drainage', 'parks', 'buildings', 'traffic', 'noise', 'other'])
-    .withMessage('Invalid category'),
-    
-  body('location.coordinates.latitude')
-    .isFloat({ min: -90, max: 90 })
-    .withMessage('Invalid latitude'),
-    
-  body('location.coordinates.longitude')
-    .isFloat({ min: -180, max: 180 })
-    .withMessage('Invalid longitude'),
-    
-  body('priority')
-    .optional()
-    .isIn(['low', 'medium', 'high', 'critical'])
-    .withMessage('Invalid priority level')
+// Filters shared by the issue list and the export
+const issueFilterValidation = [
+  query('status').optional().isIn(['submitted', 'acknowledged', 'in_progress', 'under_review', 'resolved', 'closed', 'rejected']),
+  query('category').optional().isIn(ISSUE_CATEGORIES),
+  query('priority').optional().isIn(['low', 'medium', 'high', 'critical']),
+  query('search').optional().isLength({ min: 2, max: 100 }).withMessage('Search term must be between 2 and 100 characters'),
+  query('ward').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid ward'),
+  query('zone').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid zone'),
+  query('outsideLimits').optional().isBoolean().withMessage('outsideLimits must be true or false'),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
 ];
 
+// Query parameters recorded with an export in the audit log (never the `token` accepted by optionalAuth)
+const EXPORT_AUDIT_FILTERS = ['status', 'category', 'priority', 'search', 'ward', 'zone', 'outsideLimits', 'from', 'to', 'lat', 'lng', 'radius'];
+
+// Build the Mongo filter for the issue list and export query parameters
+const buildIssueFilter = ({ status, category, priority, search, ward, zone, outsideLimits, from, to }) => {
+  const filter = { isPublic: true };
+
+  if (status) filter.status = status;
+  if (category) filter.category = category;
+  if (priority) filter.priority = priority;
+  if (ward) filter['location.ward'] = ward;
+  if (zone) filter['location.zone'] = zone;
+  if (outsideLimits !== undefined) filter['location.outsideMunicipalLimits'] = outsideLimits === 'true';
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  // Full-text search over the weighted text index (config/search.js)
+  if (search) {
+    filter.$text = { $search: search };
+  }
+
+  return filter;
+};
+
+// Radius filter for searches: $text cannot be combined with $geoNear, so these get no distance field
+const withinRadius = (lat, lng, radius) => ({
+  'location.coordinates': {
+    $geoWithin: { $centerSphere: [[parseFloat(lng), parseFloat(lat)], parseInt(radius) / EARTH_RADIUS_METERS] }
+  }
+});
+
 // @route   GET /api/issues
-// @desc    Get all issues with filtering, search, and pagination
+// @desc    Get all issues with filtering, search, and pagination. Searches are sorted by relevance unless
+//          sortBy is given and include highlight snippets; facet counts for the filter sidebar are always included.
 // @access  Public (with optional auth for user-specific features)
 router.get('/', optionalAuth, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['submitted', 'acknowledged', 'in_progress', 'under_review', 'resolved', 'closed', 'rejected']),
-  query('category').optional().isIn(['roads', 'water', 'garbage', 'streetlights', 'drainage', 'parks', 'buildings', 'traffic', 'noise', 'other']),
-  query('priority').optional().isIn(['low', 'medium', 'high', 'critical']),
-  query('search').optional().isLength({ min: 2, max: 100 }).withMessage('Search term must be between 2 and 100 characters')
+  ...issueFilterValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -89,6 +118,10 @@ router.get('/', optionalAuth, [
       category,
       priority,
       search,
+      ward,
+      zone,
+      from,
+      to,
       sortBy = 'createdAt',
       sortOrder = 'desc',
       lat,
@@ -96,26 +129,17 @@ router.get('/', optionalAuth, [
       radius = 5000 // 5km default radius
     } = req.query;
 
-    // Build filter object
-    const filter = { isPublic: true };
-    
-    if (status) filter.status = status;
-    if (category) filter.category = category;
-    if (priority) filter.priority = priority;
-    
-    // Search functionality
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+    const filter = buildIssueFilter(req.query);
+    const nearby = lat && lng;
+
+    if (nearby && search) {
+      Object.assign(filter, withinRadius(lat, lng, radius));
     }
 
     // Location-based filtering
     let query = Issue.find(filter);
     
-    if (lat && lng) {
+    if (nearby && !search) {
       query = Issue.aggregate([
         {
           $geoNear: {
@@ -133,7 +157,12 @@ router.get('/', optionalAuth, [
 
     // Sorting
     const sortObj = {};
-    sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    if (search && (!req.query.sortBy || sortBy === 'relevance')) {
+      sortObj.score = { $meta: 'textScore' };
+      sortObj.createdAt = -1;
+    } else {
+      sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    }
 
     // Execute query with pagination
     const skip = (page - 1) * limit;
@@ -141,7 +170,7 @@ router.get('/', optionalAuth, [
     let issues;
     let total;
 
-    if (lat && lng) {
+    if (nearby && !search) {
       const pipeline = query.pipeline();
       pipeline.push({ $sort: sortObj });
       pipeline.push({ $skip: skip });
@@ -157,6 +186,7 @@ router.get('/', optionalAuth, [
     } else {
       [issues, total] = await Promise.all([
         Issue.find(filter)
+          .select(search ? { score: { $meta: 'textScore' } } : {})
           .populate('reportedBy', 'firstName lastName profilePhoto')
           .populate('assignedTo.user', 'firstName lastName role department')
           .sort(sortObj)
@@ -166,17 +196,23 @@ router.get('/', optionalAuth, [
       ]);
     }
 
-    // Add user-specific data if authenticated
-    if (req.user) {
+    // Add user-specific data if authenticated, and where each result matched the search
+    if (req.user || search) {
       issues = issues.map(issue => {
         const issueObj = issue.toObject ? issue.toObject() : issue;
-        issueObj.isUpvoted = issue.upvotes?.some(upvote => 
-          upvote.user.toString() === req.user._id.toString()
-        ) || false;
+        if (req.user) {
+          issueObj.isUpvoted = issue.upvotes?.some(upvote => 
+            upvote.user.toString() === req.user._id.toString()
+          ) || false;
+        }
+        if (search) {
+          issueObj.highlights = buildHighlights(issueObj, search);
+        }
         return issueObj;
       });
     }
 
+    const facets = await getIssueFacets(nearby && !search ? { ...filter, ...withinRadius(lat, lng, radius) } : filter);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
@@ -194,8 +230,13 @@ router.get('/', optionalAuth, [
           status,
           category,
           priority,
-          search
-        }
+          search,
+          ward,
+          zone,
+          from,
+          to
+        },
+        facets
       }
     });
 
@@ -208,6 +249,155 @@ router.get('/', optionalAuth, [
   }
 });
 
+// @route   GET /api/issues/map
+// @desc    Issues inside a map viewport: grid clusters at low zoom, individual issues at high zoom
+// @access  Public
+router.get('/map', [
+  query('bbox').custom(value => !!parseBbox(value)).withMessage('bbox must be minLng,minLat,maxLng,maxLat'),
+  query('zoom').isInt({ min: 0, max: 22 }).withMessage('zoom must be between 0 and 22'),
+  query('status').optional().custom(value => value.split(',').every(status => ISSUE_STATUSES.includes(status)))
+    .withMessage('Invalid status'),
+  query('category').optional().isIn(Issue.schema.path('category').enumValues).withMessage('Invalid category'),
+  query('priority').optional().isIn(Issue.schema.path('priority').enumValues).withMessage('Invalid priority')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bbox = parseBbox(req.query.bbox);
+    const zoom = parseInt(req.query.zoom);
+    const { status, category, priority } = req.query;
+
+    const data = await getMapData(bbox, zoom, {
+      statuses: status ? status.split(',') : undefined,
+      category,
+      priority
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        zoom,
+        bbox
+      }
+    });
+
+  } catch (error) {
+    console.error('Issue map error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load map data'
+    });
+  }
+});
+
+// @route   GET /api/issues/export
+// @desc    Stream issues matching the list filters as GeoJSON, KML or CSV
+// @access  Public (reporter identity and private issues for admin, department head and field officer)
+router.get('/export', optionalAuth, rateLimit('exportIssues'), [
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage('format must be geojson, kml or csv'),
+  ...issueFilterValidation,
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  query('radius').optional().isInt({ min: 1, max: 50000 }).withMessage('radius must be between 1 and 50000 meters'),
+  query('includePrivate').optional().isBoolean().withMessage('includePrivate must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'geojson', lat, lng, radius = 5000, includePrivate } = req.query;
+    const includeRestricted = !!req.user && EXPORT_RESTRICTED_ROLES.includes(req.user.role);
+
+    const filter = buildIssueFilter(req.query);
+    if (includeRestricted && includePrivate === 'true') {
+      delete filter.isPublic;
+    }
+
+    // Same geo radius filtering as the issue list
+    if (lat && lng && req.query.search) {
+      Object.assign(filter, withinRadius(lat, lng, radius));
+    }
+
+    const pipeline = lat && lng && !req.query.search
+      ? [{
+        $geoNear: {
+          near: { type: 'Point', coordinates: [parseFloat(lng), parseFloat(lat)] },
+          distanceField: 'distance',
+          maxDistance: parseInt(radius),
+          query: filter
+        }
+      }]
+      : [{ $match: filter }];
+
+    pipeline.push({ $sort: { createdAt: -1 } });
+
+    if (includeRestricted) {
+      pipeline.push(
+        {
+          $lookup: {
+            from: User.collection.name,
+            localField: 'reportedBy',
+            foreignField: '_id',
+            pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1, phone: 1 } }],
+            as: 'reportedBy'
+          }
+        },
+        { $set: { reportedBy: { $first: '$reportedBy' } } }
+      );
+    }
+
+    const cursor = Issue.aggregate(pipeline).cursor();
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="issues-${new Date().toISOString().slice(0, 10)}.${extension}"`
+    });
+
+    const count = await streamIssueExport(cursor, format, res, { includeRestricted });
+
+    if (includeRestricted) {
+      await recordAudit(req, {
+        action: 'issue.exported',
+        entityType: 'issue',
+        metadata: {
+          format,
+          count,
+          includePrivate: includePrivate === 'true',
+          filters: Object.fromEntries(EXPORT_AUDIT_FILTERS
+            .filter(field => req.query[field] !== undefined)
+            .map(field => [field, req.query[field]]))
+        }
+      });
+    }
+
+  } catch (error) {
+    console.error('Export issues error:', error);
+    // Once streaming has started the only option is to cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export issues'
+    });
+  }
+});
+
 // @route   GET /api/issues/:id
 // @desc    Get single issue by ID
 // @access  Public (with optional auth for user-specific features)
@@ -269,10 +459,56 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   POST /api/issues/check-duplicates
+// @desc    Find likely duplicates of an issue before it is submitted
+// @access  Private
+router.post('/check-duplicates', authenticate, [
+  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
+  body('description').optional().trim().isLength({ max: 2000 }),
+  body('category')
+    .isIn(ISSUE_CATEGORIES)
+    .withMessage('Invalid category'),
+  body('location.coordinates.latitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('location.coordinates.longitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description = '', category, location } = req.body;
+
+    const duplicates = await findPossibleDuplicates({
+      category,
+      title,
+      description,
+      latitude: location.coordinates.latitude,
+      longitude: location.coordinates.longitude
+    });
+
+    res.json({
+      success: true,
+      data: { duplicates }
+    });
+
+  } catch (error) {
+    console.error('Check duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check for duplicates'
+    });
+  }
+});
+
 // @route   POST /api/issues
 // @desc    Create new issue
 // @access  Private
-router.post('/', authenticate, rateLimit(20, 60 * 60 * 1000), upload.array('photos', 5), createIssueValidation, async (req, res) => {
+router.post('/', authenticate, rateLimit('createIssue'), upload.array('photos', 5), createIssueValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -291,9 +527,43 @@ router.post('/', authenticate, rateLimit(20, 60 * 60 * 1000), upload.array('phot
       priority = 'medium',
       location,
       tags,
-      isPublic = true
+      isPublic = true,
+      ignoreDuplicates
     } = req.body;
 
+    // Resolve ward and zone from the municipal boundary registry
+    let place;
+    try {
+      place = await locateIssue(location.coordinates);
+    } catch (error) {
+      if (error.name !== 'IssueCreationError') throw error;
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    // Suggest upvoting an existing report instead of filing the same problem again
+    if (ignoreDuplicates !== true && ignoreDuplicates !== 'true') {
+      const duplicates = await findPossibleDuplicates({
+        category,
+        title,
+        description,
+        latitude: location.coordinates.latitude,
+        longitude: location.coordinates.longitude
+      });
+
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          success: false,
+          code: 'POSSIBLE_DUPLICATES',
+          message: 'Similar issues have already been reported nearby. Upvote one of them, or resubmit with ignoreDuplicates=true.',
+          data: { duplicates }
+        });
+      }
+    }
+
     // Create issue
     const issue = new Issue({
       title,
@@ -301,7 +571,12 @@ router.post('/', authenticate, rateLimit(20, 60 * 60 * 1000), upload.array('phot
       category,
       subCategory,
       priority,
-      location,
+      location: {
+        ...location,
+        ward: place.ward,
+        zone: place.zone,
+        outsideMunicipalLimits: place.outsideMunicipalLimits
+      },
       tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
       isPublic,
       reportedBy: req.user._id
@@ -309,55 +584,17 @@ router.post('/', authenticate, rateLimit(20, 60 * 60 * 1000), upload.array('phot
 
     // Handle photo uploads
     if (req.files && req.files.length > 0) {
-      const photoUploadPromises = req.files.map(async (file) => {
-        const uploadResult = await uploadToCloudinary(file.buffer, 'issues');
-        return {
-          url: uploadResult.secure_url,
-          publicId: uploadResult.public_id,
-          caption: file.originalname
-        };
-      });
-
-      issue.photos = await Promise.all(photoUploadPromises);
+      issue.photos = await uploadPhotos(req.files, 'issues');
     }
 
-    // Add initial timeline entry
-    issue.addTimelineEntry(
-      'created',
-      'Issue reported by citizen',
-      req.user._id
-    );
-
-    await issue.save();
+    // Timeline, SLA, routing and department notifications, as for every channel
+    await saveNewIssue(issue, req.user._id, 'Issue reported by citizen');
 
     // Update user stats
     await req.user.updateOne({
       $inc: { 'stats.issuesReported': 1, 'stats.contributionScore': 10 }
     });
 
-    // Create notification for relevant department
-    const departmentUsers = await User.find({
-      department: category,
-      role: { $in: ['department_head', 'field_officer'] },
-      isActive: true
-    });
-
-    const notificationPromises = departmentUsers.map(user => 
-      Notification.createNotification({
-        recipient: user._id,
-        sender: req.user._id,
-        type: 'issue_created',
-        title: 'New Issue Reported',
-        message: `A new ${category} issue has been reported: "${title}"`,
-        relatedIssue: issue._id,
-        priority: priority === 'critical' ? 'urgent' : 'medium',
-        actionUrl: `/issues/${issue._id}`,
-        actionText: 'View Issue'
-      })
-    );
-
-    await Promise.all(notificationPromises);
-
     // Populate the response
     await issue.populate('reportedBy', 'firstName lastName profilePhoto');
 
@@ -449,8 +686,21 @@ router.put('/:id', authenticate, authorizeOwnershipOrRole('admin', 'department_h
       { updatedFields: Object.keys(updates) }
     );
 
+    // A new priority means new SLA deadlines, measured from the original start
+    if (updates.priority && updates.priority !== issue.priority) {
+      await applySlaPolicy(updatedIssue, updatedIssue.sla?.startedAt || updatedIssue.createdAt);
+    }
+
     await updatedIssue.save();
 
+    await recordAudit(req, {
+      action: 'issue.updated',
+      entityType: 'issue',
+      entityId: updatedIssue._id,
+      ...diffChanges(pickFields(issue, Object.keys(updates)), pickFields(updatedIssue, Object.keys(updates))),
+      metadata: { trackingId: updatedIssue.trackingId }
+    });
+
     res.json({
       success: true,
       message: 'Issue updated successfully',
@@ -466,14 +716,48 @@ router.put('/:id', authenticate, authorizeOwnershipOrRole('admin', 'department_h
   }
 });
 
+// @route   GET /api/issues/:id/transitions
+// @desc    Get the status transitions the current user may perform
+// @access  Private (staff only)
+router.get('/:id/transitions', authenticate, authorize('admin', 'department_head', 'field_officer'), async (req, res) => {
+  try {
+    const issue = await Issue.findById(req.params.id).select('status');
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currentStatus: issue.status,
+        allowedTransitions: getAllowedTransitions(issue.status, req.user.role)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch status transitions'
+    });
+  }
+});
+
 // @route   PATCH /api/issues/:id/status
-// @desc    Update issue status (admin/department only)
+// @desc    Update issue status following the lifecycle table (admin/department only). A rejected change
+//          returns { code, currentStatus, requestedStatus, allowedTransitions, missingFields } with 409 when
+//          the transition does not exist, 403 when the role may not perform it or 422 when fields are missing.
 // @access  Private
-router.patch('/:id/status', authenticate, authorize('admin', 'department_head', 'field_officer'), [
+router.patch('/:id/status', authenticate, authorize('admin', 'department_head', 'field_officer'), upload.array('resolutionPhotos', 5), [
   body('status')
     .isIn(['submitted', 'acknowledged', 'in_progress', 'under_review', 'resolved', 'closed', 'rejected'])
     .withMessage('Invalid status'),
-  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('resolutionNotes').optional().trim().isLength({ max: 2000 }).withMessage('Resolution notes cannot exceed 2000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -485,7 +769,7 @@ router.patch('/:id/status', authenticate, authorize('admin', 'department_head',
       });
     }
 
-    const { status, notes, estimatedResolutionTime } = req.body;
+    const { status, notes, resolutionNotes, estimatedResolutionTime } = req.body;
 
     const issue = await Issue.findById(req.params.id);
     
@@ -497,45 +781,97 @@ router.patch('/:id/status', authenticate, authorize('admin', 'department_head',
     }
 
     // Check department authorization for non-admin users
-    if (req.user.role !== 'admin' && req.user.department !== issue.category) {
+    if (req.user.role !== 'admin' && req.user.department !== await getIssueDepartment(issue)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Department mismatch.'
       });
     }
 
+    // Check the transition before uploading anything, counting the files sent with this request
+    const newPhotos = req.files || [];
+    const check = issue.checkStatusTransition(status, {
+      role: req.user.role,
+      notes,
+      resolutionNotes: resolutionNotes || issue.resolutionNotes,
+      resolutionPhotoCount: issue.resolutionPhotos.length + newPhotos.length
+    });
+
+    if (!check.allowed) {
+      return sendTransitionError(res, createTransitionError(check));
+    }
+
+    if (resolutionNotes) {
+      issue.resolutionNotes = resolutionNotes;
+    }
+
+    if (newPhotos.length > 0) {
+      issue.resolutionPhotos.push(...await uploadPhotos(newPhotos, 'resolutions'));
+    }
+
     const oldStatus = issue.status;
-    issue.updateStatus(status, req.user._id, notes);
+    issue.updateStatus(status, req.user._id, notes, { role: req.user.role });
 
     if (estimatedResolutionTime) {
       issue.estimatedResolutionTime = new Date(estimatedResolutionTime);
     }
 
+    if (status === 'resolved') {
+      issue.feedback.requestedAt = new Date();
+    }
+
     await issue.save();
 
-    // Create notification for issue reporter
-    await Notification.createNotification({
-      recipient: issue.reportedBy,
-      sender: req.user._id,
-      type: 'issue_updated',
-      title: 'Issue Status Updated',
-      message: `Your issue "${issue.title}" status has been changed from ${oldStatus} to ${status}${notes ? ': ' + notes : ''}`,
-      relatedIssue: issue._id,
-      priority: status === 'resolved' ? 'high' : 'medium',
-      actionUrl: `/issues/${issue._id}`,
-      actionText: 'View Issue'
+    // A resolution asks the reporter for feedback; any other change is a plain update
+    if (status === 'resolved') {
+      await sendFeedbackRequest(issue, req.user._id, notes);
+    } else {
+      await Notification.createNotification({
+        recipient: issue.reportedBy,
+        sender: req.user._id,
+        type: 'issue_updated',
+        messageKey: 'issue_status_updated',
+        messageParams: { title: issue.title, oldStatus, status, notes: notes ? `: ${notes}` : '' },
+        relatedIssue: issue._id,
+        actionUrl: `/issues/${issue._id}`,
+        actionKey: 'viewIssue',
+        metadata: { notes }
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'issue.status_changed',
+      entityType: 'issue',
+      entityId: issue._id,
+      before: { status: oldStatus },
+      after: { status, ...(resolutionNotes && { resolutionNotes }) },
+      metadata: { trackingId: issue.trackingId, notes, resolutionPhotos: newPhotos.length }
     });
 
-    await issue.populate('reportedBy', 'firstName lastName profilePhoto')
-               .populate('assignedTo.user', 'firstName lastName role department');
+    await publishIssueEvent('issue.status_changed', issue, { from: oldStatus, to: status, notes });
+    if (status === 'resolved') {
+      await publishIssueEvent('issue.resolved', issue, { notes });
+    }
+
+    await issue.populate([
+      { path: 'reportedBy', select: 'firstName lastName profilePhoto' },
+      { path: 'assignedTo.user', select: 'firstName lastName role department' }
+    ]);
 
     res.json({
       success: true,
       message: 'Issue status updated successfully',
-      data: { issue }
+      data: {
+        issue,
+        allowedTransitions: getAllowedTransitions(issue.status, req.user.role)
+      }
     });
 
   } catch (error) {
+    if (error.name === 'IssueTransitionError') {
+      return sendTransitionError(res, error);
+    }
+
     console.error('Update status error:', error);
     res.status(500).json({
       success: false,
@@ -545,11 +881,13 @@ router.patch('/:id/status', authenticate, authorize('admin', 'department_head',
 });
 
 // @route   PATCH /api/issues/:id/assign
-// @desc    Assign issue to user/department (admin/department head only)
+// @desc    Assign issue to user/department (admin/department head only). With assignNearest the
+//          department's available field officer closest to the issue, allowing for open workload, is chosen.
 // @access  Private
 router.patch('/:id/assign', authenticate, authorize('admin', 'department_head'), [
   body('assignedUserId').optional().isMongoId().withMessage('Invalid user ID'),
-  body('department').isIn(['roads', 'water', 'garbage', 'streetlights', 'drainage', 'parks', 'general']).withMessage('Invalid department')
+  body('assignNearest').optional().isBoolean().withMessage('assignNearest must be true or false'),
+  body('department').custom(validateActiveDepartmentCode)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -561,7 +899,16 @@ router.patch('/:id/assign', authenticate, authorize('admin', 'department_head'),
       });
     }
 
-    const { assignedUserId, department } = req.body;
+    const { department } = req.body;
+    let { assignedUserId } = req.body;
+    const assignNearest = req.body.assignNearest === true || req.body.assignNearest === 'true';
+
+    if (assignNearest && assignedUserId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give either assignedUserId or assignNearest, not both'
+      });
+    }
 
     const issue = await Issue.findById(req.params.id);
     
@@ -572,6 +919,18 @@ router.patch('/:id/assign', authenticate, authorize('admin', 'department_head'),
       });
     }
 
+    let ranking;
+    if (assignNearest) {
+      ranking = (await rankNearestOfficers(issue, department)).slice(0, NEAREST_OFFICER.rankingSize);
+      if (ranking.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: `No ${department} field officer is on shift near this issue with a recent location`
+        });
+      }
+      assignedUserId = ranking[0].officer._id;
+    }
+
     // Verify assigned user if provided
     let assignedUser = null;
     if (assignedUserId) {
@@ -589,11 +948,32 @@ router.patch('/:id/assign', authenticate, authorize('admin', 'department_head'),
           message: 'User does not belong to the specified department'
         });
       }
+
+      if (!assignedUser.coversLocation(issue.location)) {
+        return res.status(400).json({
+          success: false,
+          message: `User does not cover ward ${issue.location.ward || 'unknown'} / zone ${issue.location.zone || 'unknown'}`
+        });
+      }
     }
 
+    const previousAssignment = { department: issue.assignedTo?.department, user: issue.assignedTo?.user };
+
     issue.assignIssue(assignedUserId, department, req.user._id);
     await issue.save();
 
+    await recordAudit(req, {
+      action: 'issue.assigned',
+      entityType: 'issue',
+      entityId: issue._id,
+      before: previousAssignment,
+      after: { department, user: assignedUser?._id },
+      metadata: {
+        trackingId: issue.trackingId,
+        nearest: ranking && { distanceMeters: ranking[0].distanceMeters, openIssues: ranking[0].openIssues }
+      }
+    });
+
     // Create notifications
     const notifications = [
       // Notify issue reporter
@@ -601,11 +981,11 @@ router.patch('/:id/assign', authenticate, authorize('admin', 'department_head'),
         recipient: issue.reportedBy,
         sender: req.user._id,
         type: 'issue_assigned',
-        title: 'Issue Assigned',
-        message: `Your issue "${issue.title}" has been assigned to the ${department} department`,
+        messageKey: 'issue_assigned_reporter',
+        messageParams: { title: issue.title, department },
         relatedIssue: issue._id,
         actionUrl: `/issues/${issue._id}`,
-        actionText: 'View Issue'
+        actionKey: 'viewIssue'
       })
     ];
 
@@ -616,25 +996,36 @@ router.patch('/:id/assign', authenticate, authorize('admin', 'department_head'),
           recipient: assignedUser._id,
           sender: req.user._id,
           type: 'issue_assigned',
-          title: 'New Issue Assigned',
-          message: `You have been assigned a new ${issue.category} issue: "${issue.title}"`,
+          messageKey: 'issue_assigned_staff',
+          messageParams: { title: issue.title, category: issue.category },
           relatedIssue: issue._id,
           priority: issue.priority === 'critical' ? 'urgent' : 'high',
           actionUrl: `/issues/${issue._id}`,
-          actionText: 'View Issue'
+          actionKey: 'viewIssue'
         })
       );
     }
 
     await Promise.all(notifications);
 
+    await publishIssueEvent('issue.assigned', issue, { department, assignedUser: assignedUser?._id || null });
+
     await issue.populate('reportedBy', 'firstName lastName profilePhoto')
                .populate('assignedTo.user', 'firstName lastName role department');
 
     res.json({
       success: true,
       message: 'Issue assigned successfully',
-      data: { issue }
+      data: {
+        issue,
+        ranking: ranking && ranking.map(({ officer, distanceMeters, openIssues, lastSeenAt, score }) => ({
+          officer: { _id: officer._id, firstName: officer.firstName, lastName: officer.lastName },
+          distanceMeters,
+          openIssues,
+          lastSeenAt,
+          score
+        }))
+      }
     });
 
   } catch (error) {
@@ -646,6 +1037,325 @@ router.patch('/:id/assign', authenticate, authorize('admin', 'department_head'),
   }
 });
 
+// @route   POST /api/issues/:id/merge
+// @desc    Merge duplicate issues into this (canonical) issue
+// @access  Private (staff only)
+router.post('/:id/merge', authenticate, authorize('admin', 'department_head', 'field_officer'), [
+  body('duplicateIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('duplicateIds must be an array of 1 to 20 issue IDs'),
+  body('duplicateIds.*')
+    .isMongoId()
+    .withMessage('Invalid issue ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const canonical = await Issue.findById(req.params.id);
+
+    if (!canonical) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    // Check department authorization for non-admin users
+    if (req.user.role !== 'admin' && req.user.department !== await getIssueDepartment(canonical)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Department mismatch.'
+      });
+    }
+
+    if (canonical.duplicateOf || ['closed', 'rejected'].includes(canonical.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge into a closed, rejected or duplicate issue'
+      });
+    }
+
+    const duplicateIds = [...new Set(req.body.duplicateIds)];
+
+    if (duplicateIds.includes(canonical._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'An issue cannot be merged into itself'
+      });
+    }
+
+    const duplicates = await Issue.find({ _id: { $in: duplicateIds } });
+
+    if (duplicates.length !== duplicateIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more duplicate issues not found'
+      });
+    }
+
+    const alreadyMerged = duplicates.filter(duplicate => duplicate.duplicateOf);
+    if (alreadyMerged.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Already merged: ${alreadyMerged.map(duplicate => duplicate.trackingId).join(', ')}`
+      });
+    }
+
+    const notOpen = duplicates.filter(duplicate => !OPEN_STATUSES.includes(duplicate.status));
+    if (notOpen.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only open issues can be merged: ${notOpen.map(duplicate => duplicate.trackingId).join(', ')}`
+      });
+    }
+
+    // Staff may only close their own department's reports as duplicates
+    if (req.user.role !== 'admin') {
+      const departments = await Promise.all(duplicates.map(getIssueDepartment));
+      const otherDepartment = duplicates.filter((duplicate, index) => departments[index] !== req.user.department);
+      if (otherDepartment.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Department mismatch: ${otherDepartment.map(duplicate => duplicate.trackingId).join(', ')}`
+        });
+      }
+    }
+
+    const blocked = duplicates
+      .map(duplicate => duplicate.checkStatusTransition('closed', { role: req.user.role, duplicateOf: canonical._id }))
+      .find(check => !check.allowed);
+    if (blocked) {
+      return sendTransitionError(res, createTransitionError(blocked));
+    }
+
+    const oldStatuses = new Map(duplicates.map(duplicate => [duplicate._id.toString(), duplicate.status]));
+    duplicates.forEach(duplicate => {
+      canonical.mergeDuplicate(duplicate, req.user._id);
+      duplicate.markAsDuplicateOf(canonical, req.user._id, { role: req.user.role });
+    });
+
+    await canonical.save();
+    await Promise.all(duplicates.map(duplicate => duplicate.save()));
+
+    await recordAudit(req, {
+      action: 'issue.merged',
+      entityType: 'issue',
+      entityId: canonical._id,
+      metadata: {
+        trackingId: canonical.trackingId,
+        merged: duplicates.map(duplicate => ({
+          id: duplicate._id,
+          trackingId: duplicate.trackingId,
+          previousStatus: oldStatuses.get(duplicate._id.toString())
+        }))
+      }
+    });
+
+    // Let every reporter of a merged issue know where to follow progress
+    await Promise.all(duplicates.map(duplicate =>
+      Notification.createNotification({
+        recipient: duplicate.reportedBy,
+        sender: req.user._id,
+        type: 'issue_updated',
+        messageKey: 'issue_merged',
+        messageParams: { title: duplicate.title, trackingId: canonical.trackingId },
+        relatedIssue: canonical._id,
+        actionUrl: `/issues/${canonical._id}`,
+        actionKey: 'viewIssue'
+      })
+    ));
+
+    await Promise.all(duplicates.map(duplicate => publishIssueEvent('issue.status_changed', duplicate, {
+      from: oldStatuses.get(duplicate._id.toString()),
+      to: duplicate.status,
+      duplicateOf: canonical.trackingId
+    })));
+
+    duplicates.forEach(duplicate => {
+      emitToIssue(duplicate._id, 'issue_merged', {
+        issueId: duplicate._id,
+        canonicalId: canonical._id,
+        trackingId: canonical.trackingId
+      });
+    });
+
+    res.json({
+      success: true,
+      message: `${duplicates.length} issue(s) merged successfully`,
+      data: {
+        issue: canonical,
+        merged: duplicates.map(duplicate => duplicate.trackingId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Merge issues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge issues'
+    });
+  }
+});
+
+// @route   POST /api/issues/:id/feedback
+// @desc    Rate the resolution of your issue (1-5)
+// @access  Private (reporter only)
+router.post('/:id/feedback', authenticate, [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const issue = await Issue.findById(req.params.id);
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    if (issue.reportedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the reporter can rate this issue'
+      });
+    }
+
+    if (!['resolved', 'closed'].includes(issue.status) || !issue.actualResolutionTime) {
+      return res.status(409).json({
+        success: false,
+        code: 'NOT_RESOLVED',
+        message: 'Feedback can only be given once the issue has been resolved'
+      });
+    }
+
+    if (issue.feedback?.submittedAt) {
+      return res.status(409).json({
+        success: false,
+        code: 'FEEDBACK_ALREADY_SUBMITTED',
+        message: 'Feedback has already been submitted for this resolution'
+      });
+    }
+
+    const rating = parseInt(req.body.rating);
+    issue.submitFeedback(rating, req.body.comment, req.user._id);
+    await issue.save();
+
+    emitToIssue(issue._id, 'issue_feedback', {
+      issueId: issue._id,
+      rating
+    });
+
+    res.json({
+      success: true,
+      message: 'Thank you for your feedback',
+      data: {
+        feedback: issue.feedback,
+        canReopen: issue.canReopen()
+      }
+    });
+
+  } catch (error) {
+    console.error('Submit feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit feedback'
+    });
+  }
+});
+
+// @route   POST /api/issues/:id/reopen
+// @desc    Reopen your resolved issue within the reopen window
+// @access  Private (reporter only)
+router.post('/:id/reopen', authenticate, [
+  body('reason').trim().isLength({ min: 10, max: 500 }).withMessage('Reason must be between 10 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const issue = await Issue.findById(req.params.id);
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    if (issue.reportedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the reporter can reopen this issue'
+      });
+    }
+
+    if (!issue.canReopen()) {
+      return res.status(409).json({
+        success: false,
+        code: 'REOPEN_WINDOW_CLOSED',
+        message: `Issues can only be reopened within ${RESOLUTION_FOLLOW_UP.reopenWindowDays} days of being resolved`
+      });
+    }
+
+    const { reason } = req.body;
+    issue.reopen(req.user._id, reason);
+    await applySlaPolicy(issue);
+    await issue.save();
+
+    await notifyReopened(issue, req.user, reason);
+    await publishIssueEvent('issue.status_changed', issue, { from: 'resolved', to: issue.status, reopened: true, reason });
+
+    const payload = {
+      issueId: issue._id,
+      trackingId: issue.trackingId,
+      status: issue.status,
+      reopenCount: issue.reopenCount
+    };
+    emitToIssue(issue._id, 'issue_reopened', payload);
+    emitToDepartment(await getIssueDepartment(issue), 'issue_reopened', payload);
+
+    res.json({
+      success: true,
+      message: 'Issue reopened',
+      data: { issue }
+    });
+
+  } catch (error) {
+    if (error.name === 'IssueTransitionError') {
+      return sendTransitionError(res, error);
+    }
+
+    console.error('Reopen issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reopen issue'
+    });
+  }
+});
+
 // @route   POST /api/issues/:id/upvote
 // @desc    Upvote/downvote an issue
 // @access  Private
@@ -765,12 +1475,45 @@ router.delete('/:id', authenticate, async (req, res) => {
 
     await Issue.findByIdAndDelete(req.params.id);
 
+    // Work orders only exist for their issue
+    const workOrders = await WorkOrder.find({ issue: issue._id });
+    await WorkOrder.deleteMany({ issue: issue._id });
+
+    // Remove stored images no other issue or work order still uses (merges share photos, work order
+    // photos become resolution photos, local storage dedupes by content)
+    const storedPhotos = [
+      ...issue.photos,
+      ...issue.resolutionPhotos,
+      ...workOrders.flatMap(workOrder => [...workOrder.photos.before, ...workOrder.photos.after])
+    ].filter(photo => photo.publicId);
+    const uniquePhotos = [...new Map(storedPhotos.map(photo => [photo.publicId, photo])).values()];
+    await Promise.all(uniquePhotos.map(async (photo) => {
+      const stillUsed = await Issue.exists({
+        $or: [{ 'photos.publicId': photo.publicId }, { 'resolutionPhotos.publicId': photo.publicId }]
+      }) || await WorkOrder.exists({
+        $or: [{ 'photos.before.publicId': photo.publicId }, { 'photos.after.publicId': photo.publicId }]
+      });
+
+      if (!stillUsed) {
+        await deleteImage(photo).catch(error => console.error('Delete photo error:', error));
+      }
+    }));
+
     // Clean up related comments
-    await Comment.deleteMany({ issue: req.params.id });
+    const { deletedCount: deletedComments } = await Comment.deleteMany({ issue: req.params.id });
 
     // Clean up related notifications
     await Notification.deleteMany({ relatedIssue: req.params.id });
 
+    // The audit entry is the only copy left of a hard-deleted issue
+    await recordAudit(req, {
+      action: 'issue.deleted',
+      entityType: 'issue',
+      entityId: issue._id,
+      before: issue.toObject({ virtuals: false }),
+      metadata: { trackingId: issue.trackingId, deletedComments, deletedWorkOrders: workOrders.length }
+    });
+
     res.json({
       success: true,
       message: 'Issue deleted successfully'
@@ -785,4 +1528,10 @@ router.delete('/:id', authenticate, async (req, res) => {
   }
 });
 
+// Issue comments
+router.use('/:id/comments', commentRoutes);
+
+// Field work orders
+router.use('/:id/work-orders', workOrderRoutes);
+
 module.exports = router;
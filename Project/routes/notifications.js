@@ -0,0 +1,207 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every notification route acts on the authenticated user's own inbox
+router.use(authenticate);
+
+const notificationIdValidation = [
+  param('id').isMongoId().withMessage('Invalid notification ID')
+];
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// @route   GET /api/notifications
+// @desc    Get current user's notifications with filtering and pagination
+// @access  Private
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('type').optional().isIn(Notification.schema.path('type').enumValues).withMessage('Invalid notification type'),
+  query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+  query('isRead').optional().isBoolean().withMessage('isRead must be true or false')
+], handleValidation, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { type, priority, isRead } = req.query;
+
+    const filter = { recipient: req.user._id };
+
+    if (type) filter.type = type;
+    if (priority) filter.priority = priority;
+    if (isRead !== undefined) filter.isRead = isRead === 'true';
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('sender', 'firstName lastName profilePhoto role')
+        .populate('relatedIssue', 'title trackingId status category')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.getUnreadCount(req.user._id)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        },
+        filters: {
+          type,
+          priority,
+          isRead
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get number of unread notifications
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+  try {
+    const count = await Notification.getUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      data: { count }
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread count'
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.patch('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.markAllAsRead(req.user._id);
+    await Notification.emitUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read'
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a single notification as read
+// @access  Private
+router.patch('/:id/read', notificationIdValidation, handleValidation, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.isRead) {
+      notification.markAsRead();
+      await notification.save();
+      await Notification.emitUnreadCount(req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read'
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', notificationIdValidation, handleValidation, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.isRead) {
+      await Notification.emitUnreadCount(req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const OfficerShift = require('../models/OfficerShift');
+const OfficerLocation = require('../models/OfficerLocation');
+const { authenticate, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { validateDepartmentCode } = require('../utils/departments');
+const { OFFICER_TRACKING, NEAREST_OFFICER } = require('../config/officerTracking');
+
+const router = express.Router();
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+router.use(authenticate);
+
+// @route   GET /api/officers/shift
+// @desc    The field officer's running shift, if any
+// @access  Private (field officers)
+router.get('/shift', authorize('field_officer'), async (req, res) => {
+  try {
+    const shift = await OfficerShift.findActive(req.user._id);
+
+    res.json({
+      success: true,
+      data: { shift }
+    });
+
+  } catch (error) {
+    console.error('Get shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shift'
+    });
+  }
+});
+
+// @route   POST /api/officers/shift
+// @desc    Declare a shift. Location updates are stored only while it runs.
+// @access  Private (field officers)
+router.post('/shift', authorize('field_officer'), [
+  body('hours').optional().isFloat({ min: 0.5, max: OFFICER_TRACKING.maxShiftHours })
+    .withMessage(`hours must be between 0.5 and ${OFFICER_TRACKING.maxShiftHours}`)
+], handleValidation, async (req, res) => {
+  try {
+    const existing = await OfficerShift.findActive(req.user._id);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A shift is already running',
+        data: { shift: existing }
+      });
+    }
+
+    const hours = parseFloat(req.body.hours) || OFFICER_TRACKING.defaultShiftHours;
+    const shift = await OfficerShift.create({
+      officer: req.user._id,
+      department: req.user.department,
+      startedAt: new Date(),
+      endsAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift started',
+      data: { shift }
+    });
+
+  } catch (error) {
+    console.error('Start shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start shift'
+    });
+  }
+});
+
+// @route   POST /api/officers/shift/end
+// @desc    End the running shift; location tracking stops
+// @access  Private (field officers)
+router.post('/shift/end', authorize('field_officer'), async (req, res) => {
+  try {
+    const shift = await OfficerShift.findActive(req.user._id);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'No shift is running'
+      });
+    }
+
+    shift.endedAt = new Date();
+    await shift.save();
+
+    res.json({
+      success: true,
+      message: 'Shift ended',
+      data: { shift }
+    });
+
+  } catch (error) {
+    console.error('End shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end shift'
+    });
+  }
+});
+
+// @route   GET /api/officers/locations
+// @desc    Latest stored position of each officer in the department, with whether they are on shift
+// @access  Private (admin, department head - own department only)
+router.get('/locations', authorize('admin', 'department_head'), [
+  query('department').optional().custom(validateDepartmentCode),
+  query('maxAgeMinutes').optional().isInt({ min: 1, max: OFFICER_TRACKING.retentionDays * 24 * 60 })
+    .withMessage('maxAgeMinutes is out of range')
+], handleValidation, async (req, res) => {
+  try {
+    let department = req.query.department;
+
+    // Department heads only see their own department
+    if (req.user.role === 'department_head') {
+      if (department && department !== req.user.department) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Department mismatch.'
+        });
+      }
+      department = req.user.department;
+    }
+
+    const maxAgeMinutes = parseInt(req.query.maxAgeMinutes) || NEAREST_OFFICER.maxLocationAgeMinutes;
+    const since = new Date(Date.now() - maxAgeMinutes * 60 * 1000);
+
+    const filter = department ? { department } : {};
+    const [positions, onShift] = await Promise.all([
+      OfficerLocation.getLatestPositions(filter, since),
+      OfficerShift.getOnShiftOfficerIds(filter)
+    ]);
+
+    const officers = await User.find({ _id: { $in: positions.map(position => position._id) } })
+      .select('firstName lastName phone department');
+    const officerById = new Map(officers.map(officer => [officer._id.toString(), officer]));
+    const onShiftIds = new Set(onShift.map(id => id.toString()));
+
+    const locations = positions
+      .filter(position => officerById.has(position._id.toString()))
+      .map(({ _id, ...position }) => ({
+        officer: officerById.get(_id.toString()),
+        onShift: onShiftIds.has(_id.toString()),
+        ...position
+      }))
+      .sort((a, b) => b.recordedAt - a.recordedAt);
+
+    res.json({
+      success: true,
+      data: { locations, department: department || null, since }
+    });
+
+  } catch (error) {
+    console.error('Get officer locations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch officer locations'
+    });
+  }
+});
+
+// @route   GET /api/officers/:officerId/track
+// @desc    An officer's stored positions between two times (default: the last 24 hours), oldest first.
+//          Each view is written to the audit log.
+// @access  Private (admin, department head - own department only)
+router.get('/:officerId/track', authorize('admin', 'department_head'), [
+  param('officerId').isMongoId().withMessage('Invalid officer ID'),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
+], handleValidation, async (req, res) => {
+  try {
+    const officer = await User.findById(req.params.officerId).select('firstName lastName role department');
+
+    if (!officer || officer.role !== 'field_officer') {
+      return res.status(404).json({
+        success: false,
+        message: 'Field officer not found'
+      });
+    }
+
+    if (req.user.role === 'department_head' && officer.department !== req.user.department) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Department mismatch.'
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    const points = await OfficerLocation.find({ officer: officer._id, recordedAt: { $gte: from, $lte: to } })
+      .select('latitude longitude accuracy heading speed shift recordedAt')
+      .sort({ recordedAt: 1 })
+      .limit(OFFICER_TRACKING.maxTrackPoints + 1)
+      .lean();
+
+    const truncated = points.length > OFFICER_TRACKING.maxTrackPoints;
+    if (truncated) points.pop();
+
+    const shifts = await OfficerShift.find({
+      officer: officer._id,
+      startedAt: { $lte: to },
+      $or: [{ endedAt: { $gte: from } }, { endedAt: null, endsAt: { $gte: from } }]
+    }).select('startedAt endsAt endedAt').sort({ startedAt: 1 });
+
+    await recordAudit(req, {
+      action: 'officer.track_viewed',
+      entityType: 'user',
+      entityId: officer._id,
+      metadata: { from, to, points: points.length }
+    });
+
+    res.json({
+      success: true,
+      data: { officer, from, to, shifts, points, truncated }
+    });
+
+  } catch (error) {
+    console.error('Get officer track error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch officer track'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,239 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const { rateLimit } = require('../middleware/rateLimit');
+const { OPEN311_CONFIG, OPEN311_STATUS, SERVICE_SUBCATEGORIES } = require('../config/open311');
+const { getServices, findService, toServiceRequest, sendOpen311, sendOpen311Error } = require('../utils/open311');
+const { validateIssueFields, locateIssue, saveNewIssue } = require('../utils/issueCreation');
+const { getCategoryDepartments } = require('../utils/departments');
+
+const router = express.Router();
+
+const FORMATS = ['json', 'xml'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read the response format from "/services.json" style paths. Service codes and tracking IDs
+// are matched as "/services/:file" and split on the last dot, since service codes contain dots.
+const parseFormat = (req, res, next) => {
+  let { format } = req.params;
+
+  if (req.params.file) {
+    const dot = req.params.file.lastIndexOf('.');
+    format = dot === -1 ? undefined : req.params.file.slice(dot + 1);
+    res.locals.name = dot === -1 ? req.params.file : req.params.file.slice(0, dot);
+  }
+
+  if (!FORMATS.includes(format)) {
+    return sendOpen311Error(res, 'json', 404, 'Unknown format; use .json or .xml');
+  }
+
+  res.locals.format = format;
+  next();
+};
+
+// jurisdiction_id is optional on every GeoReport call; when sent it must be ours
+const checkJurisdiction = (req, res, next) => {
+  const jurisdiction = req.query.jurisdiction_id || (req.body && req.body.jurisdiction_id);
+
+  if (jurisdiction !== undefined && jurisdiction !== OPEN311_CONFIG.jurisdictionId) {
+    return sendOpen311Error(res, res.locals.format, 404, 'jurisdiction_id not found');
+  }
+  next();
+};
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendOpen311Error(res, res.locals.format, 400, errors.array().map(error => `${error.path}: ${error.msg}`).join('; '));
+  }
+  next();
+};
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Issues belonging to a service: its sub-category, or for a category's catch-all service
+// everything in the category without a known sub-category
+const serviceFilter = (code) => {
+  const [category, subCategory] = code.split('.');
+  return subCategory
+    ? { category, subCategory }
+    : { category, subCategory: { $nin: Object.keys(SERVICE_SUBCATEGORIES[category] || {}) } };
+};
+
+// @route   GET /open311/v2/services.(json|xml)
+// @desc    List the service types requests can be filed under
+// @access  Public
+router.get('/services.:format', parseFormat, checkJurisdiction, (req, res) => {
+  sendOpen311(res, res.locals.format, 200, getServices(), { root: 'services', item: 'service' });
+});
+
+// @route   GET /open311/v2/services/:service_code.(json|xml)
+// @desc    Service definition. No service takes extra attributes, so the list is always empty.
+// @access  Public
+router.get('/services/:file', parseFormat, checkJurisdiction, (req, res) => {
+  const service = findService(res.locals.name);
+
+  if (!service) {
+    return sendOpen311Error(res, res.locals.format, 404, 'Service not found');
+  }
+
+  sendOpen311(res, res.locals.format, 200, { service_code: service.service_code, attributes: [] }, {
+    root: 'service_definition'
+  });
+});
+
+// @route   GET /open311/v2/requests.(json|xml)
+// @desc    Public service requests, newest first
+// @access  Public
+router.get('/requests.:format', parseFormat, checkJurisdiction, [
+  query('service_request_id').optional().isString(),
+  query('service_code').optional().custom(value => splitList(value).every(code => findService(code)))
+    .withMessage('Unknown service_code'),
+  query('status').optional().custom(value => splitList(value).every(status => ['open', 'closed'].includes(status)))
+    .withMessage('status must be open or closed'),
+  query('start_date').optional().isISO8601().withMessage('start_date must be a W3C datetime'),
+  query('end_date').optional().isISO8601().withMessage('end_date must be a W3C datetime')
+], handleValidation, async (req, res) => {
+  try {
+    const { service_request_id: requestIds, service_code: serviceCodes, status, start_date: startDate, end_date: endDate } = req.query;
+    const filter = { isPublic: true };
+
+    // Looking up specific requests ignores every other parameter
+    if (requestIds) {
+      filter.trackingId = { $in: splitList(requestIds) };
+    } else {
+      if (serviceCodes) {
+        filter.$or = splitList(serviceCodes).map(serviceFilter);
+      }
+      if (status) {
+        const wanted = splitList(status);
+        filter.status = { $in: Object.keys(OPEN311_STATUS).filter(key => wanted.includes(OPEN311_STATUS[key])) };
+      }
+
+      filter.createdAt = {
+        $gte: startDate ? new Date(startDate) : new Date(Date.now() - OPEN311_CONFIG.defaultDays * DAY_MS)
+      };
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const issues = await Issue.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(OPEN311_CONFIG.maxRequests)
+      .lean();
+
+    const categoryDepartments = await getCategoryDepartments();
+    const requests = issues.map(issue => toServiceRequest(issue, categoryDepartments));
+
+    sendOpen311(res, res.locals.format, 200, requests, { root: 'service_requests', item: 'request' });
+
+  } catch (error) {
+    console.error('Open311 list requests error:', error);
+    sendOpen311Error(res, res.locals.format, 500, 'Failed to fetch service requests');
+  }
+});
+
+// @route   GET /open311/v2/requests/:service_request_id.(json|xml)
+// @desc    One service request by tracking ID
+// @access  Public
+router.get('/requests/:file', parseFormat, checkJurisdiction, async (req, res) => {
+  try {
+    const issue = await Issue.findOne({ trackingId: res.locals.name, isPublic: true }).lean();
+
+    if (!issue) {
+      return sendOpen311Error(res, res.locals.format, 404, 'Service request not found');
+    }
+
+    const request = toServiceRequest(issue, await getCategoryDepartments());
+    sendOpen311(res, res.locals.format, 200, [request], { root: 'service_requests', item: 'request' });
+
+  } catch (error) {
+    console.error('Open311 get request error:', error);
+    sendOpen311Error(res, res.locals.format, 500, 'Failed to fetch service request');
+  }
+});
+
+// @route   POST /open311/v2/requests.(json|xml)
+// @desc    File a service request; becomes an issue like POST /api/issues
+// @access  API key (checked by validateApiKey in server.js)
+router.post('/requests.:format', parseFormat, checkJurisdiction, rateLimit('createIssue'), [
+  body('service_code').custom(value => !!findService(value)).withMessage('Unknown service_code'),
+  body('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid lat'),
+  body('long').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid long'),
+  body('address_string').optional().trim().isLength({ min: 3, max: 300 }).withMessage('Invalid address_string'),
+  body('lat').custom((value, { req }) => (value !== undefined && req.body.long !== undefined) || !!req.body.address_string)
+    .withMessage('Either lat and long, or address_string, is required'),
+  body('email').optional().isEmail().withMessage('Invalid email'),
+  body('first_name').optional().trim().isLength({ max: 50 }),
+  body('last_name').optional().trim().isLength({ max: 50 }),
+  body('phone').optional().trim().isLength({ max: 20 }),
+  body('media_url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Invalid media_url')
+], handleValidation, async (req, res) => {
+  try {
+    const { format } = res.locals;
+    const service = findService(req.body.service_code);
+    const [category, subCategory] = service.service_code.split('.');
+
+    let place;
+    try {
+      place = await locateIssue({ latitude: req.body.lat, longitude: req.body.long, address: req.body.address_string });
+    } catch (error) {
+      if (error.name !== 'IssueCreationError') throw error;
+      return sendOpen311Error(res, format, 400, error.message);
+    }
+
+    const fields = {
+      title: service.service_name,
+      description: req.body.description,
+      category,
+      location: { coordinates: { latitude: place.latitude, longitude: place.longitude } }
+    };
+
+    const errors = await validateIssueFields(fields);
+    if (errors.length > 0) {
+      return sendOpen311Error(res, format, 400, errors.map(error => `${error.field}: ${error.message}`).join('; '));
+    }
+
+    const reporter = await User.findOrCreateSystemAccount(OPEN311_CONFIG.reporter);
+    const contactName = [req.body.first_name, req.body.last_name].filter(Boolean).join(' ');
+
+    const issue = new Issue({
+      title: fields.title,
+      description: fields.description,
+      category,
+      subCategory,
+      location: {
+        coordinates: fields.location.coordinates,
+        address: { formatted: place.address },
+        ward: place.ward,
+        zone: place.zone,
+        outsideMunicipalLimits: place.outsideMunicipalLimits
+      },
+      photos: req.body.media_url ? [{ url: req.body.media_url }] : [],
+      reportedBy: reporter._id,
+      source: {
+        channel: 'open311',
+        contactName: contactName || undefined,
+        contactPhone: req.body.phone,
+        contactEmail: req.body.email
+      }
+    });
+
+    await saveNewIssue(issue, reporter._id, 'Issue reported through Open311', {
+      accountId: req.body.account_id,
+      deviceId: req.body.device_id
+    });
+
+    sendOpen311(res, format, 201, [{
+      service_request_id: issue.trackingId,
+      service_notice: null,
+      account_id: req.body.account_id || null
+    }], { root: 'service_requests', item: 'request' });
+
+  } catch (error) {
+    console.error('Open311 create request error:', error);
+    sendOpen311Error(res, res.locals.format, 500, 'Failed to create service request');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,612 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const WorkOrder = require('../models/WorkOrder');
+const Notification = require('../models/Notification');
+const { authenticate, authorize } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/imageUpload');
+const { uploadPhotos } = require('../utils/storage');
+const { recordAudit } = require('../utils/audit');
+const { publishIssueEvent } = require('../utils/webhooks');
+const { emitToIssue } = require('../utils/socket');
+const { getIssueDepartment } = require('../utils/departments');
+const { getDepartmentHeads } = require('../utils/sla');
+const {
+  WORK_ORDER_STATUSES,
+  WORK_ORDER_ISSUE_STATUSES,
+  WORK_ORDER_CONFIG,
+  getChecklistTemplate
+} = require('../config/workOrders');
+
+// Mounted under /api/issues/:id/work-orders, so the issue ID comes from the parent router
+const router = express.Router({ mergeParams: true });
+
+const SUPERVISORS = ['admin', 'department_head'];
+const ASSIGNABLE_ROLES = ['field_officer', 'department_head'];
+
+router.use(authenticate, authorize('admin', 'department_head', 'field_officer'));
+
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const orderIdValidation = [
+  param('orderId').isMongoId().withMessage('Invalid work order ID')
+];
+
+const isSupervisor = (user) => SUPERVISORS.includes(user.role);
+
+const sendTransitionError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message,
+  code: error.code,
+  ...error.details
+});
+
+// Load the parent issue; staff outside its department only get in as admins
+const loadIssue = async (req, res, next) => {
+  try {
+    const issue = await Issue.findById(req.params.id);
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    // Department responsible for the issue's field work
+    const department = await getIssueDepartment(issue);
+
+    if (req.user.role !== 'admin' && req.user.department !== department) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Department mismatch.'
+      });
+    }
+
+    req.issue = issue;
+    req.issueDepartment = department;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid issue ID'
+      });
+    }
+
+    console.error('Load issue for work orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load issue'
+    });
+  }
+};
+
+const loadWorkOrder = async (req, res, next) => {
+  try {
+    const workOrder = await WorkOrder.findOne({ _id: req.params.orderId, issue: req.issue._id });
+
+    if (!workOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work order not found'
+      });
+    }
+
+    req.workOrder = workOrder;
+    next();
+  } catch (error) {
+    console.error('Load work order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load work order'
+    });
+  }
+};
+
+// Field officers may only record work on their own orders, and only while the order is open
+const requireOrderOwner = (req, res, next) => {
+  if (!isSupervisor(req.user) && req.workOrder.assignedTo.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. This work order is assigned to another officer.'
+    });
+  }
+  next();
+};
+
+const requireOpenOrder = (req, res, next) => {
+  if (['done', 'cancelled'].includes(req.workOrder.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `This work order is ${req.workOrder.status} and can no longer be changed`
+    });
+  }
+  next();
+};
+
+// Check an officer can take a work order for this issue
+const findAssignee = async (userId, issue, department) => {
+  const user = await User.findById(userId);
+
+  if (!user || !user.isActive || !ASSIGNABLE_ROLES.includes(user.role)) {
+    return { error: 'Work orders can only be assigned to active field officers or department heads' };
+  }
+  if (user.department !== department) {
+    return { error: `User does not belong to the ${department} department` };
+  }
+  if (!user.coversLocation(issue.location)) {
+    return { error: `User does not cover ward ${issue.location.ward || 'unknown'} / zone ${issue.location.zone || 'unknown'}` };
+  }
+
+  return { user };
+};
+
+const notifyAssignee = (workOrder, issue, sender) => Notification.createNotification({
+  recipient: workOrder.assignedTo,
+  sender,
+  type: 'issue_assigned',
+  messageKey: 'work_order_assigned',
+  messageParams: {
+    orderNumber: workOrder.orderNumber,
+    title: issue.title,
+    scheduledFor: workOrder.scheduledFor.toISOString().slice(0, 10)
+  },
+  relatedIssue: issue._id,
+  priority: issue.priority === 'critical' ? 'urgent' : 'high',
+  actionUrl: `/issues/${issue._id}`,
+  actionKey: 'viewIssue',
+  metadata: { workOrderId: workOrder._id }
+});
+
+// Once every open order is done the issue goes to under_review for the department head to sign off
+const submitIssueForReview = async (req, issue) => {
+  if (issue.status !== 'in_progress' || !await WorkOrder.allDoneForIssue(issue._id)) {
+    return false;
+  }
+
+  const orders = await WorkOrder.find({ issue: issue._id, status: 'done' }).select('orderNumber completionNotes');
+
+  if (!issue.resolutionNotes) {
+    const notes = orders.filter(order => order.completionNotes)
+      .map(order => `${order.orderNumber}: ${order.completionNotes}`)
+      .join('\n');
+    if (notes) issue.resolutionNotes = notes.slice(0, 2000);
+  }
+
+  issue.updateStatus('under_review', req.user._id, 'All work orders completed', { role: req.user.role });
+  await issue.save();
+
+  const departmentHeads = await getDepartmentHeads(req.issueDepartment);
+  await Promise.all(departmentHeads.map(head => Notification.createNotification({
+    recipient: head._id,
+    sender: req.user._id,
+    type: 'issue_updated',
+    messageKey: 'work_orders_completed',
+    messageParams: { trackingId: issue.trackingId, title: issue.title },
+    relatedIssue: issue._id,
+    priority: 'high',
+    actionUrl: `/issues/${issue._id}`,
+    actionKey: 'viewIssue'
+  })));
+
+  await publishIssueEvent('issue.status_changed', issue, { from: 'in_progress', to: 'under_review', workOrders: orders.map(order => order.orderNumber) });
+  return true;
+};
+
+// @route   GET /api/issues/:id/work-orders
+// @desc    Work orders for an issue, oldest first
+// @access  Private (staff of the issue's department)
+router.get('/', loadIssue, async (req, res) => {
+  try {
+    const workOrders = await WorkOrder.find({ issue: req.issue._id })
+      .populate('assignedTo', 'firstName lastName phone role')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { workOrders }
+    });
+
+  } catch (error) {
+    console.error('List work orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch work orders'
+    });
+  }
+});
+
+// @route   POST /api/issues/:id/work-orders
+// @desc    Schedule a field visit. The checklist starts from the category template; `checklist` adds items.
+// @access  Private (admin and department heads)
+router.post('/', authorize(...SUPERVISORS), [
+  body('assignedUserId').isMongoId().withMessage('Invalid user ID'),
+  body('scheduledFor').isISO8601().withMessage('scheduledFor must be a date'),
+  body('instructions').optional().trim().isLength({ max: 1000 }).withMessage('Instructions cannot exceed 1000 characters'),
+  body('checklist').optional().isArray({ max: 20 }).withMessage('checklist must be a list of up to 20 items'),
+  body('checklist.*').trim().isLength({ min: 1, max: 200 }).withMessage('Checklist items must be between 1 and 200 characters')
+], handleValidation, loadIssue, async (req, res) => {
+  try {
+    const { issue } = req;
+
+    if (!WORK_ORDER_ISSUE_STATUSES.includes(issue.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Work orders can only be added to ${WORK_ORDER_ISSUE_STATUSES.join(' or ')} issues`
+      });
+    }
+
+    const { user: assignee, error } = await findAssignee(req.body.assignedUserId, issue, req.issueDepartment);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const existing = await WorkOrder.countDocuments({ issue: issue._id });
+
+    const workOrder = new WorkOrder({
+      issue: issue._id,
+      orderNumber: `${issue.trackingId}-W${existing + 1}`,
+      assignedTo: assignee._id,
+      department: req.issueDepartment,
+      scheduledFor: new Date(req.body.scheduledFor),
+      instructions: req.body.instructions,
+      checklist: [
+        ...getChecklistTemplate(issue.category),
+        ...(req.body.checklist || []).map(item => ({ item, required: true }))
+      ],
+      statusHistory: [{ status: 'scheduled', changedBy: req.user._id }],
+      createdBy: req.user._id
+    });
+
+    // Issue changes are made before anything is saved so a refused transition leaves no order behind
+    if (!issue.assignedTo?.user) {
+      issue.assignIssue(assignee._id, req.issueDepartment, req.user._id);
+    }
+    if (issue.status === 'acknowledged') {
+      issue.updateStatus('in_progress', req.user._id, `Work order ${workOrder.orderNumber} scheduled`, { role: req.user.role });
+    }
+    issue.addTimelineEntry(
+      'work_order',
+      `Work order ${workOrder.orderNumber} scheduled for ${workOrder.scheduledFor.toISOString().slice(0, 10)}`,
+      req.user._id,
+      { workOrderId: workOrder._id, assignedTo: assignee._id }
+    );
+
+    await workOrder.save();
+    await issue.save();
+
+    await recordAudit(req, {
+      action: 'work_order.created',
+      entityType: 'work_order',
+      entityId: workOrder._id,
+      after: { assignedTo: assignee._id, scheduledFor: workOrder.scheduledFor },
+      metadata: { issueId: issue._id, orderNumber: workOrder.orderNumber }
+    });
+
+    await notifyAssignee(workOrder, issue, req.user._id);
+    emitToIssue(issue._id, 'work_order_updated', { issueId: issue._id, workOrderId: workOrder._id, status: workOrder.status });
+
+    res.status(201).json({
+      success: true,
+      message: 'Work order scheduled',
+      data: { workOrder }
+    });
+
+  } catch (error) {
+    if (error.name === 'IssueTransitionError') {
+      return sendTransitionError(res, error);
+    }
+
+    console.error('Create work order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create work order'
+    });
+  }
+});
+
+// @route   GET /api/issues/:id/work-orders/:orderId
+// @desc    One work order with its checklist, materials and photos
+// @access  Private (staff of the issue's department)
+router.get('/:orderId', orderIdValidation, handleValidation, loadIssue, loadWorkOrder, async (req, res) => {
+  try {
+    await req.workOrder.populate([
+      { path: 'assignedTo', select: 'firstName lastName phone role' },
+      { path: 'statusHistory.changedBy', select: 'firstName lastName role' }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        workOrder: req.workOrder,
+        missingForCompletion: req.workOrder.getMissingForCompletion()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get work order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch work order'
+    });
+  }
+});
+
+// @route   PATCH /api/issues/:id/work-orders/:orderId
+// @desc    Reschedule or reassign an open work order, edit its instructions or add checklist items
+// @access  Private (admin and department heads)
+router.patch('/:orderId', authorize(...SUPERVISORS), [
+  ...orderIdValidation,
+  body('assignedUserId').optional().isMongoId().withMessage('Invalid user ID'),
+  body('scheduledFor').optional().isISO8601().withMessage('scheduledFor must be a date'),
+  body('instructions').optional().trim().isLength({ max: 1000 }).withMessage('Instructions cannot exceed 1000 characters'),
+  body('addChecklistItems').optional().isArray({ max: 20 }).withMessage('addChecklistItems must be a list of up to 20 items'),
+  body('addChecklistItems.*').trim().isLength({ min: 1, max: 200 }).withMessage('Checklist items must be between 1 and 200 characters')
+], handleValidation, loadIssue, loadWorkOrder, requireOpenOrder, async (req, res) => {
+  try {
+    const { workOrder, issue } = req;
+    const before = { assignedTo: workOrder.assignedTo, scheduledFor: workOrder.scheduledFor };
+    let reassigned = false;
+
+    if (req.body.assignedUserId && req.body.assignedUserId !== workOrder.assignedTo.toString()) {
+      const { user: assignee, error } = await findAssignee(req.body.assignedUserId, issue, req.issueDepartment);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      workOrder.assignedTo = assignee._id;
+      reassigned = true;
+    }
+
+    if (req.body.scheduledFor) workOrder.scheduledFor = new Date(req.body.scheduledFor);
+    if (req.body.instructions !== undefined) workOrder.instructions = req.body.instructions;
+    (req.body.addChecklistItems || []).forEach(item => workOrder.checklist.push({ item, required: true }));
+
+    await workOrder.save();
+
+    await recordAudit(req, {
+      action: 'work_order.updated',
+      entityType: 'work_order',
+      entityId: workOrder._id,
+      before,
+      after: { assignedTo: workOrder.assignedTo, scheduledFor: workOrder.scheduledFor },
+      metadata: { issueId: issue._id, orderNumber: workOrder.orderNumber, addedChecklistItems: req.body.addChecklistItems }
+    });
+
+    if (reassigned || req.body.scheduledFor) {
+      await notifyAssignee(workOrder, issue, req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Work order updated',
+      data: { workOrder }
+    });
+
+  } catch (error) {
+    console.error('Update work order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update work order'
+    });
+  }
+});
+
+// @route   PATCH /api/issues/:id/work-orders/:orderId/status
+// @desc    Move a work order through scheduled, en route, on site, done or blocked (cancelled: supervisors only).
+//          Done needs the required checklist items and before/after photos; the last order done sends the issue for review.
+// @access  Private (assigned officer, admin and department heads)
+router.patch('/:orderId/status', [
+  ...orderIdValidation,
+  body('status').isIn(WORK_ORDER_STATUSES).withMessage('Invalid work order status'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('completionNotes').optional().trim().isLength({ max: 2000 }).withMessage('Completion notes cannot exceed 2000 characters')
+], handleValidation, loadIssue, loadWorkOrder, requireOrderOwner, requireOpenOrder, async (req, res) => {
+  try {
+    const { workOrder, issue } = req;
+    const { status, notes, completionNotes } = req.body;
+
+    if (status === 'cancelled' && !isSupervisor(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and department heads can cancel work orders'
+      });
+    }
+
+    const oldStatus = workOrder.status;
+    if (completionNotes) workOrder.completionNotes = completionNotes;
+
+    const error = workOrder.changeStatus(status, req.user._id, notes);
+    if (error) {
+      return res.status(422).json({
+        success: false,
+        message: error,
+        missingForCompletion: status === 'done' ? workOrder.getMissingForCompletion() : undefined
+      });
+    }
+
+    await workOrder.save();
+
+    if (['done', 'blocked', 'cancelled'].includes(status)) {
+      issue.addTimelineEntry(
+        'work_order',
+        `Work order ${workOrder.orderNumber} ${status}${notes ? `: ${notes}` : ''}`,
+        req.user._id,
+        { workOrderId: workOrder._id, status, minutesOnSite: workOrder.minutesOnSite }
+      );
+      await issue.save();
+    }
+
+    await recordAudit(req, {
+      action: 'work_order.status_changed',
+      entityType: 'work_order',
+      entityId: workOrder._id,
+      before: { status: oldStatus },
+      after: { status },
+      metadata: { issueId: issue._id, orderNumber: workOrder.orderNumber, notes }
+    });
+
+    const submittedForReview = ['done', 'cancelled'].includes(status) && await submitIssueForReview(req, issue);
+
+    emitToIssue(issue._id, 'work_order_updated', { issueId: issue._id, workOrderId: workOrder._id, status });
+
+    res.json({
+      success: true,
+      message: submittedForReview
+        ? 'Work order completed. All work is done and the issue is awaiting sign-off.'
+        : 'Work order status updated',
+      data: { workOrder, issueStatus: issue.status }
+    });
+
+  } catch (error) {
+    if (error.name === 'IssueTransitionError') {
+      return sendTransitionError(res, error);
+    }
+
+    console.error('Update work order status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update work order status'
+    });
+  }
+});
+
+// @route   PATCH /api/issues/:id/work-orders/:orderId/checklist/:itemId
+// @desc    Tick off (or untick) a checklist item
+// @access  Private (assigned officer, admin and department heads)
+router.patch('/:orderId/checklist/:itemId', [
+  ...orderIdValidation,
+  param('itemId').isMongoId().withMessage('Invalid checklist item ID'),
+  body('done').isBoolean().withMessage('done must be true or false'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], handleValidation, loadIssue, loadWorkOrder, requireOrderOwner, requireOpenOrder, async (req, res) => {
+  try {
+    const { workOrder } = req;
+    const entry = workOrder.checklist.id(req.params.itemId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    entry.done = req.body.done === true || req.body.done === 'true';
+    entry.doneAt = entry.done ? new Date() : undefined;
+    entry.doneBy = entry.done ? req.user._id : undefined;
+    if (req.body.notes !== undefined) entry.notes = req.body.notes;
+
+    await workOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Checklist updated',
+      data: { item: entry, missingForCompletion: workOrder.getMissingForCompletion() }
+    });
+
+  } catch (error) {
+    console.error('Update checklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update checklist'
+    });
+  }
+});
+
+// @route   POST /api/issues/:id/work-orders/:orderId/materials
+// @desc    Record material used on the visit
+// @access  Private (assigned officer, admin and department heads)
+router.post('/:orderId/materials', [
+  ...orderIdValidation,
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Material name must be between 1 and 100 characters'),
+  body('quantity').isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
+  body('unit').optional().trim().isLength({ max: 20 }).withMessage('Unit cannot exceed 20 characters')
+], handleValidation, loadIssue, loadWorkOrder, requireOrderOwner, requireOpenOrder, async (req, res) => {
+  try {
+    const { workOrder } = req;
+
+    workOrder.materials.push({
+      name: req.body.name,
+      quantity: parseFloat(req.body.quantity),
+      unit: req.body.unit,
+      recordedBy: req.user._id
+    });
+    await workOrder.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Material recorded',
+      data: { materials: workOrder.materials }
+    });
+
+  } catch (error) {
+    console.error('Record material error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record material'
+    });
+  }
+});
+
+// @route   POST /api/issues/:id/work-orders/:orderId/photos
+// @desc    Upload before or after photos (multipart "photos", stage=before|after). They are also added to the
+//          issue's resolution photos so the department head can compare them when signing off.
+// @access  Private (assigned officer, admin and department heads)
+router.post('/:orderId/photos', imageUpload.array('photos', WORK_ORDER_CONFIG.maxPhotosPerUpload), [
+  ...orderIdValidation,
+  body('stage').isIn(['before', 'after']).withMessage('stage must be before or after'),
+  body('caption').optional().trim().isLength({ max: 200 }).withMessage('Caption cannot exceed 200 characters')
+], handleValidation, loadIssue, loadWorkOrder, requireOrderOwner, requireOpenOrder, async (req, res) => {
+  try {
+    const { workOrder, issue } = req;
+    const { stage, caption } = req.body;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attach at least one photo'
+      });
+    }
+
+    const photos = (await uploadPhotos(req.files, 'work-orders'))
+      .map(photo => ({ ...photo, caption: caption || photo.caption, uploadedBy: req.user._id }));
+
+    workOrder.photos[stage].push(...photos);
+    await workOrder.save();
+
+    issue.resolutionPhotos.push(...photos.map(photo => ({ ...photo, workOrder: workOrder._id, stage })));
+    await issue.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${photos.length} ${stage} photo(s) added`,
+      data: { photos: workOrder.photos, missingForCompletion: workOrder.getMissingForCompletion() }
+    });
+
+  } catch (error) {
+    console.error('Upload work order photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload photos'
+    });
+  }
+});
+
+module.exports = router;
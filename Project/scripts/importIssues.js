@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { IMPORT_CONFIG } = require('../config/issueImport');
+const { importIssues } = require('../utils/issueImport');
+
+const USAGE = `
+Usage: node scripts/importIssues.js --file <register.csv> [options]
+
+Checks every row and prints a report. Nothing is saved unless --commit is given.
+
+Options:
+  --map <field=Column,...>   Map issue fields to CSV column headers, e.g. title=Complaint,address=Location
+  --channel <channel>        Where the complaints came in: ${IMPORT_CONFIG.channels.join(', ')} (default: ${IMPORT_CONFIG.defaultChannel})
+  --commit                   Save the valid rows
+  --report <path.json>       Also write the full row-level report to a file
+  --no-geocode               Reject rows without coordinates instead of geocoding their address
+`;
+
+const parseArgs = (argv) => {
+  const args = { mapping: {}, channel: IMPORT_CONFIG.defaultChannel, commit: false, geocode: true };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+
+    switch (arg) {
+      case '--file': args.file = next; i++; break;
+      case '--channel': args.channel = next; i++; break;
+      case '--report': args.report = next; i++; break;
+      case '--commit': args.commit = true; break;
+      case '--no-geocode': args.geocode = false; break;
+      case '--map':
+        (next || '').split(',').forEach(pair => {
+          const [field, column] = pair.split('=');
+          if (!field || !column) throw new Error(`Invalid mapping "${pair}", expected field=Column`);
+          args.mapping[field.trim()] = column.trim();
+        });
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!args.file) {
+    throw new Error('--file is required');
+  }
+  if (!IMPORT_CONFIG.channels.includes(args.channel)) {
+    throw new Error(`--channel must be one of: ${IMPORT_CONFIG.channels.join(', ')}`);
+  }
+
+  return args;
+};
+
+const runImport = async () => {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const file = path.resolve(args.file);
+    const csvText = fs.readFileSync(file, 'utf8');
+
+    await connectDB();
+
+    console.log(`📥 ${args.commit ? 'Importing' : 'Checking (dry run)'} ${path.basename(file)}...`);
+
+    const report = await importIssues(csvText, {
+      mapping: args.mapping,
+      channel: args.channel,
+      dryRun: !args.commit,
+      maxGeocodedRows: Infinity,
+      ...(!args.geocode && { geocode: async () => null })
+    });
+
+    report.rows.forEach(({ row, status, errors = [], warnings = [], trackingId }) => {
+      if (status === 'error') {
+        errors.forEach(({ field, message }) => console.log(`❌ Row ${row} [${field}]: ${message}`));
+      } else if (trackingId) {
+        console.log(`✅ Row ${row}: ${trackingId}`);
+      }
+      warnings.forEach(warning => console.log(`⚠️ Row ${row}: ${warning}`));
+    });
+
+    if (args.report) {
+      fs.writeFileSync(path.resolve(args.report), JSON.stringify(report, null, 2));
+      console.log(`📝 Report written to ${args.report}`);
+    }
+
+    console.log(args.commit
+      ? `✅ Batch ${report.batchId}: imported ${report.imported} of ${report.total} rows, ${report.failed} failed`
+      : `✅ Dry run: ${report.valid} of ${report.total} rows are valid, ${report.failed} have errors. Re-run with --commit to import.`);
+
+    await mongoose.connection.close();
+    process.exit(report.failed > 0 && !args.commit ? 2 : 0);
+
+  } catch (error) {
+    console.error(`❌ Import failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  runImport();
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Boundary = require('../models/Boundary');
+const connectDB = require('../config/database');
+
+const USAGE = `
+Usage: node scripts/loadBoundaries.js --type <ward|zone|municipal_limit> --file <path.geojson> [options]
+
+Options:
+  --code-property <name>   Feature property holding the boundary code (default: code)
+  --name-property <name>   Feature property holding the display name (default: name)
+  --zone-property <name>   Feature property holding a ward's zone code (wards only)
+  --replace                Deactivate boundaries of this type missing from the file
+`;
+
+const parseArgs = (argv) => {
+  const args = { codeProperty: 'code', nameProperty: 'name', replace: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+
+    switch (arg) {
+      case '--type': args.type = next; i++; break;
+      case '--file': args.file = next; i++; break;
+      case '--code-property': args.codeProperty = next; i++; break;
+      case '--name-property': args.nameProperty = next; i++; break;
+      case '--zone-property': args.zoneProperty = next; i++; break;
+      case '--replace': args.replace = true; break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!['ward', 'zone', 'municipal_limit'].includes(args.type) || !args.file) {
+    throw new Error('Both --type (ward, zone or municipal_limit) and --file are required');
+  }
+
+  return args;
+};
+
+// Turn a FeatureCollection into boundary documents, reporting features that cannot be used
+const featuresToBoundaries = (geojson, args) => {
+  const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+  const boundaries = [];
+  const skipped = [];
+
+  features.forEach((feature, index) => {
+    const properties = feature.properties || {};
+    const geometry = feature.geometry;
+    const code = properties[args.codeProperty] ?? (args.type === 'municipal_limit' ? 'ANAND' : undefined);
+    const name = properties[args.nameProperty] ?? code;
+
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+      skipped.push({ index, reason: `unsupported geometry ${geometry?.type}` });
+      return;
+    }
+
+    if (code === undefined || code === null || code === '') {
+      skipped.push({ index, reason: `missing "${args.codeProperty}" property` });
+      return;
+    }
+
+    boundaries.push({
+      type: args.type,
+      code: String(code).trim(),
+      name: String(name).trim(),
+      zone: args.zoneProperty && properties[args.zoneProperty] !== undefined
+        ? String(properties[args.zoneProperty]).trim()
+        : undefined,
+      geometry: { type: geometry.type, coordinates: geometry.coordinates },
+      properties
+    });
+  });
+
+  return { boundaries, skipped };
+};
+
+const loadBoundaries = async () => {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const file = path.resolve(args.file);
+    const geojson = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const { boundaries, skipped } = featuresToBoundaries(geojson, args);
+
+    skipped.forEach(({ index, reason }) => console.warn(`⚠️ Skipping feature ${index}: ${reason}`));
+
+    if (boundaries.length === 0) {
+      console.error('❌ No usable features found');
+      process.exit(1);
+    }
+
+    await connectDB();
+
+    console.log(`🗺️ Loading ${boundaries.length} ${args.type} boundaries from ${path.basename(file)}...`);
+
+    for (const data of boundaries) {
+      const boundary = await Boundary.findOne({ type: data.type, code: data.code }) || new Boundary();
+      Object.assign(boundary, data, { source: path.basename(file), isActive: true });
+      await boundary.save();
+    }
+
+    if (args.replace) {
+      const result = await Boundary.updateMany(
+        { type: args.type, code: { $nin: boundaries.map(b => b.code) } },
+        { isActive: false }
+      );
+      console.log(`🗑️ Deactivated ${result.modifiedCount} ${args.type} boundaries not in the file`);
+    }
+
+    console.log('✅ Boundaries loaded');
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Loading boundaries failed:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  loadBoundaries();
+}
+
+module.exports = { parseArgs, featuresToBoundaries };
@@ -4,6 +4,8 @@ require('dotenv').config();
 
 const User = require('../models/User');
 const Issue = require('../models/Issue');
+const Department = require('../models/Department');
+const { ensureDefaultDepartments } = require('../utils/departments');
 const connectDB = require('../config/database');
 
 const seedData = async () => {
@@ -17,6 +19,12 @@ const seedData = async () => {
     console.log('🗑️ Clearing existing data...');
     await User.deleteMany({});
     await Issue.deleteMany({});
+    await Department.deleteMany({});
+
+    // Create departments
+    console.log('🏢 Creating departments...');
+    await ensureDefaultDepartments();
+    console.log('✅ Departments created');
     
     // Create admin user
     console.log('👤 Creating admin user...');
@@ -78,6 +86,7 @@ const seedData = async () => {
       });
       
       await deptHead.save();
+      await Department.updateOne({ code: dept.name }, { $set: { heads: [deptHead._id] } });
       departmentHeads.push(deptHead);
     }
     console.log('✅ Department heads created');
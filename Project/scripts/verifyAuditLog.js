@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const AuditLog = require('../models/AuditLog');
+const { verifyAuditChain } = require('../utils/audit');
+
+const USAGE = `
+Usage: node scripts/verifyAuditLog.js [options]
+
+Walks the audit log hash chain and reports entries that were changed, removed or reordered.
+Exits with 2 when the chain is broken.
+
+Options:
+  --expect <sequence>:<hash>   Also check the chain still reaches a head recorded earlier
+                               (detects entries deleted from the end of the log)
+  --report <path.json>         Write the full report to a file
+`;
+
+const parseArgs = (argv) => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+
+    switch (arg) {
+      case '--report': args.report = next; i++; break;
+      case '--expect': {
+        const [sequence, hash] = (next || '').split(':');
+        if (!/^\d+$/.test(sequence || '') || !/^[0-9a-f]{64}$/.test(hash || '')) {
+          throw new Error('--expect must be <sequence>:<sha256 hex>');
+        }
+        args.expect = { sequence: parseInt(sequence), hash };
+        i++;
+        break;
+      }
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+};
+
+const runVerification = async () => {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    console.log('🔍 Verifying audit log chain...');
+    const report = await verifyAuditChain();
+
+    if (args.expect) {
+      const { sequence, hash } = args.expect;
+      const anchor = await AuditLog.findOne({ sequence }).select('hash').lean();
+
+      if (!anchor || anchor.hash !== hash) {
+        report.valid = false;
+        report.problems.push({ sequence, problem: anchor ? 'Hash differs from the recorded head' : 'Recorded head is missing' });
+      }
+    }
+
+    report.problems.forEach(({ sequence, id, problem }) => {
+      console.log(`❌ #${sequence}${id ? ` (${id})` : ''}: ${problem}`);
+    });
+    if (report.invalid > report.problems.length) {
+      console.log(`… and ${report.invalid - report.problems.length} more`);
+    }
+    if (report.unchained > 0) {
+      console.log(`⚠️ ${report.unchained} entries were written before chaining and cannot be verified`);
+    }
+
+    if (args.report) {
+      fs.writeFileSync(path.resolve(args.report), JSON.stringify(report, null, 2));
+      console.log(`📝 Report written to ${args.report}`);
+    }
+
+    console.log(report.valid
+      ? `✅ ${report.checked} entries verified. Head: ${report.lastSequence}:${report.lastHash}`
+      : `❌ Audit log chain is broken (${report.checked} entries checked)`);
+
+    await mongoose.connection.close();
+    process.exit(report.valid ? 0 : 2);
+
+  } catch (error) {
+    console.error(`❌ Verification failed: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  runVerification();
+}
+
+module.exports = { parseArgs };
@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const path = require('path');
@@ -10,15 +9,31 @@ require('dotenv').config();
 
 // Import configurations
 const connectDB = require('./config/database');
+const storageConfig = require('./config/storage');
 const { initializeSocket } = require('./utils/socket');
+const { rateLimit } = require('./middleware/rateLimit');
+const { validateApiKey } = require('./middleware/security');
 const { validateEmailConfig } = require('./utils/email');
+const { ensureDefaultDepartments } = require('./utils/departments');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const issuesRoutes = require('./routes/issues');
+const notificationsRoutes = require('./routes/notifications');
+const adminRoutes = require('./routes/admin');
+const boundariesRoutes = require('./routes/boundaries');
+const analyticsRoutes = require('./routes/analytics');
+const officersRoutes = require('./routes/officers');
+const departmentsRoutes = require('./routes/departments');
+const open311Routes = require('./routes/open311');
 
 // Import models for cleanup tasks
 const Notification = require('./models/Notification');
+const { checkSlaBreaches } = require('./utils/sla');
+const { closeExpiredResolutions } = require('./utils/resolutionFollowUp');
+const { startJobWorker } = require('./utils/jobQueue');
+const { registerNotificationHandlers } = require('./utils/notificationDelivery');
+const { registerWebhookHandlers } = require('./utils/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -75,30 +90,29 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
 // Serve static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use(storageConfig.local.publicPath, express.static(storageConfig.local.directory));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // Increased for better user experience
-  message: {
-    success: false,
-    message: 'Too many requests from this IP, please try again later.',
-    retryAfter: '15 minutes'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  skip: (req) => {
-    // Skip rate limiting for static files
-    return req.url.startsWith('/uploads') || req.url.startsWith('/public');
-  }
+// Rate limiting (policies in config/rateLimits.js)
+const limiter = rateLimit('global', {
+  // Skip rate limiting for static files
+  skip: (req) => req.url.startsWith('/uploads') || req.url.startsWith('/public')
 });
+
 app.use(limiter);
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/issues', issuesRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/boundaries', boundariesRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/officers', officersRoutes);
+app.use('/api/departments', departmentsRoutes);
+
+// Open311 GeoReport v2 for third-party clients
+app.use('/open311/v2', validateApiKey, open311Routes);
 
 // Health check endpoint with detailed status
 app.get('/health', async (req, res) => {
@@ -149,6 +163,11 @@ app.use('/api/*', (req, res) => {
     availableRoutes: [
       '/api/auth/*',
       '/api/issues/*',
+      '/api/notifications/*',
+      '/api/admin/*',
+      '/api/boundaries/*',
+      '/api/analytics/*',
+      '/open311/v2/*',
       '/health',
       '/api/status'
     ]
@@ -169,6 +188,16 @@ app.use((err, req, res, next) => {
     });
   }
   
+  // Illegal issue status transition
+  if (err.name === 'IssueTransitionError') {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message,
+      code: err.code,
+      ...err.details
+    });
+  }
+  
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
@@ -219,6 +248,12 @@ const startServer = async () => {
     // Connect to database
     await connectDB();
     console.log('✅ Database connected successfully');
+
+    // Departments replace the old built-in list; create it on first start
+    const createdDepartments = await ensureDefaultDepartments();
+    if (createdDepartments > 0) {
+      console.log(`✅ Created ${createdDepartments} default departments`);
+    }
     
     // Validate email configuration (optional)
     const emailConfigured = await validateEmailConfig();
@@ -243,6 +278,14 @@ const startServer = async () => {
     setupScheduledTasks();
     console.log('✅ Scheduled tasks initialized');
     
+    // Deliver queued notifications and emails (set JOB_WORKER=false to run delivery elsewhere)
+    registerNotificationHandlers();
+    registerWebhookHandlers();
+    if (process.env.JOB_WORKER !== 'false') {
+      startJobWorker();
+      console.log('✅ Outbox worker started');
+    }
+    
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -261,6 +304,33 @@ const setupScheduledTasks = () => {
     }
   });
   
+  // Detect SLA breaches and escalate every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const summary = await checkSlaBreaches();
+      if (Object.values(summary).some(Boolean)) {
+        console.log('SLA check:', summary);
+      }
+    } catch (error) {
+      console.error('Error checking SLA breaches:', error);
+    }
+  });
+  
+  // Close resolved issues whose reopen window has passed, hourly
+  cron.schedule('0 * * * *', async () => {
+    try {
+      const summary = await closeExpiredResolutions();
+      if (summary.closed) {
+        console.log(`Auto-closed ${summary.closed} resolved issues`);
+      }
+      if (summary.failed) {
+        console.error(`Failed to auto-close ${summary.failed} resolved issues`);
+      }
+    } catch (error) {
+      console.error('Error closing resolved issues:', error);
+    }
+  });
+  
   // Health check every 5 minutes in production
   if (process.env.NODE_ENV === 'production') {
     cron.schedule('*/5 * * * *', () => {
@@ -485,6 +485,72 @@ describe('Municipal Corporation API Tests', () => {
           expect(user.role).toBe('citizen');
         });
       });
+
+      test('should search users by name or email', async () => {
+        const response = await request(app)
+          .get('/api/admin/users?search=citizen@test')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(200);
+
+        expect(response.body.users.length).toBe(1);
+        expect(response.body.users[0].email).toBe('citizen@test.com');
+      });
+
+      test('should page users and reject unknown sort fields', async () => {
+        const response = await request(app)
+          .get('/api/admin/users?limit=1&sortBy=email&sortOrder=asc')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(200);
+
+        expect(response.body.users.length).toBe(1);
+        expect(response.body.pagination.total).toBeGreaterThan(1);
+
+        await request(app)
+          .get('/api/admin/users?sortBy=password')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(400);
+      });
+    });
+
+    describe('PATCH /api/admin/users/:id', () => {
+      test('should require a department when promoting to field officer', async () => {
+        const response = await request(app)
+          .patch(`/api/admin/users/${citizenUser._id}/role`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ role: 'field_officer' })
+          .expect(400);
+
+        expect(response.body.success).toBe(false);
+      });
+
+      test('should move staff between departments and audit the change', async () => {
+        const response = await request(app)
+          .patch(`/api/admin/users/${officerUser._id}/department`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ department: 'water' })
+          .expect(200);
+
+        expect(response.body.data.user.department).toBe('water');
+
+        const AuditLog = require('../models/AuditLog');
+        const entry = await AuditLog.findOne({ entityId: officerUser._id, action: 'user.department_changed' });
+        expect(entry.changes.before.department).toBe('roads');
+        expect(entry.changes.after.department).toBe('water');
+
+        await request(app)
+          .patch(`/api/admin/users/${officerUser._id}/department`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ department: 'roads' })
+          .expect(200);
+      });
+
+      test('should not allow admin to deactivate themselves', async () => {
+        await request(app)
+          .patch(`/api/admin/users/${adminUser._id}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ isActive: false })
+          .expect(400);
+      });
     });
   });
 
@@ -669,6 +735,843 @@ describe('Municipal Corporation API Tests', () => {
     });
   });
 
+  describe('Comment Tests', () => {
+    let testComment;
+
+    test('should add a public comment to an issue', async () => {
+      const response = await request(app)
+        .post(`/api/issues/${testIssue._id}/comments`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ content: 'This is still a problem near the bus stop' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.comment.type).toBe('public');
+      expect(response.body.data.comment.isOfficial).toBe(false);
+
+      testComment = response.body.data.comment;
+    });
+
+    test('should not allow citizen to add internal notes', async () => {
+      const response = await request(app)
+        .post(`/api/issues/${testIssue._id}/comments`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ content: 'Sneaky internal note', type: 'internal' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should hide internal notes from citizens', async () => {
+      await request(app)
+        .post(`/api/issues/${testIssue._id}/comments`)
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({ content: 'Contractor scheduled for Monday', type: 'internal' })
+        .expect(201);
+
+      const citizenResponse = await request(app)
+        .get(`/api/issues/${testIssue._id}/comments`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      citizenResponse.body.data.comments.forEach(comment => {
+        expect(comment.type).not.toBe('internal');
+      });
+
+      const officerResponse = await request(app)
+        .get(`/api/issues/${testIssue._id}/comments`)
+        .set('Authorization', `Bearer ${officerToken}`)
+        .expect(200);
+
+      expect(officerResponse.body.data.comments.some(comment => comment.type === 'internal')).toBe(true);
+    });
+
+    test('should reply to and like a comment', async () => {
+      const replyResponse = await request(app)
+        .post(`/api/issues/${testIssue._id}/comments/${testComment._id}/replies`)
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({ content: 'We are looking into it' })
+        .expect(201);
+
+      expect(replyResponse.body.data.reply.isOfficial).toBe(true);
+
+      const likeResponse = await request(app)
+        .post(`/api/issues/${testIssue._id}/comments/${testComment._id}/like`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(likeResponse.body.data.isLiked).toBe(true);
+      expect(likeResponse.body.data.likeCount).toBe(1);
+    });
+
+    test('should only allow the author to edit a comment', async () => {
+      await request(app)
+        .put(`/api/issues/${testIssue._id}/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({ content: 'Edited by someone else' })
+        .expect(403);
+
+      const response = await request(app)
+        .put(`/api/issues/${testIssue._id}/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ content: 'Still a problem near the main bus stop', reason: 'Clarified location' })
+        .expect(200);
+
+      expect(response.body.data.comment.isEdited).toBe(true);
+      expect(response.body.data.comment.editHistory[0].reason).toBe('Clarified location');
+    });
+
+    test('should soft-delete a comment', async () => {
+      await request(app)
+        .delete(`/api/issues/${testIssue._id}/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/issues/${testIssue._id}/comments`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      expect(response.body.data.comments.find(c => c._id === testComment._id)).toBeUndefined();
+    });
+  });
+
+  describe('Notification Tests', () => {
+    test('should list notifications with unread count', async () => {
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(Array.isArray(response.body.data.notifications)).toBe(true);
+      expect(typeof response.body.data.unreadCount).toBe('number');
+      expect(response.body.data.pagination).toBeDefined();
+    });
+
+    test('should filter notifications by read state', async () => {
+      const response = await request(app)
+        .get('/api/notifications?isRead=false')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      response.body.data.notifications.forEach(notification => {
+        expect(notification.isRead).toBe(false);
+      });
+    });
+
+    test('should mark all notifications as read', async () => {
+      await request(app)
+        .patch('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(200);
+
+      expect(response.body.data.count).toBe(0);
+    });
+
+    test('should not expose other users notifications', async () => {
+      const listResponse = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${citizenToken}`);
+
+      const notification = listResponse.body.data.notifications[0];
+      if (notification) {
+        await request(app)
+          .delete(`/api/notifications/${notification._id}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(404);
+      }
+    });
+
+    test('should reject unauthenticated access', async () => {
+      await request(app)
+        .get('/api/notifications')
+        .expect(401);
+    });
+  });
+
+  describe('Resolution Feedback Tests', () => {
+    let resolvedIssue;
+
+    beforeEach(async () => {
+      resolvedIssue = await Issue.create({
+        title: 'Streetlight not working',
+        description: 'The streetlight outside house 12 has been off for a week',
+        category: 'streetlights',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 }, address: { formatted: 'Station Road, Anand' } },
+        reportedBy: citizenUser._id,
+        status: 'resolved',
+        resolutionNotes: 'Bulb replaced',
+        actualResolutionTime: new Date(),
+        autoCloseAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+    });
+
+    test('should let the reporter rate a resolved issue once', async () => {
+      const response = await request(app)
+        .post(`/api/issues/${resolvedIssue._id}/feedback`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ rating: 4, comment: 'Fixed quickly' })
+        .expect(200);
+
+      expect(response.body.data.feedback.rating).toBe(4);
+
+      await request(app)
+        .post(`/api/issues/${resolvedIssue._id}/feedback`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ rating: 5 })
+        .expect(409);
+    });
+
+    test('should reject ratings outside 1-5', async () => {
+      await request(app)
+        .post(`/api/issues/${resolvedIssue._id}/feedback`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ rating: 6 })
+        .expect(400);
+    });
+
+    test('should reopen within the window and restart SLA tracking', async () => {
+      const response = await request(app)
+        .post(`/api/issues/${resolvedIssue._id}/reopen`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ reason: 'The light went off again the next night' })
+        .expect(200);
+
+      expect(response.body.data.issue.status).toBe('in_progress');
+      expect(response.body.data.issue.reopenCount).toBe(1);
+      expect(new Date(response.body.data.issue.sla.resolveBy).getTime()).toBeGreaterThan(Date.now());
+      expect(response.body.data.issue.timeline.some(entry => entry.action === 'reopened')).toBe(true);
+    });
+
+    test('should not reopen after the window or for other users', async () => {
+      await request(app)
+        .post(`/api/issues/${resolvedIssue._id}/reopen`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'The light went off again the next night' })
+        .expect(403);
+
+      await Issue.updateOne({ _id: resolvedIssue._id }, { autoCloseAt: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .post(`/api/issues/${resolvedIssue._id}/reopen`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ reason: 'The light went off again the next night' })
+        .expect(409);
+
+      expect(response.body.code).toBe('REOPEN_WINDOW_CLOSED');
+    });
+  });
+
+  describe('Issue Map Tests', () => {
+    test('should return clusters for a viewport without authentication', async () => {
+      const response = await request(app)
+        .get('/api/issues/map?bbox=72.9,22.5,73.0,22.6&zoom=12')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.mode).toBe('clusters');
+      expect(Array.isArray(response.body.data.clusters)).toBe(true);
+    });
+
+    test('should reject a malformed bounding box or status', async () => {
+      await request(app)
+        .get('/api/issues/map?bbox=73.0,22.5,72.9&zoom=12')
+        .expect(400);
+
+      await request(app)
+        .get('/api/issues/map?bbox=72.9,22.5,73.0,22.6&zoom=12&status=open,unknown')
+        .expect(400);
+    });
+  });
+
+  describe('Issue Export Tests', () => {
+    beforeAll(async () => {
+      await Issue.create({
+        title: 'Broken footpath tiles',
+        description: 'Footpath tiles near the bus stand are broken and loose',
+        category: 'roads',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 }, address: { formatted: 'Bus Stand, Anand' } },
+        reportedBy: citizenUser._id
+      });
+    });
+
+    test('should export public issues as GeoJSON without reporter identity', async () => {
+      const response = await request(app)
+        .get('/api/issues/export?format=geojson&category=roads')
+        .expect('Content-Type', /application\/geo\+json/)
+        .expect(200);
+
+      const collection = JSON.parse(response.text);
+      expect(collection.type).toBe('FeatureCollection');
+      expect(collection.features.length).toBeGreaterThan(0);
+      expect(collection.features[0].geometry.coordinates).toEqual([72.9289, 22.5646]);
+      expect(collection.features[0].properties.reporterEmail).toBeUndefined();
+    });
+
+    test('should include reporter columns in CSV only for authorized roles', async () => {
+      const publicCsv = await request(app)
+        .get('/api/issues/export?format=csv')
+        .expect(200);
+      expect(publicCsv.text.split('\r\n')[0]).not.toContain('reporterEmail');
+
+      const adminCsv = await request(app)
+        .get('/api/issues/export?format=csv&includePrivate=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(adminCsv.text.split('\r\n')[0]).toContain('reporterEmail');
+      expect(adminCsv.text).toContain('citizen@test.com');
+    });
+
+    test('should audit only the export filters, never a query-string token', async () => {
+      await request(app)
+        .get(`/api/issues/export?format=csv&category=roads&token=${adminToken}`)
+        .expect(200);
+
+      const AuditLog = require('../models/AuditLog');
+      const entry = await AuditLog.findOne({ action: 'issue.exported' }).sort({ sequence: -1 });
+      expect(entry.metadata.filters).toEqual({ category: 'roads' });
+    });
+
+    test('should reject unknown formats', async () => {
+      await request(app)
+        .get('/api/issues/export?format=xlsx')
+        .expect(400);
+    });
+  });
+
+  describe('Issue Import Tests', () => {
+    const csv = 'title,description,category,latitude,longitude\n' +
+      'Garbage not collected,Garbage has not been collected for a week on this street,garbage,22.5646,72.9289\n';
+
+    test('should dry-run an import for admins without saving', async () => {
+      const before = await Issue.countDocuments();
+
+      const response = await request(app)
+        .post('/api/admin/issues/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ csv })
+        .expect(200);
+
+      expect(response.body.data.report).toMatchObject({ dryRun: true, total: 1, valid: 1 });
+      expect(await Issue.countDocuments()).toBe(before);
+    });
+
+    test('should reject files without required columns and non-admin users', async () => {
+      const response = await request(app)
+        .post('/api/admin/issues/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ csv: 'title,category\nPothole,roads\n' })
+        .expect(400);
+      expect(response.body.code).toBe('INVALID_IMPORT');
+
+      await request(app)
+        .post('/api/admin/issues/import')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .send({ csv })
+        .expect(403);
+    });
+  });
+
+  describe('Open311 Tests', () => {
+    const apiKey = 'test-open311-key';
+
+    beforeAll(() => {
+      process.env.VALID_API_KEYS = apiKey;
+    });
+
+    test('should list services in JSON and XML', async () => {
+      const json = await request(app)
+        .get('/open311/v2/services.json')
+        .expect(200);
+      expect(json.body.some(service => service.service_code === 'roads.pothole')).toBe(true);
+
+      const xml = await request(app)
+        .get('/open311/v2/services.xml')
+        .expect('Content-Type', /xml/)
+        .expect(200);
+      expect(xml.text).toContain('<service_code>roads.pothole</service_code>');
+    });
+
+    test('should accept only our own jurisdiction_id', async () => {
+      await request(app)
+        .get('/open311/v2/services.json?jurisdiction_id=anandmc.gov.in')
+        .expect(200);
+
+      const response = await request(app)
+        .get('/open311/v2/services.json?jurisdiction_id=vadodara.gov.in')
+        .expect(404);
+      expect(response.body[0].description).toBe('jurisdiction_id not found');
+    });
+
+    test('should require an API key to submit requests', async () => {
+      await request(app)
+        .post('/open311/v2/requests.json')
+        .send({ service_code: 'roads.pothole', lat: 22.5646, long: 72.9289, description: 'Large pothole in front of the bus stand' })
+        .expect(401);
+    });
+
+    test('should create a request and serve it by tracking ID with an open status', async () => {
+      const created = await request(app)
+        .post('/open311/v2/requests.json')
+        .type('form')
+        .send({
+          api_key: apiKey,
+          service_code: 'roads.pothole',
+          lat: 22.5646,
+          long: 72.9289,
+          description: 'Large pothole in front of the bus stand',
+          email: 'resident@example.com'
+        })
+        .expect(201);
+
+      const requestId = created.body[0].service_request_id;
+      const issue = await Issue.findOne({ trackingId: requestId });
+      expect(issue.subCategory).toBe('pothole');
+      expect(issue.source.channel).toBe('open311');
+
+      const response = await request(app)
+        .get(`/open311/v2/requests/${requestId}.json`)
+        .expect(200);
+      expect(response.body[0]).toMatchObject({ service_code: 'roads.pothole', status: 'open' });
+    });
+
+    test('should answer validation errors in GeoReport format', async () => {
+      const response = await request(app)
+        .post('/open311/v2/requests.json')
+        .send({ api_key: apiKey, service_code: 'unknown', lat: 22.5646, long: 72.9289 })
+        .expect(400);
+      expect(response.body[0].code).toBe(400);
+      expect(response.body[0].description).toContain('service_code');
+    });
+  });
+
+  describe('Webhook Tests', () => {
+    test('should create a webhook, return its secret once and audit it', async () => {
+      const response = await request(app)
+        .post('/api/admin/webhooks')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Water board dispatch',
+          url: 'https://dispatch.example.com/hooks/amc',
+          events: ['issue.created', 'issue.resolved'],
+          filters: { categories: ['water'] }
+        })
+        .expect(201);
+
+      expect(response.body.data.secret).toMatch(/^[0-9a-f]{64}$/);
+
+      const list = await request(app)
+        .get('/api/admin/webhooks')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      const listed = list.body.data.webhooks.find(webhook => webhook._id === response.body.data.webhook._id);
+      expect(listed.secret).toBeUndefined();
+
+      const AuditLog = require('../models/AuditLog');
+      expect(await AuditLog.countDocuments({ action: 'webhook.created' })).toBeGreaterThan(0);
+    });
+
+    test('should validate events and URLs and require an admin', async () => {
+      const response = await request(app)
+        .post('/api/admin/webhooks')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Bad', url: 'ftp://example.com', events: ['issue.deleted'] })
+        .expect(400);
+      expect(response.body.errors.map(error => error.path)).toEqual(expect.arrayContaining(['url', 'events[0]']));
+
+      await request(app)
+        .get('/api/admin/webhooks')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Issue Search Tests', () => {
+    beforeAll(async () => {
+      // The text index is built in the background; searches fail until it exists
+      await Issue.init();
+      await Issue.create([
+        {
+          title: 'Deep potholes on Station Road',
+          description: 'Several potholes have opened up after the rains and are damaging vehicles',
+          category: 'roads',
+          priority: 'high',
+          tags: ['monsoon'],
+          location: { coordinates: { latitude: 22.5561, longitude: 72.9512 }, address: { formatted: 'Station Road, Anand' }, ward: 'Ward 4' },
+          reportedBy: citizenUser._id
+        },
+        {
+          title: 'Drain overflowing',
+          description: 'Drain near the pothole repair site on Station Road overflows every evening',
+          category: 'drainage',
+          location: { coordinates: { latitude: 22.5563, longitude: 72.9515 }, address: { formatted: 'Station Road, Anand' }, ward: 'Ward 4' },
+          reportedBy: citizenUser._id
+        }
+      ]);
+    });
+
+    test('should rank title matches first and highlight where each issue matched', async () => {
+      const response = await request(app)
+        .get('/api/issues?search=pothole')
+        .expect(200);
+
+      const { issues } = response.body.data;
+      expect(issues[0].title).toBe('Deep potholes on Station Road');
+      expect(issues[0].highlights.title).toContain('<mark>potholes</mark>');
+      expect(issues[1].highlights.title).toBeUndefined();
+      expect(issues[1].highlights.description).toContain('<mark>pothole</mark>');
+    });
+
+    test('should return facet counts that ignore their own filter', async () => {
+      const response = await request(app)
+        .get('/api/issues?search=station&category=roads')
+        .expect(200);
+
+      const { issues, facets } = response.body.data;
+      expect(issues.every(issue => issue.category === 'roads')).toBe(true);
+      expect(facets.category).toEqual(expect.arrayContaining([{ value: 'roads', count: 1 }, { value: 'drainage', count: 1 }]));
+      expect(facets.ward).toEqual([{ value: 'Ward 4', count: 1 }]);
+      expect(facets.priority).toEqual([{ value: 'high', count: 1 }]);
+    });
+  });
+
+  describe('Audit Log Tests', () => {
+    test('should audit issue edits with a diff and find them by entity', async () => {
+      const issue = await Issue.create({
+        title: 'Leaking hydrant',
+        description: 'Fire hydrant on Mall Road leaks constantly',
+        category: 'water',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+        reportedBy: citizenUser._id
+      });
+
+      await request(app)
+        .put(`/api/issues/${issue._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('User-Agent', 'audit-test')
+        .send({ priority: 'high', title: 'Leaking hydrant' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/admin/audit-logs?entityType=issue&entityId=${issue._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const [entry] = response.body.data.entries;
+      expect(entry).toMatchObject({
+        action: 'issue.updated',
+        actorRole: 'admin',
+        userAgent: 'audit-test',
+        route: `PUT /api/issues/${issue._id}`,
+        changes: { before: { priority: 'medium' }, after: { priority: 'high' } }
+      });
+      expect(entry.hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should keep a copy of hard-deleted issues and restrict the log to admins', async () => {
+      const issue = await Issue.create({
+        title: 'Abandoned vehicle',
+        description: 'Abandoned car blocking the lane for a month',
+        category: 'traffic',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+        reportedBy: citizenUser._id
+      });
+
+      await request(app)
+        .delete(`/api/issues/${issue._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const AuditLog = require('../models/AuditLog');
+      const entry = await AuditLog.findOne({ action: 'issue.deleted', entityId: issue._id });
+      expect(entry.changes.before.title).toBe('Abandoned vehicle');
+
+      await request(app)
+        .get('/api/admin/audit-logs')
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Work Order Tests', () => {
+    test('should schedule a work order and move an acknowledged issue into progress', async () => {
+      const issue = await Issue.create({
+        title: 'Pothole near bus stand',
+        description: 'Deep pothole in front of the bus stand entrance',
+        category: 'roads',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+        reportedBy: citizenUser._id,
+        status: 'acknowledged'
+      });
+
+      const response = await request(app)
+        .post(`/api/issues/${issue._id}/work-orders`)
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({
+          assignedUserId: officerUser._id.toString(),
+          scheduledFor: '2030-01-15',
+          checklist: ['Photograph the road marking']
+        })
+        .expect(201);
+
+      const { workOrder } = response.body.data;
+      expect(workOrder.orderNumber).toBe(`${issue.trackingId}-W1`);
+      expect(workOrder.status).toBe('scheduled');
+      expect(workOrder.checklist.map(entry => entry.item)).toContain('Photograph the road marking');
+
+      const updated = await Issue.findById(issue._id);
+      expect(updated.status).toBe('in_progress');
+      expect(updated.assignedTo.user.toString()).toBe(officerUser._id.toString());
+
+      const completion = await request(app)
+        .patch(`/api/issues/${issue._id}/work-orders/${workOrder._id}/status`)
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({ status: 'done' })
+        .expect(422);
+      expect(completion.body.message).toMatch(/Cannot change/);
+
+      await request(app)
+        .get(`/api/issues/${issue._id}/work-orders`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(403);
+    });
+
+    test('should delete an issue\'s work orders with the issue', async () => {
+      const WorkOrder = require('../models/WorkOrder');
+      const issue = await Issue.create({
+        title: 'Broken divider',
+        description: 'Road divider broken near the vegetable market',
+        category: 'roads',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+        reportedBy: citizenUser._id
+      });
+      await WorkOrder.create({
+        issue: issue._id,
+        orderNumber: `${issue.trackingId}-W1`,
+        assignedTo: officerUser._id,
+        department: 'roads',
+        scheduledFor: new Date('2030-01-15')
+      });
+
+      const response = await request(app)
+        .delete(`/api/issues/${issue._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(await WorkOrder.countDocuments({ issue: issue._id })).toBe(0);
+    });
+  });
+
+  describe('Officer Tracking Tests', () => {
+    test('should assign the nearest on-shift officer and show positions to the department head', async () => {
+      const OfficerShift = require('../models/OfficerShift');
+      const OfficerLocation = require('../models/OfficerLocation');
+
+      const fieldOfficer = await User.create({
+        firstName: 'Nearest',
+        lastName: 'Officer',
+        email: 'nearest.officer@test.com',
+        phone: '9876543277',
+        password: await bcrypt.hash('TestPass123', 12),
+        role: 'field_officer',
+        department: 'roads',
+        isVerified: true
+      });
+      const shift = await OfficerShift.create({ officer: fieldOfficer._id, department: 'roads', endsAt: new Date(Date.now() + 60 * 60 * 1000) });
+      await OfficerLocation.create({ officer: fieldOfficer._id, shift: shift._id, department: 'roads', latitude: 22.5650, longitude: 72.9290 });
+
+      const issue = await Issue.create({
+        title: 'Collapsed footpath',
+        description: 'Footpath slab collapsed outside the post office',
+        category: 'roads',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+        reportedBy: citizenUser._id
+      });
+
+      const response = await request(app)
+        .patch(`/api/issues/${issue._id}/assign`)
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({ department: 'roads', assignNearest: true })
+        .expect(200);
+
+      expect(response.body.data.issue.assignedTo.user._id).toBe(fieldOfficer._id.toString());
+      expect(response.body.data.ranking[0]).toMatchObject({ openIssues: 0 });
+
+      const locations = await request(app)
+        .get('/api/officers/locations')
+        .set('Authorization', `Bearer ${officerToken}`)
+        .expect(200);
+      expect(locations.body.data.locations[0]).toMatchObject({ onShift: true, latitude: 22.5650 });
+
+      await request(app)
+        .get(`/api/officers/${fieldOfficer._id}/track`)
+        .set('Authorization', `Bearer ${citizenToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Routing Rule Tests', () => {
+    test('should create a rule and show it firing in a dry run', async () => {
+      const created = await request(app)
+        .post('/api/admin/routing-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Illegal construction',
+          order: 10,
+          department: 'general',
+          conditions: { categories: ['buildings'], keywords: ['construction'] },
+          assignment: { strategy: 'least_load', roles: ['department_head'] }
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/admin/routing-rules/dry-run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ category: 'buildings', title: 'Illegal construction on terrace' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        rule: { _id: created.body.data.rule._id, name: 'Illegal construction' },
+        department: 'general',
+        usedDefault: false,
+        strategy: 'least_load'
+      });
+
+      const fallback = await request(app)
+        .post('/api/admin/routing-rules/dry-run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ category: 'traffic' })
+        .expect(200);
+      expect(fallback.body.data).toMatchObject({ rule: null, department: 'roads', usedDefault: true });
+
+      await request(app)
+        .post('/api/admin/routing-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Bad', department: 'buildings' })
+        .expect(400);
+    });
+  });
+
+  describe('Department Tests', () => {
+    const Department = require('../models/Department');
+    const { clearDepartmentCache, ensureDefaultDepartments } = require('../utils/departments');
+
+    beforeAll(async () => {
+      // The server creates these on start
+      await ensureDefaultDepartments();
+    });
+
+    afterAll(async () => {
+      await Department.deleteMany({ code: 'estate' });
+      clearDepartmentCache();
+    });
+
+    test('should let admins manage departments and publish their contact details', async () => {
+      const created = await request(app)
+        .post('/api/admin/departments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          code: 'estate',
+          name: 'Estate Department',
+          contact: { phone: '02692-250100', email: 'estate@anandmc.gov.in' },
+          workingHours: [{ day: 1, opens: '10:30', closes: '18:10' }],
+          holidays: [{ date: '2099-01-26', name: 'Republic Day' }]
+        })
+        .expect(201);
+
+      await request(app)
+        .post('/api/admin/departments')
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({ code: 'estate2', name: 'Estate 2' })
+        .expect(403);
+
+      await request(app)
+        .patch(`/api/admin/departments/${created.body.data.department._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'renamed' })
+        .expect(400);
+
+      const response = await request(app)
+        .get('/api/departments')
+        .expect(200);
+
+      const estate = response.body.data.departments.find(department => department.code === 'estate');
+      expect(estate).toMatchObject({
+        name: 'Estate Department',
+        contact: { phone: '02692-250100' },
+        upcomingHolidays: [{ date: '2099-01-26', name: 'Republic Day' }]
+      });
+      expect(estate.heads).toBeUndefined();
+    });
+  });
+
+  describe('Issue Status Workflow Tests', () => {
+    const createIssue = (status) => Issue.create({
+      title: 'Damaged speed breaker',
+      description: 'Speed breaker near the school gate is broken',
+      category: 'roads',
+      status,
+      location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+      reportedBy: citizenUser._id
+    });
+
+    test('should answer a transition the role may not perform with 403 and the structured body', async () => {
+      const issue = await createIssue('rejected');
+
+      const response = await request(app)
+        .patch(`/api/issues/${issue._id}/status`)
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({ status: 'acknowledged', notes: 'Rejected by mistake' })
+        .expect(403);
+
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'TRANSITION_NOT_PERMITTED',
+        currentStatus: 'rejected',
+        requestedStatus: 'acknowledged',
+        missingFields: []
+      });
+      expect(Array.isArray(response.body.allowedTransitions)).toBe(true);
+    });
+
+    test('should authorize staff against the department an issue was routed to, not its category', async () => {
+      const issue = await createIssue('submitted');
+      issue.assignedTo = { department: 'water' };
+      await issue.save();
+
+      await request(app)
+        .patch(`/api/issues/${issue._id}/status`)
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({ status: 'acknowledged' })
+        .expect(403);
+    });
+
+    test('should answer missing resolution fields with 422 and the structured body', async () => {
+      const issue = await createIssue('in_progress');
+
+      const response = await request(app)
+        .patch(`/api/issues/${issue._id}/status`)
+        .set('Authorization', `Bearer ${officerToken}`)
+        .send({ status: 'resolved' })
+        .expect(422);
+
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'TRANSITION_REQUIREMENTS_MISSING',
+        currentStatus: 'in_progress',
+        requestedStatus: 'resolved',
+        missingFields: ['resolutionNotes', 'resolutionPhotos']
+      });
+    });
+  });
+
   describe('Error Handling Tests', () => {
     test('should handle invalid MongoDB ObjectId', async () => {
       const response = await request(app)
@@ -1,11 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const mongoose = require('mongoose');
+const sharp = require('sharp');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Issue = require('../models/Issue');
 const Comment = require('../models/Comment');
 const Notification = require('../models/Notification');
-const { validateInput } = require('../middleware/security');
+const Session = require('../models/Session');
+const { validateInput, createRateLimit } = require('../middleware/security');
+const { checkTransition, getAllowedTransitions } = require('../config/issueWorkflow');
+const { getDefaultPolicy } = require('../config/sla');
+const { getDepartmentHeads } = require('../utils/sla');
+const { textSimilarity, distanceInMeters } = require('../utils/duplicateDetection');
+const { pointInGeometry } = require('../utils/boundaries');
+const { createLimiter } = require('../middleware/rateLimit');
+const { createMemoryStore, setLimiterStore } = require('../utils/limiterStore');
+const Job = require('../models/Job');
+const { registerJobHandler, enqueueJob, runJobs, retryJob, getBackoffMs } = require('../utils/jobQueue');
+const { getDefaultChannels } = require('../config/notifications');
+const { getSkipReason } = require('../utils/notificationDelivery');
+const { t, SUPPORTED_LOCALES } = require('../utils/i18n');
+const { renderEmail } = require('../utils/email');
+const { closeExpiredResolutions } = require('../utils/resolutionFollowUp');
+const { getIssueAnalytics } = require('../utils/analytics');
+const { parseBbox, getCellSize, getMapData } = require('../utils/mapClusters');
+const { toExportRecord, csvValue } = require('../utils/issueExport');
+const { parseCsv, resolveColumns, importIssues } = require('../utils/issueImport');
+const { toServiceRequest } = require('../utils/open311');
+const { validateIssueFields } = require('../utils/issueCreation');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload, publishIssueEvent, deliverWebhook } = require('../utils/webhooks');
+const { parseSearchTerms, buildHighlights } = require('../utils/issueSearch');
+const AuditLog = require('../models/AuditLog');
+const { recordAudit, diffChanges, verifyAuditChain } = require('../utils/audit');
+const WorkOrder = require('../models/WorkOrder');
+const { getChecklistTemplate } = require('../config/workOrders');
+const OfficerShift = require('../models/OfficerShift');
+const OfficerLocation = require('../models/OfficerLocation');
+const { recordOfficerLocation, rankNearestOfficers } = require('../utils/officerTracking');
+const RoutingRule = require('../models/RoutingRule');
+const { routeIssue, routeNewIssue } = require('../utils/issueRouting');
+const Department = require('../models/Department');
+const { getDepartmentForCategory, isActiveDepartmentCode, ensureDefaultDepartments, clearDepartmentCache } = require('../utils/departments');
 const emailService = require('../utils/emailService');
 const { uploadToCloudinary } = require('../utils/upload');
 
@@ -441,6 +481,1310 @@ describe('Unit Tests', () => {
     });
   });
 
+  describe('Issue Workflow Tests', () => {
+    test('should allow legal transitions for permitted roles', () => {
+      const result = checkTransition('submitted', 'acknowledged', { role: 'field_officer' });
+      expect(result.allowed).toBe(true);
+    });
+
+    test('should reject transitions missing from the table with 409', () => {
+      const result = checkTransition('rejected', 'resolved', { role: 'field_officer' });
+      expect(result.allowed).toBe(false);
+      expect(result.status).toBe(409);
+      expect(result.code).toBe('INVALID_STATUS_TRANSITION');
+
+      const closed = checkTransition('closed', 'submitted', { role: 'admin' });
+      expect(closed.allowed).toBe(false);
+      expect(closed.allowedTransitions).toEqual([]);
+    });
+
+    test('should reject transitions the role may not perform', () => {
+      const result = checkTransition('submitted', 'rejected', { role: 'field_officer', notes: 'Duplicate' });
+      expect(result.allowed).toBe(false);
+      expect(result.status).toBe(403);
+    });
+
+    test('should require resolution notes and photos before resolving', () => {
+      const missing = checkTransition('in_progress', 'resolved', { role: 'field_officer' });
+      expect(missing.allowed).toBe(false);
+      expect(missing.missingFields).toEqual(['resolutionNotes', 'resolutionPhotos']);
+
+      const complete = checkTransition('in_progress', 'resolved', {
+        role: 'field_officer',
+        resolutionNotes: 'Pothole filled',
+        resolutionPhotoCount: 1
+      });
+      expect(complete.allowed).toBe(true);
+    });
+
+    test('should refuse transitions without a role unless the system performs them', () => {
+      const anonymous = checkTransition('resolved', 'closed', {});
+      expect(anonymous.allowed).toBe(false);
+      expect(anonymous.status).toBe(403);
+      expect(anonymous.code).toBe('TRANSITION_NOT_PERMITTED');
+
+      expect(checkTransition('resolved', 'closed', { role: 'system' }).allowed).toBe(true);
+    });
+
+    test('should require resolution fields with 422', () => {
+      const result = checkTransition('under_review', 'resolved', { role: 'admin' });
+      expect(result.status).toBe(422);
+      expect(result.code).toBe('TRANSITION_REQUIREMENTS_MISSING');
+    });
+
+    test('should require a reason before rejecting', () => {
+      expect(checkTransition('submitted', 'rejected', { role: 'admin' }).missingFields).toEqual(['reason']);
+      expect(checkTransition('submitted', 'rejected', { role: 'admin', notes: 'Not municipal' }).allowed).toBe(true);
+    });
+
+    test('should list legal next states for a role', () => {
+      const statuses = getAllowedTransitions('in_progress', 'field_officer').map(t => t.status);
+      expect(statuses).toEqual(['under_review', 'resolved']);
+    });
+
+    test('should only close open issues as duplicates', () => {
+      const duplicateOf = new mongoose.Types.ObjectId();
+      expect(checkTransition('in_progress', 'closed', { role: 'field_officer', duplicateOf }).allowed).toBe(true);
+      expect(checkTransition('rejected', 'closed', { role: 'admin', duplicateOf }).status).toBe(409);
+      expect(checkTransition('submitted', 'closed', { duplicateOf }).status).toBe(403);
+      expect(checkTransition('submitted', 'closed', { role: 'admin' }).status).toBe(409);
+    });
+  });
+
+  describe('SLA Tests', () => {
+    const buildIssue = (priority) => new Issue({
+      title: 'Blocked storm drain',
+      description: 'Storm drain is blocked and water is overflowing',
+      category: 'drainage',
+      priority,
+      location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+      reportedBy: new mongoose.Types.ObjectId()
+    });
+
+    test('should apply category overrides on top of priority defaults', () => {
+      expect(getDefaultPolicy('drainage', 'critical').resolveWithinHours).toBe(12);
+      expect(getDefaultPolicy('roads', 'critical').resolveWithinHours).toBe(24);
+      expect(getDefaultPolicy('roads', 'low').acknowledgeWithinHours).toBe(48);
+    });
+
+    test('should set acknowledge and resolve deadlines when SLA starts', () => {
+      const issue = buildIssue('critical');
+      const start = new Date('2025-01-01T00:00:00Z');
+      issue.startSla(getDefaultPolicy('drainage', 'critical'), start);
+
+      expect(issue.sla.acknowledgeBy.toISOString()).toBe('2025-01-01T01:00:00.000Z');
+      expect(issue.sla.resolveBy.toISOString()).toBe('2025-01-01T12:00:00.000Z');
+      expect(issue.sla.escalationLevel).toBe(0);
+    });
+
+    test('should report breach status on the issue JSON', () => {
+      const issue = buildIssue('critical');
+      issue.startSla(getDefaultPolicy('drainage', 'critical'), new Date(Date.now() - 2 * 60 * 60 * 1000));
+
+      const json = issue.toJSON();
+      expect(json.slaStatus.state).toBe('breached');
+      expect(json.slaStatus.acknowledgeBreached).toBe(true);
+      expect(json.slaStatus.resolveBreached).toBe(false);
+    });
+
+    test('should record acknowledgement time on first status change', () => {
+      const issue = buildIssue('medium');
+      issue.startSla(getDefaultPolicy('drainage', 'medium'));
+      issue.updateStatus('acknowledged', new mongoose.Types.ObjectId(), '', { role: 'field_officer' });
+
+      expect(issue.sla.acknowledgedAt).toBeDefined();
+      expect(issue.toJSON().slaStatus.state).toBe('on_track');
+    });
+
+    test('should not change status through updateStatus without a role', () => {
+      const issue = buildIssue('medium');
+
+      expect(() => issue.updateStatus('acknowledged', new mongoose.Types.ObjectId()))
+        .toThrow('A role (or the system actor) is required to change status');
+      expect(issue.status).toBe('submitted');
+    });
+  });
+
+  describe('Duplicate Detection Tests', () => {
+    test('should score reworded reports of the same problem as similar', () => {
+      const score = textSimilarity(
+        { title: 'Large pothole on Station Road', description: 'Deep pothole near the railway station damaging vehicles' },
+        { title: 'Pothole near railway station', description: 'Big pothole damaging two wheelers near station' }
+      );
+      expect(score).toBeGreaterThan(0.35);
+    });
+
+    test('should score unrelated reports as dissimilar', () => {
+      const score = textSimilarity(
+        { title: 'Streetlight not working', description: 'The light outside the temple has been off for a week' },
+        { title: 'Garbage not collected', description: 'Bins overflowing behind the vegetable market' }
+      );
+      expect(score).toBeLessThan(0.1);
+    });
+
+    test('should compute distances in metres', () => {
+      const distance = distanceInMeters(22.5646, 72.9289, 22.5655, 72.9289);
+      expect(distance).toBeGreaterThan(95);
+      expect(distance).toBeLessThan(105);
+    });
+
+    test('should merge duplicate reporters, photos and upvotes into canonical issue', () => {
+      const buildIssue = (reporter) => new Issue({
+        title: 'Pothole near railway station',
+        description: 'Deep pothole near the railway station',
+        category: 'roads',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+        reportedBy: reporter
+      });
+      const staff = new mongoose.Types.ObjectId();
+      const canonical = buildIssue(new mongoose.Types.ObjectId());
+      const duplicate = buildIssue(new mongoose.Types.ObjectId());
+      duplicate.photos.push({ url: 'https://example.com/pothole.jpg' });
+      duplicate.upvotes.push({ user: new mongoose.Types.ObjectId() });
+
+      canonical.mergeDuplicate(duplicate, staff);
+      duplicate.markAsDuplicateOf(canonical, staff, { role: 'field_officer' });
+
+      expect(canonical.reporterCount).toBe(2);
+      expect(canonical.photos.length).toBe(1);
+      expect(canonical.upvotes.length).toBe(2);
+      expect(duplicate.status).toBe('closed');
+      expect(duplicate.duplicateOf.toString()).toBe(canonical._id.toString());
+
+      const rejected = buildIssue(new mongoose.Types.ObjectId());
+      rejected.status = 'rejected';
+      expect(() => rejected.markAsDuplicateOf(canonical, staff, { role: 'admin' })).toThrow('Cannot change status from rejected to closed');
+    });
+  });
+
+  describe('Boundary Tests', () => {
+    // Square ward around central Anand with a square hole cut out of it
+    const ward = {
+      type: 'Polygon',
+      coordinates: [
+        [[72.90, 22.54], [72.96, 22.54], [72.96, 22.59], [72.90, 22.59], [72.90, 22.54]],
+        [[72.94, 22.56], [72.95, 22.56], [72.95, 22.57], [72.94, 22.57], [72.94, 22.56]]
+      ]
+    };
+
+    test('should find points inside a ward polygon', () => {
+      expect(pointInGeometry(72.9289, 22.5646, ward)).toBe(true);
+      expect(pointInGeometry(73.10, 22.5646, ward)).toBe(false);
+    });
+
+    test('should exclude points inside a hole', () => {
+      expect(pointInGeometry(72.945, 22.565, ward)).toBe(false);
+    });
+
+    test('should handle MultiPolygon geometry', () => {
+      const multi = {
+        type: 'MultiPolygon',
+        coordinates: [
+          [[[72.90, 22.54], [72.91, 22.54], [72.91, 22.55], [72.90, 22.54]]],
+          [[[73.00, 22.60], [73.02, 22.60], [73.02, 22.62], [73.00, 22.62], [73.00, 22.60]]]
+        ]
+      };
+      expect(pointInGeometry(73.01, 22.61, multi)).toBe(true);
+      expect(pointInGeometry(72.95, 22.58, multi)).toBe(false);
+    });
+
+    test('should limit staff to their jurisdiction', () => {
+      const officer = new User({
+        firstName: 'Ward',
+        lastName: 'Officer',
+        email: 'ward.officer@test.com',
+        phone: '9876543299',
+        password: 'Password123',
+        role: 'field_officer',
+        department: 'roads',
+        jurisdiction: { wards: ['W05'], zones: [] }
+      });
+
+      expect(officer.coversLocation({ ward: 'W05', zone: 'Z1' })).toBe(true);
+      expect(officer.coversLocation({ ward: 'W06', zone: 'Z1' })).toBe(false);
+
+      officer.jurisdiction.wards = [];
+      expect(officer.coversLocation({ ward: 'W06' })).toBe(true);
+    });
+  });
+
+  describe('Local Storage Tests', () => {
+    let localStorage;
+    let uploadsDir;
+
+    beforeAll(() => {
+      uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anand-uploads-'));
+      process.env.UPLOADS_DIR = uploadsDir;
+      jest.isolateModules(() => {
+        localStorage = require('../utils/storage/local');
+      });
+    });
+
+    afterAll(() => {
+      delete process.env.UPLOADS_DIR;
+      fs.rmSync(uploadsDir, { recursive: true, force: true });
+    });
+
+    test('should store identical images once under their content hash', async () => {
+      const image = await sharp({
+        create: { width: 1600, height: 900, channels: 3, background: '#336699' }
+      }).png().toBuffer();
+
+      const first = await localStorage.upload(image, { folder: 'issues' });
+      const second = await localStorage.upload(image, { folder: 'issues' });
+
+      expect(second.publicId).toBe(first.publicId);
+      expect(first.width).toBe(1200);
+      expect(fs.readdirSync(path.join(uploadsDir, 'issues'))).toHaveLength(3);
+      expect(first.variants.thumbnail).toContain('_thumbnail.webp');
+    });
+
+    test('should serve the smallest variant covering the requested size', () => {
+      expect(localStorage.getUrl('issues/abc', { width: 150, height: 150 })).toBe('/uploads/issues/abc_thumbnail.webp');
+      expect(localStorage.getUrl('issues/abc', { width: 600 })).toBe('/uploads/issues/abc_medium.webp');
+      expect(localStorage.getUrl('issues/abc', { width: 2000 })).toBe('/uploads/issues/abc.webp');
+    });
+
+    test('should remove an image and its variants', async () => {
+      const image = await sharp({
+        create: { width: 300, height: 300, channels: 3, background: '#993333' }
+      }).jpeg().toBuffer();
+
+      const stored = await localStorage.upload(image, { folder: 'resolutions' });
+      await localStorage.remove(stored.publicId);
+
+      expect(fs.readdirSync(path.join(uploadsDir, 'resolutions'))).toHaveLength(0);
+    });
+  });
+
+  describe('Rate Limiting Tests', () => {
+    const mockResponse = () => {
+      const res = { headers: {}, statusCode: 200 };
+      res.setHeader = jest.fn((name, value) => { res.headers[name] = value; });
+      res.status = jest.fn((code) => { res.statusCode = code; return res; });
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    beforeEach(() => {
+      setLimiterStore(createMemoryStore());
+    });
+
+    test('should count requests within a fixed window', async () => {
+      const store = createMemoryStore();
+
+      await store.increment('key', 1000);
+      const second = await store.increment('key', 1000);
+
+      expect(second.count).toBe(2);
+      await store.reset('key');
+      expect(await store.get('key')).toBeNull();
+    });
+
+    test('should send RateLimit headers and reject over the limit', async () => {
+      const limiter = createLimiter('test', { windowMs: 60 * 1000, max: 2, keyBy: 'ip', message: 'Slow down' });
+      const req = { ip: '10.0.0.1' };
+
+      const first = mockResponse();
+      const next = jest.fn();
+      await limiter(req, first, next);
+      expect(next).toHaveBeenCalled();
+      expect(first.headers['RateLimit-Limit']).toBe(2);
+      expect(first.headers['RateLimit-Remaining']).toBe(1);
+
+      await limiter(req, mockResponse(), jest.fn());
+
+      const blocked = mockResponse();
+      const blockedNext = jest.fn();
+      await limiter(req, blocked, blockedNext);
+      expect(blockedNext).not.toHaveBeenCalled();
+      expect(blocked.statusCode).toBe(429);
+      expect(blocked.headers['Retry-After']).toBeGreaterThan(0);
+      expect(blocked.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Slow down' }));
+    });
+
+    test('should count authenticated users separately from their IP', async () => {
+      const limiter = createLimiter('per-user', { windowMs: 60 * 1000, max: 1, keyBy: 'user' });
+      const next = jest.fn();
+
+      await limiter({ ip: '10.0.0.2', user: { _id: 'a' } }, mockResponse(), next);
+      await limiter({ ip: '10.0.0.2', user: { _id: 'b' } }, mockResponse(), next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('should keep counters of ad-hoc limiters with the same limits apart', async () => {
+      const exports = createRateLimit('exports', 60 * 1000, 1);
+      const reports = createRateLimit('reports', 60 * 1000, 1);
+      const next = jest.fn();
+
+      await exports({ ip: '10.0.0.3' }, mockResponse(), next);
+      await reports({ ip: '10.0.0.3' }, mockResponse(), next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Session Tests', () => {
+    let user;
+
+    beforeEach(async () => {
+      await Session.deleteMany({});
+      user = await User.create({
+        firstName: 'Session',
+        lastName: 'User',
+        email: 'session.user@test.com',
+        phone: '9876543298',
+        password: 'Password123'
+      });
+    });
+
+    test('should bind short-lived access tokens to a session', async () => {
+      const { session } = await Session.createForUser(user, { ip: '10.0.0.1', userAgent: 'Mozilla/5.0 (Linux; Android 14) Chrome/120.0' });
+      const decoded = jwt.verify(user.generateAuthToken(session._id), process.env.JWT_SECRET || 'fallback_secret_key');
+
+      expect(decoded.sid).toBe(session._id.toString());
+      expect(decoded.exp - decoded.iat).toBeLessThanOrEqual(15 * 60);
+      expect(session.device).toBe('Chrome on Android');
+    });
+
+    test('should rotate refresh tokens', async () => {
+      const { refreshToken } = await Session.createForUser(user);
+      const rotated = await Session.rotate(refreshToken);
+
+      expect(rotated.error).toBeUndefined();
+      expect(rotated.refreshToken).not.toBe(refreshToken);
+      expect(rotated.session.rotationCount).toBe(1);
+    });
+
+    test('should revoke the session when an old refresh token is reused', async () => {
+      const { session, refreshToken } = await Session.createForUser(user);
+      const rotated = await Session.rotate(refreshToken);
+
+      const replay = await Session.rotate(refreshToken);
+      expect(replay.error).toBe('reuse_detected');
+
+      // The legitimate holder's newer token is dead too
+      const after = await Session.rotate(rotated.refreshToken);
+      expect(after.error).toBe('revoked');
+      expect(await Session.findActive(session._id)).toBeNull();
+    });
+
+    test('should revoke all sessions except the current one', async () => {
+      const { session: current } = await Session.createForUser(user);
+      await Session.createForUser(user);
+      await Session.createForUser(user);
+
+      const revoked = await Session.revokeAllForUser(user._id, 'user_revoked', current._id);
+      const active = await Session.getActiveSessions(user._id);
+
+      expect(revoked).toBe(2);
+      expect(active.map(s => s._id.toString())).toEqual([current._id.toString()]);
+    });
+  });
+
+  describe('Notification Outbox Tests', () => {
+    beforeEach(async () => {
+      await Job.deleteMany({});
+    });
+
+    test('should pick default channels per type and add sms for urgent notifications', () => {
+      expect(getDefaultChannels('issue_assigned', 'medium')).toMatchObject({ push: true, email: true, sms: false });
+      expect(getDefaultChannels('issue_created', 'urgent').sms).toBe(true);
+    });
+
+    test('should skip channels the recipient opted out of or cannot receive', () => {
+      const notification = { channels: { push: true, email: true, sms: false } };
+
+      expect(getSkipReason('sms', notification, { phone: '9876543210' })).toBe('not_requested');
+      expect(getSkipReason('email', notification, { email: 'a@test.com', preferences: { notifications: { email: false } } }))
+        .toBe('recipient_opted_out');
+    });
+
+    test('should back off exponentially between attempts', () => {
+      expect(getBackoffMs(1)).toBeLessThan(getBackoffMs(4));
+      expect(getBackoffMs(20)).toBeLessThanOrEqual(60 * 60 * 1000 * 1.2);
+    });
+
+    test('should retry failed jobs and move them to dead letters after max attempts', async () => {
+      let calls = 0;
+      registerJobHandler('test.flaky', async () => {
+        calls += 1;
+        throw new Error('gateway down');
+      });
+
+      const job = await enqueueJob('test.flaky', {}, { maxAttempts: 2 });
+
+      await runJobs();
+      let stored = await Job.findById(job._id);
+      expect(stored.status).toBe('pending');
+      expect(stored.runAt.getTime()).toBeGreaterThan(Date.now());
+
+      await Job.updateOne({ _id: job._id }, { runAt: new Date() });
+      await runJobs();
+      stored = await Job.findById(job._id);
+      expect(stored.status).toBe('dead');
+      expect(stored.failures).toHaveLength(2);
+      expect(calls).toBe(2);
+
+      const retried = await retryJob(job._id);
+      expect(retried.status).toBe('pending');
+      expect(retried.attempts).toBe(0);
+    });
+
+    test('should dead-letter jobs whose worker died on the last attempt and resume the others', async () => {
+      let calls = 0;
+      registerJobHandler('test.stale', async () => {
+        calls += 1;
+      });
+
+      const lockedAt = new Date(Date.now() - 10 * 60 * 1000);
+      const exhausted = await Job.create({ type: 'test.stale', status: 'processing', attempts: 2, maxAttempts: 2, lockedAt, lockedBy: 'gone:1' });
+      const resumable = await Job.create({ type: 'test.stale', status: 'processing', attempts: 1, maxAttempts: 2, lockedAt, lockedBy: 'gone:1' });
+
+      await runJobs();
+
+      expect((await Job.findById(exhausted._id)).status).toBe('dead');
+      expect((await Job.findById(resumable._id)).status).toBe('completed');
+      expect(calls).toBe(1);
+    });
+
+    test('should redact email data from jobs shown to admins', () => {
+      const job = new Job({
+        type: 'email.send',
+        payload: { to: 'a@test.com', template: 'password-reset', data: { resetUrl: 'http://x/reset?token=abc' } }
+      });
+
+      expect(job.toSafeObject().payload).toEqual({ to: 'a@test.com', template: 'password-reset', data: '[redacted]' });
+      expect(job.payload.data.resetUrl).toContain('token=abc');
+    });
+  });
+
+  describe('Localization Tests', () => {
+    const keysOf = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => (
+      value && typeof value === 'object' && !Array.isArray(value)
+        ? keysOf(value, `${prefix}${key}.`)
+        : [`${prefix}${key}`]
+    ));
+
+    test('should have every English key in each catalogue', () => {
+      const englishKeys = keysOf(require('../config/locales/en'));
+
+      SUPPORTED_LOCALES.forEach(locale => {
+        const keys = keysOf(require(`../config/locales/${locale}`));
+        expect(englishKeys.filter(key => !keys.includes(key))).toEqual([]);
+      });
+    });
+
+    test('should translate labels inside messages and fall back to English', () => {
+      expect(t('hi', 'notifications.issue_assigned_reporter.message', { title: 'Pothole', department: 'water' }))
+        .toBe('आपकी शिकायत "Pothole" जल आपूर्ति विभाग को सौंप दी गई है');
+      expect(t('fr', 'notifications.issue_created.title')).toBe('New Issue Reported');
+    });
+
+    test('should have a label for every default department', () => {
+      const { DEFAULT_DEPARTMENTS } = require('../config/departments');
+      const labels = require('../config/locales/en').labels.department;
+
+      expect(DEFAULT_DEPARTMENTS.map(({ code }) => code).filter(code => !labels[code])).toEqual([]);
+    });
+
+    test('should render HTML and plain-text email bodies', () => {
+      const email = renderEmail('issue-update', {
+        firstName: 'Asha',
+        message: 'Status changed <b>now</b>',
+        issueId: 'abc123',
+        issueTitle: 'Broken streetlight',
+        trackingId: 'AMC2501',
+        status: 'in_progress'
+      }, 'gu');
+
+      expect(email.subject).toBe('તમારી ફરિયાદ AMC2501 પર અપડેટ');
+      expect(email.html).toContain('&lt;b&gt;now&lt;/b&gt;');
+      expect(email.text).toContain('સ્થિતિ: કામ ચાલુ');
+      expect(email.text).not.toMatch(/<[a-z]/);
+    });
+
+    test('should render notifications in the recipient language', async () => {
+      const recipient = await User.create({
+        firstName: 'Gujarati',
+        lastName: 'User',
+        email: 'gujarati.user@test.com',
+        phone: '9876543297',
+        password: 'Password123',
+        preferences: { language: 'gu' }
+      });
+
+      const notification = await Notification.createNotification({
+        recipient: recipient._id,
+        type: 'issue_updated',
+        messageKey: 'issue_status_updated',
+        messageParams: { title: 'Pothole', oldStatus: 'submitted', status: 'resolved' },
+        actionKey: 'viewIssue'
+      });
+
+      expect(notification.locale).toBe('gu');
+      expect(notification.title).toBe('ફરિયાદની સ્થિતિ બદલાઈ');
+      expect(notification.message).toContain('ઉકેલાયેલ');
+      expect(notification.actionText).toBe('ફરિયાદ જુઓ');
+    });
+  });
+
+  describe('Resolution Follow-up Tests', () => {
+    let reporter;
+
+    beforeEach(async () => {
+      await Issue.deleteMany({});
+      reporter = await User.findOne({ email: 'followup.reporter@test.com' }) || await User.create({
+        firstName: 'Follow',
+        lastName: 'Up',
+        email: 'followup.reporter@test.com',
+        phone: '9876543296',
+        password: 'Password123'
+      });
+    });
+
+    const createResolvedIssue = async (autoCloseAt) => {
+      const issue = await Issue.create({
+        title: 'Overflowing drain',
+        description: 'Drain overflowing onto the road after rain',
+        category: 'drainage',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+        reportedBy: reporter._id,
+        status: 'in_progress',
+        resolutionNotes: 'Drain cleared',
+        resolutionPhotos: [{ url: 'https://example.com/after.jpg' }]
+      });
+      issue.updateStatus('resolved', undefined, '', { role: 'admin' });
+      if (autoCloseAt) issue.autoCloseAt = autoCloseAt;
+      await issue.save();
+      return issue;
+    };
+
+    test('should open a reopen window when an issue is resolved', async () => {
+      const issue = await createResolvedIssue();
+
+      expect(issue.autoCloseAt.getTime()).toBeGreaterThan(Date.now());
+      expect(issue.canReopen()).toBe(true);
+    });
+
+    test('should reopen for the reporter and keep the earlier feedback in the timeline', async () => {
+      const issue = await createResolvedIssue();
+      issue.submitFeedback(2, 'Still smells', reporter._id);
+      issue.reopen(reporter._id, 'Overflowing again after last night');
+      await issue.save();
+
+      const entry = issue.timeline[issue.timeline.length - 1];
+      expect(issue.status).toBe('in_progress');
+      expect(issue.autoCloseAt).toBeUndefined();
+      expect(issue.feedback.rating).toBeUndefined();
+      expect(entry.action).toBe('reopened');
+      expect(entry.metadata.previousFeedback.rating).toBe(2);
+    });
+
+    test('should auto-close issues once the reopen window has passed', async () => {
+      const expired = await createResolvedIssue(new Date(Date.now() - 60 * 1000));
+      const open = await createResolvedIssue();
+
+      const summary = await closeExpiredResolutions();
+
+      expect(summary.closed).toBe(1);
+      expect((await Issue.findById(expired._id)).status).toBe('closed');
+      expect((await Issue.findById(open._id)).status).toBe('resolved');
+    });
+
+    test('should keep closing other issues when one fails to save', async () => {
+      const broken = await createResolvedIssue(new Date(Date.now() - 2 * 60 * 1000));
+      const expired = await createResolvedIssue(new Date(Date.now() - 60 * 1000));
+      await Issue.collection.updateOne({ _id: broken._id }, { $set: { title: '' } });
+
+      const summary = await closeExpiredResolutions();
+
+      expect(summary).toEqual({ closed: 1, failed: 1 });
+      expect((await Issue.findById(broken._id)).status).toBe('resolved');
+      expect((await Issue.findById(expired._id)).status).toBe('closed');
+    });
+  });
+
+  describe('Analytics Tests', () => {
+    const HOUR = 60 * 60 * 1000;
+    const now = new Date('2025-06-30T12:00:00Z');
+    let reporter;
+
+    // Insert an issue with a hand-written timeline, hours relative to its creation
+    const insertIssue = (fields, events = []) => {
+      const createdAt = fields.createdAt || new Date(now.getTime() - 10 * 24 * HOUR);
+      return Issue.collection.insertOne({
+        title: 'Analytics issue',
+        description: 'Issue used for analytics tests',
+        category: 'roads',
+        priority: 'medium',
+        reportedBy: reporter._id,
+        reopenCount: 0,
+        ...fields,
+        createdAt,
+        timeline: events.map(([action, hours]) => ({ action, timestamp: new Date(createdAt.getTime() + hours * HOUR) }))
+      });
+    };
+
+    beforeEach(async () => {
+      await Issue.deleteMany({});
+      reporter = await User.findOne({ email: 'analytics.reporter@test.com' }) || await User.create({
+        firstName: 'Analytics',
+        lastName: 'Reporter',
+        email: 'analytics.reporter@test.com',
+        phone: '9876543295',
+        password: 'Password123'
+      });
+
+      const deadline = (hours) => ({ resolveBy: new Date(now.getTime() - 10 * 24 * HOUR + hours * HOUR) });
+
+      await insertIssue({ status: 'closed', sla: deadline(72), feedback: { rating: 5 } }, [['acknowledged', 2], ['resolved', 24], ['closed', 200]]);
+      await insertIssue({ status: 'resolved', sla: deadline(72), reopenCount: 1, feedback: { rating: 3 } }, [['acknowledged', 4], ['resolved', 48], ['reopened', 60], ['resolved', 96]]);
+      await insertIssue({ status: 'in_progress', sla: deadline(72) }, [['acknowledged', 6]]);
+      await insertIssue({ status: 'submitted', category: 'water', createdAt: new Date(now.getTime() - 12 * HOUR) });
+    });
+
+    test('should compute percentiles, reopen rate, rating and SLA compliance from the timeline', async () => {
+      const { summary } = await getIssueAnalytics({ now });
+
+      expect(summary.total).toBe(4);
+      expect(summary.open).toBe(2);
+      expect(summary.timeToAcknowledge).toEqual({ count: 3, medianHours: 4, p90Hours: 4 });
+      expect(summary.timeToResolve).toEqual({ count: 2, medianHours: 24, p90Hours: 24 });
+      expect(summary.reopenRate).toBe(0.5);
+      expect(summary.rating).toEqual({ average: 4, count: 2 });
+      expect(summary.sla).toEqual({ met: 1, missed: 2, compliance: 0.333 });
+      expect(summary.backlog.ageing['0-1d']).toBe(1);
+      expect(summary.backlog.ageing['7-30d']).toBe(1);
+    });
+
+    test('should break metrics down by category and time bucket', async () => {
+      const byCategory = await getIssueAnalytics({ now, groupBy: 'category' });
+      expect(byCategory.breakdown.map(row => [row.key, row.total])).toEqual([['roads', 3], ['water', 1]]);
+
+      const byDay = await getIssueAnalytics({ now, groupBy: 'time', interval: 'day' });
+      expect(byDay.breakdown.map(row => row.key)).toEqual(['2025-06-20', '2025-06-30']);
+    });
+
+    test('should attribute unassigned issues to the department that handles their category', async () => {
+      await insertIssue({ status: 'submitted', category: 'traffic', createdAt: new Date(now.getTime() - 2 * HOUR) });
+      clearDepartmentCache();
+
+      const byDepartment = await getIssueAnalytics({ now, groupBy: 'department' });
+      expect(byDepartment.breakdown.map(row => [row.key, row.total])).toEqual([['roads', 4], ['water', 1]]);
+
+      const roads = await getIssueAnalytics({ now, department: 'roads' });
+      expect(roads.summary.total).toBe(4);
+    });
+  });
+
+  describe('Issue Map Tests', () => {
+    const bbox = { minLng: 72.9, minLat: 22.5, maxLng: 73.0, maxLat: 22.6 };
+    let reporter;
+
+    const insertIssue = (latitude, longitude, fields = {}) => Issue.collection.insertOne({
+      title: 'Map issue',
+      description: 'Issue used for map tests',
+      category: 'roads',
+      priority: 'medium',
+      status: 'submitted',
+      isPublic: true,
+      reportedBy: reporter._id,
+      location: { coordinates: { latitude, longitude } },
+      createdAt: new Date(),
+      ...fields
+    });
+
+    beforeEach(async () => {
+      await Issue.deleteMany({});
+      reporter = await User.findOne({ email: 'map.reporter@test.com' }) || await User.create({
+        firstName: 'Map',
+        lastName: 'Reporter',
+        email: 'map.reporter@test.com',
+        phone: '9876543296',
+        password: 'Password123'
+      });
+
+      await insertIssue(22.5646, 72.9289);
+      await insertIssue(22.5647, 72.9290, { category: 'water', status: 'in_progress' });
+      await insertIssue(22.5950, 72.9850);
+      await insertIssue(22.5648, 72.9291, { status: 'closed' });
+      await insertIssue(22.5649, 72.9292, { isPublic: false });
+      await insertIssue(23.1000, 72.6000);
+    });
+
+    test('should parse bounding boxes and size grid cells by zoom', () => {
+      expect(parseBbox('72.9,22.5,73.0,22.6')).toEqual(bbox);
+      expect(parseBbox('73.0,22.5,72.9,22.6')).toBeNull();
+      expect(parseBbox('72.9,22.5,73.0')).toBeNull();
+      expect(getCellSize(13)).toBeCloseTo(getCellSize(12) / 2);
+    });
+
+    test('should cluster open public issues inside the viewport at low zoom', async () => {
+      const data = await getMapData(bbox, 12);
+
+      expect(data.mode).toBe('clusters');
+      expect(data.total).toBe(3);
+
+      const [largest, single] = data.clusters;
+      expect(largest.count).toBe(2);
+      expect(largest.byStatus).toEqual({ submitted: 1, in_progress: 1 });
+      expect(largest.byCategory).toEqual({ roads: 1, water: 1 });
+      expect(largest.issueId).toBeUndefined();
+      expect(single.count).toBe(1);
+      expect(single.issueId).toBeDefined();
+    });
+
+    test('should return individual issues at high zoom with status filters', async () => {
+      const data = await getMapData(bbox, 17, { statuses: ['in_progress', 'closed'] });
+
+      expect(data.mode).toBe('points');
+      expect(data.total).toBe(2);
+      expect(data.points.map(point => point.status).sort()).toEqual(['closed', 'in_progress']);
+      expect(data.truncated).toBe(false);
+    });
+  });
+
+  describe('Issue Export Tests', () => {
+    const issue = {
+      trackingId: 'AMC-EXPORT-1',
+      title: 'Water leak, near "temple"',
+      status: 'resolved',
+      isPublic: false,
+      location: { coordinates: { latitude: 22.56, longitude: 72.93 }, ward: 'Ward 3' },
+      assignedTo: { department: 'water' },
+      reportedBy: { firstName: 'Asha', lastName: 'Patel', email: 'asha@test.com', phone: '9876543297' },
+      createdAt: new Date('2025-06-01T00:00:00Z'),
+      actualResolutionTime: new Date('2025-06-02T06:00:00Z')
+    };
+
+    test('should flatten issues and only include reporter identity when allowed', () => {
+      const record = toExportRecord(issue);
+      expect(record).toMatchObject({ department: 'water', ward: 'Ward 3', resolutionHours: 30, slaBreached: false });
+      expect(record.reporterEmail).toBeUndefined();
+
+      expect(toExportRecord(issue, { includeRestricted: true })).toMatchObject({
+        reporterName: 'Asha Patel',
+        reporterEmail: 'asha@test.com',
+        isPublic: false
+      });
+    });
+
+    test('should quote CSV values and defuse spreadsheet formulas', () => {
+      expect(csvValue(issue.title)).toBe('"Water leak, near ""temple"""');
+      expect(csvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(csvValue(-3)).toBe('-3');
+      expect(csvValue(null)).toBe('');
+    });
+  });
+
+  describe('Issue Import Tests', () => {
+    const register = [
+      'Ref,Complaint,Details,Type,Lat,Lng,Location,Date',
+      'PH-1,Pothole near school,"Deep pothole, causing accidents near the school gate",roads,22.5646,72.9289,,2024-03-01',
+      'PH-2,No water supply,Water supply has been off for three days in the area,water,,,Ganesh Chowk,2024-03-02',
+      'PH-3,Bad,Too short,unknown,22.56,72.92,,2024-03-03',
+      'PH-1,Pothole repeated,Same reference as the first row in this file,roads,22.5646,72.9289,,2024-03-04'
+    ].join('\r\n');
+    const mapping = { externalRef: 'Ref', title: 'Complaint', description: 'Details', category: 'Type', latitude: 'Lat', longitude: 'Lng', address: 'Location', reportedAt: 'Date' };
+    const geocode = async (address) => (address === 'Ganesh Chowk' ? { latitude: 22.5602, longitude: 72.9511, formatted: 'Ganesh Chowk, Anand' } : null);
+
+    beforeEach(async () => {
+      await Issue.deleteMany({});
+    });
+
+    test('should parse quoted CSV fields and map columns by header', () => {
+      const rows = parseCsv('a,b\r\n"x, ""y""",z\n\n');
+      expect(rows).toEqual([['a', 'b'], ['x, "y"', 'z']]);
+
+      expect(resolveColumns(['Title', 'Description', 'Category', 'Location'], { address: 'location' }))
+        .toEqual({ title: 0, description: 1, category: 2, address: 3 });
+      expect(() => resolveColumns(['Title', 'Category'])).toThrow(/description/);
+    });
+
+    test('should report row-level errors in a dry run without saving', async () => {
+      const report = await importIssues(register, { mapping, geocode });
+
+      expect(report.dryRun).toBe(true);
+      expect(report).toMatchObject({ total: 4, valid: 2, failed: 2, imported: 0 });
+      expect(report.rows[2].errors.map(error => error.field)).toEqual(expect.arrayContaining(['title', 'description', 'category']));
+      expect(report.rows[3].errors[0].message).toContain('row 2');
+      expect(await Issue.countDocuments()).toBe(0);
+    });
+
+    test('should refuse files with more addresses to geocode than the limit', async () => {
+      await expect(importIssues(register, { mapping, geocode, maxGeocodedRows: 0 }))
+        .rejects.toThrow('1 rows need their address geocoded');
+    });
+
+    test('should import valid rows for the walk-in reporter and skip them on re-import', async () => {
+      const report = await importIssues(register, { mapping, geocode, dryRun: false, channel: 'phone' });
+      expect(report.imported).toBe(2);
+
+      const imported = await Issue.findOne({ 'source.externalRef': 'PH-2' }).populate('reportedBy', 'email');
+      expect(imported.reportedBy.email).toBe('walkin@anandmc.gov.in');
+      expect(imported.location.coordinates.latitude).toBe(22.5602);
+      expect(imported.createdAt.toISOString()).toBe('2024-03-02T00:00:00.000Z');
+      expect(imported.sla.resolveBy.getTime()).toBeGreaterThan(Date.now());
+      expect(imported.assignedTo.department).toBe('water');
+
+      const again = await importIssues(register, { mapping, geocode, dryRun: false, channel: 'phone' });
+      expect(again.imported).toBe(0);
+      expect(again.rows[0].errors[0].message).toContain('Already imported');
+    });
+  });
+
+  describe('Open311 Tests', () => {
+    test('should map issues to GeoReport service requests', () => {
+      const request = toServiceRequest({
+        trackingId: 'AMC250042',
+        status: 'rejected',
+        category: 'water',
+        subCategory: 'leakage',
+        description: 'Pipeline leaking near the market',
+        resolutionNotes: 'Private connection, not a municipal line',
+        location: { coordinates: { latitude: 22.56, longitude: 72.93 }, address: { pincode: '388001' } },
+        createdAt: new Date('2025-06-01T00:00:00Z')
+      }, { water: 'water' });
+
+      expect(request).toMatchObject({
+        service_request_id: 'AMC250042',
+        status: 'closed',
+        status_notes: 'Private connection, not a municipal line',
+        service_code: 'water.leakage',
+        service_name: 'Pipeline leakage',
+        agency_responsible: 'Water Supply',
+        zipcode: '388001',
+        lat: 22.56,
+        long: 72.93
+      });
+    });
+
+    test('should check Open311 requests against the report form rules', async () => {
+      const errors = await validateIssueFields({
+        title: 'Pit',
+        description: 'Too short',
+        category: 'roads',
+        location: { coordinates: { latitude: 22.56, longitude: 72.93 } }
+      });
+
+      expect(errors.map(error => error.field)).toEqual(['title', 'description']);
+    });
+  });
+
+  describe('Webhook Tests', () => {
+    const issue = { _id: new mongoose.Types.ObjectId(), trackingId: 'AMC250007', category: 'water', location: { ward: 'Ward 3' } };
+
+    beforeEach(async () => {
+      await Webhook.deleteMany({});
+      await WebhookDelivery.deleteMany({});
+      await Job.deleteMany({});
+    });
+
+    test('should sign the timestamp and body with the webhook secret', () => {
+      const crypto = require('crypto');
+      const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+
+      expect(signPayload('secret', '1700000000', '{"a":1}')).toBe(`sha256=${expected}`);
+      expect(signPayload('other', '1700000000', '{"a":1}')).not.toBe(`sha256=${expected}`);
+    });
+
+    test('should only queue deliveries for webhooks whose filters match', async () => {
+      await Webhook.create([
+        { name: 'Water board', url: 'http://127.0.0.1:1/hook', events: ['issue.created'], filters: { categories: ['water'] } },
+        { name: 'Roads only', url: 'http://127.0.0.1:1/hook', events: ['issue.created'], filters: { categories: ['roads'] } },
+        { name: 'Ward 3', url: 'http://127.0.0.1:1/hook', events: ['issue.resolved'], filters: { wards: ['Ward 3'] } }
+      ]);
+
+      const deliveries = await publishIssueEvent('issue.created', issue);
+
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0].payload.data.issue.trackingId).toBe('AMC250007');
+      expect(await Job.countDocuments({ type: 'webhook.deliver' })).toBe(1);
+    });
+
+    test('should record failed attempts and fail the delivery on the last one', async () => {
+      const webhook = await Webhook.create({ name: 'Down', url: 'http://127.0.0.1:1/hook', events: ['issue.created'] });
+      const [delivery] = await publishIssueEvent('issue.created', issue);
+
+      await expect(deliverWebhook({ deliveryId: delivery._id }, { attempts: 1, maxAttempts: 3 })).rejects.toThrow();
+      expect(await WebhookDelivery.findById(delivery._id)).toMatchObject({ status: 'pending' });
+
+      await expect(deliverWebhook({ deliveryId: delivery._id }, { attempts: 3, maxAttempts: 3 })).rejects.toThrow();
+      const failed = await WebhookDelivery.findById(delivery._id);
+      expect(failed.status).toBe('failed');
+      expect(failed.attempts).toHaveLength(2);
+
+      const updated = await Webhook.findById(webhook._id);
+      expect(updated.stats.consecutiveFailures).toBe(2);
+    });
+  });
+
+  describe('Issue Search Tests', () => {
+    test('should read words and phrases from a search and drop negated terms', () => {
+      expect(parseSearchTerms('potholes "bus stand" -garbage drain,')).toEqual(['potholes', 'bus stand', 'drain']);
+    });
+
+    test('should escape text and mark stem matches in highlights', () => {
+      const highlights = buildHighlights({
+        title: 'Pothole <near> school',
+        description: `${'Traffic is heavy here. '.repeat(20)}Three deep potholes by the gate.`,
+        tags: ['roads'],
+        location: { address: { formatted: 'School Road' } }
+      }, 'potholes');
+
+      expect(highlights.title).toBe('<mark>Pothole</mark> &lt;near&gt; school');
+      expect(highlights.description).toMatch(/^….*<mark>potholes<\/mark> by the gate\.$/);
+      expect(highlights.tags).toBeUndefined();
+      expect(highlights.address).toBeUndefined();
+    });
+  });
+
+  describe('Audit Log Chain Tests', () => {
+    const req = {
+      user: { _id: new mongoose.Types.ObjectId(), role: 'admin' },
+      ip: '10.0.0.1',
+      method: 'PUT',
+      originalUrl: '/api/issues/1',
+      get: () => 'jest'
+    };
+
+    beforeEach(async () => {
+      // Bypasses the append-only model hooks
+      await AuditLog.collection.deleteMany({});
+    });
+
+    test('should chain entries and keep only changed fields in diffs', async () => {
+      const first = await recordAudit(req, { action: 'issue.updated', entityType: 'issue', ...diffChanges({ title: 'Old', priority: 'low' }, { title: 'New', priority: 'low' }) });
+      const second = await recordAudit(req, { action: 'issue.deleted', entityType: 'issue', metadata: {} });
+
+      expect(first.changes).toEqual({ before: { title: 'Old' }, after: { title: 'New' } });
+      expect(second.sequence).toBe(2);
+      expect(second.prevHash).toBe(first.hash);
+      expect(await verifyAuditChain()).toMatchObject({ valid: true, checked: 2, lastHash: second.hash });
+    });
+
+    test('should reject changes through the model and detect them in the database', async () => {
+      const entries = [];
+      for (const action of ['user.role_changed', 'user.status_changed', 'issue.deleted']) {
+        entries.push(await recordAudit(req, { action, entityType: 'user', after: { role: 'admin' } }));
+      }
+
+      await expect(AuditLog.updateOne({ _id: entries[0]._id }, { action: 'hidden' })).rejects.toThrow(/cannot be changed/);
+      await expect(AuditLog.deleteMany({})).rejects.toThrow(/cannot be changed/);
+
+      await AuditLog.collection.updateOne({ _id: entries[0]._id }, { $set: { 'changes.after.role': 'citizen' } });
+      await AuditLog.collection.deleteOne({ _id: entries[1]._id });
+
+      const report = await verifyAuditChain();
+      expect(report.valid).toBe(false);
+      expect(report.problems).toEqual([
+        expect.objectContaining({ sequence: 1, problem: 'Contents do not match the hash' }),
+        expect.objectContaining({ sequence: 3, problem: expect.stringContaining('Expected sequence 2') })
+      ]);
+    });
+  });
+
+  describe('Work Order Tests', () => {
+    const officerId = new mongoose.Types.ObjectId();
+    const photo = { url: '/uploads/work-orders/a.jpg', provider: 'local' };
+
+    const createOrder = () => new WorkOrder({
+      issue: new mongoose.Types.ObjectId(),
+      orderNumber: 'AMC250001-W1',
+      assignedTo: officerId,
+      department: 'garbage',
+      scheduledFor: new Date(),
+      checklist: getChecklistTemplate('garbage')
+    });
+
+    test('should start the checklist from the category template', () => {
+      expect(getChecklistTemplate('garbage')).toEqual([
+        { item: 'Clear the collection point', required: true },
+        { item: 'Sanitise the area', required: true },
+        { item: 'Inform the ward sanitary inspector', required: false }
+      ]);
+      expect(getChecklistTemplate('unknown')[0].item).toBe('Inspect the site');
+    });
+
+    test('should follow the status flow and count time on site', () => {
+      const order = createOrder();
+
+      expect(order.changeStatus('done', officerId)).toMatch(/Cannot change/);
+      expect(order.changeStatus('blocked', officerId)).toMatch(/reason/);
+      expect(order.changeStatus('on_site', officerId)).toBeNull();
+
+      order.arrivedAt = new Date(Date.now() - 45 * 60 * 1000);
+      expect(order.changeStatus('blocked', officerId, 'Road closed by police')).toBeNull();
+      expect(order.minutesOnSite).toBe(45);
+      expect(order.arrivedAt).toBeUndefined();
+      expect(order.blockedReason).toBe('Road closed by police');
+      expect(order.statusHistory.map(entry => entry.status)).toEqual(['on_site', 'blocked']);
+    });
+
+    test('should need required checklist items and before/after photos to complete', () => {
+      const order = createOrder();
+      order.changeStatus('on_site', officerId);
+
+      expect(order.changeStatus('done', officerId)).toMatch(/Missing: checklist: Clear the collection point; Sanitise the area, before photos, after photos/);
+
+      order.checklist.filter(entry => entry.required).forEach(entry => { entry.done = true; });
+      order.photos.before.push(photo);
+      order.photos.after.push(photo);
+
+      expect(order.getMissingForCompletion()).toEqual([]);
+      expect(order.changeStatus('done', officerId)).toBeNull();
+      expect(order.completedAt).toBeInstanceOf(Date);
+      expect(order.changeStatus('cancelled', officerId, 'Not needed')).toMatch(/cannot be cancelled/);
+    });
+  });
+
+  describe('Officer Tracking Tests', () => {
+    const createOfficer = (suffix, phone) => User.create({
+      firstName: 'Field',
+      lastName: suffix,
+      email: `field.${suffix}@test.com`,
+      phone,
+      password: 'Password123',
+      role: 'field_officer',
+      department: 'roads'
+    });
+
+    const startShift = (officer) => OfficerShift.create({
+      officer: officer._id,
+      department: officer.department,
+      endsAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    beforeEach(async () => {
+      await OfficerShift.deleteMany({});
+      await OfficerLocation.deleteMany({});
+    });
+
+    test('should store positions only on shift and not more often than the interval', async () => {
+      const officer = await createOfficer('tracker', '9876543281');
+      const position = { latitude: 22.5646, longitude: 72.9289, accuracy: 12 };
+
+      expect(await recordOfficerLocation(officer, position)).toEqual({ stored: false, reason: 'off_shift' });
+
+      await startShift(officer);
+      expect((await recordOfficerLocation(officer, { ...position, accuracy: 900 })).reason).toBe('low_accuracy');
+      expect((await recordOfficerLocation(officer, position)).stored).toBe(true);
+      expect((await recordOfficerLocation(officer, position)).reason).toBe('too_frequent');
+      expect(await OfficerLocation.countDocuments({ officer: officer._id })).toBe(1);
+    });
+
+    test('should rank on-shift officers by distance and open workload', async () => {
+      const near = await createOfficer('near', '9876543282');
+      const far = await createOfficer('far', '9876543283');
+      const offShift = await createOfficer('off', '9876543284');
+      const issue = new Issue({
+        title: 'Broken divider',
+        description: 'Road divider broken near the college gate',
+        category: 'roads',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+        reportedBy: near._id
+      });
+
+      await Promise.all([startShift(near), startShift(far)]);
+      await OfficerLocation.create([
+        { officer: near._id, shift: (await OfficerShift.findActive(near._id))._id, department: 'roads', latitude: 22.5650, longitude: 72.9289 },
+        { officer: far._id, shift: (await OfficerShift.findActive(far._id))._id, department: 'roads', latitude: 22.5800, longitude: 72.9289 },
+        { officer: offShift._id, shift: new mongoose.Types.ObjectId(), department: 'roads', latitude: 22.5646, longitude: 72.9289 }
+      ]);
+
+      let ranking = await rankNearestOfficers(issue, 'roads');
+      expect(ranking.map(entry => entry.officer.lastName)).toEqual(['near', 'far']);
+      expect(ranking[0].distanceMeters).toBeLessThan(100);
+
+      // Three open issues (3 km of penalty) outweigh the 1.7 km difference
+      await Issue.create([1, 2, 3].map(n => ({
+        title: `Open issue ${n}`,
+        description: 'Already assigned to the nearest officer',
+        category: 'roads',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+        reportedBy: near._id,
+        status: 'in_progress',
+        assignedTo: { user: near._id, department: 'roads' }
+      })));
+
+      ranking = await rankNearestOfficers(issue, 'roads');
+      expect(ranking.map(entry => entry.officer.lastName)).toEqual(['far', 'near']);
+      expect(ranking[1].openIssues).toBe(3);
+    });
+  });
+
+  describe('Issue Routing Tests', () => {
+    const createIssue = (fields = {}) => new Issue({
+      title: 'Loudspeaker playing all night',
+      description: 'A loudspeaker near the temple plays music past midnight',
+      category: 'noise',
+      location: { coordinates: { latitude: 22.5646, longitude: 72.9289 }, ward: 'W5' },
+      reportedBy: new mongoose.Types.ObjectId(),
+      ...fields
+    });
+
+    beforeEach(async () => {
+      await RoutingRule.deleteMany({});
+    });
+
+    test('should report which conditions a rule fails', () => {
+      const rule = new RoutingRule({
+        name: 'Ward 5 noise',
+        department: 'general',
+        conditions: { categories: ['noise'], wards: ['W5'], keywords: ['Loudspeaker'], priorities: ['high'] }
+      });
+
+      expect(rule.evaluate(createIssue({ priority: 'high' }))).toEqual([]);
+      expect(rule.evaluate(createIssue({ category: 'roads', title: 'Pothole', description: 'Deep pothole' }))).toEqual(['category', 'priority', 'keywords']);
+    });
+
+    test('should fall back to the default department when no rule matches', async () => {
+      const issue = createIssue({ category: 'traffic' });
+      const routing = await routeNewIssue(issue);
+
+      expect(routing.rule).toBeNull();
+      expect(issue.assignedTo.department).toBe('roads');
+      expect(issue.timeline[0].description).toBe('Routed to roads department');
+    });
+
+    test('should take turns between officers with round robin and skip inactive rules', async () => {
+      const officers = await User.create(['one', 'two'].map((suffix, i) => ({
+        firstName: 'Routing',
+        lastName: suffix,
+        email: `routing.${suffix}@test.com`,
+        phone: `987654327${i}`,
+        password: 'Password123',
+        role: 'field_officer',
+        department: 'general'
+      })));
+      await RoutingRule.create([
+        { name: 'Disabled', order: 1, department: 'parks', isActive: false },
+        { name: 'Noise', order: 5, department: 'general', conditions: { categories: ['noise'] }, assignment: { strategy: 'round_robin' } }
+      ]);
+
+      const preview = await routeIssue(createIssue(), { dryRun: true });
+      const first = await routeNewIssue(createIssue());
+      const second = await routeNewIssue(createIssue());
+      const third = await routeNewIssue(createIssue());
+
+      expect(preview.assignee._id).toEqual(first.assignee._id);
+      expect(first.rule.name).toBe('Noise');
+      expect([first, second].map(routing => routing.assignee._id.toString()).sort())
+        .toEqual(officers.map(officer => officer._id.toString()).sort());
+      expect(third.assignee._id).toEqual(first.assignee._id);
+      expect((await RoutingRule.findOne({ name: 'Noise' })).stats.matchCount).toBe(3);
+    });
+  });
+
+  describe('Department Tests', () => {
+    beforeEach(async () => {
+      await Department.deleteMany({});
+      clearDepartmentCache();
+    });
+
+    afterAll(async () => {
+      await Department.deleteMany({});
+      clearDepartmentCache();
+    });
+
+    test('should know when the office is open in local time', () => {
+      const department = new Department({
+        code: 'estate',
+        name: 'Estate',
+        workingHours: [{ day: 1, opens: '10:30', closes: '18:10' }],
+        holidays: [{ date: '2026-11-09', name: 'Diwali' }]
+      });
+
+      // Mondays; 06:00 UTC is 11:30 in Anand
+      expect(department.isOpenAt(new Date('2026-11-02T06:00:00Z'))).toBe(true);
+      expect(department.isOpenAt(new Date('2026-11-02T04:00:00Z'))).toBe(false);
+      expect(department.isOpenAt(new Date('2026-11-09T06:00:00Z'))).toBe(false);
+      expect(department.getUpcomingHolidays(new Date('2026-11-02T06:00:00Z'))).toHaveLength(1);
+    });
+
+    test('should validate users and route categories against the department collection', async () => {
+      expect(await ensureDefaultDepartments()).toBe(9);
+      expect(await ensureDefaultDepartments()).toBe(0);
+      expect(await getDepartmentForCategory('buildings')).toBe('town_planning');
+
+      await Department.create({ code: 'estate', name: 'Estate', categories: [] });
+      await Department.updateOne({ code: 'town_planning' }, { isActive: false });
+      clearDepartmentCache();
+
+      expect(await getDepartmentForCategory('buildings')).toBe('general');
+
+      const user = new User({
+        firstName: 'Dept',
+        lastName: 'Tester',
+        email: 'dept.tester@test.com',
+        phone: '9876543260',
+        password: 'Password123',
+        role: 'field_officer',
+        department: 'estate'
+      });
+      await expect(user.validate()).resolves.toBeUndefined();
+
+      // Records pointing at a deactivated department still save; new assignments to it are refused
+      user.department = 'town_planning';
+      await expect(user.validate()).resolves.toBeUndefined();
+      expect(await isActiveDepartmentCode('town_planning')).toBe(false);
+
+      user.department = 'nowhere';
+      await expect(user.validate()).rejects.toThrow(/Invalid department/);
+    });
+
+    test('should route categories no active department covers to the general department', async () => {
+      await ensureDefaultDepartments();
+      await Department.updateOne({ code: 'health' }, { isActive: false });
+      await RoutingRule.deleteMany({});
+      await RoutingRule.create({ name: 'Noise to health', department: 'health', conditions: { categories: ['noise'] } });
+      clearDepartmentCache();
+
+      const issue = new Issue({
+        title: 'Loudspeakers at night',
+        description: 'Loudspeakers play past midnight every day',
+        category: 'noise',
+        location: { coordinates: { latitude: 22.5646, longitude: 72.9289 } },
+        reportedBy: new mongoose.Types.ObjectId()
+      });
+      const routing = await routeNewIssue(issue);
+
+      expect(routing.rule).toBeNull();
+      expect(routing.evaluations[0].failed).toEqual(['department']);
+      expect(issue.assignedTo.department).toBe('general');
+      await expect(issue.validate()).resolves.toBeUndefined();
+
+      await RoutingRule.deleteMany({});
+    });
+
+    test('should send head notifications to the heads named on the department', async () => {
+      await ensureDefaultDepartments();
+      const createHead = (email, phone) => User.create({
+        firstName: 'Roads',
+        lastName: 'Head',
+        email,
+        phone,
+        password: 'Password123',
+        role: 'department_head',
+        department: 'roads'
+      });
+      const named = await createHead('named.head@test.com', '9876543261');
+      const other = await createHead('other.head@test.com', '9876543262');
+
+      expect((await getDepartmentHeads('roads')).map(head => head._id.toString()).sort())
+        .toEqual([named._id.toString(), other._id.toString()].sort());
+
+      await Department.updateOne({ code: 'roads' }, { heads: [named._id] });
+      expect((await getDepartmentHeads('roads')).map(head => head._id.toString())).toEqual([named._id.toString()]);
+
+      // A named head who has left the role no longer counts
+      await User.updateOne({ _id: named._id }, { isActive: false });
+      expect((await getDepartmentHeads('roads')).map(head => head._id.toString())).toEqual([other._id.toString()]);
+    });
+  });
+
   describe('Password Hashing Tests', () => {
     test('should hash password before saving', async () => {
       const password = 'TestPass123';
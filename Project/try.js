@@ -41,6 +41,8 @@ const AppState = {
     filters: {
         category: '',
         status: '',
+        priority: '',
+        ward: '',
         search: ''
     }
 };
@@ -70,6 +72,13 @@ const api = {
         try {
             const response = await fetch(`${CONFIG.API_BASE_URL}${endpoint}`, config);
             const data = await response.json();
+
+            // Access tokens are short-lived: refresh once and retry
+            if (response.status === 401 && data.code === 'TOKEN_EXPIRED' && !options.isRetry) {
+                if (await api.refreshToken()) {
+                    return api.request(endpoint, { ...options, isRetry: true });
+                }
+            }
             
             if (!response.ok) {
                 throw new Error(data.message || 'API request failed');
@@ -82,6 +91,28 @@ const api = {
         }
     },
 
+    // Exchange the refresh token cookie for a new access token
+    async refreshToken() {
+        try {
+            const response = await fetch(`${CONFIG.API_BASE_URL}/auth/refresh`, {
+                method: 'POST',
+                credentials: 'same-origin'
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                localStorage.removeItem('token');
+                return false;
+            }
+
+            localStorage.setItem('token', data.data.token);
+            return true;
+        } catch (error) {
+            console.error('Token refresh error:', error);
+            return false;
+        }
+    },
+
     // Auth methods
     auth: {
         async login(email, password) {
@@ -541,6 +572,7 @@ async function loadIssues(params = {}) {
         
         AppState.issues = response.data.issues;
         displayIssues(response.data.issues, response.data.pagination);
+        displayFacets(response.data.facets);
     } catch (error) {
         console.error('Failed to load issues:', error);
         notify.error('Error', 'Failed to load issues');
@@ -574,6 +606,30 @@ function displayIssues(issues, pagination) {
     }
 }
 
+// Show issue counts next to each option of the filter dropdowns (#categoryFilter, #statusFilter, ...)
+function displayFacets(facets) {
+    if (!facets) return;
+
+    Object.entries(facets).forEach(([name, buckets]) => {
+        const select = document.getElementById(`${name}Filter`);
+        if (!select) return;
+
+        // Wards aren't known in advance, so add options for any the counts mention
+        buckets.forEach(({ value }) => {
+            if (!Array.from(select.options).some(option => option.value === value)) {
+                select.add(new Option(value, value));
+            }
+        });
+
+        const counts = new Map(buckets.map(({ value, count }) => [value, count]));
+        Array.from(select.options).forEach(option => {
+            if (!option.value) return;
+            option.dataset.label = option.dataset.label || option.textContent.trim();
+            option.textContent = `${option.dataset.label} (${counts.get(option.value) || 0})`;
+        });
+    });
+}
+
 // Create individual issue card HTML
 function createIssueCard(issue) {
     const statusColors = {
@@ -613,12 +669,12 @@ function createIssueCard(issue) {
             ` : ''}
             
             <div class="issue-content">
-                <h3 class="issue-title">${issue.title}</h3>
-                <p class="issue-description">${issue.description.substring(0, 150)}${issue.description.length > 150 ? '...' : ''}</p>
+                <h3 class="issue-title">${issue.highlights?.title || issue.title}</h3>
+                <p class="issue-description">${issue.highlights?.description || `${issue.description.substring(0, 150)}${issue.description.length > 150 ? '...' : ''}`}</p>
                 
                 <div class="issue-location">
                     <i class="fas fa-map-marker-alt"></i>
-                    <span>${issue.location.address?.formatted || 'Location not specified'}</span>
+                    <span>${issue.highlights?.address || issue.location.address?.formatted || 'Location not specified'}</span>
                 </div>
             </div>
             
@@ -966,6 +1022,15 @@ function setupEventListeners() {
             handleFilter('status', e.target.value);
         });
     }
+
+    ['priority', 'ward'].forEach(type => {
+        const filter = document.getElementById(`${type}Filter`);
+        if (filter) {
+            filter.addEventListener('change', (e) => {
+                handleFilter(type, e.target.value);
+            });
+        }
+    });
 }
 
 // Export functions for global access
@@ -0,0 +1,310 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const { OPEN_STATUSES } = require('./sla');
+const { getCategoryDepartments } = require('./departments');
+const { DEPARTMENT_CONFIG } = require('../config/departments');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Timeline actions that count as the first staff response to an issue
+const RESPONSE_ACTIONS = ['acknowledged', 'in_progress', 'under_review', 'resolved', 'rejected'];
+
+// Backlog ageing buckets, by days since the issue was reported
+const AGE_BUCKETS = [
+  { label: '0-1d', maxDays: 1 },
+  { label: '1-3d', maxDays: 3 },
+  { label: '3-7d', maxDays: 7 },
+  { label: '7-30d', maxDays: 30 },
+  { label: '30d+', maxDays: Infinity }
+];
+
+const TIME_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const GROUP_BY = ['department', 'category', 'ward', 'assignee', 'time'];
+
+// Grouping key for each breakdown; null groups everything into one summary row
+const getGroupKey = (groupBy, interval = 'week') => {
+  switch (groupBy) {
+    case 'department': return '$_department';
+    case 'category': return '$category';
+    case 'ward': return '$location.ward';
+    case 'assignee': return '$assignedTo.user';
+    case 'time': return { $dateToString: { format: TIME_FORMATS[interval], date: '$createdAt' } };
+    default: return null;
+  }
+};
+
+// Categories handled by a department, from a category -> department map (getCategoryDepartments)
+const categoriesOf = (department, categoryDepartments) => Object.keys(categoryDepartments)
+  .filter(category => categoryDepartments[category] === department);
+
+// Department of an issue not yet assigned one, by the department that handles its category
+const categoryDepartmentExpression = (categoryDepartments) => ({
+  $switch: {
+    branches: [...new Set(Object.values(categoryDepartments))].map(department => ({
+      case: { $in: ['$category', categoriesOf(department, categoryDepartments)] },
+      then: department
+    })),
+    default: DEPARTMENT_CONFIG.fallbackCode
+  }
+});
+
+// Issues are owned by their assigned department, or by the department handling their category until assigned
+const buildIssueMatch = ({ from, to, department, category, ward, zone, priority } = {}, categoryDepartments = {}) => {
+  const match = {};
+
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+  if (department) {
+    match.$or = [
+      { 'assignedTo.department': department },
+      { 'assignedTo.department': null, category: { $in: categoriesOf(department, categoryDepartments) } }
+    ];
+  }
+  if (category) match.category = category;
+  if (ward) match['location.ward'] = ward;
+  if (zone) match['location.zone'] = zone;
+  if (priority) match.priority = priority;
+
+  return match;
+};
+
+const timelineTimes = (actions) => ({
+  $map: {
+    input: { $filter: { input: '$timeline', cond: { $in: ['$$this.action', actions] } } },
+    in: '$$this.timestamp'
+  }
+});
+
+// Per-issue timings derived from the timeline
+const deriveIssueFields = (now, categoryDepartments) => [
+  {
+    $addFields: {
+      _department: { $ifNull: ['$assignedTo.department', categoryDepartmentExpression(categoryDepartments)] },
+      _respondedAt: { $min: timelineTimes(RESPONSE_ACTIONS) },
+      // After a reopen the latest resolution is the one that counts
+      _resolvedAt: { $max: timelineTimes(['resolved']) }
+    }
+  },
+  {
+    $addFields: {
+      _isOpen: { $in: ['$status', OPEN_STATUSES] },
+      _isResolved: {
+        $and: [{ $in: ['$status', ['resolved', 'closed']] }, { $ne: [{ $ifNull: ['$_resolvedAt', null] }, null] }]
+      }
+    }
+  },
+  {
+    $addFields: {
+      _acknowledgeMs: {
+        $cond: [{ $ifNull: ['$_respondedAt', false] }, { $subtract: ['$_respondedAt', '$createdAt'] }, null]
+      },
+      _resolveMs: { $cond: ['$_isResolved', { $subtract: ['$_resolvedAt', '$createdAt'] }, null] },
+      _ageMs: { $cond: ['$_isOpen', { $subtract: [now, '$createdAt'] }, null] },
+      // SLA outcome: met/missed once resolved, missed while open past the deadline, otherwise not yet decided
+      _sla: {
+        $switch: {
+          branches: [
+            { case: { $not: [{ $ifNull: ['$sla.resolveBy', false] }] }, then: null },
+            { case: '$_isResolved', then: { $cond: [{ $lte: ['$_resolvedAt', '$sla.resolveBy'] }, 'met', 'missed'] } },
+            { case: { $and: ['$_isOpen', { $gt: [now, '$sla.resolveBy'] }] }, then: 'missed' }
+          ],
+          default: null
+        }
+      }
+    }
+  }
+];
+
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Sorted durations -> median and p90 (nearest rank), in milliseconds
+const percentileStages = (field, key) => [
+  { $match: { [field]: { $ne: null } } },
+  { $sort: { [field]: 1 } },
+  { $group: { _id: key, times: { $push: `$${field}` } } },
+  {
+    $project: {
+      count: { $size: '$times' },
+      median: { $arrayElemAt: ['$times', { $floor: { $multiply: [0.5, { $subtract: [{ $size: '$times' }, 1] }] } }] },
+      p90: { $arrayElemAt: ['$times', { $floor: { $multiply: [0.9, { $subtract: [{ $size: '$times' }, 1] }] } }] }
+    }
+  }
+];
+
+const ageBucketExpression = {
+  $switch: {
+    branches: AGE_BUCKETS.filter(bucket => bucket.maxDays !== Infinity).map(bucket => ({
+      case: { $lt: ['$_ageMs', bucket.maxDays * DAY_MS] },
+      then: bucket.label
+    })),
+    default: AGE_BUCKETS[AGE_BUCKETS.length - 1].label
+  }
+};
+
+const buildPipeline = (match, key, now, categoryDepartments) => [
+  { $match: match },
+  ...deriveIssueFields(now, categoryDepartments),
+  {
+    $facet: {
+      counts: [
+        {
+          $group: {
+            _id: key,
+            total: { $sum: 1 },
+            open: countIf('$_isOpen'),
+            resolved: countIf('$_isResolved'),
+            everResolved: countIf({ $ne: [{ $ifNull: ['$_resolvedAt', null] }, null] }),
+            reopened: countIf({ $gt: ['$reopenCount', 0] }),
+            averageRating: { $avg: '$feedback.rating' },
+            ratings: countIf({ $ne: [{ $ifNull: ['$feedback.rating', null] }, null] }),
+            slaMet: countIf({ $eq: ['$_sla', 'met'] }),
+            slaMissed: countIf({ $eq: ['$_sla', 'missed'] }),
+            averageAgeMs: { $avg: '$_ageMs' },
+            oldestAgeMs: { $max: '$_ageMs' }
+          }
+        }
+      ],
+      acknowledge: percentileStages('_acknowledgeMs', key),
+      resolve: percentileStages('_resolveMs', key),
+      ageing: [
+        { $match: { _isOpen: true } },
+        { $group: { _id: { key, bucket: ageBucketExpression }, count: { $sum: 1 } } }
+      ]
+    }
+  }
+];
+
+const EMPTY_COUNTS = {
+  _id: null,
+  total: 0,
+  open: 0,
+  resolved: 0,
+  everResolved: 0,
+  reopened: 0,
+  averageRating: null,
+  ratings: 0,
+  slaMet: 0,
+  slaMissed: 0,
+  averageAgeMs: null,
+  oldestAgeMs: null
+};
+
+const toHours = (ms) => (ms === null || ms === undefined ? null : Math.round((ms / HOUR_MS) * 10) / 10);
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+const keyOf = (value) => (value === null || value === undefined ? 'null' : value.toString());
+
+const formatDurations = (row) => ({
+  count: row?.count || 0,
+  medianHours: toHours(row?.median),
+  p90Hours: toHours(row?.p90)
+});
+
+// Combine the facet results into one metrics object per group
+const shapeResults = ({ counts, acknowledge, resolve, ageing }) => {
+  const byKey = (rows) => new Map(rows.map(row => [keyOf(row._id), row]));
+  const acknowledgeByKey = byKey(acknowledge);
+  const resolveByKey = byKey(resolve);
+
+  const ageingByKey = new Map();
+  ageing.forEach(({ _id, count }) => {
+    const buckets = ageingByKey.get(keyOf(_id.key)) ||
+      Object.fromEntries(AGE_BUCKETS.map(bucket => [bucket.label, 0]));
+    buckets[_id.bucket] = count;
+    ageingByKey.set(keyOf(_id.key), buckets);
+  });
+
+  return counts.map(row => {
+    const key = keyOf(row._id);
+    const slaDecided = row.slaMet + row.slaMissed;
+
+    return {
+      key: row._id,
+      total: row.total,
+      open: row.open,
+      resolved: row.resolved,
+      timeToAcknowledge: formatDurations(acknowledgeByKey.get(key)),
+      timeToResolve: formatDurations(resolveByKey.get(key)),
+      backlog: {
+        open: row.open,
+        averageAgeHours: toHours(row.averageAgeMs),
+        oldestAgeHours: toHours(row.oldestAgeMs),
+        ageing: ageingByKey.get(key) || Object.fromEntries(AGE_BUCKETS.map(bucket => [bucket.label, 0]))
+      },
+      reopenRate: ratio(row.reopened, row.everResolved),
+      reopened: row.reopened,
+      rating: {
+        average: row.averageRating === null ? null : Math.round(row.averageRating * 100) / 100,
+        count: row.ratings
+      },
+      sla: {
+        met: row.slaMet,
+        missed: row.slaMissed,
+        compliance: ratio(row.slaMet, slaDecided)
+      }
+    };
+  });
+};
+
+// Attach officer names to an assignee breakdown
+const labelAssignees = async (rows) => {
+  const ids = rows.map(row => row.key).filter(Boolean);
+  const users = await User.find({ _id: { $in: ids } }).select('firstName lastName role department');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return rows.map(row => {
+    const user = row.key && usersById.get(row.key.toString());
+    return {
+      ...row,
+      assignee: user
+        ? { _id: user._id, name: `${user.firstName} ${user.lastName}`, role: user.role, department: user.department }
+        : null
+    };
+  });
+};
+
+// Issue performance metrics: an overall summary plus one row per group.
+// options: { groupBy, interval, from, to, department, category, ward, zone, priority, now }
+const getIssueAnalytics = async (options = {}) => {
+  const now = options.now || new Date();
+  const categoryDepartments = await getCategoryDepartments();
+  const match = buildIssueMatch(options, categoryDepartments);
+  const key = getGroupKey(options.groupBy, options.interval);
+
+  const [[summaryFacets], [breakdownFacets]] = await Promise.all([
+    Issue.aggregate(buildPipeline(match, null, now, categoryDepartments)),
+    Issue.aggregate(buildPipeline(match, key, now, categoryDepartments))
+  ]);
+
+  const { key: _summaryKey, ...summary } = shapeResults({
+    ...summaryFacets,
+    counts: summaryFacets.counts.length > 0 ? summaryFacets.counts : [EMPTY_COUNTS]
+  })[0];
+
+  let breakdown = shapeResults(breakdownFacets);
+  breakdown.sort((a, b) => (options.groupBy === 'time'
+    ? String(a.key).localeCompare(String(b.key))
+    : b.total - a.total));
+
+  if (options.groupBy === 'assignee') {
+    breakdown = await labelAssignees(breakdown);
+  }
+
+  return { summary, breakdown };
+};
+
+module.exports = {
+  GROUP_BY,
+  TIME_FORMATS,
+  AGE_BUCKETS,
+  buildIssueMatch,
+  getIssueAnalytics
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+// prevHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+// Retries when another server process appended the same sequence number first
+const MAX_APPEND_ATTEMPTS = 5;
+// Problems listed in a verification report; the rest are only counted
+const MAX_REPORTED_PROBLEMS = 100;
+
+// JSON with object keys sorted, so an entry hashes the same however its fields are ordered
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// The value as stored and hashed: plain JSON, with ObjectIds and dates as strings
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// SHA-256 over an entry's contents and the previous entry's hash
+const hashEntry = (entry) => crypto.createHash('sha256').update(canonicalJson({
+  sequence: entry.sequence,
+  prevHash: entry.prevHash,
+  actor: toPlain(entry.actor),
+  actorRole: entry.actorRole ?? null,
+  action: entry.action,
+  entityType: entry.entityType,
+  entityId: toPlain(entry.entityId),
+  changes: {
+    before: toPlain(entry.changes?.before),
+    after: toPlain(entry.changes?.after)
+  },
+  ip: entry.ip ?? null,
+  userAgent: entry.userAgent ?? null,
+  route: entry.route ?? null,
+  metadata: toPlain(entry.metadata),
+  createdAt: new Date(entry.createdAt).toISOString()
+})).digest('hex');
+
+const appendEntry = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await AuditLog.findOne({ sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .lean();
+
+    const entry = new AuditLog({
+      ...fields,
+      sequence: (last?.sequence || 0) + 1,
+      prevHash: last?.hash || GENESIS_HASH,
+      createdAt: new Date()
+    });
+    entry.hash = hashEntry(entry);
+
+    try {
+      return await entry.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Appends from this process run one at a time so they don't race for the next sequence number
+let appendQueue = Promise.resolve();
+
+// Record an audit entry for an action performed during a request.
+// Auditing must never break the action itself, so failures are only logged.
+const recordAudit = async (req, { action, entityType, entityId, before, after, metadata }) => {
+  const fields = {
+    actor: req.user?._id,
+    actorRole: req.user?.role,
+    action,
+    entityType,
+    entityId,
+    changes: { before: toPlain(before), after: toPlain(after) },
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    route: `${req.method} ${req.originalUrl}`,
+    metadata: toPlain(metadata)
+  };
+
+  const append = appendQueue.then(() => appendEntry(fields));
+  appendQueue = append.catch(() => {});
+
+  try {
+    return await append;
+  } catch (error) {
+    console.error('Error recording audit log:', error);
+    return null;
+  }
+};
+
+// Reduce two snapshots to the fields that differ, as { before, after } for recordAudit
+const diffChanges = (before = {}, after = {}) => {
+  const diff = { before: {}, after: {} };
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    if (canonicalJson(toPlain(before[key])) !== canonicalJson(toPlain(after[key]))) {
+      diff.before[key] = before[key];
+      diff.after[key] = after[key];
+    }
+  });
+
+  return diff;
+};
+
+// Walk the chain in sequence order and report every entry that was changed, removed or reordered.
+// Deleting the newest entries leaves a valid (shorter) chain, so compare lastSequence/lastHash
+// with a value recorded earlier to detect that.
+const verifyAuditChain = async () => {
+  const report = {
+    valid: true,
+    checked: 0,
+    invalid: 0,
+    unchained: await AuditLog.countDocuments({ sequence: { $exists: false } }),
+    problems: []
+  };
+
+  const flag = (entry, problem) => {
+    report.valid = false;
+    report.invalid += 1;
+    if (report.problems.length < MAX_REPORTED_PROBLEMS) {
+      report.problems.push({ sequence: entry.sequence, id: entry._id, problem });
+    }
+  };
+
+  let previous = null;
+  const cursor = AuditLog.find({ sequence: { $exists: true } }).sort({ sequence: 1 }).lean().cursor();
+
+  for await (const entry of cursor) {
+    const expectedSequence = previous ? previous.sequence + 1 : 1;
+
+    if (entry.sequence !== expectedSequence) {
+      flag(entry, `Expected sequence ${expectedSequence}; ${entry.sequence - expectedSequence} entries are missing`);
+    } else if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+      flag(entry, 'Does not link to the previous entry');
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      flag(entry, 'Contents do not match the hash');
+    }
+
+    report.checked += 1;
+    previous = entry;
+  }
+
+  report.lastSequence = previous?.sequence || 0;
+  report.lastHash = previous?.hash || GENESIS_HASH;
+
+  return report;
+};
+
+module.exports = {
+  recordAudit,
+  diffChanges,
+  hashEntry,
+  verifyAuditChain
+};
@@ -0,0 +1,96 @@
+const Boundary = require('../models/Boundary');
+
+const BOUNDARY_CONFIG = {
+  // What to do with reports outside municipal limits: 'flag' keeps them, 'reject' refuses them
+  outsideLimits: process.env.BOUNDARY_OUTSIDE_LIMITS === 'reject' ? 'reject' : 'flag',
+  cacheTtlMs: 10 * 60 * 1000
+};
+
+let cache = null;
+let cachedAt = 0;
+
+// Ray casting test of a point against one ring of [lng, lat] positions
+const pointInRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Point-in-polygon for GeoJSON Polygon/MultiPolygon geometry, honouring holes
+const pointInGeometry = (lng, lat, geometry) => {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+  return polygons.some(([outer, ...holes]) =>
+    pointInRing(lng, lat, outer) && !holes.some(hole => pointInRing(lng, lat, hole))
+  );
+};
+
+const inBbox = (lng, lat, bbox) => !bbox || bbox.length !== 4 ||
+  (lng >= bbox[0] && lat >= bbox[1] && lng <= bbox[2] && lat <= bbox[3]);
+
+// Boundaries change rarely, so keep the active ones in memory
+const loadBoundaries = async () => {
+  if (cache && Date.now() - cachedAt < BOUNDARY_CONFIG.cacheTtlMs) {
+    return cache;
+  }
+
+  const boundaries = await Boundary.find({ isActive: true })
+    .select('type code name zone geometry bbox')
+    .lean();
+
+  cache = {
+    ward: boundaries.filter(b => b.type === 'ward'),
+    zone: boundaries.filter(b => b.type === 'zone'),
+    municipal_limit: boundaries.filter(b => b.type === 'municipal_limit')
+  };
+  cachedAt = Date.now();
+
+  return cache;
+};
+
+const clearBoundaryCache = () => {
+  cache = null;
+  cachedAt = 0;
+};
+
+const findContaining = (boundaries, lng, lat) =>
+  boundaries.find(b => inBbox(lng, lat, b.bbox) && pointInGeometry(lng, lat, b.geometry));
+
+// Resolve ward and zone for a coordinate pair.
+// withinLimits is null when no boundaries have been loaded yet.
+const resolveLocation = async (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  const boundaries = await loadBoundaries();
+
+  const ward = findContaining(boundaries.ward, lng, lat);
+  const zone = findContaining(boundaries.zone, lng, lat);
+
+  let withinLimits = null;
+  if (boundaries.municipal_limit.length > 0) {
+    withinLimits = Boolean(findContaining(boundaries.municipal_limit, lng, lat));
+  } else if (boundaries.ward.length > 0) {
+    withinLimits = Boolean(ward);
+  }
+
+  return {
+    ward: ward?.code,
+    wardName: ward?.name,
+    zone: zone?.code || ward?.zone,
+    zoneName: zone?.name,
+    withinLimits
+  };
+};
+
+module.exports = {
+  BOUNDARY_CONFIG,
+  pointInGeometry,
+  resolveLocation,
+  clearBoundaryCache
+};
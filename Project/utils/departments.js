@@ -0,0 +1,101 @@
+const Department = require('../models/Department');
+const { ISSUE_CATEGORIES, DEPARTMENT_CONFIG, DEFAULT_DEPARTMENTS, DEFAULT_WORKING_HOURS } = require('../config/departments');
+
+// Departments (code, name, categories, isActive), cached briefly since validation reads them on every write
+let cache = null;
+
+const loadDepartments = async () => {
+  if (cache && Date.now() - cache.loadedAt < DEPARTMENT_CONFIG.cacheSeconds * 1000) {
+    return cache.departments;
+  }
+
+  const departments = await Department.find().select('code name categories isActive').lean();
+
+  // Before the defaults have been created (first start, test databases) the built-in list applies
+  cache = {
+    loadedAt: Date.now(),
+    departments: departments.length > 0
+      ? departments
+      : DEFAULT_DEPARTMENTS.map(department => ({ ...department, isActive: true }))
+  };
+  return cache.departments;
+};
+
+const loadActiveDepartments = async () => (await loadDepartments()).filter(({ isActive }) => isActive);
+
+// Forget cached departments after one is created, changed or deleted
+const clearDepartmentCache = () => {
+  cache = null;
+};
+
+// Codes of the departments that can take new staff, issues and routing rules
+const getDepartmentCodes = async () => (await loadActiveDepartments()).map(({ code }) => code);
+
+// Whether a code names a department, active or not, or the fallback department. Used by the schema
+// validators, so records that point at a deactivated department can still be saved.
+const isDepartmentCode = async (code) => (
+  code === DEPARTMENT_CONFIG.fallbackCode
+  || (await loadDepartments()).some(department => department.code === code)
+);
+
+// Whether new staff, issues and routing rules may be given this department
+const isActiveDepartmentCode = async (code) => (
+  code === DEPARTMENT_CONFIG.fallbackCode || (await getDepartmentCodes()).includes(code)
+);
+
+// express-validator custom check for department codes in filters (deactivated departments included)
+const validateDepartmentCode = async (code) => {
+  if (!await isDepartmentCode(code)) {
+    throw new Error('Invalid department');
+  }
+  return true;
+};
+
+// express-validator custom check for a department being assigned
+const validateActiveDepartmentCode = async (code) => {
+  if (!await isActiveDepartmentCode(code)) {
+    throw new Error('Invalid or inactive department');
+  }
+  return true;
+};
+
+// Department that handles an issue category; categories no active department handles go to the
+// fixed fallback department
+const getDepartmentForCategory = async (category) => {
+  const department = (await loadActiveDepartments()).find(({ categories = [] }) => categories.includes(category));
+  return department ? department.code : DEPARTMENT_CONFIG.fallbackCode;
+};
+
+// Department responsible for an issue: the one it was routed to, or for an issue never routed
+// the department that handles its category
+const getIssueDepartment = async (issue) => issue.assignedTo?.department || getDepartmentForCategory(issue.category);
+
+// Map every issue category to the department that handles it, as routing does
+const getCategoryDepartments = async () => Object.fromEntries(await Promise.all(
+  ISSUE_CATEGORIES.map(async (category) => [category, await getDepartmentForCategory(category)])
+));
+
+// Create the default departments when there are none. Returns how many were created.
+const ensureDefaultDepartments = async () => {
+  if (await Department.countDocuments() > 0) return 0;
+
+  const created = await Department.insertMany(DEFAULT_DEPARTMENTS.map(department => ({
+    ...department,
+    workingHours: DEFAULT_WORKING_HOURS
+  })));
+  clearDepartmentCache();
+  return created.length;
+};
+
+module.exports = {
+  getDepartmentCodes,
+  isDepartmentCode,
+  isActiveDepartmentCode,
+  validateDepartmentCode,
+  validateActiveDepartmentCode,
+  getDepartmentForCategory,
+  getIssueDepartment,
+  getCategoryDepartments,
+  ensureDefaultDepartments,
+  clearDepartmentCache
+};
@@ -0,0 +1,124 @@
+const Issue = require('../models/Issue');
+
+const DUPLICATE_CONFIG = {
+  radiusMeters: parseInt(process.env.DUPLICATE_RADIUS_METERS) || 150,
+  windowDays: parseInt(process.env.DUPLICATE_WINDOW_DAYS) || 30,
+  threshold: parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.35,
+  maxResults: 5
+};
+
+const OPEN_STATUSES = ['submitted', 'acknowledged', 'in_progress', 'under_review'];
+
+// Common words that say nothing about what the problem is
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'has', 'have', 'had', 'this', 'that', 'with',
+  'from', 'there', 'their', 'near', 'our', 'not', 'but', 'all', 'any', 'since', 'very',
+  'into', 'on', 'in', 'at', 'of', 'to', 'is', 'it', 'be', 'been', 'please', 'area', 'road'
+]);
+
+// Lowercase word set without punctuation, stop words or very short words
+const tokenize = (text = '') => new Set(
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .map(word => (word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+);
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+// Text similarity in [0, 1]: the better of title-to-title and full-text overlap
+const textSimilarity = (a, b) => {
+  const titleScore = jaccard(tokenize(a.title), tokenize(b.title));
+  const fullScore = jaccard(
+    tokenize(`${a.title} ${a.description}`),
+    tokenize(`${b.title} ${b.description}`)
+  );
+  return Math.max(titleScore, fullScore);
+};
+
+// Great-circle distance in metres
+const distanceInMeters = (lat1, lng1, lat2, lng2) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Find open issues in the same category, nearby and recent, that read like the candidate.
+// candidate: { category, title, description, latitude, longitude }
+const findPossibleDuplicates = async (candidate, options = {}) => {
+  const config = { ...DUPLICATE_CONFIG, ...options };
+  const latitude = parseFloat(candidate.latitude);
+  const longitude = parseFloat(candidate.longitude);
+
+  // Bounding box around the point; exact distance is checked below
+  const latDelta = config.radiusMeters / 111320;
+  const lngDelta = config.radiusMeters / (111320 * Math.cos((latitude * Math.PI) / 180));
+  const since = new Date(Date.now() - config.windowDays * 24 * 60 * 60 * 1000);
+
+  const nearby = await Issue.find({
+    category: candidate.category,
+    status: { $in: OPEN_STATUSES },
+    duplicateOf: null,
+    createdAt: { $gte: since },
+    'location.coordinates.latitude': { $gte: latitude - latDelta, $lte: latitude + latDelta },
+    'location.coordinates.longitude': { $gte: longitude - lngDelta, $lte: longitude + lngDelta },
+    ...(candidate.excludeId && { _id: { $ne: candidate.excludeId } })
+  })
+    .select('trackingId title description category status priority location photos upvotes createdAt')
+    .limit(100);
+
+  return nearby
+    .map(issue => {
+      const distance = distanceInMeters(
+        latitude,
+        longitude,
+        issue.location.coordinates.latitude,
+        issue.location.coordinates.longitude
+      );
+      const similarity = textSimilarity(candidate, issue);
+      const proximity = Math.max(0, 1 - distance / config.radiusMeters);
+
+      return {
+        issue,
+        distance: Math.round(distance),
+        similarity: Math.round(similarity * 100) / 100,
+        score: Math.round((similarity * 0.7 + proximity * 0.3) * 100) / 100
+      };
+    })
+    .filter(match => match.distance <= config.radiusMeters && match.score >= config.threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, config.maxResults)
+    .map(match => ({
+      _id: match.issue._id,
+      trackingId: match.issue.trackingId,
+      title: match.issue.title,
+      status: match.issue.status,
+      priority: match.issue.priority,
+      createdAt: match.issue.createdAt,
+      upvoteCount: match.issue.upvoteCount,
+      photo: match.issue.photos[0]?.url,
+      distance: match.distance,
+      similarity: match.similarity,
+      score: match.score
+    }));
+};
+
+module.exports = {
+  DUPLICATE_CONFIG,
+  tokenize,
+  textSimilarity,
+  distanceInMeters,
+  findPossibleDuplicates
+};
@@ -1,10 +1,11 @@
 const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
+const { t, label } = require('./i18n');
 
 // Create reusable transporter
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST || 'smtp.gmail.com',
     port: process.env.EMAIL_PORT || 587,
     secure: false, // true for 465, false for other ports
@@ -18,121 +19,195 @@ const createTransporter = () => {
   });
 };
 
-// Email templates
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const issueUrl = (data) => `${process.env.FRONTEND_URL}/issues/${data.issueId}`;
+
+// Tracking ID, status and notes box shared by the issue emails
+const issueDetails = (data, locale) => ({
+  title: data.issueTitle,
+  rows: [
+    [t(locale, 'emails.details.status'), data.status && label(locale, 'status', data.status)],
+    [t(locale, 'emails.details.trackingId'), data.trackingId],
+    [t(locale, 'emails.details.department'), data.department && label(locale, 'department', data.department)],
+    [t(locale, 'emails.details.notes'), data.notes]
+  ].filter(([, value]) => value)
+});
+
+// Email templates. Each builds the content of one email from the recipient's
+// catalogue (config/locales); layoutHtml and layoutText turn it into the bodies.
+// `s(key)` reads emails.<template>.<key> with the email data as placeholders.
 const templates = {
-  welcome: (data) => `
+  welcome: (data, s) => ({
+    colors: ['#1a5276', '#2980b9', '#e8f4fd'],
+    heading: s('heading'),
+    subheading: s('subheading'),
+    paragraphs: [s('intro')],
+    list: { title: s('listTitle'), items: s('list') },
+    action: { text: s('action'), url: `${process.env.FRONTEND_URL}/verify-email?token=${data.verificationToken}` },
+    footer: [s('common.contact')]
+  }),
+
+  'password-reset': (data, s) => ({
+    colors: ['#e74c3c', '#c0392b', '#fadbd8'],
+    heading: s('heading'),
+    subheading: s('common.brand'),
+    paragraphs: [s('intro')],
+    notice: s('notice'),
+    action: { text: s('action'), url: data.resetUrl },
+    closing: s('closing'),
+    footer: [s('common.contact')]
+  }),
+
+  'issue-update': (data, s, locale) => ({
+    colors: ['#27ae60', '#229954', '#d5f4e6'],
+    heading: s('heading'),
+    subheading: s('common.brand'),
+    paragraphs: [data.message || s('intro')],
+    details: issueDetails(data, locale),
+    action: { text: s('action'), url: issueUrl(data) },
+    footer: [s('footer')]
+  }),
+
+  'issue-assigned': (data, s, locale) => ({
+    colors: ['#1a5276', '#2980b9', '#e8f4fd'],
+    heading: s('heading'),
+    subheading: s('common.brand'),
+    paragraphs: [data.message],
+    details: issueDetails(data, locale),
+    action: { text: s('action'), url: issueUrl(data) },
+    footer: [s('footer')]
+  }),
+
+  'issue-resolved': (data, s, locale) => ({
+    colors: ['#27ae60', '#229954', '#d5f4e6'],
+    heading: s('heading'),
+    subheading: s('common.brand'),
+    paragraphs: [data.message],
+    details: issueDetails(data, locale),
+    closing: s('closing'),
+    action: { text: s('action'), url: issueUrl(data) },
+    footer: [s('footer')]
+  }),
+
+  'feedback-request': (data, s, locale) => ({
+    colors: ['#8e44ad', '#71368a', '#ebdef0'],
+    heading: s('heading'),
+    subheading: s('common.brand'),
+    paragraphs: [data.message],
+    details: issueDetails(data, locale),
+    closing: s('closing'),
+    action: {
+      text: s('action'),
+      url: data.actionUrl ? `${process.env.FRONTEND_URL}${data.actionUrl}` : issueUrl(data)
+    },
+    footer: [s('footer')]
+  }),
+
+  // Generic wrapper for any other notification type
+  notification: (data, s) => ({
+    colors: ['#1a5276', '#2980b9', '#e8f4fd'],
+    heading: data.title,
+    subheading: s('common.brand'),
+    paragraphs: [data.message],
+    action: data.actionUrl && {
+      text: data.actionText || s('actions.viewDetails'),
+      url: `${process.env.FRONTEND_URL}${data.actionUrl}`
+    },
+    footer: [s('footer')]
+  })
+};
+
+const layoutHtml = (content) => {
+  const [from, to, subtle] = content.colors;
+
+  return `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
-      <div style="background: linear-gradient(135deg, #1a5276 0%, #2980b9 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-        <h1 style="color: white; margin: 0; font-size: 28px;">Welcome to Anand Municipal Corporation</h1>
-        <p style="color: #e8f4fd; margin: 10px 0 0 0; font-size: 16px;">Your Civic Engagement Platform</p>
+      <div style="background: linear-gradient(135deg, ${from} 0%, ${to} 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0; font-size: 28px;">${escapeHtml(content.heading)}</h1>
+        <p style="color: ${subtle}; margin: 10px 0 0 0; font-size: 16px;">${escapeHtml(content.subheading)}</p>
       </div>
       
       <div style="background: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-        <h2 style="color: #2c3e50; margin-bottom: 20px;">Hello ${data.firstName}!</h2>
-        
-        <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
-          Thank you for joining our municipal platform. You can now report issues, track their progress, and contribute to making Anand a better place to live.
-        </p>
-        
-        <div style="background: #f1f8ff; padding: 20px; border-radius: 8px; border-left: 4px solid #2980b9; margin: 20px 0;">
-          <h3 style="color: #1a5276; margin-top: 0;">What you can do:</h3>
+        <h2 style="color: #2c3e50; margin-bottom: 20px;">${escapeHtml(content.greeting)}</h2>
+        ${content.paragraphs.map(paragraph => `
+        <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">${escapeHtml(paragraph)}</p>`).join('')}
+        ${content.list ? `
+        <div style="background: #f1f8ff; padding: 20px; border-radius: 8px; border-left: 4px solid ${to}; margin: 20px 0;">
+          <h3 style="color: ${from}; margin-top: 0;">${escapeHtml(content.list.title)}</h3>
           <ul style="color: #555; line-height: 1.6;">
-            <li>Report municipal issues with photos and location</li>
-            <li>Track the status of your reported issues</li>
-            <li>Receive notifications about updates</li>
-            <li>Contribute to community discussions</li>
+            ${content.list.items.map(item => `<li>${escapeHtml(item)}</li>`).join('\n            ')}
           </ul>
-        </div>
-        
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${process.env.FRONTEND_URL}/verify-email?token=${data.verificationToken}" 
-             style="background: #2980b9; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
-            Verify Email Address
-          </a>
-        </div>
-        
-        <p style="color: #777; font-size: 14px; margin-top: 30px; text-align: center; border-top: 1px solid #eee; padding-top: 20px;">
-          If you have any questions, please contact us at info@anandmc.gov.in<br>
-          © 2025 Anand Municipal Corporation. All rights reserved.
-        </p>
-      </div>
-    </div>
-  `,
-
-  'password-reset': (data) => `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
-      <div style="background: linear-gradient(135deg, #e74c3c 0%, #c0392b 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-        <h1 style="color: white; margin: 0; font-size: 28px;">Password Reset Request</h1>
-        <p style="color: #fadbd8; margin: 10px 0 0 0; font-size: 16px;">Anand Municipal Corporation</p>
-      </div>
-      
-      <div style="background: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-        <h2 style="color: #2c3e50; margin-bottom: 20px;">Hello ${data.firstName}!</h2>
-        
-        <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
-          We received a request to reset your password for your Anand Municipal Corporation account.
-        </p>
-        
+        </div>` : ''}
+        ${content.notice ? `
         <div style="background: #fef9e7; padding: 20px; border-radius: 8px; border-left: 4px solid #f39c12; margin: 20px 0;">
-          <p style="color: #d35400; margin: 0; font-weight: bold;">
-            ⚠️ This link will expire in 10 minutes for security reasons.
-          </p>
-        </div>
-        
+          <p style="color: #d35400; margin: 0; font-weight: bold;">⚠️ ${escapeHtml(content.notice)}</p>
+        </div>` : ''}
+        ${content.details ? `
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${from};">
+          <h3 style="color: ${to}; margin-top: 0;">${escapeHtml(content.details.title)}</h3>
+          ${content.details.rows.map(([name, value]) => `<p style="color: #555; margin: 10px 0;"><strong>${escapeHtml(name)}:</strong> ${escapeHtml(value)}</p>`).join('\n          ')}
+        </div>` : ''}
+        ${content.action ? `
         <div style="text-align: center; margin: 30px 0;">
-          <a href="${data.resetUrl}" 
-             style="background: #e74c3c; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
-            Reset Password
+          <a href="${escapeHtml(content.action.url)}" 
+             style="background: ${to}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+            ${escapeHtml(content.action.text)}
           </a>
-        </div>
-        
-        <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
-          If you didn't request this password reset, please ignore this email. Your password will remain unchanged.
-        </p>
+        </div>` : ''}
+        ${content.closing ? `
+        <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">${escapeHtml(content.closing)}</p>` : ''}
         
         <p style="color: #777; font-size: 14px; margin-top: 30px; text-align: center; border-top: 1px solid #eee; padding-top: 20px;">
-          If you have any questions, please contact us at info@anandmc.gov.in<br>
-          © 2025 Anand Municipal Corporation. All rights reserved.
+          ${[...content.footer, content.copyright].map(escapeHtml).join('<br>\n          ')}
         </p>
       </div>
     </div>
-  `,
+  `;
+};
 
-  'issue-update': (data) => `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
-      <div style="background: linear-gradient(135deg, #27ae60 0%, #229954 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-        <h1 style="color: white; margin: 0; font-size: 28px;">Issue Update</h1>
-        <p style="color: #d5f4e6; margin: 10px 0 0 0; font-size: 16px;">Anand Municipal Corporation</p>
-      </div>
-      
-      <div style="background: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
-        <h2 style="color: #2c3e50; margin-bottom: 20px;">Hello ${data.userName}!</h2>
-        
-        <p style="color: #555; line-height: 1.6; margin-bottom: 20px;">
-          There's an update on your reported issue:
-        </p>
-        
-        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #27ae60;">
-          <h3 style="color: #1e8449; margin-top: 0;">${data.issueTitle}</h3>
-          <p style="color: #555; margin: 10px 0;"><strong>Status:</strong> <span style="color: #27ae60;">${data.newStatus}</span></p>
-          <p style="color: #555; margin: 10px 0;"><strong>Tracking ID:</strong> ${data.trackingId}</p>
-          ${data.notes ? `<p style="color: #555; margin: 10px 0;"><strong>Notes:</strong> ${data.notes}</p>` : ''}
-        </div>
-        
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${process.env.FRONTEND_URL}/issues/${data.issueId}" 
-             style="background: #27ae60; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
-            View Issue Details
-          </a>
-        </div>
-        
-        <p style="color: #777; font-size: 14px; margin-top: 30px; text-align: center; border-top: 1px solid #eee; padding-top: 20px;">
-          Thank you for helping us improve Anand!<br>
-          © 2025 Anand Municipal Corporation. All rights reserved.
-        </p>
-      </div>
-    </div>
-  `
+// Plain-text body with the same content, for clients that do not render HTML
+const layoutText = (content) => {
+  const sections = [
+    content.heading,
+    content.greeting,
+    ...content.paragraphs
+  ];
+
+  if (content.list) {
+    sections.push([content.list.title, ...content.list.items.map(item => `  - ${item}`)].join('\n'));
+  }
+  if (content.notice) sections.push(`! ${content.notice}`);
+  if (content.details) {
+    sections.push([content.details.title, ...content.details.rows.map(([name, value]) => `${name}: ${value}`)].join('\n'));
+  }
+  if (content.action) sections.push(`${content.action.text}:\n${content.action.url}`);
+  if (content.closing) sections.push(content.closing);
+  sections.push(['--', ...content.footer, content.copyright].join('\n'));
+
+  return sections.filter(Boolean).join('\n\n');
+};
+
+// Render a template in the recipient's language (English fallback): { subject, html, text }
+const renderEmail = (template, data = {}, locale) => {
+  const s = (key) => (key.includes('.') ? t(locale, key, data) : t(locale, `emails.${template}.${key}`, data));
+
+  const content = {
+    greeting: t(locale, 'common.greeting', data),
+    copyright: t(locale, 'common.copyright'),
+    ...templates[template](data, s, locale)
+  };
+
+  return {
+    subject: s('subject'),
+    html: layoutHtml(content),
+    text: layoutText(content)
+  };
 };
 
 // Send email function
@@ -143,15 +218,18 @@ const sendEmail = async (options) => {
     // Verify connection
     await transporter.verify();
 
-    const { to, subject, template, data, html, text } = options;
+    const { to, template, data, locale, html, text } = options;
 
+    let subject = options.subject;
     let emailHTML = html;
     let emailText = text;
 
-    // Use template if provided
+    // Use template if provided, in the recipient's language
     if (template && templates[template]) {
-      emailHTML = templates[template](data);
-      emailText = `Please view this email in HTML format.`;
+      const rendered = renderEmail(template, data, locale);
+      subject = subject || rendered.subject;
+      emailHTML = rendered.html;
+      emailText = rendered.text;
     }
 
     const mailOptions = {
@@ -199,6 +277,7 @@ const sendBulkEmail = async (recipients, options) => {
       const emailOptions = {
         ...options,
         to: recipient.email,
+        locale: recipient.locale || options.locale,
         data: { ...options.data, ...recipient }
       };
       
@@ -242,5 +321,6 @@ module.exports = {
   sendEmail,
   sendBulkEmail,
   validateEmailConfig,
+  renderEmail,
   templates
 };
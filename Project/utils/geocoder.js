@@ -0,0 +1,43 @@
+const { GEOCODER_CONFIG } = require('../config/issueImport');
+
+let lastRequestAt = 0;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Look up an address; returns { latitude, longitude, formatted } or null when nothing matches
+const geocodeAddress = async (address) => {
+  const elapsed = Date.now() - lastRequestAt;
+  if (elapsed < GEOCODER_CONFIG.minIntervalMs) {
+    await wait(GEOCODER_CONFIG.minIntervalMs - elapsed);
+  }
+  lastRequestAt = Date.now();
+
+  const params = new URLSearchParams({
+    q: GEOCODER_CONFIG.context ? `${address}, ${GEOCODER_CONFIG.context}` : address,
+    format: 'json',
+    limit: '1',
+    countrycodes: GEOCODER_CONFIG.countryCodes
+  });
+
+  const response = await fetch(`${GEOCODER_CONFIG.url}?${params}`, {
+    headers: { 'User-Agent': GEOCODER_CONFIG.userAgent },
+    signal: AbortSignal.timeout(GEOCODER_CONFIG.timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Geocoder responded with ${response.status}`);
+  }
+
+  const [match] = await response.json();
+  if (!match) return null;
+
+  return {
+    latitude: parseFloat(match.lat),
+    longitude: parseFloat(match.lon),
+    formatted: match.display_name
+  };
+};
+
+module.exports = {
+  geocodeAddress
+};
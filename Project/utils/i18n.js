@@ -0,0 +1,59 @@
+const catalogues = {
+  en: require('../config/locales/en'),
+  hi: require('../config/locales/hi'),
+  gu: require('../config/locales/gu')
+};
+
+const SUPPORTED_LOCALES = Object.keys(catalogues);
+const DEFAULT_LOCALE = 'en';
+
+const resolveLocale = (locale) => (SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+const lookup = (catalogue, key) => key.split('.').reduce((node, part) => node?.[part], catalogue);
+
+// Look up a key in the locale's catalogue, falling back to English
+const getMessage = (locale, key) => {
+  const value = lookup(catalogues[resolveLocale(locale)], key);
+  return value === undefined ? lookup(catalogues[DEFAULT_LOCALE], key) : value;
+};
+
+// Label for an enum value, e.g. label('hi', 'status', 'in_progress')
+const label = (locale, group, value) => {
+  const text = getMessage(locale, `labels.${group}.${value}`);
+  return typeof text === 'string' ? text : String(value).replace(/_/g, ' ');
+};
+
+// Fill {name} and {name:group} placeholders. Arrays are labelled item by item and joined.
+const interpolate = (locale, template, params = {}) => template.replace(/\{(\w+)(?::(\w+))?\}/g, (match, name, group) => {
+  const value = params[name];
+  if (value === undefined || value === null) return '';
+
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .map(item => (group ? label(locale, group, item) : String(item)))
+    .join(getMessage(locale, 'common.listSeparator'));
+});
+
+// Translate a key; returns the key itself when no catalogue has it
+const t = (locale, key, params) => {
+  const value = getMessage(locale, key);
+
+  if (typeof value === 'string') return interpolate(locale, value, params);
+  if (Array.isArray(value)) return value.map(item => interpolate(locale, item, params));
+  return key;
+};
+
+// Title and message for an in-app notification
+const renderNotification = (locale, key, params) => ({
+  title: t(locale, `notifications.${key}.title`, params),
+  message: t(locale, `notifications.${key}.message`, params)
+});
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  label,
+  t,
+  renderNotification
+};
@@ -0,0 +1,93 @@
+const { validationResult } = require('express-validator');
+const { createIssueValidation } = require('../middleware/issueValidation');
+const { applySlaPolicy } = require('./sla');
+const { resolveLocation, BOUNDARY_CONFIG } = require('./boundaries');
+const { geocodeAddress } = require('./geocoder');
+const { routeNewIssue } = require('./issueRouting');
+const { notifyNewIssue } = require('./issueNotifications');
+
+// Steps shared by every channel that files a new issue (the report form in routes/issues.js,
+// Open311 in routes/open311.js and bulk import in utils/issueImport.js); each keeps its own
+// request parsing and response format.
+
+// Build the error thrown when a new issue cannot be accepted
+const createIssueCreationError = (status, code, message) => {
+  const error = new Error(message);
+  error.name = 'IssueCreationError';
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Run the report form's rules over fields that did not come from the report form
+const validateIssueFields = async (fields) => {
+  const req = { body: fields };
+  for (const chain of createIssueValidation) {
+    await chain.run(req);
+  }
+  return validationResult(req).array().map(error => ({ field: error.path, message: error.msg }));
+};
+
+// Place a reported location: geocode the address when no coordinates were given, then resolve
+// ward and zone. Returns { latitude, longitude, address, ward, zone, outsideMunicipalLimits }.
+// Throws an IssueCreationError when the address cannot be found or the location is outside
+// municipal limits and those are rejected.
+const locateIssue = async (reported) => {
+  let { latitude, longitude, address } = reported;
+
+  if (latitude === undefined || longitude === undefined) {
+    const match = address ? await geocodeAddress(address) : null;
+    if (!match) {
+      throw createIssueCreationError(400, 'ADDRESS_NOT_FOUND', 'The address could not be located');
+    }
+    ({ latitude, longitude } = match);
+    address = match.formatted || address;
+  }
+
+  const boundary = await resolveLocation(latitude, longitude);
+  if (boundary.withinLimits === false && BOUNDARY_CONFIG.outsideLimits === 'reject') {
+    throw createIssueCreationError(422, 'OUTSIDE_MUNICIPAL_LIMITS', 'The reported location is outside Anand municipal limits');
+  }
+
+  return {
+    latitude: parseFloat(latitude),
+    longitude: parseFloat(longitude),
+    address,
+    ward: boundary.ward,
+    zone: boundary.zone,
+    outsideMunicipalLimits: boundary.withinLimits === false
+  };
+};
+
+// Record, track and route a new (unsaved) issue, save it and notify the department and webhook
+// subscribers. `performedBy` is the timeline actor and notification sender (the reporter, or the
+// admin running an import); `description` is the timeline text. Locations outside the limits get
+// a review flag.
+const saveNewIssue = async (issue, performedBy, description, metadata = {}) => {
+  issue.addTimelineEntry(
+    'created',
+    issue.location.outsideMunicipalLimits
+      ? `${description} (location outside municipal limits, flagged for review)`
+      : description,
+    performedBy,
+    { ward: issue.location.ward, zone: issue.location.zone, ...metadata }
+  );
+
+  // Start SLA tracking for the issue's category and priority
+  await applySlaPolicy(issue);
+
+  // Send it to a department (and possibly an officer) by the admin routing rules
+  await routeNewIssue(issue);
+
+  await issue.save();
+
+  await notifyNewIssue(issue, performedBy);
+
+  return issue;
+};
+
+module.exports = {
+  validateIssueFields,
+  locateIssue,
+  saveNewIssue
+};
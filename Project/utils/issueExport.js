@@ -0,0 +1,150 @@
+const { once } = require('events');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Roles that may export private issues and reporter identity (same roles that can open private issues)
+const EXPORT_RESTRICTED_ROLES = ['admin', 'department_head', 'field_officer'];
+
+const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// Columns in export order; restricted columns are only filled for EXPORT_RESTRICTED_ROLES
+const EXPORT_COLUMNS = [
+  'trackingId', 'title', 'category', 'priority', 'status',
+  'latitude', 'longitude', 'address', 'ward', 'zone',
+  'department', 'reportedAt', 'resolveBy', 'resolvedAt', 'resolutionHours', 'slaBreached'
+];
+const RESTRICTED_COLUMNS = ['isPublic', 'reporterName', 'reporterEmail', 'reporterPhone'];
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+// Flatten an issue (lean document, reporter optionally populated) into one export record
+const toExportRecord = (issue, { includeRestricted = false } = {}) => {
+  const coordinates = issue.location?.coordinates || {};
+  const resolvedAt = issue.actualResolutionTime;
+
+  const record = {
+    trackingId: issue.trackingId,
+    title: issue.title,
+    category: issue.category,
+    priority: issue.priority,
+    status: issue.status,
+    latitude: coordinates.latitude ?? null,
+    longitude: coordinates.longitude ?? null,
+    address: issue.location?.address?.formatted || null,
+    ward: issue.location?.ward || null,
+    zone: issue.location?.zone || null,
+    department: issue.assignedTo?.department || null,
+    reportedAt: toIso(issue.createdAt),
+    resolveBy: toIso(issue.sla?.resolveBy),
+    resolvedAt: toIso(resolvedAt),
+    resolutionHours: resolvedAt
+      ? Math.round(((new Date(resolvedAt) - new Date(issue.createdAt)) / HOUR_MS) * 10) / 10
+      : null,
+    slaBreached: Boolean(issue.sla?.resolveBreachedAt)
+  };
+
+  if (includeRestricted) {
+    const reporter = issue.reportedBy || {};
+    record.isPublic = issue.isPublic;
+    record.reporterName = reporter.firstName ? `${reporter.firstName} ${reporter.lastName}` : null;
+    record.reporterEmail = reporter.email || null;
+    record.reporterPhone = reporter.phone || null;
+  }
+
+  return record;
+};
+
+const hasPoint = (record) => record.latitude !== null && record.longitude !== null;
+
+// Quote CSV values when needed, and defuse values a spreadsheet would run as a formula
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xmlEscape = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Each writer turns records into text chunks: header once, one chunk per record, footer once
+const WRITERS = {
+  geojson: {
+    header: () => '{"type":"FeatureCollection","features":[\n',
+    record: (record, index) => {
+      const { latitude, longitude, ...properties } = record;
+      const feature = {
+        type: 'Feature',
+        geometry: hasPoint(record) ? { type: 'Point', coordinates: [longitude, latitude] } : null,
+        properties
+      };
+      return `${index > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+    },
+    footer: () => '\n]}\n'
+  },
+  kml: {
+    header: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Issues</name>\n',
+    record: (record) => {
+      const data = Object.entries(record)
+        .filter(([key]) => key !== 'latitude' && key !== 'longitude')
+        .map(([key, value]) => `<Data name="${key}"><value>${xmlEscape(value)}</value></Data>`)
+        .join('');
+      const point = hasPoint(record)
+        ? `<Point><coordinates>${record.longitude},${record.latitude}</coordinates></Point>`
+        : '';
+      return `<Placemark><name>${xmlEscape(record.trackingId)}</name>` +
+        `<description>${xmlEscape(record.title)}</description>` +
+        `<ExtendedData>${data}</ExtendedData>${point}</Placemark>\n`;
+    },
+    footer: () => '</Document></kml>\n'
+  },
+  csv: {
+    header: (columns) => `${columns.join(',')}\r\n`,
+    record: (record, index, columns) => `${columns.map(column => csvValue(record[column])).join(',')}\r\n`,
+    footer: () => ''
+  }
+};
+
+// Write a chunk, waiting for the client to catch up when the socket buffer is full
+const writeChunk = async (res, chunk) => {
+  if (chunk && !res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+};
+
+// Stream every issue from a cursor to the response in the given format. Returns the number written.
+const streamIssueExport = async (cursor, format, res, { includeRestricted = false } = {}) => {
+  const writer = WRITERS[format];
+  const columns = includeRestricted ? [...EXPORT_COLUMNS, ...RESTRICTED_COLUMNS] : EXPORT_COLUMNS;
+  let count = 0;
+
+  await writeChunk(res, writer.header(columns));
+  for await (const issue of cursor) {
+    // Client went away; stop reading from the database
+    if (res.destroyed) break;
+    await writeChunk(res, writer.record(toExportRecord(issue, { includeRestricted }), count, columns));
+    count += 1;
+  }
+  await writeChunk(res, writer.footer(columns));
+  res.end();
+
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_RESTRICTED_ROLES,
+  toExportRecord,
+  csvValue,
+  xmlEscape,
+  streamIssueExport
+};
@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const { validateIssueFields, saveNewIssue } = require('./issueCreation');
+const { IMPORT_CONFIG, IMPORT_FIELDS } = require('../config/issueImport');
+const { resolveLocation, BOUNDARY_CONFIG } = require('./boundaries');
+const { findPossibleDuplicates } = require('./duplicateDetection');
+const { geocodeAddress } = require('./geocoder');
+
+// Problems with the file as a whole (not a single row); routes answer these with a 400
+const createImportError = (message) => Object.assign(new Error(message), { status: 400, code: 'INVALID_IMPORT' });
+
+// Parse CSV text (quoted fields, doubled quotes, CRLF or LF line endings) into rows of strings
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw createImportError('The file ends inside a quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no complaint
+  return rows.filter(values => values.some(value => value.trim() !== ''));
+};
+
+// Work out which column holds each issue field. `mapping` is { field: columnHeader };
+// unmapped fields fall back to a column with the same name (case-insensitive).
+const resolveColumns = (header, mapping = {}) => {
+  const headerIndex = new Map(header.map((name, index) => [name.trim().toLowerCase(), index]));
+  const columns = {};
+
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (!IMPORT_FIELDS.includes(field)) {
+      throw createImportError(`Unknown field "${field}" in column mapping`);
+    }
+    const index = headerIndex.get(String(column).trim().toLowerCase());
+    if (index === undefined) {
+      throw createImportError(`Column "${column}" mapped to ${field} is not in the file`);
+    }
+    columns[field] = index;
+  });
+
+  IMPORT_FIELDS.forEach(field => {
+    if (columns[field] === undefined && headerIndex.has(field.toLowerCase())) {
+      columns[field] = headerIndex.get(field.toLowerCase());
+    }
+  });
+
+  const missing = ['title', 'description', 'category'].filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw createImportError(`No column for required field(s): ${missing.join(', ')}`);
+  }
+  if (columns.address === undefined && (columns.latitude === undefined || columns.longitude === undefined)) {
+    throw createImportError('Map either latitude and longitude, or an address to geocode');
+  }
+
+  return columns;
+};
+
+const readFields = (values, columns) => Object.fromEntries(
+  Object.entries(columns).map(([field, index]) => [field, (values[index] || '').trim()])
+);
+
+// Turn one CSV row into an unsaved Issue, collecting every problem with it
+const prepareRow = async (fields, { rowNumber, channel, batchId, geocode, seenRefs }) => {
+  const errors = [];
+  const warnings = [];
+  const rowChannel = fields.channel || channel;
+
+  if (!IMPORT_CONFIG.channels.includes(rowChannel)) {
+    errors.push({ field: 'channel', message: `Channel must be one of: ${IMPORT_CONFIG.channels.join(', ')}` });
+  }
+
+  let latitude = fields.latitude;
+  let longitude = fields.longitude;
+  let formattedAddress = fields.address;
+
+  if (!latitude && !longitude && fields.address) {
+    try {
+      const match = await geocode(fields.address);
+      if (match) {
+        latitude = match.latitude;
+        longitude = match.longitude;
+        formattedAddress = match.formatted || fields.address;
+        warnings.push(`Coordinates geocoded from address: ${latitude}, ${longitude}`);
+      } else {
+        errors.push({ field: 'address', message: 'Address could not be geocoded' });
+      }
+    } catch (error) {
+      errors.push({ field: 'address', message: `Geocoding failed: ${error.message}` });
+    }
+  }
+
+  const body = {
+    title: fields.title,
+    description: fields.description,
+    category: fields.category?.toLowerCase(),
+    priority: fields.priority ? fields.priority.toLowerCase() : undefined,
+    location: { coordinates: { latitude, longitude } }
+  };
+
+  errors.push(...await validateIssueFields(body));
+
+  let reportedAt;
+  if (fields.reportedAt) {
+    reportedAt = new Date(fields.reportedAt);
+    if (Number.isNaN(reportedAt.getTime()) || reportedAt > new Date()) {
+      errors.push({ field: 'reportedAt', message: 'reportedAt must be a past date' });
+      reportedAt = undefined;
+    }
+  }
+
+  if (fields.externalRef) {
+    const key = `${rowChannel}:${fields.externalRef}`;
+    if (seenRefs.has(key)) {
+      errors.push({ field: 'externalRef', message: `Same reference as row ${seenRefs.get(key)}` });
+    } else {
+      seenRefs.set(key, rowNumber);
+      const existing = await Issue.findOne({ 'source.channel': rowChannel, 'source.externalRef': fields.externalRef })
+        .select('trackingId');
+      if (existing) {
+        errors.push({ field: 'externalRef', message: `Already imported as ${existing.trackingId}` });
+      }
+    }
+  }
+
+  // Coordinates are needed for everything below
+  if (errors.some(error => error.field.startsWith('location') || error.field === 'address')) {
+    return { errors, warnings };
+  }
+
+  const boundary = await resolveLocation(body.location.coordinates.latitude, body.location.coordinates.longitude);
+  if (boundary.withinLimits === false) {
+    if (BOUNDARY_CONFIG.outsideLimits === 'reject') {
+      errors.push({ field: 'location', message: 'Location is outside municipal limits' });
+    } else {
+      warnings.push('Location is outside municipal limits and will be flagged for review');
+    }
+  }
+
+  const issue = new Issue({
+    title: body.title,
+    description: body.description,
+    category: body.category,
+    subCategory: fields.subCategory || undefined,
+    priority: body.priority || 'medium',
+    location: {
+      coordinates: body.location.coordinates,
+      address: { formatted: formattedAddress || undefined, landmark: fields.landmark || undefined },
+      ward: boundary.ward,
+      zone: boundary.zone,
+      outsideMunicipalLimits: boundary.withinLimits === false
+    },
+    tags: fields.tags ? fields.tags.split(/[;,]/).map(tag => tag.trim()).filter(Boolean) : [],
+    source: {
+      channel: rowChannel,
+      externalRef: fields.externalRef || undefined,
+      importBatch: batchId,
+      contactName: fields.contactName || undefined,
+      contactPhone: fields.contactPhone || undefined
+    },
+    // Keep the date on the paper register; the SLA clock still starts at import
+    createdAt: reportedAt
+  });
+
+  try {
+    // The tracking ID and reporter are only assigned when the row is committed
+    await issue.validate({ pathsToSkip: ['trackingId', 'reportedBy'] });
+  } catch (error) {
+    Object.values(error.errors || {}).forEach(({ path, message }) => errors.push({ field: path, message }));
+  }
+
+  if (errors.length === 0) {
+    const duplicates = await findPossibleDuplicates({
+      category: issue.category,
+      title: issue.title,
+      description: issue.description,
+      latitude: issue.location.coordinates.latitude,
+      longitude: issue.location.coordinates.longitude
+    });
+    duplicates.forEach(({ issue: match, score }) => {
+      warnings.push(`Possible duplicate of ${match.trackingId} (score ${score})`);
+    });
+  }
+
+  return { issue, errors, warnings };
+};
+
+// Import issues from CSV text. Dry runs (the default) validate every row and save nothing;
+// otherwise valid rows go through the same creation steps as a reported issue (SLA, routing,
+// department notifications, webhooks) and invalid ones are reported.
+// options: { mapping, channel, dryRun, performedBy, geocode, maxGeocodedRows }
+const importIssues = async (csvText, options = {}) => {
+  const {
+    mapping,
+    channel = IMPORT_CONFIG.defaultChannel,
+    dryRun = true,
+    performedBy,
+    geocode = geocodeAddress,
+    maxGeocodedRows = IMPORT_CONFIG.maxGeocodedRows
+  } = options;
+
+  const [header, ...rows] = parseCsv(csvText);
+  if (!header || rows.length === 0) {
+    throw createImportError('The file has no data rows');
+  }
+  if (rows.length > IMPORT_CONFIG.maxRows) {
+    throw createImportError(`The file has ${rows.length} rows; the limit is ${IMPORT_CONFIG.maxRows}`);
+  }
+
+  const columns = resolveColumns(header, mapping);
+
+  const toGeocode = rows.filter(values => {
+    const { latitude, longitude, address } = readFields(values, columns);
+    return !latitude && !longitude && address;
+  }).length;
+  if (toGeocode > maxGeocodedRows) {
+    throw createImportError(`${toGeocode} rows need their address geocoded; the limit is ${maxGeocodedRows}. Add coordinates or use scripts/importIssues.js`);
+  }
+  const batchId = `IMP-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+  const reporter = dryRun ? null : await User.findOrCreateSystemAccount(IMPORT_CONFIG.reporter);
+  const seenRefs = new Map();
+
+  const report = {
+    batchId,
+    dryRun,
+    columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, header[index]])),
+    total: rows.length,
+    valid: 0,
+    imported: 0,
+    failed: 0,
+    rows: []
+  };
+
+  for (let index = 0; index < rows.length; index++) {
+    // Line number in the file, counting the header as line 1
+    const rowNumber = index + 2;
+    const { issue, errors, warnings } = await prepareRow(readFields(rows[index], columns), {
+      rowNumber, channel, batchId, geocode, seenRefs
+    });
+
+    if (errors.length > 0) {
+      report.failed += 1;
+      report.rows.push({ row: rowNumber, status: 'error', errors, warnings });
+      continue;
+    }
+
+    report.valid += 1;
+    if (dryRun) {
+      report.rows.push({ row: rowNumber, status: 'valid', warnings });
+      continue;
+    }
+
+    try {
+      issue.reportedBy = reporter._id;
+      await saveNewIssue(
+        issue,
+        performedBy,
+        `Issue imported from ${issue.source.channel.replace('_', '-')} records`,
+        { importBatch: batchId, row: rowNumber, externalRef: issue.source.externalRef }
+      );
+
+      report.imported += 1;
+      report.rows.push({ row: rowNumber, status: 'imported', issueId: issue._id, trackingId: issue.trackingId, warnings });
+    } catch (error) {
+      report.valid -= 1;
+      report.failed += 1;
+      report.rows.push({ row: rowNumber, status: 'error', errors: [{ field: 'row', message: error.message }], warnings });
+    }
+  }
+
+  if (report.imported > 0) {
+    await reporter.updateOne({ $inc: { 'stats.issuesReported': report.imported } });
+  }
+
+  return report;
+};
+
+module.exports = {
+  parseCsv,
+  resolveColumns,
+  importIssues
+};
@@ -0,0 +1,42 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { publishIssueEvent } = require('./webhooks');
+const { getIssueDepartment } = require('./departments');
+
+// Tell the department a new issue was routed to, the officer it was auto-assigned to, and webhook
+// subscribers that it has been reported
+const notifyNewIssue = async (issue, sender) => {
+  const department = await getIssueDepartment(issue);
+  const assignee = issue.assignedTo?.user?.toString();
+
+  await publishIssueEvent('issue.created', issue);
+  if (assignee) {
+    await publishIssueEvent('issue.assigned', issue, { department, assignedUser: issue.assignedTo.user, rule: issue.assignedTo.rule });
+  }
+
+  const departmentUsers = await User.find({
+    department,
+    role: { $in: ['department_head', 'field_officer'] },
+    isActive: true
+  });
+
+  return Promise.all(departmentUsers.map(user => {
+    const assigned = user._id.toString() === assignee;
+
+    return Notification.createNotification({
+      recipient: user._id,
+      sender,
+      ...(assigned
+        ? { type: 'issue_assigned', messageKey: 'issue_assigned_staff', messageParams: { title: issue.title, category: issue.category } }
+        : { type: 'issue_created', messageKey: 'issue_created', messageParams: { category: issue.category, title: issue.title } }),
+      relatedIssue: issue._id,
+      priority: issue.priority === 'critical' ? 'urgent' : (assigned ? 'high' : 'medium'),
+      actionUrl: `/issues/${issue._id}`,
+      actionKey: 'viewIssue'
+    });
+  }));
+};
+
+module.exports = {
+  notifyNewIssue
+};
@@ -0,0 +1,110 @@
+const User = require('../models/User');
+const RoutingRule = require('../models/RoutingRule');
+const { getOpenWorkload } = require('./officerTracking');
+const { getDepartmentForCategory, isActiveDepartmentCode } = require('./departments');
+const { ROUTING_CONFIG } = require('../config/routing');
+
+// Round-robin: the next candidate after the one who got the previous issue. The rule's position
+// is moved with a conditional update so issues routed at the same moment go to different officers.
+const pickRoundRobin = async (rule, candidates, dryRun) => {
+  let last = rule.assignment?.lastAssignedUser || null;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const next = (last && candidates.find(candidate => candidate._id.toString() > last.toString())) || candidates[0];
+    if (dryRun) return next;
+
+    const claimed = await RoutingRule.findOneAndUpdate(
+      { _id: rule._id, 'assignment.lastAssignedUser': last },
+      { $set: { 'assignment.lastAssignedUser': next._id } }
+    );
+    if (claimed) return next;
+
+    const current = await RoutingRule.findById(rule._id).select('assignment.lastAssignedUser');
+    if (!current) return next;
+    last = current.assignment?.lastAssignedUser || null;
+  }
+
+  return candidates[0];
+};
+
+// Choose an officer for an issue the rule matched, or null when the rule only routes
+const pickAssignee = async (rule, issue, dryRun) => {
+  const strategy = rule.assignment?.strategy || 'none';
+  if (strategy === 'none') return null;
+
+  const roles = rule.assignment.roles?.length > 0 ? rule.assignment.roles : ROUTING_CONFIG.defaultAssigneeRoles;
+  const candidates = (await User.find({ role: { $in: roles }, department: rule.department, isActive: true })
+    .select('firstName lastName role department jurisdiction')
+    .sort({ _id: 1 }))
+    .filter(user => user.coversLocation(issue.location));
+
+  if (candidates.length === 0) return null;
+
+  if (strategy === 'least_load') {
+    const workload = await getOpenWorkload(candidates.map(candidate => candidate._id), ROUTING_CONFIG.openStatuses);
+    const load = (candidate) => workload.get(candidate._id.toString()) || 0;
+    return candidates.reduce((best, candidate) => (load(candidate) < load(best) ? candidate : best));
+  }
+
+  return pickRoundRobin(rule, candidates, dryRun);
+};
+
+// Work out where an issue goes: the first active rule it matches, or the category's default department.
+// `evaluations` lists every active rule with the conditions it failed; a rule whose department has been
+// deactivated fails on 'department'. With dryRun nothing is changed.
+const routeIssue = async (issue, { dryRun = false } = {}) => {
+  const rules = await RoutingRule.find({ isActive: true }).sort({ order: 1, createdAt: 1 });
+  const activeTargets = await Promise.all(rules.map(candidate => isActiveDepartmentCode(candidate.department)));
+
+  let rule = null;
+  const evaluations = rules.map((candidate, index) => {
+    const failed = candidate.evaluate(issue);
+    if (!activeTargets[index]) failed.push('department');
+    const fired = !rule && failed.length === 0;
+    if (fired) rule = candidate;
+    return { rule: candidate._id, name: candidate.name, order: candidate.order, matched: failed.length === 0, fired, failed };
+  });
+
+  const department = rule ? rule.department : await getDepartmentForCategory(issue.category);
+  const assignee = rule ? await pickAssignee(rule, issue, dryRun) : null;
+
+  if (rule && !dryRun) {
+    await RoutingRule.updateOne(
+      { _id: rule._id },
+      { $inc: { 'stats.matchCount': 1 }, $set: { 'stats.lastMatchedAt': new Date() } }
+    );
+  }
+
+  return { rule, department, assignee, strategy: rule?.assignment?.strategy || 'none', evaluations };
+};
+
+// Route a new, unsaved issue and record the result on it
+const routeNewIssue = async (issue) => {
+  const routing = await routeIssue(issue);
+  const { rule, department, assignee } = routing;
+
+  issue.assignedTo = {
+    user: assignee?._id,
+    department,
+    assignedAt: new Date(),
+    rule: rule?._id
+  };
+
+  const description = rule
+    ? `Routed to ${department} department by rule "${rule.name}"`
+    : `Routed to ${department} department`;
+
+  issue.addTimelineEntry(
+    'assigned',
+    assignee ? `${description} and assigned to ${assignee.firstName} ${assignee.lastName}` : description,
+    undefined,
+    { department, rule: rule?._id, assignedUser: assignee?._id, strategy: routing.strategy }
+  );
+
+  return routing;
+};
+
+module.exports = {
+  routeIssue,
+  routeNewIssue
+};
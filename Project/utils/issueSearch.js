@@ -0,0 +1,143 @@
+const Issue = require('../models/Issue');
+const { SEARCH_CONFIG, SEARCH_FACETS } = require('../config/search');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Words and "quoted phrases" from a search string, as MongoDB $text reads it. Negated terms (-word) are dropped.
+const parseSearchTerms = (search) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(search))) !== null) {
+    const [, phraseNegated, phrase, wordNegated, word] = match;
+    const term = phrase !== undefined
+      ? (!phraseNegated && phrase.trim())
+      : (!wordNegated && word.replace(/^[^\w]+|[^\w]+$/g, ''));
+    if (term && term.length >= 2) terms.push(term);
+  }
+
+  return terms;
+};
+
+// The text index matches word stems ("potholes" finds "pothole"), so highlight any word starting with a term's stem
+const stem = (term) => (term.length > 4 && !term.includes(' ') ? term.replace(/(ing|ed|es|s)$/i, '') : term);
+
+const buildMatcher = (search) => {
+  const terms = parseSearchTerms(search);
+  if (terms.length === 0) return null;
+  return new RegExp(`\\b(?:${terms.map(term => escapeRegex(stem(term))).join('|')})\\w*`, 'gi');
+};
+
+// HTML-escape `text`, wrapping every match in <mark>
+const markMatches = (text, matcher) => {
+  let result = '';
+  let last = 0;
+  let match;
+
+  matcher.lastIndex = 0;
+  while ((match = matcher.exec(text)) !== null) {
+    if (match[0] === '') {
+      matcher.lastIndex++;
+      continue;
+    }
+    result += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(text.slice(last));
+};
+
+const hasMatch = (text, matcher) => {
+  matcher.lastIndex = 0;
+  return !!text && matcher.test(text);
+};
+
+// Excerpt of `text` around its first match, highlighted
+const snippet = (text, matcher, length = SEARCH_CONFIG.snippetLength) => {
+  matcher.lastIndex = 0;
+  const first = matcher.exec(text);
+  if (!first) return null;
+
+  let end = Math.min(text.length, Math.max(0, first.index - Math.floor(length / 3)) + length);
+  let start = Math.max(0, end - length);
+
+  // Don't cut words in half
+  const firstSpace = text.indexOf(' ', start);
+  if (start > 0 && firstSpace !== -1 && firstSpace < first.index) start = firstSpace + 1;
+  const lastSpace = text.lastIndexOf(' ', end);
+  if (end < text.length && lastSpace > first.index + first[0].length) end = lastSpace;
+
+  return `${start > 0 ? '…' : ''}${markMatches(text.slice(start, end).trim(), matcher)}${end < text.length ? '…' : ''}`;
+};
+
+// HTML snippets showing where an issue matched the search: { title, description, tags, address },
+// each present only when that field matched. Text is escaped; matches are wrapped in <mark>.
+const buildHighlights = (issue, search) => {
+  const matcher = buildMatcher(search);
+  const highlights = {};
+  if (!matcher) return highlights;
+
+  if (hasMatch(issue.title, matcher)) {
+    highlights.title = markMatches(issue.title, matcher);
+  }
+  if (hasMatch(issue.description, matcher)) {
+    highlights.description = snippet(issue.description, matcher);
+  }
+
+  const tags = (issue.tags || []).filter(tag => hasMatch(tag, matcher));
+  if (tags.length > 0) {
+    highlights.tags = tags.map(tag => markMatches(tag, matcher));
+  }
+
+  const address = issue.location?.address?.formatted;
+  if (hasMatch(address, matcher)) {
+    highlights.address = markMatches(address, matcher);
+  }
+
+  return highlights;
+};
+
+// Counts per value of each facet (config/search.js) for issues matching `filter`. Each facet ignores its own
+// filter, so the sidebar still shows how many issues the other options of a selected facet would give.
+const getIssueFacets = async (filter) => {
+  const base = { ...filter };
+  const selected = {};
+
+  Object.values(SEARCH_FACETS).forEach(field => {
+    if (field in base) {
+      selected[field] = base[field];
+      delete base[field];
+    }
+  });
+
+  const branches = Object.fromEntries(Object.entries(SEARCH_FACETS).map(([name, field]) => {
+    const others = Object.fromEntries(Object.entries(selected).filter(([path]) => path !== field));
+    return [name, [
+      { $match: others },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]];
+  }));
+
+  const [result] = await Issue.aggregate([{ $match: base }, { $facet: branches }]);
+
+  return Object.fromEntries(Object.entries(result).map(([name, buckets]) => [
+    name,
+    buckets.map(({ _id, count }) => ({ value: _id, count }))
+  ]));
+};
+
+module.exports = {
+  parseSearchTerms,
+  buildHighlights,
+  getIssueFacets
+};
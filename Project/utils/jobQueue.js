@@ -0,0 +1,205 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+const QUEUE_CONFIG = {
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+  // A job locked for longer than this is assumed to belong to a crashed worker
+  lockTimeoutMs: 5 * 60 * 1000,
+  baseBackoffMs: 30 * 1000,
+  maxBackoffMs: 60 * 60 * 1000,
+  batchSize: 20
+};
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = {};
+
+let timer = null;
+let running = false;
+let rerun = false;
+
+// Register the function that processes one job type: async (payload, job) => result
+const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+// Exponential backoff with jitter: 30s, 1m, 2m, 4m ... capped at one hour
+const getBackoffMs = (attempts) => {
+  const delay = Math.min(QUEUE_CONFIG.baseBackoffMs * 2 ** Math.max(attempts - 1, 0), QUEUE_CONFIG.maxBackoffMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Add a job to the outbox
+const enqueueJob = (type, payload = {}, options = {}) => Job.create({
+  type,
+  payload,
+  maxAttempts: options.maxAttempts,
+  runAt: options.runAt || new Date()
+});
+
+const getStaleLock = () => new Date(Date.now() - QUEUE_CONFIG.lockTimeoutMs);
+
+// Move jobs whose worker died on their last attempt to dead letters instead of running them again
+const deadLetterStaleJobs = async () => {
+  const reason = 'Worker lock expired on the last attempt';
+  const { modifiedCount } = await Job.updateMany(
+    {
+      type: { $in: Object.keys(handlers) },
+      status: 'processing',
+      lockedAt: { $lte: getStaleLock() },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    },
+    {
+      status: 'dead',
+      lastError: reason,
+      $push: { failures: { $each: [{ error: reason }], $slice: -20 } },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    }
+  );
+
+  if (modifiedCount > 0) {
+    console.error(`${modifiedCount} stale job(s) moved to dead letters after their last attempt`);
+  }
+};
+
+// Atomically lock the next due job this process can handle. Stale jobs with attempts left are
+// taken over from the worker that locked them.
+const claimNextJob = () => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        {
+          status: 'processing',
+          lockedAt: { $lte: getStaleLock() },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    {
+      status: 'processing',
+      lockedAt: now,
+      lockedBy: WORKER_ID,
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Run one claimed job and record the outcome, unless another worker has since taken the job over
+const processJob = async (job) => {
+  const lock = { _id: job._id, lockedBy: WORKER_ID, lockedAt: job.lockedAt };
+
+  try {
+    const result = await handlers[job.type](job.payload, job);
+
+    await Job.updateOne(lock, {
+      status: 'completed',
+      completedAt: new Date(),
+      result,
+      lastError: null,
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+    return true;
+  } catch (error) {
+    const dead = job.attempts >= job.maxAttempts;
+
+    await Job.updateOne(lock, {
+      status: dead ? 'dead' : 'pending',
+      runAt: dead ? job.runAt : new Date(Date.now() + getBackoffMs(job.attempts)),
+      lastError: error.message,
+      $push: { failures: { $each: [{ attempt: job.attempts, error: error.message }], $slice: -20 } },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+
+    if (dead) {
+      console.error(`Job ${job._id} (${job.type}) moved to dead letters after ${job.attempts} attempts:`, error.message);
+    }
+    return false;
+  }
+};
+
+// Process due jobs until none are left or the batch is used up
+const runJobs = async (limit = QUEUE_CONFIG.batchSize) => {
+  const summary = { processed: 0, failed: 0 };
+
+  await deadLetterStaleJobs();
+
+  for (let i = 0; i < limit; i++) {
+    const job = await claimNextJob();
+    if (!job) break;
+
+    if (await processJob(job)) {
+      summary.processed += 1;
+    } else {
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+// Run a worker pass now instead of waiting for the next poll (e.g. right after enqueueing)
+const triggerJobWorker = () => {
+  if (!timer) return;
+
+  if (running) {
+    rerun = true;
+    return;
+  }
+
+  running = true;
+  setImmediate(async () => {
+    try {
+      do {
+        rerun = false;
+        await runJobs();
+      } while (rerun);
+    } catch (error) {
+      console.error('Job worker error:', error);
+    } finally {
+      running = false;
+    }
+  });
+};
+
+// Poll the outbox in this process. Safe to run in several processes at once.
+const startJobWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(triggerJobWorker, QUEUE_CONFIG.pollIntervalMs);
+  timer.unref();
+  triggerJobWorker();
+};
+
+const stopJobWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// Put a dead (or stuck) job back in the queue with a fresh set of attempts
+const retryJob = (jobId) => Job.findOneAndUpdate(
+  { _id: jobId, status: { $in: ['dead', 'pending'] } },
+  {
+    status: 'pending',
+    attempts: 0,
+    runAt: new Date(),
+    $unset: { lockedAt: 1, lockedBy: 1 }
+  },
+  { new: true }
+);
+
+module.exports = {
+  QUEUE_CONFIG,
+  registerJobHandler,
+  getBackoffMs,
+  enqueueJob,
+  runJobs,
+  triggerJobWorker,
+  startJobWorker,
+  stopJobWorker,
+  retryJob
+};
@@ -0,0 +1,34 @@
+const { LIMITER_STORE } = require('../../config/rateLimits');
+const createMemoryStore = require('./memory');
+const createMongoStore = require('./mongo');
+
+// Every store exposes: increment(key, windowMs) -> { count, resetAt }, get(key), set(key, count, ttlMs), reset(key)
+const STORES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store = null;
+
+// Shared store instance for the configured backend
+const getLimiterStore = () => {
+  if (!store) {
+    if (!STORES[LIMITER_STORE]) {
+      throw new Error(`Unknown limiter store "${LIMITER_STORE}". Use one of: ${Object.keys(STORES).join(', ')}`);
+    }
+    store = STORES[LIMITER_STORE]();
+  }
+  return store;
+};
+
+// Swap the store, e.g. a fresh memory store per test
+const setLimiterStore = (newStore) => {
+  store = newStore;
+};
+
+module.exports = {
+  getLimiterStore,
+  setLimiterStore,
+  createMemoryStore,
+  createMongoStore
+};
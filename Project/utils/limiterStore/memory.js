@@ -0,0 +1,49 @@
+// Per-process fixed-window counters. State is lost on restart; use for tests and development.
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt.getTime() <= now) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired counters now and then so the Map does not grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((entry, key) => {
+      if (entry.resetAt.getTime() <= now) counters.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, resetAt: new Date(now + windowMs) };
+      entry.count += 1;
+      counters.set(key, entry);
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+
+    async set(key, count, ttlMs) {
+      counters.set(key, { count, resetAt: new Date(Date.now() + ttlMs) });
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,60 @@
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+const DUPLICATE_KEY = 11000;
+
+// Fixed-window counters in MongoDB, shared by all processes and kept across restarts.
+// Expired windows are removed by the TTL index on resetAt.
+const createMongoStore = () => {
+  // Start a new window if the stored one has ended, otherwise count within it.
+  // A single pipeline update keeps this atomic across processes.
+  const incrementOnce = (key, windowMs) => {
+    const now = new Date();
+    const current = { $gt: ['$resetAt', now] };
+
+    return RateLimitCounter.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [current, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [current, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, new: true, lean: true }
+    );
+  };
+
+  return {
+    name: 'mongo',
+
+    async increment(key, windowMs) {
+      let counter;
+      try {
+        counter = await incrementOnce(key, windowMs);
+      } catch (error) {
+        // Two processes created the same counter at once; the retry updates the winner's document
+        if (error.code !== DUPLICATE_KEY) throw error;
+        counter = await incrementOnce(key, windowMs);
+      }
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+      return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+    },
+
+    async set(key, count, ttlMs) {
+      await RateLimitCounter.updateOne(
+        { key },
+        { $set: { count, resetAt: new Date(Date.now() + ttlMs) } },
+        { upsert: true }
+      );
+    },
+
+    async reset(key) {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+};
+
+module.exports = createMongoStore;
@@ -0,0 +1,148 @@
+const Issue = require('../models/Issue');
+const { MAP_CONFIG } = require('../config/map');
+
+const LAT = '$location.coordinates.latitude';
+const LNG = '$location.coordinates.longitude';
+
+// Parse "minLng,minLat,maxLng,maxLat"; returns null when malformed
+const parseBbox = (value) => {
+  const parts = String(value || '').split(',').map(Number);
+  if (parts.length !== 4 || parts.some(Number.isNaN)) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  const valid = minLng >= -180 && maxLng <= 180 && minLat >= -90 && maxLat <= 90 &&
+    minLng < maxLng && minLat < maxLat;
+
+  return valid ? { minLng, minLat, maxLng, maxLat } : null;
+};
+
+// Grid cell size in degrees for a zoom level (about MAP_CONFIG.cellPixels on screen)
+const getCellSize = (zoom) => (360 / (MAP_CONFIG.tileSize * 2 ** zoom)) * MAP_CONFIG.cellPixels;
+
+const buildMapMatch = (bbox, { statuses, category, priority } = {}) => {
+  const match = {
+    isPublic: true,
+    duplicateOf: null,
+    status: { $in: statuses && statuses.length > 0 ? statuses : MAP_CONFIG.defaultStatuses },
+    'location.coordinates.latitude': { $gte: bbox.minLat, $lte: bbox.maxLat },
+    'location.coordinates.longitude': { $gte: bbox.minLng, $lte: bbox.maxLng }
+  };
+
+  if (category) match.category = category;
+  if (priority) match.priority = priority;
+
+  return match;
+};
+
+// Count issues per grid cell, with status and category breakdowns and a centroid
+const getClusters = async (match, cellSize) => {
+  const cell = {
+    x: { $floor: { $divide: [LNG, cellSize] } },
+    y: { $floor: { $divide: [LAT, cellSize] } }
+  };
+
+  const rows = await Issue.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { ...cell, status: '$status', category: '$category' },
+        count: { $sum: 1 },
+        latSum: { $sum: LAT },
+        lngSum: { $sum: LNG },
+        // Any one issue in the cell, so single-issue cells can link straight to it
+        issueId: { $first: '$_id' }
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$_id.x', y: '$_id.y' },
+        count: { $sum: '$count' },
+        latSum: { $sum: '$latSum' },
+        lngSum: { $sum: '$lngSum' },
+        issueId: { $first: '$issueId' },
+        breakdown: { $push: { status: '$_id.status', category: '$_id.category', count: '$count' } }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  return rows.map(row => {
+    const byStatus = {};
+    const byCategory = {};
+    row.breakdown.forEach(({ status, category, count }) => {
+      byStatus[status] = (byStatus[status] || 0) + count;
+      byCategory[category] = (byCategory[category] || 0) + count;
+    });
+
+    return {
+      id: `${row._id.x}:${row._id.y}`,
+      count: row.count,
+      latitude: row.latSum / row.count,
+      longitude: row.lngSum / row.count,
+      bounds: {
+        minLng: row._id.x * cellSize,
+        minLat: row._id.y * cellSize,
+        maxLng: (row._id.x + 1) * cellSize,
+        maxLat: (row._id.y + 1) * cellSize
+      },
+      issueId: row.count === 1 ? row.issueId : undefined,
+      byStatus,
+      byCategory
+    };
+  });
+};
+
+// Individual issues, newest first, capped at MAP_CONFIG.maxPoints
+const getPoints = async (match) => {
+  const [points, total] = await Promise.all([
+    Issue.find(match)
+      .select('trackingId title status category priority location.coordinates location.ward createdAt')
+      .sort({ createdAt: -1 })
+      .limit(MAP_CONFIG.maxPoints)
+      .lean(),
+    Issue.countDocuments(match)
+  ]);
+
+  return {
+    points: points.map(issue => ({
+      _id: issue._id,
+      trackingId: issue.trackingId,
+      title: issue.title,
+      status: issue.status,
+      category: issue.category,
+      priority: issue.priority,
+      latitude: issue.location.coordinates.latitude,
+      longitude: issue.location.coordinates.longitude,
+      ward: issue.location.ward,
+      createdAt: issue.createdAt
+    })),
+    total,
+    truncated: total > points.length
+  };
+};
+
+// Map data for a viewport: clusters at low zoom, individual issues at high zoom
+const getMapData = async (bbox, zoom, filters) => {
+  const match = buildMapMatch(bbox, filters);
+
+  if (zoom >= MAP_CONFIG.pointsFromZoom) {
+    return { mode: 'points', ...await getPoints(match) };
+  }
+
+  const cellSize = getCellSize(zoom);
+  const clusters = await getClusters(match, cellSize);
+
+  return {
+    mode: 'clusters',
+    cellSize,
+    clusters,
+    total: clusters.reduce((sum, cluster) => sum + cluster.count, 0)
+  };
+};
+
+module.exports = {
+  parseBbox,
+  getCellSize,
+  buildMapMatch,
+  getMapData
+};
@@ -0,0 +1,171 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { CHANNELS_ENABLED } = require('../config/notifications');
+const { registerJobHandler } = require('./jobQueue');
+const { sendEmail } = require('./email');
+const { sendSms, isSmsConfigured } = require('./sms');
+const { getIO } = require('./socket');
+
+const CHANNELS = ['push', 'email', 'sms'];
+
+// Notification types with a dedicated email; everything else uses the generic 'notification' email
+const EMAIL_TEMPLATES = {
+  issue_updated: 'issue-update',
+  issue_assigned: 'issue-assigned',
+  issue_resolved: 'issue-resolved',
+  feedback_request: 'feedback-request'
+};
+
+const CHANNEL_SENDERS = {
+  // Real-time delivery to the recipient's connected clients
+  push: async (notification, user) => {
+    getIO().to(`user_${user._id}`).emit('notification', notification);
+  },
+
+  email: (notification, user) => {
+    const issue = notification.relatedIssue;
+    const template = issue ? EMAIL_TEMPLATES[notification.type] || 'notification' : 'notification';
+
+    return sendEmail({
+      to: user.email,
+      template,
+      locale: notification.locale || user.preferences?.language,
+      data: {
+        firstName: user.firstName,
+        title: notification.title,
+        message: notification.message,
+        actionUrl: notification.actionUrl,
+        actionText: notification.actionText,
+        ...(issue && {
+          issueId: issue._id,
+          issueTitle: issue.title,
+          trackingId: issue.trackingId,
+          status: issue.status,
+          department: issue.assignedTo?.department,
+          notes: notification.metadata?.notes
+        })
+      }
+    });
+  },
+
+  sms: (notification, user) => sendSms({
+    to: user.phone,
+    message: `${notification.title}: ${notification.message}`
+  })
+};
+
+// Why a channel will not be attempted, or null when it should be
+const getSkipReason = (channel, notification, user) => {
+  if (!notification.channels?.[channel]) return 'not_requested';
+  if (!CHANNELS_ENABLED[channel]) return 'channel_disabled';
+  if (user.preferences?.notifications?.[channel] === false) return 'recipient_opted_out';
+
+  if (channel === 'push' && !getIO()) return 'socket_unavailable';
+  if (channel === 'email' && !user.email) return 'no_email';
+  if (channel === 'email' && !process.env.EMAIL_USER) return 'not_configured';
+  if (channel === 'sms' && !user.phone) return 'no_phone';
+  if (channel === 'sms' && !isSmsConfigured()) return 'not_configured';
+
+  return null;
+};
+
+// Job handler: deliver one notification on every channel it still needs.
+// Channels already sent or skipped are left alone, so a retry only repeats the failures.
+const deliverNotification = async ({ notificationId }) => {
+  const notification = await Notification.findById(notificationId)
+    .populate('relatedIssue', 'title trackingId status assignedTo.department');
+  if (!notification) return { skipped: 'notification_deleted' };
+
+  const user = await User.findById(notification.recipient).select('firstName email phone preferences isActive');
+  const failures = [];
+
+  for (const channel of CHANNELS) {
+    const status = notification.status[channel];
+    if (status.sent || status.skipped) continue;
+
+    const reason = !user || !user.isActive ? 'recipient_inactive' : getSkipReason(channel, notification, user);
+    if (reason) {
+      status.skipped = reason;
+      continue;
+    }
+
+    status.attempts += 1;
+    try {
+      await CHANNEL_SENDERS[channel](notification, user);
+      status.sent = true;
+      status.sentAt = new Date();
+      status.error = undefined;
+    } catch (error) {
+      status.error = error.message;
+      failures.push(`${channel}: ${error.message}`);
+    }
+  }
+
+  await notification.save();
+
+  if (failures.length > 0) {
+    throw new Error(failures.join('; '));
+  }
+
+  return Object.fromEntries(CHANNELS.map(channel => [
+    channel,
+    notification.status[channel].sent ? 'sent' : notification.status[channel].skipped
+  ]));
+};
+
+// Job handler: a standalone email ({ to, template, locale, data })
+const sendQueuedEmail = async (options) => {
+  const result = await sendEmail(options);
+  return { messageId: result.messageId };
+};
+
+// Email data for account emails, built when the job runs so that verification and reset
+// tokens never sit in the jobs collection
+const ACCOUNT_EMAIL_DATA = {
+  welcome: async (user) => ({
+    firstName: user.firstName,
+    verificationToken: user.verificationToken
+  }),
+
+  'password-reset': async (user) => {
+    const resetToken = user.generatePasswordResetToken();
+    await user.save();
+    return {
+      firstName: user.firstName,
+      resetUrl: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`
+    };
+  }
+};
+
+// Job handler: an account email ({ userId, template }) such as the welcome or password reset message
+const sendAccountEmail = async ({ userId, template }) => {
+  if (!ACCOUNT_EMAIL_DATA[template]) {
+    throw new Error(`Unknown account email template: ${template}`);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) return { skipped: 'user_not_found' };
+  if (template === 'welcome' && (user.isVerified || !user.verificationToken)) {
+    return { skipped: 'already_verified' };
+  }
+
+  const data = await ACCOUNT_EMAIL_DATA[template](user);
+  return sendQueuedEmail({
+    to: user.email,
+    template,
+    locale: user.preferences?.language,
+    data
+  });
+};
+
+const registerNotificationHandlers = () => {
+  registerJobHandler('notification.deliver', deliverNotification);
+  registerJobHandler('email.send', sendQueuedEmail);
+  registerJobHandler('email.account', sendAccountEmail);
+};
+
+module.exports = {
+  getSkipReason,
+  deliverNotification,
+  registerNotificationHandlers
+};
@@ -0,0 +1,102 @@
+const User = require('../models/User');
+const Issue = require('../models/Issue');
+const OfficerShift = require('../models/OfficerShift');
+const OfficerLocation = require('../models/OfficerLocation');
+const { distanceInMeters } = require('./duplicateDetection');
+const { OFFICER_TRACKING, NEAREST_OFFICER } = require('../config/officerTracking');
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? NaN : Number(value));
+
+// Store a position sent by a field officer. Returns { stored: true, location } or
+// { stored: false, reason } when the position was not kept (no shift, too soon, too imprecise).
+const recordOfficerLocation = async (user, position = {}) => {
+  const latitude = toNumber(position.latitude);
+  const longitude = toNumber(position.longitude);
+
+  if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+    return { stored: false, reason: 'invalid_coordinates' };
+  }
+
+  const accuracy = toNumber(position.accuracy);
+  if (accuracy > OFFICER_TRACKING.maxAccuracyMeters) {
+    return { stored: false, reason: 'low_accuracy' };
+  }
+
+  const shift = await OfficerShift.findActive(user._id);
+  if (!shift) {
+    return { stored: false, reason: 'off_shift' };
+  }
+
+  const last = await OfficerLocation.findOne({ officer: user._id }).sort({ recordedAt: -1 }).select('recordedAt');
+  if (last && Date.now() - last.recordedAt < OFFICER_TRACKING.minIntervalSeconds * 1000) {
+    return { stored: false, reason: 'too_frequent' };
+  }
+
+  const location = await OfficerLocation.create({
+    officer: user._id,
+    shift: shift._id,
+    department: shift.department,
+    latitude,
+    longitude,
+    accuracy: Number.isFinite(accuracy) ? accuracy : undefined,
+    heading: Number.isFinite(toNumber(position.heading)) ? Number(position.heading) : undefined,
+    speed: Number.isFinite(toNumber(position.speed)) ? Number(position.speed) : undefined
+  });
+
+  return { stored: true, location };
+};
+
+// Count issues in an open status assigned to each of the given users
+const getOpenWorkload = async (userIds, statuses = NEAREST_OFFICER.openStatuses) => {
+  const counts = await Issue.aggregate([
+    { $match: { 'assignedTo.user': { $in: userIds }, status: { $in: statuses } } },
+    { $group: { _id: '$assignedTo.user', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Rank the department's available field officers for an issue: on shift, covering the issue's
+// ward/zone and with a recent position. Lower score is better.
+const rankNearestOfficers = async (issue, department) => {
+  const onShift = await OfficerShift.getOnShiftOfficerIds({ department });
+  if (onShift.length === 0) return [];
+
+  const officers = (await User.find({
+    _id: { $in: onShift },
+    role: 'field_officer',
+    department,
+    isActive: true
+  }).select('firstName lastName phone department jurisdiction'))
+    .filter(officer => officer.coversLocation(issue.location));
+  if (officers.length === 0) return [];
+
+  const since = new Date(Date.now() - NEAREST_OFFICER.maxLocationAgeMinutes * 60 * 1000);
+  const positions = await OfficerLocation.getLatestPositions({ officer: { $in: officers.map(officer => officer._id) } }, since);
+  const positionByOfficer = new Map(positions.map(position => [position._id.toString(), position]));
+  const workload = await getOpenWorkload(officers.map(officer => officer._id));
+  const { latitude, longitude } = issue.location.coordinates;
+
+  return officers
+    .filter(officer => positionByOfficer.has(officer._id.toString()))
+    .map(officer => {
+      const position = positionByOfficer.get(officer._id.toString());
+      const distance = Math.round(distanceInMeters(latitude, longitude, position.latitude, position.longitude));
+      const openIssues = workload.get(officer._id.toString()) || 0;
+
+      return {
+        officer,
+        distanceMeters: distance,
+        openIssues,
+        lastSeenAt: position.recordedAt,
+        score: distance + openIssues * NEAREST_OFFICER.workloadPenaltyMeters
+      };
+    })
+    .sort((a, b) => a.score - b.score || a.distanceMeters - b.distanceMeters);
+};
+
+module.exports = {
+  recordOfficerLocation,
+  getOpenWorkload,
+  rankNearestOfficers
+};
@@ -0,0 +1,110 @@
+const Issue = require('../models/Issue');
+const { OPEN311_STATUS, SERVICE_SUBCATEGORIES } = require('../config/open311');
+const { label } = require('./i18n');
+const { xmlEscape } = require('./issueExport');
+
+const CATEGORIES = Issue.schema.path('category').enumValues;
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+// GeoReport v2 service list: one service per sub-category plus a catch-all per category
+const getServices = () => CATEGORIES.flatMap(category => {
+  const group = label('en', 'category', category);
+  const subCategories = Object.entries(SERVICE_SUBCATEGORIES[category] || {});
+
+  const service = (code, name, keywords) => ({
+    service_code: code,
+    service_name: name,
+    description: `${name} (${group})`,
+    metadata: false,
+    type: 'realtime',
+    keywords: keywords.join(','),
+    group
+  });
+
+  return [
+    ...subCategories.map(([subCategory, name]) => service(`${category}.${subCategory}`, name, [category, subCategory])),
+    service(category, subCategories.length > 0 ? `Other ${group.toLowerCase()} problem` : group, [category])
+  ];
+});
+
+// Find a service by code; null when the code is not ours
+const findService = (code) => getServices().find(service => service.service_code === code) || null;
+
+// Service code an existing issue belongs to
+const getServiceCode = (issue) => (SERVICE_SUBCATEGORIES[issue.category]?.[issue.subCategory]
+  ? `${issue.category}.${issue.subCategory}`
+  : issue.category);
+
+// Latest public note on an issue: its resolution notes, or the last timeline entry
+const getStatusNotes = (issue) => {
+  if (issue.resolutionNotes) return issue.resolutionNotes;
+  const latest = issue.timeline?.[issue.timeline.length - 1];
+  return latest?.description || null;
+};
+
+// One issue as a GeoReport v2 service request. `categoryDepartments` (category -> department
+// code, from getCategoryDepartments) names the agency for issues not yet routed.
+const toServiceRequest = (issue, categoryDepartments) => {
+  const serviceCode = getServiceCode(issue);
+  const department = issue.assignedTo?.department || categoryDepartments[issue.category];
+
+  return {
+    service_request_id: issue.trackingId,
+    status: OPEN311_STATUS[issue.status],
+    status_notes: getStatusNotes(issue),
+    service_name: findService(serviceCode)?.service_name || label('en', 'category', issue.category),
+    service_code: serviceCode,
+    description: issue.description,
+    agency_responsible: label('en', 'department', department),
+    service_notice: null,
+    requested_datetime: toIso(issue.createdAt),
+    updated_datetime: toIso(issue.updatedAt),
+    expected_datetime: toIso(issue.estimatedResolutionTime || issue.sla?.resolveBy),
+    address: issue.location?.address?.formatted || null,
+    address_id: null,
+    zipcode: issue.location?.address?.pincode || null,
+    lat: issue.location?.coordinates?.latitude ?? null,
+    long: issue.location?.coordinates?.longitude ?? null,
+    media_url: issue.photos?.[0]?.url || null
+  };
+};
+
+// Serialize a value as XML; arrays repeat their singular element name (attributes -> attribute)
+const toXmlElement = (name, value) => {
+  if (Array.isArray(value)) {
+    return `<${name}>${value.map(item => toXmlElement(name.replace(/s$/, ''), item)).join('')}</${name}>`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `<${name}>${Object.entries(value).map(([key, child]) => toXmlElement(key, child)).join('')}</${name}>`;
+  }
+  return `<${name}>${xmlEscape(value)}</${name}>`;
+};
+
+// Send a GeoReport response as JSON or XML. `root` and `item` name the XML elements for lists.
+const sendOpen311 = (res, format, status, data, { root, item }) => {
+  if (format === 'xml') {
+    const body = Array.isArray(data)
+      ? `<${root}>${data.map(entry => toXmlElement(item, entry)).join('')}</${root}>`
+      : toXmlElement(root, data);
+    return res.status(status).type('application/xml').send(`<?xml version="1.0" encoding="utf-8"?>\n${body}`);
+  }
+  return res.status(status).json(data);
+};
+
+// GeoReport errors are a list of { code, description }
+const sendOpen311Error = (res, format, status, description) => sendOpen311(
+  res,
+  format,
+  status,
+  [{ code: status, description }],
+  { root: 'errors', item: 'error' }
+);
+
+module.exports = {
+  getServices,
+  findService,
+  toServiceRequest,
+  sendOpen311,
+  sendOpen311Error
+};
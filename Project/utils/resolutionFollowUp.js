@@ -0,0 +1,73 @@
+const Issue = require('../models/Issue');
+const Notification = require('../models/Notification');
+const { RESOLUTION_FOLLOW_UP } = require('../config/issueWorkflow');
+const { publishIssueEvent } = require('./webhooks');
+
+// Ask the reporter of a just-resolved issue to rate the fix or reopen it within the window
+const sendFeedbackRequest = (issue, sender, notes) => Notification.createNotification({
+  recipient: issue.reportedBy,
+  sender,
+  type: 'feedback_request',
+  messageKey: 'feedback_request',
+  messageParams: { title: issue.title, days: RESOLUTION_FOLLOW_UP.reopenWindowDays },
+  relatedIssue: issue._id,
+  priority: 'high',
+  actionUrl: `/issues/${issue._id}#feedback`,
+  actionKey: 'giveFeedback',
+  metadata: { notes, autoCloseAt: issue.autoCloseAt }
+});
+
+// Tell whoever is working on a reopened issue that the fix did not hold
+const notifyReopened = (issue, reporter, reason) => {
+  const recipient = issue.assignedTo?.user;
+  if (!recipient) return null;
+
+  return Notification.createNotification({
+    recipient,
+    sender: reporter._id,
+    type: 'issue_updated',
+    messageKey: 'issue_reopened',
+    messageParams: { title: issue.title, trackingId: issue.trackingId, reason },
+    relatedIssue: issue._id,
+    priority: 'high',
+    actionUrl: `/issues/${issue._id}`,
+    actionKey: 'viewIssue',
+    metadata: { reopenCount: issue.reopenCount }
+  });
+};
+
+// Close resolved issues whose reopen window has passed. Run periodically from server.js.
+// An issue that fails to close is logged and counted, and the run carries on.
+const closeExpiredResolutions = async (now = new Date()) => {
+  const expired = await Issue.find({
+    status: 'resolved',
+    autoCloseAt: { $lte: now }
+  });
+
+  const summary = { closed: 0, failed: 0 };
+
+  for (const issue of expired) {
+    try {
+      issue.updateStatus(
+        'closed',
+        undefined,
+        `Closed automatically: not reopened within ${RESOLUTION_FOLLOW_UP.reopenWindowDays} days`,
+        { role: 'system' }
+      );
+      await issue.save();
+      summary.closed += 1;
+      await publishIssueEvent('issue.status_changed', issue, { from: 'resolved', to: 'closed', autoClosed: true });
+    } catch (error) {
+      console.error(`Auto-close failed for issue ${issue._id}:`, error);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  sendFeedbackRequest,
+  notifyReopened,
+  closeExpiredResolutions
+};
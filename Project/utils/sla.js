@@ -0,0 +1,171 @@
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const SlaPolicy = require('../models/SlaPolicy');
+const Department = require('../models/Department');
+const Notification = require('../models/Notification');
+const { getDefaultPolicy, ESCALATION } = require('../config/sla');
+const { emitToDepartment, emitToRole } = require('./socket');
+const { getIssueDepartment } = require('./departments');
+
+const OPEN_STATUSES = ['submitted', 'acknowledged', 'in_progress', 'under_review'];
+
+// Get the effective SLA policy: admin override if active, otherwise the configured default
+const getSlaPolicy = async (category, priority) => {
+  const override = await SlaPolicy.findOne({ category, priority, isActive: true });
+  return override || getDefaultPolicy(category, priority);
+};
+
+// Start (or restart) SLA tracking on an issue
+const applySlaPolicy = async (issue, from = new Date()) => {
+  const policy = await getSlaPolicy(issue.category, issue.priority);
+  issue.startSla(policy, from);
+  return policy;
+};
+
+// Heads who hear about a department's escalations and completed work: the heads named on the
+// department, or every active head of the department when none of those is still one
+const getDepartmentHeads = async (department) => {
+  const filter = { role: 'department_head', department, isActive: true };
+  const { heads = [] } = await Department.findOne({ code: department }).select('heads') || {};
+
+  if (heads.length > 0) {
+    const designated = await User.find({ ...filter, _id: { $in: heads } }).select('_id');
+    if (designated.length > 0) return designated;
+  }
+
+  return User.find(filter).select('_id');
+};
+
+const getAdmins = () => User.find({ role: 'admin', isActive: true }).select('_id');
+
+// Escalate an issue one level: 1 = department head, 2 = admins.
+// Skips straight to admins when the department has no active head.
+const escalateIssue = async (issue, reason) => {
+  const department = await getIssueDepartment(issue);
+  let level = Math.min((issue.sla.escalationLevel || 0) + 1, 2);
+  let recipients = [];
+
+  if (level === 1) {
+    recipients = await getDepartmentHeads(department);
+    if (recipients.length === 0) level = 2;
+  }
+
+  if (level === 2) {
+    recipients = await getAdmins();
+  }
+
+  const deadline = reason === 'acknowledge' ? issue.sla.acknowledgeBy : issue.sla.resolveBy;
+  const audience = level === 1 ? 'department head' : 'administrators';
+
+  issue.sla.escalationLevel = level;
+  issue.sla.lastEscalatedAt = new Date();
+  issue.addTimelineEntry(
+    'escalated',
+    `SLA breached (${reason === 'acknowledge' ? 'not acknowledged' : 'not resolved'} by ${deadline.toISOString()}), escalated to ${audience}`,
+    undefined,
+    { level, reason, deadline, department }
+  );
+
+  await issue.save();
+
+  await Promise.all(recipients.map(user =>
+    Notification.createNotification({
+      recipient: user._id,
+      type: 'issue_escalated',
+      messageKey: level === 1 ? 'sla_breach_department' : 'sla_breach_admin',
+      messageParams: { trackingId: issue.trackingId, title: issue.title, reason },
+      relatedIssue: issue._id,
+      priority: 'urgent',
+      actionUrl: `/issues/${issue._id}`,
+      actionKey: 'viewIssue',
+      metadata: { level, reason, deadline }
+    })
+  ));
+
+  const payload = {
+    issueId: issue._id,
+    trackingId: issue.trackingId,
+    level,
+    reason,
+    deadline
+  };
+
+  if (level === 1) {
+    emitToDepartment(department, 'issue_escalated', payload);
+  } else {
+    emitToRole('admin', 'issue_escalated', payload);
+  }
+
+  return level;
+};
+
+// Find new SLA breaches and escalate them. Run periodically from server.js. An issue that
+// fails (e.g. a save rejected by validation) is logged and counted, and the run carries on.
+const checkSlaBreaches = async (now = new Date()) => {
+  const summary = { acknowledgeBreaches: 0, resolveBreaches: 0, adminEscalations: 0, failed: 0 };
+
+  const forEachIssue = async (issues, counter, handle) => {
+    for (const issue of issues) {
+      try {
+        await handle(issue);
+        summary[counter] += 1;
+      } catch (error) {
+        console.error(`SLA check failed for issue ${issue._id}:`, error);
+        summary.failed += 1;
+      }
+    }
+  };
+
+  const acknowledgeBreaches = await Issue.find({
+    status: 'submitted',
+    'sla.acknowledgeBy': { $lte: now },
+    'sla.acknowledgeBreachedAt': null
+  });
+
+  await forEachIssue(acknowledgeBreaches, 'acknowledgeBreaches', async (issue) => {
+    issue.sla.acknowledgeBreachedAt = now;
+    if ((issue.sla.escalationLevel || 0) < 1) {
+      await escalateIssue(issue, 'acknowledge');
+    } else {
+      await issue.save();
+    }
+  });
+
+  const resolveBreaches = await Issue.find({
+    status: { $in: OPEN_STATUSES },
+    'sla.resolveBy': { $lte: now },
+    'sla.resolveBreachedAt': null
+  });
+
+  await forEachIssue(resolveBreaches, 'resolveBreaches', async (issue) => {
+    issue.sla.resolveBreachedAt = now;
+    if ((issue.sla.escalationLevel || 0) < 1) {
+      await escalateIssue(issue, 'resolve');
+    } else {
+      await issue.save();
+    }
+  });
+
+  // Breaches the department head has not dealt with go to admins
+  const adminCutoff = new Date(now.getTime() - ESCALATION.adminEscalationAfterHours * 60 * 60 * 1000);
+  const stale = await Issue.find({
+    status: { $in: OPEN_STATUSES },
+    'sla.escalationLevel': 1,
+    'sla.lastEscalatedAt': { $lte: adminCutoff }
+  });
+
+  await forEachIssue(stale, 'adminEscalations', (issue) => (
+    escalateIssue(issue, issue.sla.resolveBreachedAt ? 'resolve' : 'acknowledge')
+  ));
+
+  return summary;
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  getSlaPolicy,
+  applySlaPolicy,
+  getDepartmentHeads,
+  escalateIssue,
+  checkSlaBreaches
+};
@@ -0,0 +1,38 @@
+// SMS through an HTTP gateway (most Indian bulk SMS providers accept a JSON POST).
+// Configure SMS_GATEWAY_URL, SMS_API_KEY and SMS_SENDER_ID; ENABLE_SMS=true switches it on.
+
+const isSmsConfigured = () => Boolean(process.env.SMS_GATEWAY_URL && process.env.SMS_API_KEY);
+
+// Send one SMS; throws when the gateway rejects it so the caller can retry
+const sendSms = async ({ to, message }) => {
+  if (!isSmsConfigured()) {
+    throw new Error('SMS gateway not configured');
+  }
+
+  const response = await fetch(process.env.SMS_GATEWAY_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${process.env.SMS_API_KEY}`
+    },
+    body: JSON.stringify({
+      to,
+      sender: process.env.SMS_SENDER_ID || 'ANANDM',
+      // Keep within two SMS segments
+      message: message.length > 306 ? `${message.slice(0, 303)}...` : message
+    }),
+    signal: AbortSignal.timeout(10000)
+  });
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new Error(`SMS gateway responded ${response.status}: ${body.slice(0, 200)}`);
+  }
+
+  return response.json().catch(() => ({}));
+};
+
+module.exports = {
+  isSmsConfigured,
+  sendSms
+};
@@ -1,6 +1,9 @@
 const socketIo = require('socket.io');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const { recordOfficerLocation } = require('./officerTracking');
 
 let io = null;
 
@@ -25,6 +28,13 @@ const initializeSocket = (server) => {
       }
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
+
+      // Tokens from revoked or ended sessions may not open a connection
+      const session = await Session.findActive(decoded.sid);
+      if (!session || session.user.toString() !== decoded.id) {
+        return next(new Error('Session revoked'));
+      }
+
       const user = await User.findById(decoded.id).select('-password');
       
       if (!user || !user.isActive) {
@@ -32,6 +42,7 @@ const initializeSocket = (server) => {
       }
 
       socket.userId = user._id.toString();
+      socket.sessionId = session._id.toString();
       socket.user = user;
       next();
     } catch (error) {
@@ -45,6 +56,14 @@ const initializeSocket = (server) => {
     
     // Join user-specific room for notifications
     socket.join(`user_${socket.userId}`);
+
+    // Session room so a revoked session can be disconnected
+    socket.join(`session_${socket.sessionId}`);
+
+    // Send the current unread count so the client badge is correct after a refresh
+    Notification.getUnreadCount(socket.userId)
+      .then(count => socket.emit('unread_count', { count }))
+      .catch(error => console.error('Unread count error:', error));
     
     // Join role-based rooms
     socket.join(`role_${socket.user.role}`);
@@ -81,15 +100,28 @@ const initializeSocket = (server) => {
       });
     });
 
-    // Handle location tracking for field officers
-    socket.on('update_location', (location) => {
-      if (socket.user.role === 'field_officer') {
-        socket.to(`dept_${socket.user.department}`).emit('officer_location_update', {
-          userId: socket.userId,
-          userName: socket.user.firstName + ' ' + socket.user.lastName,
-          location: location,
-          timestamp: new Date()
-        });
+    // Handle location tracking for field officers. Positions are stored only during a declared
+    // shift; the optional acknowledgement tells the client whether this one was kept.
+    socket.on('update_location', async (location, ack) => {
+      if (socket.user.role !== 'field_officer') return;
+
+      socket.to(`dept_${socket.user.department}`).emit('officer_location_update', {
+        userId: socket.userId,
+        userName: socket.user.firstName + ' ' + socket.user.lastName,
+        location: location,
+        timestamp: new Date()
+      });
+
+      try {
+        const result = await recordOfficerLocation(socket.user, location);
+        if (typeof ack === 'function') {
+          ack({ stored: result.stored, reason: result.reason });
+        }
+      } catch (error) {
+        console.error('Record officer location error:', error);
+        if (typeof ack === 'function') {
+          ack({ stored: false, reason: 'error' });
+        }
       }
     });
 
@@ -233,6 +265,13 @@ const getConnectedUsers = () => {
   return [];
 };
 
+// Drop live connections opened with a session that has been revoked
+const disconnectSession = (sessionId) => {
+  if (io) {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+};
+
 const getIO = () => io;
 
 module.exports = {
@@ -243,5 +282,6 @@ module.exports = {
   emitToIssue,
   broadcastNotification,
   getConnectedUsers,
+  disconnectSession,
   getIO
 };
@@ -0,0 +1,40 @@
+const { uploadToCloudinary, deleteFromCloudinary, getOptimizedUrl } = require('../cloudinary');
+const STORAGE_CONFIG = require('../../config/storage');
+
+// Cloudinary resizes on the fly, so variants are just transformation URLs
+const getUrl = (publicId, options = {}) => getOptimizedUrl(publicId, options);
+
+const upload = async (buffer, { folder = 'general' } = {}) => {
+  const result = await uploadToCloudinary(buffer, folder);
+
+  return {
+    provider: 'cloudinary',
+    url: result.secure_url,
+    publicId: result.public_id,
+    width: result.width,
+    height: result.height,
+    bytes: result.bytes,
+    format: result.format,
+    variants: Object.fromEntries(
+      Object.entries(STORAGE_CONFIG.variants).map(([name, size]) => [
+        name,
+        getUrl(result.public_id, {
+          width: size.width,
+          height: size.height,
+          crop: size.fit === 'cover' ? 'fill' : 'limit'
+        })
+      ])
+    )
+  };
+};
+
+const remove = async (publicId) => {
+  await deleteFromCloudinary(publicId);
+};
+
+module.exports = {
+  name: 'cloudinary',
+  upload,
+  remove,
+  getUrl
+};
@@ -0,0 +1,62 @@
+const STORAGE_CONFIG = require('../../config/storage');
+
+// Every backend exposes: upload(buffer, { folder }), remove(publicId), getUrl(publicId, options)
+const ADAPTERS = {
+  cloudinary: () => require('./cloudinary'),
+  local: () => require('./local')
+};
+
+const adapters = {};
+
+// Adapters are loaded on first use so a deployment only needs the dependencies it uses
+const getStorage = (name = STORAGE_CONFIG.driver) => {
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown storage driver "${name}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  if (!adapters[name]) {
+    adapters[name] = ADAPTERS[name]();
+  }
+
+  return adapters[name];
+};
+
+// Upload an image with the configured backend
+const uploadImage = (buffer, folder = 'general') => getStorage().upload(buffer, { folder });
+
+// Build the photo subdocument stored on issues
+const toPhoto = (result, caption) => ({
+  url: result.url,
+  publicId: result.publicId,
+  provider: result.provider,
+  variants: result.variants,
+  caption
+});
+
+// Upload multer files and return photo subdocuments
+const uploadPhotos = (files = [], folder = 'general') => Promise.all(
+  files.map(async (file) => toPhoto(await uploadImage(file.buffer, folder), file.originalname))
+);
+
+// Photos stored before pluggable storage have no provider and live on Cloudinary
+const providerOf = (photo) => photo.provider || 'cloudinary';
+
+// Delete a stored photo with the backend that stored it
+const deleteImage = async (photo) => {
+  if (!photo?.publicId) return;
+  await getStorage(providerOf(photo)).remove(photo.publicId);
+};
+
+// Resized URL for a stored photo, e.g. { width: 200, height: 200 } for a thumbnail
+const getImageUrl = (photo, options = {}) => {
+  if (!photo?.publicId) return photo?.url;
+  return getStorage(providerOf(photo)).getUrl(photo.publicId, options);
+};
+
+module.exports = {
+  getStorage,
+  uploadImage,
+  uploadPhotos,
+  deleteImage,
+  getImageUrl
+};
@@ -0,0 +1,128 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const STORAGE_CONFIG = require('../../config/storage');
+
+const { directory, publicPath, baseUrl } = STORAGE_CONFIG.local;
+const FORMAT = 'webp';
+
+// Keep folder names inside the uploads directory
+const sanitizeFolder = (folder) => folder
+  .toLowerCase()
+  .replace(/[^a-z0-9/_-]/g, '')
+  .split('/')
+  .filter(segment => segment && segment !== '..')
+  .join('/') || 'general';
+
+const fileName = (hash, variant) => (variant ? `${hash}_${variant}.${FORMAT}` : `${hash}.${FORMAT}`);
+
+const filePath = (publicId, variant) => {
+  const folder = path.posix.dirname(publicId);
+  const hash = path.posix.basename(publicId);
+  return path.join(directory, sanitizeFolder(folder), fileName(hash, variant));
+};
+
+const fileUrl = (publicId, variant) => {
+  const folder = sanitizeFolder(path.posix.dirname(publicId));
+  const hash = path.posix.basename(publicId);
+  return `${baseUrl}${publicPath}/${folder}/${fileName(hash, variant)}`;
+};
+
+const exists = async (file) => {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Write a rendered image unless an identical upload already produced it
+const writeOnce = async (file, render) => {
+  if (await exists(file)) return;
+
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, await render());
+  await fs.rename(tmp, file);
+};
+
+// Pick the smallest stored variant that still covers the requested size
+const getUrl = (publicId, options = {}) => {
+  const width = parseInt(options.width) || 0;
+  const height = parseInt(options.height) || 0;
+
+  if (!width && !height) return fileUrl(publicId);
+
+  const match = Object.entries(STORAGE_CONFIG.variants)
+    .sort(([, a], [, b]) => a.width - b.width)
+    .find(([, size]) => width <= size.width && height <= size.height);
+
+  return match ? fileUrl(publicId, match[0]) : fileUrl(publicId);
+};
+
+// Store an image under its content hash, plus thumbnail and resized variants
+const upload = async (buffer, { folder = 'general' } = {}) => {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const publicId = `${sanitizeFolder(folder)}/${hash}`;
+
+  await fs.mkdir(path.dirname(filePath(publicId)), { recursive: true });
+
+  // rotate() applies EXIF orientation; output is stripped of metadata such as GPS tags
+  const image = sharp(buffer, { failOn: 'error' }).rotate();
+  const metadata = await image.metadata();
+
+  const original = await image
+    .clone()
+    .resize({
+      width: STORAGE_CONFIG.maxDimension,
+      height: STORAGE_CONFIG.maxDimension,
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+
+  await writeOnce(filePath(publicId), () => original.data);
+
+  await Promise.all(Object.entries(STORAGE_CONFIG.variants).map(([name, size]) =>
+    writeOnce(filePath(publicId, name), () => image
+      .clone()
+      .resize({ width: size.width, height: size.height, fit: size.fit, withoutEnlargement: size.fit === 'inside' })
+      .webp({ quality: 75 })
+      .toBuffer())
+  ));
+
+  return {
+    provider: 'local',
+    url: fileUrl(publicId),
+    publicId,
+    width: original.info.width,
+    height: original.info.height,
+    bytes: original.info.size,
+    format: FORMAT,
+    originalFormat: metadata.format,
+    variants: Object.fromEntries(
+      Object.keys(STORAGE_CONFIG.variants).map(name => [name, fileUrl(publicId, name)])
+    )
+  };
+};
+
+const remove = async (publicId) => {
+  const files = [null, ...Object.keys(STORAGE_CONFIG.variants)].map(variant => filePath(publicId, variant));
+
+  await Promise.all(files.map(async (file) => {
+    try {
+      await fs.unlink(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }));
+};
+
+module.exports = {
+  name: 'local',
+  upload,
+  remove,
+  getUrl
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_DELIVERY } = require('../config/webhooks');
+const { registerJobHandler, enqueueJob, triggerJobWorker } = require('./jobQueue');
+
+// Signature receivers check: HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+const signPayload = (secret, timestamp, body) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+// The issue fields sent with every event
+const issueSnapshot = (issue) => ({
+  id: issue._id,
+  trackingId: issue.trackingId,
+  title: issue.title,
+  category: issue.category,
+  subCategory: issue.subCategory,
+  priority: issue.priority,
+  status: issue.status,
+  location: {
+    latitude: issue.location?.coordinates?.latitude,
+    longitude: issue.location?.coordinates?.longitude,
+    address: issue.location?.address?.formatted,
+    ward: issue.location?.ward,
+    zone: issue.location?.zone
+  },
+  assignedTo: {
+    department: issue.assignedTo?.department,
+    user: issue.assignedTo?.user?._id || issue.assignedTo?.user
+  },
+  sla: {
+    acknowledgeBy: issue.sla?.acknowledgeBy,
+    resolveBy: issue.sla?.resolveBy
+  },
+  createdAt: issue.createdAt,
+  updatedAt: issue.updatedAt
+});
+
+// POST one delivery and record the attempt. Returns the attempt; `ok` says whether it was accepted.
+const attemptDelivery = async (delivery, webhook) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+  const attempt = {};
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': WEBHOOK_DELIVERY.userAgent,
+        'X-AMC-Event': delivery.event,
+        'X-AMC-Delivery': delivery._id.toString(),
+        'X-AMC-Timestamp': timestamp,
+        'X-AMC-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_DELIVERY.timeoutMs)
+    });
+
+    attempt.statusCode = response.status;
+    attempt.response = (await response.text()).slice(0, WEBHOOK_DELIVERY.maxResponseLength);
+    if (!response.ok) attempt.error = `Receiver responded with ${response.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `No response within ${WEBHOOK_DELIVERY.timeoutMs}ms`
+      : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  const ok = !attempt.error;
+  if (ok) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+  }
+
+  await Webhook.updateOne({ _id: webhook._id }, ok
+    ? { 'stats.lastDeliveryAt': new Date(), 'stats.lastStatus': 'delivered', 'stats.consecutiveFailures': 0 }
+    : { 'stats.lastDeliveryAt': new Date(), 'stats.lastStatus': 'failed', $inc: { 'stats.consecutiveFailures': 1 } });
+
+  return { ...attempt, ok };
+};
+
+// Record an event for one webhook and queue its delivery
+const queueDelivery = async (webhook, event, data, issue) => {
+  const delivery = new WebhookDelivery({ webhook: webhook._id, event, issue: issue?._id });
+  delivery.payload = {
+    id: delivery._id,
+    event,
+    createdAt: new Date(),
+    data
+  };
+
+  await delivery.save();
+
+  const job = await enqueueJob('webhook.deliver', { deliveryId: delivery._id }, {
+    maxAttempts: WEBHOOK_DELIVERY.maxAttempts
+  });
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { job: job._id });
+
+  return delivery;
+};
+
+// Send an issue lifecycle event to every active webhook whose filters match.
+// Called next to the matching notifications; failures are logged and never break the request.
+const publishIssueEvent = async (event, issue, details = {}) => {
+  try {
+    const webhooks = await Webhook.find({ isActive: true, events: event }).select('+secret');
+    const subscribers = webhooks.filter(webhook => webhook.matches(event, issue));
+    if (subscribers.length === 0) return [];
+
+    const data = { issue: issueSnapshot(issue), ...details };
+    const deliveries = await Promise.all(subscribers.map(webhook => queueDelivery(webhook, event, data, issue)));
+
+    triggerJobWorker();
+    return deliveries;
+  } catch (error) {
+    console.error(`Error publishing webhook event ${event}:`, error);
+    return [];
+  }
+};
+
+// Job handler: deliver one queued event. Throwing makes the queue retry with exponential backoff.
+const deliverWebhook = async ({ deliveryId }, job) => {
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  if (!delivery) return { skipped: 'delivery_expired' };
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    await delivery.save();
+    return { skipped: webhook ? 'webhook_inactive' : 'webhook_deleted' };
+  }
+
+  const attempt = await attemptDelivery(delivery, webhook);
+
+  if (!attempt.ok && job && job.attempts >= job.maxAttempts) {
+    delivery.status = 'failed';
+  }
+  await delivery.save();
+
+  if (!attempt.ok) {
+    throw new Error(attempt.error);
+  }
+
+  return { statusCode: attempt.statusCode };
+};
+
+// Deliver a "webhook.test" event straight away (no retries) so admins can check the receiver
+const sendTestEvent = async (webhook, sentBy) => {
+  const delivery = new WebhookDelivery({ webhook: webhook._id, event: 'webhook.test' });
+  delivery.payload = {
+    id: delivery._id,
+    event: 'webhook.test',
+    createdAt: new Date(),
+    data: { webhook: { id: webhook._id, name: webhook.name }, sentBy }
+  };
+
+  const attempt = await attemptDelivery(delivery, webhook);
+  if (!attempt.ok) delivery.status = 'failed';
+  await delivery.save();
+
+  return { delivery, attempt };
+};
+
+const registerWebhookHandlers = () => {
+  registerJobHandler('webhook.deliver', deliverWebhook);
+};
+
+module.exports = {
+  signPayload,
+  issueSnapshot,
+  publishIssueEvent,
+  deliverWebhook,
+  sendTestEvent,
+  registerWebhookHandlers
+};